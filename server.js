@@ -5,6 +5,8 @@ const {
   completeExpiredMilestones,
   startMilestoneAutomation
 } = require('./src/services/milestoneAutomationService');
+const { startUploadCleanup } = require('./src/services/uploadCleanupService');
+const { startEmailQueue } = require('./src/services/emailQueueService');
 
 // Start server only after DB connection is established
 const PORT = process.env.PORT || 5000;
@@ -14,6 +16,8 @@ const PORT = process.env.PORT || 5000;
     await connectDB();
     await completeExpiredMilestones();
     startMilestoneAutomation();
+    startUploadCleanup();
+    startEmailQueue();
 
     const server = app.listen(PORT, () => {
       console.log(`🚀 Server running in ${process.env.NODE_ENV || 'development'} mode on port ${PORT}`);
@@ -8,6 +8,7 @@ const mongoose = require('mongoose');
 const authRoutes = require('./routes/authRoutes');
 const publicRoutes = require('./routes/publicRoutes');
 const adminRoutes = require('./routes/adminRoutes');
+const applicantRoutes = require('./routes/applicantRoutes');
 const pipelineRoutes = require('./routes/pipelineRoutes');
 const auditRoutes = require('./routes/auditRoutes');
 const projectRoutes = require('./routes/projectRoutes');
@@ -139,6 +140,11 @@ const swaggerOptions = {
               type: 'string',
               example: 'We are hiring a React developer'
             },
+            timezone: {
+              type: 'string',
+              description: 'IANA time zone of the job; deadlines without Z or an offset are read in it',
+              example: 'Africa/Addis_Ababa'
+            },
             validFrom: {
               type: 'string',
               format: 'date-time',
@@ -200,6 +206,7 @@ const swaggerOptions = {
             title: { type: 'string', example: 'Frontend Developer' },
             description: { type: 'string', example: 'We are hiring a React developer' },
             status: { type: 'string', enum: ['ACTIVE', 'INACTIVE'], example: 'INACTIVE' },
+            timezone: { type: 'string', description: 'IANA time zone of the job', example: 'Africa/Addis_Ababa' },
             validFrom: { type: 'string', format: 'date-time', example: '2026-01-12T10:00:00Z' },
             validTo: { type: 'string', format: 'date-time', example: '2026-01-14T11:30:00Z' }
           }
@@ -250,6 +257,55 @@ const swaggerOptions = {
             order: {
               type: 'number',
               example: 3
+            },
+            visibility: {
+              type: 'object',
+              nullable: true,
+              description: 'Conditional logic. When the rules match, the field is shown (action "show") or hidden (action "hide"). Required fields are only enforced while visible.',
+              properties: {
+                action: { type: 'string', enum: ['show', 'hide'], example: 'show' },
+                logic: { type: 'string', enum: ['all', 'any'], example: 'all' },
+                rules: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    required: ['fieldId', 'operator'],
+                    properties: {
+                      fieldId: { type: 'string', example: '677b2c3d4e5f6789abcdef01' },
+                      operator: {
+                        type: 'string',
+                        enum: ['equals', 'not_equals', 'contains', 'not_contains', 'is_empty', 'is_not_empty', 'greater_than', 'less_than'],
+                        example: 'equals'
+                      },
+                      value: { example: 'Design' }
+                    }
+                  }
+                }
+              }
+            },
+            constraints: {
+              type: 'object',
+              nullable: true,
+              description: 'Optional answer constraints checked on submit. Which keys apply depends on the field type.',
+              properties: {
+                minLength: { type: 'integer', description: 'short_answer, paragraph, link', example: 10 },
+                maxLength: { type: 'integer', description: 'short_answer, paragraph, link', example: 500 },
+                pattern: { type: 'string', description: 'Regular expression the answer must match', example: '^\\+?[0-9 ]+$' },
+                patternMessage: { type: 'string', example: 'Enter digits only' },
+                minSelections: { type: 'integer', description: 'checkboxes', example: 1 },
+                maxSelections: { type: 'integer', description: 'checkboxes', example: 3 },
+                minRating: { type: 'integer', description: 'rating (default 1)', example: 1 },
+                maxRating: { type: 'integer', description: 'rating (default 5)', example: 10 },
+                minDate: { type: 'string', format: 'date', description: 'date', example: '2026-01-01' },
+                maxDate: { type: 'string', format: 'date', description: 'date', example: '2026-12-31' },
+                allowedFileTypes: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'file - lowercase extensions (default pdf, doc, docx)',
+                  example: ['pdf', 'png', 'jpg']
+                },
+                maxFileSizeMB: { type: 'number', description: 'file - size limit in MB (default 5, max 25)', example: 10 }
+              }
             }
           }
         },
@@ -465,19 +521,51 @@ const swaggerOptions = {
             success: { type: 'boolean' },
             message: { type: 'string' },
             data: {
-              type: 'array',
-              items: {
-                type: 'object',
-                properties: {
-                  responseId: { type: 'string' },
-                  applicantName: { type: 'string' },
-                  applicantEmail: { type: 'string' },
-                  applicantPhoneNumber: { type: 'string' },
-                  submittedAt: { type: 'string', format: 'date-time' },
-                  isSaved: { type: 'boolean' },
-                  isInvited: { type: 'boolean' },
-                  isAccepted: { type: 'boolean' }
-                }
+              type: 'object',
+              properties: {
+                responses: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      responseId: { type: 'string' },
+                      applicantName: { type: 'string' },
+                      applicantEmail: { type: 'string' },
+                      applicantPhoneNumber: { type: 'string' },
+                      applicantCity: { type: 'string' },
+                      submittedAt: { type: 'string', format: 'date-time' },
+                      isSaved: { type: 'boolean' },
+                      isInvited: { type: 'boolean' },
+                      isAccepted: { type: 'boolean' },
+                      pipelineStage: { type: 'string' },
+                      score: { type: 'number', nullable: true, description: 'Average scorecard score' },
+                      reviewerCount: { type: 'integer' }
+                    }
+                  }
+                },
+                pagination: { type: 'object' },
+                facets: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      fieldId: { type: 'string' },
+                      question: { type: 'string' },
+                      type: { type: 'string' },
+                      counts: {
+                        type: 'array',
+                        items: {
+                          type: 'object',
+                          properties: {
+                            value: { type: 'string' },
+                            count: { type: 'integer' }
+                          }
+                        }
+                      }
+                    }
+                  }
+                },
+                filters: { type: 'object' }
               }
             }
           }
@@ -546,8 +634,14 @@ const swaggerOptions = {
             },
             interview_time: {
               type: 'string',
+              description: 'Free text; a leading 14:00 or 2:00 PM is read as the start time',
               example: '14:00'
             },
+            timezone: {
+              type: 'string',
+              description: 'IANA zone the date and time are in; defaults to the job\'s',
+              example: 'Africa/Addis_Ababa'
+            },
             interview_location: {
               type: 'string',
               example: 'Zoom - https://zoom.us/j/1234567890?pwd=abcdef'
@@ -631,6 +725,18 @@ const swaggerOptions = {
         name: 'Projects - Public',
         description: 'Public project and milestone progress endpoints (No auth required)'
       },
+      {
+        name: 'Interview Booking - Public',
+        description: 'Applicants book an interview time from a booking link (No auth required)'
+      },
+      {
+        name: 'Offers - Public',
+        description: 'Applicants view, download and accept or decline a job offer from the offer link (No auth required)'
+      },
+      {
+        name: 'Applicant Portal',
+        description: 'Applicant self-service via magic-link sign-in'
+      },
       {
         name: 'Jobs - Admin',
         description: 'Job management endpoints (Admin only)'
@@ -639,6 +745,38 @@ const swaggerOptions = {
         name: 'Job Fields - Admin',
         description: 'Dynamic form builder endpoints (Admin only)'
       },
+      {
+        name: 'Form Templates - Admin',
+        description: 'Reusable application form templates (Admin only)'
+      },
+      {
+        name: 'Scorecards - Admin',
+        description: 'Scorecard criteria per job and reviewer ratings (Admin only)'
+      },
+      {
+        name: 'Comments - Admin',
+        description: 'Internal comment threads and activity timeline of applications (Admin only)'
+      },
+      {
+        name: 'Email Templates - Admin',
+        description: 'Editable email templates, per-job overrides and previews (Admin only)'
+      },
+      {
+        name: 'Messages - Admin',
+        description: 'Emails to applicants and the record of messages sent (Admin only)'
+      },
+      {
+        name: 'Interviews - Admin',
+        description: 'Interviewer availability, interview scheduling, booking links and calendar files (Admin only)'
+      },
+      {
+        name: 'Offers - Admin',
+        description: 'Job offers with salary, start date and a PDF offer letter; accepting or declining moves the application to hired or rejected (Admin only)'
+      },
+      {
+        name: 'Candidates - Admin',
+        description: 'Candidate profiles across jobs and duplicate merging (Admin only)'
+      },
       {
         name: 'Applications - Admin',
         description: 'Application management endpoints (Admin only)'
@@ -722,6 +860,9 @@ app.use('/api/auth', authRoutes);
 // ADMIN ROUTES (Requires Authentication + Admin Role)
 app.use('/api/admin', adminRoutes);
 
+// APPLICANT PORTAL ROUTES (Magic-link sessions)
+app.use('/api/applicant', applicantRoutes);
+
 // PROJECT ROUTES (Public GET, admin write)
 app.use('/api/projects', projectRoutes);
 app.use('/api/admin/milestones', milestoneRoutes);
@@ -0,0 +1,379 @@
+const mongoose = require('mongoose');
+const { promisify } = require('util');
+const Application = require('../models/Application');
+const MagicLinkToken = require('../models/MagicLinkToken');
+const PipelineTemplate = require('../models/PipelineTemplate');
+const minioClient = require('../utils/s3Client');
+const { successResponse, errorResponse } = require('../utils/responseUtils');
+const { generateApplicantToken } = require('../utils/tokenUtils');
+const { TYPE_VALIDATORS } = require('../utils/answerValidation');
+const { storeFile } = require('../config/multer');
+const { getFormForApplication, renderAnswers } = require('../services/formVersionService');
+const { resolveCandidate, recordContactDetails } = require('../services/candidateService');
+const { sendMagicLinkEmail } = require('../services/emailService');
+
+const PORTAL_URL = process.env.APPLICANT_PORTAL_URL || 'http://localhost:3000/applicant';
+
+// At most this many links per email within the window
+const MAGIC_LINK_LIMIT = 3;
+const MAGIC_LINK_WINDOW_MS = 15 * 60 * 1000;
+
+
+const CONTACT_FIELDS = ['name', 'phoneNumber', 'country', 'city', 'timezone'];
+
+const isBeforeDeadline = (job) => !!job && new Date() <= job.deadline;
+
+// Applications in a stage marked hired or rejected are closed
+const canWithdraw = (application, template) => !application.withdrawnAt && !template.stageOutcome(application.pipeline_stage);
+
+const canEdit = (application, template) => canWithdraw(application, template) && isBeforeDeadline(application.jobId);
+
+/**
+ * Label of a stage as shown to the applicant
+ */
+const stageLabel = (template, stage) => {
+  const match = template.stages.find(s => s.key === stage);
+  if (match) return match.label;
+  return stage.charAt(0).toUpperCase() + stage.slice(1).replace(/_/g, ' ');
+};
+
+/**
+ * Resolve pipeline templates once per job for a list of applications
+ */
+const loadTemplates = async (applications) => {
+  const templates = new Map();
+  for (const application of applications) {
+    const jobId = String(application.jobId._id);
+    if (!templates.has(jobId)) {
+      templates.set(jobId, await PipelineTemplate.resolveForJob(application.jobId));
+    }
+  }
+  return (application) => templates.get(String(application.jobId._id));
+};
+
+const formatSummary = (application, template) => ({
+  applicationId: application._id,
+  job: {
+    id: application.jobId._id,
+    title: application.jobId.title,
+    deadline: application.jobId.deadline,
+    isAcceptingChanges: isBeforeDeadline(application.jobId)
+  },
+  // A withdrawn application keeps its pipeline stage; the applicant sees it as withdrawn
+  status: application.withdrawnAt
+    ? { stage: 'withdrawn', label: 'Withdrawn', since: application.withdrawnAt }
+    : {
+      stage: application.pipeline_stage,
+      label: stageLabel(template, application.pipeline_stage),
+      since: application.current_stage_entered
+    },
+  withdrawnAt: application.withdrawnAt,
+  submittedAt: application.createdAt,
+  updatedAt: application.updatedAt,
+  canWithdraw: canWithdraw(application, template),
+  canEdit: canEdit(application, template)
+});
+
+/**
+ * Find an application of the signed-in applicant. Other applicants' applications look like missing ones.
+ */
+const findOwnApplication = async (req) => {
+  const { applicationId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(applicationId)) return null;
+
+  return Application.findOne({
+    _id: applicationId,
+    'applicant.email': req.applicant.email
+  }).populate('jobId', 'title deadline status pipelineTemplate');
+};
+
+/**
+ * @desc    Request a sign-in link for the applicant portal
+ * @route   POST /api/applicant/magic-link
+ * @access  Public
+ *
+ * Always answers the same way so the endpoint can't be used to find out who applied.
+ */
+exports.requestMagicLink = async (req, res, next) => {
+  try {
+    const email = String(req.body.email).trim().toLowerCase();
+
+    const [hasApplications, recentLinks] = await Promise.all([
+      Application.exists({ 'applicant.email': email }),
+      MagicLinkToken.countDocuments({
+        email,
+        createdAt: { $gt: new Date(Date.now() - MAGIC_LINK_WINDOW_MS) }
+      })
+    ]);
+
+    if (hasApplications && recentLinks < MAGIC_LINK_LIMIT) {
+      const token = await MagicLinkToken.issue(email);
+      const link = `${PORTAL_URL}/verify?token=${token}`;
+
+      try {
+        await sendMagicLinkEmail(email, link, MagicLinkToken.MAGIC_LINK_EXPIRY_MINUTES);
+      } catch (emailError) {
+        console.error('Magic link email failed:', emailError.message);
+      }
+    }
+
+    return successResponse(res, 200, 'If there are applications for this email, a sign-in link is on its way.');
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Exchange a magic-link token for a portal session
+ * @route   POST /api/applicant/session
+ * @access  Public
+ */
+exports.createSession = async (req, res, next) => {
+  try {
+    const email = await MagicLinkToken.redeem(req.body.token);
+    if (!email) {
+      return errorResponse(res, 401, 'This link is invalid or has expired. Please request a new one.');
+    }
+
+    return successResponse(res, 200, 'Signed in successfully', {
+      token: generateApplicantToken(email),
+      email
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List the signed-in applicant's applications with their current status
+ * @route   GET /api/applicant/applications
+ * @access  Applicant
+ */
+exports.getMyApplications = async (req, res, next) => {
+  try {
+    const applications = await Application.find({ 'applicant.email': req.applicant.email })
+      .populate('jobId', 'title deadline status pipelineTemplate')
+      .sort({ createdAt: -1 });
+
+    // Applications of deleted jobs have nothing left to show
+    const visible = applications.filter(a => a.jobId);
+    const templateFor = await loadTemplates(visible);
+
+    return successResponse(res, 200, 'Applications retrieved successfully', {
+      email: req.applicant.email,
+      applications: visible.map(a => formatSummary(a, templateFor(a)))
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get one of the signed-in applicant's applications
+ * @route   GET /api/applicant/applications/:applicationId
+ * @access  Applicant
+ */
+exports.getMyApplication = async (req, res, next) => {
+  try {
+    const application = await findOwnApplication(req);
+    if (!application || !application.jobId) {
+      return errorResponse(res, 404, 'Application not found');
+    }
+
+    const template = await PipelineTemplate.resolveForJob(application.jobId);
+    const fields = await getFormForApplication(application);
+
+    return successResponse(res, 200, 'Application retrieved successfully', {
+      ...formatSummary(application, template),
+      applicant: application.applicant,
+      answers: renderAnswers(fields, application.answers),
+      files: application.files.map(f => ({
+        fieldId: f.fieldId,
+        originalName: f.originalName,
+        size: f.size,
+        uploadedAt: f.uploadedAt
+      })),
+      // Internal notes and reviewers stay private
+      history: [
+        ...application.stage_history.map(h => ({
+          stage: h.stage,
+          label: stageLabel(template, h.stage),
+          at: h.changed_at
+        })),
+        ...(application.withdrawnAt ? [{ stage: 'withdrawn', label: 'Withdrawn', at: application.withdrawnAt }] : [])
+      ]
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Withdraw an application
+ * @route   POST /api/applicant/applications/:applicationId/withdraw
+ * @access  Applicant
+ */
+exports.withdrawApplication = async (req, res, next) => {
+  try {
+    const application = await findOwnApplication(req);
+    if (!application || !application.jobId) {
+      return errorResponse(res, 404, 'Application not found');
+    }
+
+    const template = await PipelineTemplate.resolveForJob(application.jobId);
+    if (!canWithdraw(application, template)) {
+      return errorResponse(res, 400, application.withdrawnAt
+        ? 'This application has already been withdrawn'
+        : 'This application can no longer be withdrawn');
+    }
+
+    application.withdrawnAt = new Date();
+    application.withdrawalReason = req.body.reason || '';
+    await application.save();
+
+    return successResponse(res, 200, 'Application withdrawn successfully', {
+      applicationId: application._id,
+      withdrawnAt: application.withdrawnAt
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update contact details on an application (before the deadline)
+ * @route   PATCH /api/applicant/applications/:applicationId
+ * @access  Applicant
+ *
+ * The email address identifies the applicant and can't be changed here.
+ */
+exports.updateMyApplication = async (req, res, next) => {
+  try {
+    const application = await findOwnApplication(req);
+    if (!application || !application.jobId) {
+      return errorResponse(res, 404, 'Application not found');
+    }
+
+    const template = await PipelineTemplate.resolveForJob(application.jobId);
+    if (!canEdit(application, template)) {
+      return errorResponse(res, 400, 'This application can no longer be changed');
+    }
+
+    const updates = req.body.applicant || {};
+    for (const key of CONTACT_FIELDS) {
+      if (updates[key] !== undefined) {
+        application.applicant[key] = updates[key];
+      }
+    }
+    await application.save();
+
+    // Keep the candidate profile's contact details current
+    const candidate = application.candidateId && await resolveCandidate(application.candidateId);
+    if (candidate) {
+      await recordContactDetails(candidate, application.applicant);
+    }
+
+    return successResponse(res, 200, 'Application updated successfully', {
+      applicationId: application._id,
+      applicant: application.applicant,
+      updatedAt: application.updatedAt
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Replace the file answering a file field (before the deadline)
+ * @route   PUT /api/applicant/applications/:applicationId/files/:fieldId
+ * @access  Applicant
+ */
+exports.replaceMyApplicationFile = async (req, res, next) => {
+  try {
+    const { fieldId } = req.params;
+
+    const application = await findOwnApplication(req);
+    if (!application || !application.jobId) {
+      return errorResponse(res, 404, 'Application not found');
+    }
+
+    const template = await PipelineTemplate.resolveForJob(application.jobId);
+    if (!canEdit(application, template)) {
+      return errorResponse(res, 400, 'This application can no longer be changed');
+    }
+
+    // Files are checked against the form version the application was submitted with
+    const fields = await getFormForApplication(application);
+    const field = fields.find(f => f.id === fieldId);
+    if (!field || field.type !== 'file') {
+      return errorResponse(res, 404, 'File field not found');
+    }
+
+    if (!req.file) {
+      return errorResponse(res, 400, 'No file uploaded');
+    }
+
+    const fileError = TYPE_VALIDATORS.file(req.file, field, field.constraints || {});
+    if (fileError) {
+      return errorResponse(res, 400, fileError.message, [{
+        fieldId: field.id,
+        question: field.question,
+        type: field.type,
+        code: fileError.code,
+        message: fileError.message
+      }]);
+    }
+
+    let stored;
+    try {
+      stored = await storeFile(req.file, field.id);
+    } catch (uploadError) {
+      console.error('❌ MinIO Upload Error:', uploadError.message);
+      return errorResponse(res, 502, 'File upload failed. Please try again.');
+    }
+
+    const previous = application.files.find(f => f.fieldId === fieldId);
+    const file = {
+      fieldId,
+      key: stored.key,
+      bucket: stored.bucket,
+      originalName: req.file.originalname,
+      mimeType: req.file.mimetype,
+      size: req.file.size,
+      uploadedAt: new Date()
+    };
+
+    application.files = [...application.files.filter(f => f.fieldId !== fieldId), file];
+    application.answers = [
+      ...application.answers.filter(a => a.fieldId !== fieldId),
+      { fieldId, value: stored.key }
+    ];
+    await application.save();
+
+    // The replaced file is no longer referenced anywhere
+    if (previous) {
+      try {
+        await promisify(minioClient.removeObject).bind(minioClient)(previous.bucket, previous.key);
+      } catch (removeError) {
+        console.error('Failed to remove replaced file:', removeError.message);
+      }
+    }
+
+    return successResponse(res, 200, 'File updated successfully', {
+      applicationId: application._id,
+      fieldId,
+      originalName: file.originalName,
+      size: file.size,
+      uploadedAt: file.uploadedAt
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,8 +1,246 @@
 const Application = require('../models/Application');
 const Job = require('../models/Job');
 const JobField = require('../models/JobField');
+const PipelineTemplate = require('../models/PipelineTemplate');
+const FormVersion = require('../models/FormVersion');
+const Upload = require('../models/Upload');
+const ScorecardSubmission = require('../models/ScorecardSubmission');
+const Comment = require('../models/Comment');
+const Message = require('../models/Message');
+const Interview = require('../models/Interview');
+const InterviewSlot = require('../models/InterviewSlot');
+const Offer = require('../models/Offer');
 const { successResponse, errorResponse } = require('../utils/responseUtils');
-const { sendApplicationConfirmation, sendInterviewInvitation, sendAcceptanceEmail } = require('../services/emailService');
+const mongoose = require('mongoose');
+const { createAuditLog, createBulkAuditLogs } = require('../utils/auditLogger');
+const { getStageMoveError, getFeedbackMoveError, advanceToStage, advanceToPurposeStage } = require('../services/pipelineService');
+const { getVisibleFieldIds } = require('../utils/formLogic');
+const { TYPE_VALIDATORS, validateAnswers, isUploadedFile } = require('../utils/answerValidation');
+const { storeFile } = require('../config/multer');
+const { getApplicationFile, createFileLink } = require('../services/fileService');
+const { getFormForApplication, renderAnswers } = require('../services/formVersionService');
+const { findOrCreateCandidate } = require('../services/candidateService');
+const { SEARCH_COLLATION, buildResponseSearch, buildFacetStages, formatFacets } = require('../services/responseSearchService');
+const { EXPORT_FORMATS, streamResponseExport } = require('../services/responseExportService');
+const { TIMELINE_TYPES, buildTimeline } = require('../services/timelineService');
+const { getStageEmailTemplate, queueApplicationMessage, queueStageChangeMessage, describeEmail } = require('../services/messageService');
+const { DEFAULT_TIMEZONE, isValidTimeZone, parseDateInZone } = require('../utils/timezone');
+
+const MAX_BULK_ITEMS = 500;
+
+// Start of a free-text interview time: 14:00, 2:00 PM, 10:00 - 10:45
+const CLOCK_TIME = /^(\d{1,2}):(\d{2})\s*(am|pm)?/i;
+
+/**
+ * Start of an interview given as a date and a free-text time, read in the zone.
+ * Falls back to the start of the day when the time cannot be read.
+ *
+ * @returns {Date|null} null when the date cannot be read
+ */
+const parseInterviewStart = (date, time, timeZone) => {
+  const clock = CLOCK_TIME.exec(String(time).trim());
+  const day = String(date).trim();
+
+  if (clock && /^\d{4}-\d{2}-\d{2}$/.test(day)) {
+    const [, hours, minutes, meridiem] = clock;
+    const hour = meridiem
+      ? Number(hours) % 12 + (meridiem.toLowerCase() === 'pm' ? 12 : 0)
+      : Number(hours);
+
+    if (hour < 24 && Number(minutes) < 60 && (!meridiem || (hours >= 1 && hours <= 12))) {
+      return parseDateInZone(`${day}T${String(hour).padStart(2, '0')}:${minutes}`, timeZone);
+    }
+  }
+
+  return parseDateInZone(day, timeZone);
+};
+
+/**
+ * Map uploaded files to the form's file fields.
+ * Files are sent under their field ID; the legacy `cv` upload uses `fileFieldId`.
+ * Returns { files: Map<fieldId, file>, fileFieldIds } or { error }.
+ */
+const bindUploadsToFields = (uploadedFiles, legacyFileFieldId, fields) => {
+  const fileFieldIds = new Set(fields.filter(f => f.type === 'file').map(f => f.id));
+  const files = new Map();
+
+  for (const file of uploadedFiles) {
+    const fieldId = file.fieldname === 'cv' ? legacyFileFieldId : file.fieldname;
+
+    if (!fileFieldIds.has(fieldId)) {
+      return { error: `Unexpected file "${file.originalname}". Files must be sent under the ID of a file field` };
+    }
+    if (files.has(fieldId)) {
+      return { error: 'Only one file can be uploaded per field' };
+    }
+    files.set(fieldId, file);
+  }
+
+  return { files, fileFieldIds };
+};
+
+/**
+ * Replace upload tokens in file answers with the uploads they stand for.
+ * Tokens must belong to the same job and field and not be attached or expired.
+ * Returns { answers, errors } where errors use the per-field answer error format.
+ */
+const resolveUploadTokens = async (jobId, answers, fields) => {
+  const fieldsById = new Map(fields.map(f => [f.id, f]));
+  const isToken = (answer) => fieldsById.get(answer.fieldId)?.type === 'file' &&
+    typeof answer.value === 'string' && answer.value.trim() !== '';
+
+  const tokens = answers.filter(isToken).map(a => a.value);
+  if (tokens.length === 0) {
+    return { answers, errors: [] };
+  }
+
+  const uploads = await Upload.find({
+    token: { $in: tokens },
+    jobId,
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
+  });
+  const uploadsByToken = new Map(uploads.map(u => [u.token, u]));
+
+  const errors = [];
+  const resolved = [];
+  for (const answer of answers) {
+    if (!isToken(answer)) {
+      resolved.push(answer);
+      continue;
+    }
+
+    const upload = uploadsByToken.get(answer.value);
+    if (!upload || upload.fieldId !== answer.fieldId) {
+      const field = fieldsById.get(answer.fieldId);
+      errors.push({
+        fieldId: field.id,
+        question: field.question,
+        type: field.type,
+        code: 'invalid_upload',
+        message: 'Upload not found or expired. Please upload the file again.'
+      });
+      continue;
+    }
+    resolved.push({ fieldId: answer.fieldId, value: upload.toFileAnswer() });
+  }
+
+  return { answers: resolved, errors };
+};
+
+/**
+ * Reply with the result of a submitted application (also used to replay retries)
+ */
+const submittedResponse = (res, application, replayed = false) => {
+  if (replayed) {
+    res.set('Idempotent-Replayed', 'true');
+  }
+  return successResponse(res, 201, 'Application submitted successfully', {
+    applicationId: application._id
+  });
+};
+
+/**
+ * Audit an email an admin sent to the applicant (once it is queued)
+ */
+const recordEmailSent = (req, application, message) => createAuditLog({
+  user: req.user._id,
+  action: 'EMAIL_SENT',
+  resource: 'Application',
+  resourceId: application._id,
+  ipAddress: req.auditMetadata?.ipAddress,
+  userAgent: req.auditMetadata?.userAgent,
+  details: {
+    emailType: message.templateKey,
+    messageId: message._id,
+    to: message.to,
+    subject: message.subject,
+    jobTitle: application.jobId?.title
+  }
+});
+
+/**
+ * Delete the interviews of an application and free the slots they had booked
+ */
+const releaseInterviews = async (applicationId) => {
+  const interviews = await Interview.find({ applicationId }).select('_id');
+  const interviewIds = interviews.map(i => i._id);
+
+  await InterviewSlot.updateMany({ interviewId: { $in: interviewIds } }, { status: 'open', interviewId: null });
+  await Interview.deleteMany({ _id: { $in: interviewIds } });
+};
+
+/**
+ * Upload a file for an application form field (before submitting)
+ * POST /jobs/:jobId/uploads
+ */
+exports.uploadApplicationFile = async (req, res, next) => {
+  try {
+    const { jobId } = req.params;
+    const { fieldId } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(jobId)) {
+      return errorResponse(res, 400, 'Invalid job ID');
+    }
+
+    const job = await Job.findById(jobId);
+    if (!job || !job.checkVisibility()) {
+      return errorResponse(res, 403, 'This job is no longer accepting applications');
+    }
+
+    const jobFields = await JobField.findOne({ jobId });
+    const field = jobFields?.fields.find(f => f.id === fieldId);
+    if (!field || field.type !== 'file') {
+      return errorResponse(res, 400, 'fieldId must be the ID of a file field of this job');
+    }
+
+    if (!req.file) {
+      return errorResponse(res, 400, 'No file uploaded');
+    }
+
+    // Same type and size checks as on submit
+    const fileError = TYPE_VALIDATORS.file(req.file, field, field.constraints || {});
+    if (fileError) {
+      return errorResponse(res, 400, fileError.message, [{
+        fieldId: field.id,
+        question: field.question,
+        type: field.type,
+        code: fileError.code,
+        message: fileError.message
+      }]);
+    }
+
+    let stored;
+    try {
+      stored = await storeFile(req.file, field.id);
+    } catch (uploadError) {
+      console.error('❌ MinIO Upload Error:', uploadError.message);
+      return errorResponse(res, 502, 'File upload failed. Please try again.');
+    }
+
+    const upload = await Upload.create({
+      jobId,
+      fieldId: field.id,
+      key: stored.key,
+      bucket: stored.bucket,
+      originalName: req.file.originalname,
+      mimeType: req.file.mimetype,
+      size: req.file.size
+    });
+
+    return successResponse(res, 201, 'File uploaded successfully', {
+      uploadToken: upload.token,
+      fieldId: upload.fieldId,
+      fileName: upload.originalName,
+      mimeType: upload.mimeType,
+      size: upload.size,
+      expiresAt: upload.expiresAt
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
 
 /**
  * STEP 3: User Applies for Job - WITH VALIDATION
@@ -26,6 +264,29 @@ exports.applyForJob = async (req, res, next) => {
         !applicant?.country || !applicant?.city) {
       return errorResponse(res, 400, 'Name, email, phone number, country, and city are required');
     }
+    if (applicant.timezone != null && !isValidTimeZone(applicant.timezone)) {
+      return errorResponse(res, 400, 'Timezone must be an IANA time zone such as Africa/Addis_Ababa');
+    }
+
+    const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotencyKey;
+    if (idempotencyKey !== undefined && (typeof idempotencyKey !== 'string' || !idempotencyKey.trim() || idempotencyKey.length > 255)) {
+      return errorResponse(res, 400, 'Idempotency key must be a non-empty string of at most 255 characters');
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(jobId)) {
+      return errorResponse(res, 400, 'Invalid job ID');
+    }
+
+    // A retried submit returns the original result, even if the job has closed since
+    if (idempotencyKey) {
+      const previous = await Application.findOne({ jobId, idempotencyKey });
+      if (previous) {
+        if (previous.applicant.email !== String(applicant.email).trim().toLowerCase()) {
+          return errorResponse(res, 409, 'This idempotency key was already used for a different application', 'IDEMPOTENCY_KEY_REUSED');
+        }
+        return submittedResponse(res, previous, true);
+      }
+    }
 
     // Job Visibility & Duplicate Checks
     const job = await Job.findById(jobId);
@@ -44,52 +305,143 @@ exports.applyForJob = async (req, res, next) => {
       return errorResponse(res, 400, 'Job form fields not found');
     }
 
-    // Validate required fields
-    const requiredFields = jobFields.fields.filter(f => f.required);
-    const missingFields = [];
-
-    for (const reqField of requiredFields) {
-      const answer = answers.find(a => a.fieldId === reqField.id);
-      
-      if (!answer || !answer.value || 
-          (Array.isArray(answer.value) && answer.value.length === 0) ||
-          (typeof answer.value === 'string' && answer.value.trim() === '')) {
-        missingFields.push(reqField.question);
-      }
+    answers = Array.isArray(answers) ? answers : [];
+
+    // Bind each file sent with the submit to its file field. Otherwise a file answer
+    // can only be an upload token; a file sent for the field replaces its token.
+    const uploads = bindUploadsToFields(req.files || [], req.body.fileFieldId, jobFields.fields);
+    if (uploads.error) {
+      return errorResponse(res, 400, uploads.error);
     }
+    answers = [
+      ...answers.filter(a => !uploads.fileFieldIds.has(a.fieldId) ||
+        (typeof a.value === 'string' && !uploads.files.has(a.fieldId))),
+      ...[...uploads.files].map(([fieldId, file]) => ({ fieldId, value: file }))
+    ];
+
+    // Other file answers reference files uploaded beforehand via POST /jobs/:jobId/uploads
+    const tokens = await resolveUploadTokens(jobId, answers, jobFields.fields);
+    answers = tokens.answers;
+
+    // Apply conditional logic: only visible questions count, answers to hidden ones are dropped
+    const visibleFieldIds = getVisibleFieldIds(jobFields.fields, answers);
+    answers = answers.filter(a => visibleFieldIds.has(a.fieldId));
+
+    // Validate every visible answer against its field type and constraints
+    const validation = validateAnswers(jobFields.fields, answers, visibleFieldIds);
+    const tokenErrors = tokens.errors.filter(e => visibleFieldIds.has(e.fieldId));
+    const tokenErrorFieldIds = new Set(tokenErrors.map(e => e.fieldId));
+    const errors = [
+      ...tokenErrors,
+      ...validation.errors.filter(e => !tokenErrorFieldIds.has(e.fieldId))
+    ];
+    if (errors.length > 0) {
+      const missingFields = errors.filter(e => e.code === 'required').map(e => e.question);
+      const message = missingFields.length === errors.length
+        ? `The following required fields are missing: ${missingFields.join(', ')}`
+        : 'Some answers are invalid. Please correct them and try again.';
 
-    if (missingFields.length > 0) {
-      return errorResponse(
-        res, 
-        400, 
-        `The following required fields are missing: ${missingFields.join(', ')}`
-      );
+      return errorResponse(res, 400, message, errors);
     }
+    answers = validation.answers;
 
-    // Insert MinIO URL for CV if uploaded
-    if (req.file && req.file.minioUrl) {
-      const fileFieldId = req.body.fileFieldId; 
-      answers = answers.map(ans => 
-        ans.fieldId === fileFieldId ? { ...ans, value: req.file.minioUrl } : ans
-      );
+    // Store files sent with the submit in the private bucket; answers keep the object key.
+    // Every file gets an Upload record so it is cleaned up if the application is never saved.
+    const files = [];
+    const uploadTokens = [];
+    try {
+      answers = await Promise.all(answers.map(async (answer) => {
+        if (!isUploadedFile(answer.value)) return answer;
+        const upload = answer.value;
+        let stored = upload;
+
+        if (upload.uploadToken) {
+          uploadTokens.push(upload.uploadToken);
+        } else {
+          stored = await storeFile(upload, answer.fieldId);
+          const record = await Upload.create({
+            jobId,
+            fieldId: answer.fieldId,
+            key: stored.key,
+            bucket: stored.bucket,
+            originalName: upload.originalname,
+            mimeType: upload.mimetype,
+            size: upload.size
+          });
+          uploadTokens.push(record.token);
+        }
+
+        files.push({
+          fieldId: answer.fieldId,
+          key: stored.key,
+          bucket: stored.bucket,
+          originalName: upload.originalname,
+          mimeType: upload.mimetype,
+          size: upload.size
+        });
+        return { fieldId: answer.fieldId, value: stored.key };
+      }));
+    } catch (uploadError) {
+      console.error('❌ MinIO Upload Error:', uploadError.message);
+      return errorResponse(res, 502, 'File upload failed. Please try again.');
     }
 
+    // Snapshot the form so later edits don't change how these answers render
+    const formVersion = await FormVersion.snapshot(jobFields);
+
+    // New applications start in the first stage of the job's pipeline
+    const template = await PipelineTemplate.resolveForJob(job);
+    const initialStage = template.initialStage();
+
     // Save the application
-    const application = await Application.create({
-      jobId,
-      applicant,
-      answers,
-      cvUrl: req.file ? req.file.minioUrl : null 
-    });
+    let application;
+    try {
+      application = await Application.create({
+        jobId,
+        applicant,
+        answers,
+        formVersion,
+        files,
+        idempotencyKey,
+        pipeline_stage: initialStage,
+        stage_history: [{ stage: initialStage, notes: 'Application submitted' }]
+      });
+    } catch (createError) {
+      if (createError.code !== 11000) throw createError;
+
+      // Lost a race with a concurrent retry of the same submit
+      const previous = idempotencyKey && await Application.findOne({ jobId, idempotencyKey });
+      if (previous) {
+        return submittedResponse(res, previous, true);
+      }
+      return errorResponse(res, 400, 'You have already applied for this job.', 'DUPLICATE_APPLICATION');
+    }
+
+    await Upload.updateMany(
+      { token: { $in: uploadTokens } },
+      { status: 'attached', applicationId: application._id }
+    );
+
+    // Link the application to the person across jobs. Only saved applications touch the
+    // candidate; one left unlinked here is picked up by npm run migrate:candidates.
+    try {
+      const candidate = await findOrCreateCandidate(applicant);
+      application.candidateId = candidate._id;
+      await Application.updateOne({ _id: application._id }, { candidateId: candidate._id });
+    } catch (candidateError) {
+      console.error('Candidate link failed:', candidateError.message);
+    }
 
     // Send confirmation email (optional - Phase 2)
     try {
-      await sendApplicationConfirmation(applicant.email, applicant.name, job.title);
+      await queueApplicationMessage(application, 'application_confirmation', {
+        job_title: job.title
+      }, { trigger: 'application_submitted' });
     } catch (emailError) {
       console.error('Email notification failed:', emailError.message);
     }
 
-    return successResponse(res, 201, 'Application submitted successfully');
+    return submittedResponse(res, application);
 
   } catch (error) {
     next(error);
@@ -97,52 +449,68 @@ exports.applyForJob = async (req, res, next) => {
 };
 
 /**
- * STEP 8: Fetch Responses for a Job (Admin) - WITH FILTERING
- * GET /admin/jobs/:jobId/responses?isSaved=true&isInvited=false&isAccepted=true
+ * STEP 8: Fetch Responses for a Job (Admin) - WITH SEARCH, FILTERING AND FACETS
+ * GET /admin/jobs/:jobId/responses?search=addis&answer[<fieldId>][gte]=4&submittedFrom=2025-01-01&sortBy=name&sortOrder=asc
+ * See services/responseSearchService for the supported query parameters.
  */
 exports.getJobResponses = async (req, res, next) => {
   try {
     const { jobId } = req.params;
 
-    // Build filter object
-    const filter = { jobId };
-
-    // Add optional filters
-    if (req.query.isSaved !== undefined) {
-      filter.isSaved = req.query.isSaved === 'true';
-    }
-    if (req.query.isInvited !== undefined) {
-      filter.isInvited = req.query.isInvited === 'true';
+    if (!mongoose.Types.ObjectId.isValid(jobId)) {
+      return errorResponse(res, 400, 'Invalid job ID');
     }
-    if (req.query.isAccepted !== undefined) {
-      filter.isAccepted = req.query.isAccepted === 'true';
+
+    const jobField = await JobField.findOne({ jobId }).lean();
+    const fields = jobField ? jobField.fields : [];
+
+    const { errors, match, sortStages, applied } = buildResponseSearch(jobId, req.query, fields);
+    if (errors.length > 0) {
+      return errorResponse(res, 400, 'Invalid search parameters', errors);
     }
 
-    // Pagination parameters
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
+    // Pagination parameters; zero or negative values would reach $skip/$limit, which reject them
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.max(parseInt(req.query.limit) || 10, 1);
     const skip = (page - 1) * limit;
 
-    // Get total count for pagination metadata
-    const totalResponses = await Application.countDocuments(filter);
-    const totalPages = Math.ceil(totalResponses / limit);
+    // Page, total and facet counts in one round trip
+    const [result] = await Application.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          responses: [
+            ...sortStages,
+            { $skip: skip },
+            { $limit: limit },
+            {
+              $project: {
+                applicant: 1, isSaved: 1, isInvited: 1, isAccepted: 1, pipeline_stage: 1, scorecardSummary: 1, createdAt: 1
+              }
+            }
+          ],
+          total: [{ $count: 'count' }],
+          facets: buildFacetStages(fields)
+        }
+      }
+    ]).collation(SEARCH_COLLATION);
 
-    // Get paginated responses
-    const responses = await Application.find(filter)
-      .select('applicant.name applicant.email applicant.phoneNumber isSaved isInvited isAccepted createdAt')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
+    const totalResponses = result.total.length > 0 ? result.total[0].count : 0;
+    const totalPages = Math.ceil(totalResponses / limit);
 
-    const formattedResponses = responses.map(r => ({
+    const formattedResponses = result.responses.map(r => ({
       responseId: r._id,
       applicantName: r.applicant.name,
       applicantEmail: r.applicant.email,
       applicantPhoneNumber: r.applicant.phoneNumber,
+      applicantCity: r.applicant.city,
       submittedAt: r.createdAt,
       isSaved: r.isSaved,
       isInvited: r.isInvited,
-      isAccepted: r.isAccepted
+      isAccepted: r.isAccepted,
+      pipelineStage: r.pipeline_stage,
+      score: r.scorecardSummary ? r.scorecardSummary.averageScore : null,
+      reviewerCount: r.scorecardSummary ? r.scorecardSummary.reviewerCount : 0
     }));
 
     return successResponse(res, 200, 'Responses retrieved successfully', {
@@ -155,11 +523,8 @@ exports.getJobResponses = async (req, res, next) => {
         hasNextPage: page < totalPages,
         hasPrevPage: page > 1
       },
-      filters: {
-        isSaved: req.query.isSaved,
-        isInvited: req.query.isInvited,
-        isAccepted: req.query.isAccepted
-      }
+      facets: formatFacets(fields, result.facets),
+      filters: applied
     });
 
   } catch (error) {
@@ -167,6 +532,78 @@ exports.getJobResponses = async (req, res, next) => {
   }
 };
 
+/**
+ * Export Responses for a Job as CSV or Excel (Admin)
+ * GET /admin/jobs/:jobId/responses/export?format=csv|xlsx
+ * Accepts the same search, filter and sort parameters as the responses list.
+ */
+exports.exportJobResponses = async (req, res, next) => {
+  let streaming = false;
+
+  try {
+    const { jobId } = req.params;
+    const format = req.query.format || 'csv';
+
+    if (!mongoose.Types.ObjectId.isValid(jobId)) {
+      return errorResponse(res, 400, 'Invalid job ID');
+    }
+
+    if (!EXPORT_FORMATS[format]) {
+      return errorResponse(res, 400, 'Invalid format. Must be csv or xlsx');
+    }
+
+    const job = await Job.findById(jobId).select('title');
+    if (!job) {
+      return errorResponse(res, 404, 'Job not found');
+    }
+
+    const jobField = await JobField.findOne({ jobId }).lean();
+    const fields = jobField ? jobField.fields : [];
+
+    const { errors, match, sortStages, applied } = buildResponseSearch(jobId, req.query, fields);
+    if (errors.length > 0) {
+      return errorResponse(res, 400, 'Invalid search parameters', errors);
+    }
+
+    const totalResponses = await Application.countDocuments(match).collation(SEARCH_COLLATION);
+
+    // Recorded before streaming so an interrupted download is still on record
+    await createAuditLog({
+      user: req.user._id,
+      action: 'EXPORT_DATA',
+      resource: 'Job',
+      resourceId: job._id,
+      ipAddress: req.auditMetadata?.ipAddress,
+      userAgent: req.auditMetadata?.userAgent,
+      details: {
+        jobTitle: job.title,
+        format,
+        totalResponses,
+        filters: applied
+      },
+      severity: 'high'
+    });
+
+    streaming = true;
+    await streamResponseExport(res, {
+      job,
+      fields,
+      match,
+      sortStages,
+      format,
+      fileLinkBase: `${req.protocol}://${req.get('host')}${req.baseUrl}`
+    });
+
+  } catch (error) {
+    // Once rows are on the wire the only way to signal failure is to cut the download short
+    if (streaming && res.headersSent) {
+      console.error('Response export failed:', error.message);
+      return res.destroy();
+    }
+    next(error);
+  }
+};
+
 /**
  * STEP 9: Fetch Single Response Detail (Admin)
  * GET /admin/responses/:responseId
@@ -180,24 +617,28 @@ exports.getResponseDetail = async (req, res, next) => {
       return errorResponse(res, 404, 'Response not found');
     }
 
-    const jobFields = await JobField.findOne({ jobId: response.jobId });
-    
-    // Map answers to questions
-    const answers = response.answers.map(answer => {
-      const field = jobFields?.fields.find(f => f.id === answer.fieldId);
-      return {
-        question: field ? field.question : 'Unknown Question',
-        type: field ? field.type : 'unknown',
-        value: answer.value
-      };
-    });
+    // Map answers to the questions of the form version they were submitted against
+    const fields = await getFormForApplication(response);
+    const answers = renderAnswers(fields, response.answers);
 
     return successResponse(res, 200, 'Response retrieved successfully', {
+      candidateId: response.candidateId,
       applicant: response.applicant,
       answers,
+      formVersion: response.formVersion,
+      // File answers hold object keys; links come from GET /admin/responses/:responseId/files/:fieldId
+      files: response.files.map(f => ({
+        fieldId: f.fieldId,
+        originalName: f.originalName,
+        mimeType: f.mimeType,
+        size: f.size,
+        uploadedAt: f.uploadedAt
+      })),
       isSaved: response.isSaved,
       isInvited: response.isInvited,
       isAccepted: response.isAccepted,
+      pipelineStage: response.pipeline_stage,
+      currentStageEntered: response.current_stage_entered,
       submittedAt: response.createdAt
     });
 
@@ -206,6 +647,107 @@ exports.getResponseDetail = async (req, res, next) => {
   }
 };
 
+/**
+ * Activity timeline of a response (Admin)
+ * GET /admin/responses/:responseId/timeline?types=comment,stage_change,email,audit
+ */
+exports.getResponseTimeline = async (req, res, next) => {
+  try {
+    const { responseId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(responseId)) {
+      return errorResponse(res, 400, 'Invalid response ID');
+    }
+
+    const types = req.query.types ? String(req.query.types).split(',').map(t => t.trim()) : TIMELINE_TYPES;
+    const unknownTypes = types.filter(t => !TIMELINE_TYPES.includes(t));
+    if (unknownTypes.length > 0) {
+      return errorResponse(res, 400, `Unknown timeline types: ${unknownTypes.join(', ')}. Use ${TIMELINE_TYPES.join(', ')}`);
+    }
+
+    const response = await Application.findById(responseId)
+      .select('applicant jobId stage_history')
+      .populate('stage_history.changed_by', 'name email');
+    if (!response) {
+      return errorResponse(res, 404, 'Response not found');
+    }
+
+    const timeline = await buildTimeline(response, types);
+
+    return successResponse(res, 200, 'Timeline retrieved successfully', {
+      responseId: response._id,
+      applicantName: response.applicant.name,
+      total: timeline.length,
+      timeline
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a short-lived link to an uploaded file (Admin)
+ * GET /admin/responses/:responseId/files/:fieldId?disposition=inline|attachment
+ */
+exports.getResponseFileLink = async (req, res, next) => {
+  try {
+    const { responseId, fieldId } = req.params;
+    const disposition = req.query.disposition || 'inline';
+
+    if (!mongoose.Types.ObjectId.isValid(responseId)) {
+      return errorResponse(res, 400, 'Invalid response ID');
+    }
+
+    if (!['inline', 'attachment'].includes(disposition)) {
+      return errorResponse(res, 400, 'Invalid disposition. Must be inline or attachment');
+    }
+
+    const response = await Application.findById(responseId).populate('jobId', 'title');
+    if (!response) {
+      return errorResponse(res, 404, 'Response not found');
+    }
+
+    const file = getApplicationFile(response, fieldId);
+    if (!file) {
+      return errorResponse(res, 404, 'File not found');
+    }
+
+    const link = await createFileLink(file, disposition);
+    if (!link) {
+      return errorResponse(res, 502, 'Could not create a link to the file. Please try again.');
+    }
+
+    await createAuditLog({
+      user: req.user._id,
+      action: disposition === 'attachment' ? 'CV_DOWNLOADED' : 'CV_VIEWED',
+      resource: 'Application',
+      resourceId: response._id,
+      ipAddress: req.auditMetadata?.ipAddress,
+      userAgent: req.auditMetadata?.userAgent,
+      details: {
+        fieldId,
+        fileName: file.originalName,
+        applicantEmail: response.applicant.email,
+        jobTitle: response.jobId?.title,
+        expiresIn: link.expiresIn
+      },
+      severity: 'medium'
+    });
+
+    return successResponse(res, 200, 'File link created successfully', {
+      fieldId,
+      fileName: file.originalName,
+      mimeType: file.mimeType,
+      disposition,
+      ...link
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * STEP 10: Save / Unsave Response (Admin)
  * PATCH /admin/responses/:responseId/save
@@ -248,7 +790,8 @@ exports.sendInterviewInvitation = async (req, res, next) => {
       interview_location,
       custom_message,
       sender_name,
-      sender_title
+      sender_title,
+      timezone
     } = req.body;
 
     // Validate required fields
@@ -257,45 +800,56 @@ exports.sendInterviewInvitation = async (req, res, next) => {
       return errorResponse(res, 400, 'All interview details are required: applicant_name, role, interview_date, interview_time, interview_location, sender_name, sender_title');
     }
 
-    const response = await Application.findById(responseId).populate('jobId', 'title');
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+      return errorResponse(res, 400, 'Timezone must be an IANA time zone such as Africa/Addis_Ababa');
+    }
+
+    const response = await Application.findById(responseId).populate('jobId', 'title pipelineTemplate timezone');
     if (!response) {
       return errorResponse(res, 404, 'Response not found');
     }
 
+    // The date and time are as the admin wrote them, in the given zone or the job's
+    const interviewZone = timezone || response.jobId?.timezone || DEFAULT_TIMEZONE;
+    const startsAt = parseInterviewStart(interview_date, interview_time, interviewZone);
+    if (!startsAt) {
+      return errorResponse(res, 400, 'interview_date must be a date such as 2026-01-20');
+    }
+
     // Update application with interview details
     response.isInvited = true;
     response.interviewDetails = {
-      date: new Date(interview_date),
+      date: startsAt,
       time: interview_time,
+      timezone: interviewZone,
       meetLink: interview_location,
       role,
       custom_message: custom_message || '',
       sender_name,
       sender_title
     };
+    await advanceToPurposeStage(response, 'interview', req.user._id, 'Interview invitation sent');
     await response.save();
 
-    // Send interview email with new template
-    try {
-      await sendInterviewInvitation(
-        response.applicant.email,
-        applicant_name,
-        role,
-        interview_date,
-        interview_time,
-        interview_location,
-        custom_message || '',
-        sender_name,
-        sender_title
-      );
-    } catch (emailError) {
-      console.error('Email error:', emailError);
-      // Don't fail if email fails
+    // Queue interview email; delivery is tracked on the message
+    const message = await queueApplicationMessage(response, 'interview_invitation', {
+      applicant_name,
+      role,
+      interview_date,
+      interview_time,
+      interview_location,
+      custom_message: custom_message || '',
+      sender_name,
+      sender_title
+    }, { sentBy: req.user._id, trigger: 'interview_invitation' });
+    if (message.status === 'queued') {
+      await recordEmailSent(req, response, message);
     }
 
-    return successResponse(res, 200, 'Interview invitation sent successfully', {
+    return successResponse(res, 200, describeEmail('Interview invitation saved', message), {
       responseId: response._id,
       isInvited: response.isInvited,
+      email: { messageId: message._id, status: message.status },
       interviewDetails: {
         applicant_name,
         role,
@@ -334,7 +888,7 @@ exports.sendAcceptanceEmail = async (req, res, next) => {
       return errorResponse(res, 400, 'All acceptance details are required: applicant_name, role, sender_name, sender_title');
     }
 
-    const response = await Application.findById(responseId).populate('jobId', 'title');
+    const response = await Application.findById(responseId).populate('jobId', 'title pipelineTemplate');
     if (!response) {
       return errorResponse(res, 404, 'Response not found');
     }
@@ -348,26 +902,29 @@ exports.sendAcceptanceEmail = async (req, res, next) => {
       sender_title,
       sentAt: new Date()
     };
+    const template = await PipelineTemplate.resolveForJob(response.jobId);
+    const hiredStage = template.outcomeStage('hired');
+    if (hiredStage) {
+      await advanceToStage(response, hiredStage, req.user._id, 'Acceptance email sent');
+    }
     await response.save();
 
-    // Send acceptance email with new template
-    try {
-      await sendAcceptanceEmail(
-        response.applicant.email,
-        applicant_name,
-        role,
-        custom_message || '',
-        sender_name,
-        sender_title
-      );
-    } catch (emailError) {
-      console.error('Email error:', emailError);
-      // Don't fail if email fails
+    // Queue acceptance email; delivery is tracked on the message
+    const message = await queueApplicationMessage(response, 'acceptance', {
+      applicant_name,
+      role,
+      custom_message: custom_message || '',
+      sender_name,
+      sender_title
+    }, { sentBy: req.user._id, trigger: 'acceptance' });
+    if (message.status === 'queued') {
+      await recordEmailSent(req, response, message);
     }
 
-    return successResponse(res, 200, 'Acceptance Email sent successfully', {
+    return successResponse(res, 200, describeEmail('Acceptance saved', message), {
       responseId: response._id,
       isAccepted: response.isAccepted,
+      email: { messageId: message._id, status: message.status },
       acceptanceDetails: {
         applicant_name,
         role,
@@ -381,4 +938,171 @@ exports.sendAcceptanceEmail = async (req, res, next) => {
     console.error('Acceptance email error:', error);
     next(error);
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Bulk Actions on Responses (Admin)
+ * POST /admin/responses/bulk
+ * Actions: move_stage, save, unsave, reject, delete. Reports success or failure per item.
+ */
+exports.bulkResponseAction = async (req, res, next) => {
+  try {
+    const { action, stage, notes, custom_message } = req.body;
+    const sendEmail = req.body.sendEmail !== false;
+    const responseIds = [...new Set(req.body.responseIds.map(String))];
+
+    if (responseIds.length > MAX_BULK_ITEMS) {
+      return errorResponse(res, 400, `A bulk action can include at most ${MAX_BULK_ITEMS} responses`);
+    }
+
+    const validIds = responseIds.filter(id => mongoose.Types.ObjectId.isValid(id));
+    const applications = await Application.find({ _id: { $in: validIds } })
+      .populate('jobId', 'title status pipelineTemplate');
+    const applicationsById = new Map(applications.map(a => [a._id.toString(), a]));
+
+    // Templates are shared by every response of the same job
+    const templatesByJob = new Map();
+    const getTemplate = async (application) => {
+      const key = application.jobId?._id?.toString() || 'none';
+      if (!templatesByJob.has(key)) {
+        templatesByJob.set(key, await PipelineTemplate.resolveForJob(application.jobId));
+      }
+      return templatesByJob.get(key);
+    };
+
+    const results = [];
+    const auditEntries = [];
+
+    const auditEntry = (application, auditAction, details, severity = 'low') => ({
+      user: req.user._id,
+      action: auditAction,
+      resource: 'Application',
+      resourceId: application._id,
+      ipAddress: req.auditMetadata?.ipAddress,
+      userAgent: req.auditMetadata?.userAgent,
+      details: {
+        bulk: true,
+        jobTitle: application.jobId?.title,
+        applicantName: application.applicant.name,
+        applicantEmail: application.applicant.email,
+        ...details
+      },
+      severity
+    });
+
+    for (const responseId of responseIds) {
+      const application = applicationsById.get(responseId);
+      if (!application) {
+        results.push({ responseId, success: false, error: 'Response not found' });
+        continue;
+      }
+
+      try {
+        if (action === 'save' || action === 'unsave') {
+          application.isSaved = action === 'save';
+          await application.save();
+
+          auditEntries.push(auditEntry(
+            application,
+            action === 'save' ? 'APPLICATION_SAVED' : 'APPLICATION_UNSAVED',
+            {}
+          ));
+          results.push({ responseId, success: true, isSaved: application.isSaved });
+
+        } else if (action === 'move_stage' || action === 'reject') {
+          const template = await getTemplate(application);
+          const targetStage = action === 'reject' ? template.outcomeStage('rejected') : stage;
+          if (!targetStage) {
+            results.push({ responseId, success: false, error: 'The pipeline of this job has no rejection stage' });
+            continue;
+          }
+
+          const moveError = getStageMoveError(application, template, targetStage) ||
+            await getFeedbackMoveError(application, template, targetStage);
+          if (moveError) {
+            results.push({ responseId, success: false, error: moveError });
+            continue;
+          }
+
+          const previousStage = application.moveToStage(targetStage, {
+            changedBy: req.user._id,
+            notes
+          });
+          await application.save();
+
+          // Rejections and offers email the applicant unless sendEmail is false
+          const sendsEmail = !!getStageEmailTemplate(template, targetStage);
+          let emailSent = false;
+          if (sendsEmail && sendEmail) {
+            try {
+              const message = await queueStageChangeMessage(application, targetStage, {
+                template,
+                sender: req.user,
+                customMessage: custom_message || ''
+              });
+              emailSent = message.status === 'queued';
+              if (emailSent) {
+                auditEntries.push(auditEntry(application, 'EMAIL_SENT', {
+                  emailType: message.templateKey,
+                  messageId: message._id,
+                  to: message.to,
+                  subject: message.subject
+                }));
+              }
+            } catch (emailError) {
+              console.error('Stage change email error:', emailError.message);
+            }
+          }
+
+          auditEntries.push(auditEntry(
+            application,
+            'STAGE_CHANGED',
+            {
+              fromStage: previousStage,
+              toStage: targetStage,
+              notes: notes || 'No notes provided',
+              ...(sendsEmail && { emailSent })
+            },
+            template.isRejectionStage(targetStage) ? 'medium' : 'low'
+          ));
+          results.push({
+            responseId,
+            success: true,
+            previous_stage: previousStage,
+            pipeline_stage: application.pipeline_stage,
+            ...(sendsEmail && { emailSent })
+          });
+
+        } else if (action === 'delete') {
+          await application.deleteOne();
+          await ScorecardSubmission.deleteMany({ applicationId: application._id });
+          await Comment.deleteMany({ applicationId: application._id });
+          await Message.deleteMany({ applicationId: application._id });
+          await releaseInterviews(application._id);
+          await Offer.deleteMany({ applicationId: application._id });
+
+          auditEntries.push(auditEntry(application, 'APPLICATION_DELETED', {}, 'high'));
+          results.push({ responseId, success: true, deleted: true });
+        }
+      } catch (itemError) {
+        console.error(`Bulk ${action} failed for ${responseId}:`, itemError.message);
+        results.push({ responseId, success: false, error: itemError.message });
+      }
+    }
+
+    await createBulkAuditLogs(auditEntries);
+
+    const succeeded = results.filter(r => r.success).length;
+
+    return successResponse(res, 200, `Bulk ${action} completed: ${succeeded} succeeded, ${results.length - succeeded} failed`, {
+      action,
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      results
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
@@ -2,6 +2,8 @@ const JobField = require('../models/JobField');
 const Job = require('../models/Job');
 const { successResponse, errorResponse } = require('../utils/responseUtils');
 const { createAuditLog } = require('../utils/auditLogger');
+const { getVisibilityError, getDependentFields } = require('../utils/formLogic');
+const { getConstraintsError } = require('../utils/answerValidation');
 const mongoose = require('mongoose');
 
 /**
@@ -12,7 +14,7 @@ const mongoose = require('mongoose');
 exports.addJobField = async (req, res, next) => {
   try {
     const jobId = req.params.jobId;
-    const { type, question, options, required, order } = req.body;
+    const { type, question, options, required, order, visibility, constraints } = req.body;
 
     // Validate job ID
     if (!jobId || !mongoose.Types.ObjectId.isValid(jobId)) {
@@ -38,6 +40,12 @@ exports.addJobField = async (req, res, next) => {
       }
     }
 
+    // Validate answer constraints
+    const constraintsError = getConstraintsError(type, constraints);
+    if (constraintsError) {
+      return errorResponse(res, 400, constraintsError);
+    }
+
     // Generate unique field ID
     const fieldId = new mongoose.Types.ObjectId();
 
@@ -48,12 +56,20 @@ exports.addJobField = async (req, res, next) => {
       question,
       options: options || [],
       required: !!required,
-      order: order || 1
+      order: order || 1,
+      visibility: visibility || null,
+      constraints: constraints || null
     };
 
     // Find or create JobField document
     let jobField = await JobField.findOne({ jobId });
 
+    // Validate conditional logic against the rest of the form
+    const visibilityError = getVisibilityError(newField, [...(jobField ? jobField.fields : []), newField]);
+    if (visibilityError) {
+      return errorResponse(res, 400, visibilityError);
+    }
+
     if (jobField) {
       // Add field to existing document
       jobField.fields.push(newField);
@@ -168,7 +184,7 @@ exports.reorderFields = async (req, res, next) => {
 exports.updateField = async (req, res, next) => {
   try {
     const { jobId, fieldId } = req.params;
-    const { type, question, options, required, order } = req.body;
+    const { type, question, options, required, order, visibility, constraints } = req.body;
 
     if (!mongoose.Types.ObjectId.isValid(jobId)) {
       return errorResponse(res, 400, 'Invalid job ID');
@@ -184,12 +200,30 @@ exports.updateField = async (req, res, next) => {
       return errorResponse(res, 404, 'Field not found');
     }
 
+    // Validate conditional logic before touching the field (null clears the rules)
+    if (visibility) {
+      const visibilityError = getVisibilityError({ id: field.id, visibility }, jobField.fields);
+      if (visibilityError) {
+        return errorResponse(res, 400, visibilityError);
+      }
+    }
+
+    // Validate answer constraints against the (possibly new) field type
+    if (constraints) {
+      const constraintsError = getConstraintsError(type || field.type, constraints);
+      if (constraintsError) {
+        return errorResponse(res, 400, constraintsError);
+      }
+    }
+
     // Update field properties
     if (type) field.type = type;
     if (question) field.question = question;
     if (options !== undefined) field.options = options;
     if (required !== undefined) field.required = required;
     if (order !== undefined) field.order = order;
+    if (visibility !== undefined) field.visibility = visibility;
+    if (constraints !== undefined) field.constraints = constraints;
 
     await jobField.save();
 
@@ -223,6 +257,16 @@ exports.deleteField = async (req, res, next) => {
       return errorResponse(res, 404, 'Field not found');
     }
 
+    // Business rule: Cannot delete a field other fields' visibility depends on
+    const dependents = getDependentFields(fieldId, jobField.fields);
+    if (dependents.length > 0) {
+      return errorResponse(
+        res,
+        400,
+        `Cannot delete this field. Visibility rules of these questions depend on it: ${dependents.map(f => f.question).join(', ')}`
+      );
+    }
+
     jobField.fields.splice(fieldIndex, 1);
     await jobField.save();
 
@@ -276,6 +320,7 @@ exports.getJobFields = async (req, res, next) => {
       jobId,
       hasField: true,
       totalFields: sortedFields.length,
+      version: jobField.version,
       fields: sortedFields
     });
 
@@ -5,7 +5,7 @@ const { createAuditLog } = require('../utils/auditLogger');
 
 const register = async (req, res, next) => {
   try {
-    const { name, email, password } = req.body;
+    const { name, email, password, timezone } = req.body;
 
     const existingUser = await User.findOne({ email });
     if (existingUser) {
@@ -16,7 +16,8 @@ const register = async (req, res, next) => {
       name,
       email,
       password,
-      role: 'admin'
+      role: 'admin',
+      timezone
     });
 
     const token = generateToken(user._id, user.role);
@@ -97,4 +98,32 @@ const getMe = async (req, res, next) => {
   }
 };
 
-module.exports = { register, login, getMe };
\ No newline at end of file
+const updateMe = async (req, res, next) => {
+  try {
+    const { name, timezone } = req.body;
+
+    const user = await User.findById(req.user.id);
+    if (name !== undefined) user.name = name;
+    if (timezone !== undefined) user.timezone = timezone;
+    await user.save();
+
+    await createAuditLog({
+      user: user._id,
+      action: 'PROFILE_UPDATED',
+      resource: 'User',
+      resourceId: user._id,
+      ipAddress: req.auditMetadata?.ipAddress,
+      userAgent: req.auditMetadata?.userAgent,
+      details: {
+        updatedFields: Object.keys(req.body).filter(key => ['name', 'timezone'].includes(key))
+      },
+      severity: 'low'
+    });
+
+    return successResponse(res, 200, 'User profile updated', user);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { register, login, getMe, updateMe };
\ No newline at end of file
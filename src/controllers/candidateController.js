@@ -0,0 +1,249 @@
+const mongoose = require('mongoose');
+const Candidate = require('../models/Candidate');
+const Application = require('../models/Application');
+const { successResponse, errorResponse } = require('../utils/responseUtils');
+const { createAuditLog } = require('../utils/auditLogger');
+const { normalizePhone, resolveCandidate } = require('../services/candidateService');
+
+const MAX_MERGE_SOURCES = 20;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const formatCandidate = (candidate) => ({
+  id: candidate._id,
+  name: candidate.name,
+  emails: candidate.emails,
+  phones: candidate.phones,
+  country: candidate.country,
+  city: candidate.city,
+  createdAt: candidate.createdAt,
+  updatedAt: candidate.updatedAt
+});
+
+/**
+ * @desc    List candidates
+ * @route   GET /api/admin/candidates?search=&page=&limit=
+ * @access  Private/Admin
+ */
+exports.getCandidates = async (req, res, next) => {
+  try {
+    const filter = { mergedInto: null };
+
+    if (req.query.search) {
+      const search = String(req.query.search).trim();
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      const phone = normalizePhone(search);
+
+      filter.$or = [
+        { name: pattern },
+        { emails: new RegExp(escapeRegex(search.toLowerCase())) },
+        ...(phone ? [{ phones: new RegExp(escapeRegex(phone)) }] : [])
+      ];
+    }
+
+    // Pagination parameters
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const totalCandidates = await Candidate.countDocuments(filter);
+    const totalPages = Math.ceil(totalCandidates / limit);
+
+    const candidates = await Candidate.find(filter)
+      .sort({ updatedAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    // Application counts for the page in one query
+    const counts = await Application.aggregate([
+      { $match: { candidateId: { $in: candidates.map(c => c._id) } } },
+      { $group: { _id: '$candidateId', count: { $sum: 1 } } }
+    ]);
+    const countById = new Map(counts.map(c => [String(c._id), c.count]));
+
+    return successResponse(res, 200, 'Candidates retrieved successfully', {
+      candidates: candidates.map(c => ({
+        ...formatCandidate(c),
+        totalApplications: countById.get(String(c._id)) || 0
+      })),
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalCandidates,
+        candidatesPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Candidate profile with their application history across all jobs
+ * @route   GET /api/admin/candidates/:candidateId
+ * @access  Private/Admin
+ *
+ * IDs of merged candidates resolve to the candidate they were merged into.
+ */
+exports.getCandidateHistory = async (req, res, next) => {
+  try {
+    const { candidateId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(candidateId)) {
+      return errorResponse(res, 400, 'Invalid candidate ID');
+    }
+
+    const candidate = await resolveCandidate(candidateId);
+    if (!candidate) {
+      return errorResponse(res, 404, 'Candidate not found');
+    }
+
+    const [applications, mergedCandidates] = await Promise.all([
+      Application.find({ candidateId: candidate._id })
+        .populate('jobId', 'title status deadline')
+        .populate('stage_history.changed_by', 'name email')
+        .sort({ createdAt: -1 }),
+      Candidate.find({ mergedInto: candidate._id }).select('name mergedAt')
+    ]);
+
+    return successResponse(res, 200, 'Candidate retrieved successfully', {
+      candidate: formatCandidate(candidate),
+      requestedId: candidateId,
+      mergedCandidates: mergedCandidates.map(c => ({ id: c._id, name: c.name, mergedAt: c.mergedAt })),
+      totalApplications: applications.length,
+      applications: applications.map(a => ({
+        responseId: a._id,
+        job: a.jobId
+          ? { id: a.jobId._id, title: a.jobId.title, status: a.jobId.status, deadline: a.jobId.deadline }
+          : null,
+        appliedWith: {
+          email: a.applicant.email,
+          phoneNumber: a.applicant.phoneNumber
+        },
+        pipelineStage: a.pipeline_stage,
+        currentStageEntered: a.current_stage_entered,
+        isSaved: a.isSaved,
+        isInvited: a.isInvited,
+        isAccepted: a.isAccepted,
+        withdrawnAt: a.withdrawnAt,
+        submittedAt: a.createdAt,
+        stageHistory: a.stage_history
+      }))
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Merge duplicate candidates into this one
+ * @route   POST /api/admin/candidates/:candidateId/merge
+ * @access  Private/Admin
+ *
+ * The target keeps its profile and gains the sources' emails, phones and applications.
+ * Sources stay behind as redirects (mergedInto) so old links keep working.
+ */
+exports.mergeCandidates = async (req, res, next) => {
+  try {
+    const { candidateId } = req.params;
+    const { sourceCandidateIds } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(candidateId)) {
+      return errorResponse(res, 400, 'Invalid candidate ID');
+    }
+
+    if (!Array.isArray(sourceCandidateIds) || sourceCandidateIds.length === 0) {
+      return errorResponse(res, 400, 'sourceCandidateIds must be a non-empty array');
+    }
+
+    if (sourceCandidateIds.length > MAX_MERGE_SOURCES) {
+      return errorResponse(res, 400, `At most ${MAX_MERGE_SOURCES} candidates can be merged at once`);
+    }
+
+    if (sourceCandidateIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return errorResponse(res, 400, 'Invalid candidate ID in sourceCandidateIds');
+    }
+
+    const sourceIds = [...new Set(sourceCandidateIds.map(String))];
+    if (sourceIds.includes(String(candidateId))) {
+      return errorResponse(res, 400, 'A candidate cannot be merged into itself');
+    }
+
+    const target = await Candidate.findById(candidateId);
+    if (!target) {
+      return errorResponse(res, 404, 'Candidate not found');
+    }
+    if (target.mergedInto) {
+      return errorResponse(res, 400, 'Target candidate has already been merged into another candidate');
+    }
+
+    const sources = await Candidate.find({ _id: { $in: sourceIds } });
+    if (sources.length !== sourceIds.length) {
+      return errorResponse(res, 404, 'One or more source candidates not found');
+    }
+
+    const alreadyMerged = sources.filter(s => s.mergedInto);
+    if (alreadyMerged.length > 0) {
+      return errorResponse(res, 400, `Already merged: ${alreadyMerged.map(s => s._id).join(', ')}`);
+    }
+
+    // Sources are marked merged first: an email may only be on one active candidate
+    const mergedAt = new Date();
+    await Candidate.updateMany(
+      { _id: { $in: sources.map(s => s._id) } },
+      { mergedInto: target._id, mergedAt }
+    );
+
+    // Union of contact details, target first
+    for (const source of sources) {
+      for (const email of source.emails) {
+        if (!target.emails.includes(email)) target.emails.push(email);
+      }
+      for (const phone of source.phones) {
+        if (!target.phones.includes(phone)) target.phones.push(phone);
+      }
+    }
+    await target.save();
+
+    const moved = await Application.updateMany(
+      { candidateId: { $in: sources.map(s => s._id) } },
+      { candidateId: target._id }
+    );
+
+    // Same person applying twice to a job under different emails is worth a look
+    const duplicateJobs = await Application.aggregate([
+      { $match: { candidateId: target._id } },
+      { $group: { _id: '$jobId', count: { $sum: 1 } } },
+      { $match: { count: { $gt: 1 } } }
+    ]);
+
+    await createAuditLog({
+      user: req.user._id,
+      action: 'CANDIDATE_MERGED',
+      resource: 'Candidate',
+      resourceId: target._id,
+      ipAddress: req.auditMetadata?.ipAddress,
+      userAgent: req.auditMetadata?.userAgent,
+      details: {
+        mergedCandidateIds: sources.map(s => s._id),
+        mergedNames: sources.map(s => s.name),
+        applicationsMoved: moved.modifiedCount
+      },
+      severity: 'medium'
+    });
+
+    return successResponse(res, 200, 'Candidates merged successfully', {
+      candidate: formatCandidate(target),
+      mergedCandidateIds: sources.map(s => s._id),
+      applicationsMoved: moved.modifiedCount,
+      duplicateJobIds: duplicateJobs.map(d => d._id)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,249 @@
+const Application = require('../models/Application');
+const Comment = require('../models/Comment');
+const { successResponse, errorResponse } = require('../utils/responseUtils');
+const { createAuditLog } = require('../utils/auditLogger');
+const { resolveMentions, notifyMentions } = require('../services/commentService');
+
+const AUTHOR_FIELDS = 'name email';
+
+const formatComment = (comment) => {
+  const deleted = !!comment.deletedAt;
+  return {
+    id: comment._id,
+    parentId: comment.parentId,
+    author: comment.author,
+    body: deleted ? null : comment.body,
+    mentions: deleted ? [] : comment.mentions,
+    isEdited: !!comment.editedAt,
+    editedAt: comment.editedAt,
+    editCount: comment.editHistory.length,
+    isDeleted: deleted,
+    deletedAt: comment.deletedAt,
+    createdAt: comment.createdAt
+  };
+};
+
+const findComment = (commentId) => Comment.findById(commentId)
+  .populate('author', AUTHOR_FIELDS)
+  .populate('mentions', AUTHOR_FIELDS);
+
+/**
+ * @desc    Get the comment threads on a response
+ * @route   GET /api/admin/responses/:responseId/comments
+ * @access  Private/Admin
+ *
+ * Deleted comments stay in place with their body removed so replies keep their context.
+ */
+exports.getComments = async (req, res, next) => {
+  try {
+    const { responseId } = req.params;
+
+    const exists = await Application.exists({ _id: responseId });
+    if (!exists) {
+      return errorResponse(res, 404, 'Response not found');
+    }
+
+    const comments = await Comment.find({ applicationId: responseId })
+      .populate('author', AUTHOR_FIELDS)
+      .populate('mentions', AUTHOR_FIELDS)
+      .sort({ createdAt: 1 });
+
+    const threads = comments
+      .filter(c => !c.parentId)
+      .map(c => ({ ...formatComment(c), replies: [] }));
+    const threadsById = new Map(threads.map(t => [String(t.id), t]));
+
+    for (const reply of comments.filter(c => c.parentId)) {
+      const thread = threadsById.get(String(reply.parentId));
+      if (thread) thread.replies.push(formatComment(reply));
+    }
+
+    return successResponse(res, 200, 'Comments retrieved successfully', {
+      totalComments: comments.filter(c => !c.deletedAt).length,
+      threads
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Comment on a response, or reply to a comment
+ * @route   POST /api/admin/responses/:responseId/comments
+ * @access  Private/Admin
+ *
+ * Admins mentioned as @[Name](userId) are notified by email.
+ */
+exports.addComment = async (req, res, next) => {
+  try {
+    const { responseId } = req.params;
+    const { body, parentId } = req.body;
+
+    const application = await Application.findById(responseId)
+      .select('applicant jobId')
+      .populate('jobId', 'title');
+    if (!application) {
+      return errorResponse(res, 404, 'Response not found');
+    }
+
+    if (parentId) {
+      const parent = await Comment.findOne({ _id: parentId, applicationId: application._id });
+      if (!parent) {
+        return errorResponse(res, 404, 'Parent comment not found');
+      }
+      if (parent.parentId) {
+        return errorResponse(res, 400, 'Replies can only be added to top-level comments');
+      }
+      if (parent.deletedAt) {
+        return errorResponse(res, 400, 'Cannot reply to a deleted comment');
+      }
+    }
+
+    const mentioned = await resolveMentions(body);
+
+    const created = await Comment.create({
+      applicationId: application._id,
+      parentId: parentId || null,
+      author: req.user._id,
+      body,
+      mentions: mentioned.map(u => u._id)
+    });
+
+    await notifyMentions(mentioned, { comment: created, author: req.user, application });
+
+    const comment = await findComment(created._id);
+
+    return successResponse(res, 201, 'Comment added successfully', formatComment(comment));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Edit your comment; the previous text is kept in its history
+ * @route   PATCH /api/admin/comments/:commentId
+ * @access  Private/Admin
+ */
+exports.editComment = async (req, res, next) => {
+  try {
+    const { commentId } = req.params;
+    const { body } = req.body;
+
+    const comment = await Comment.findById(commentId);
+    if (!comment || comment.deletedAt) {
+      return errorResponse(res, 404, 'Comment not found');
+    }
+
+    if (!comment.author.equals(req.user._id)) {
+      return errorResponse(res, 403, 'You can only edit your own comments');
+    }
+
+    if (comment.body !== body) {
+      const previousMentions = [...comment.mentions];
+      const mentioned = await resolveMentions(body);
+
+      comment.edit(body, mentioned.map(u => u._id));
+      await comment.save();
+
+      const application = await Application.findById(comment.applicationId)
+        .select('applicant jobId')
+        .populate('jobId', 'title');
+      if (application) {
+        await notifyMentions(mentioned, { comment, author: req.user, application, previousMentions });
+      }
+    }
+
+    const updated = await findComment(comment._id);
+
+    return successResponse(res, 200, 'Comment updated successfully', formatComment(updated));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete your comment
+ * @route   DELETE /api/admin/comments/:commentId
+ * @access  Private/Admin
+ */
+exports.deleteComment = async (req, res, next) => {
+  try {
+    const { commentId } = req.params;
+
+    const comment = await Comment.findById(commentId);
+    if (!comment || comment.deletedAt) {
+      return errorResponse(res, 404, 'Comment not found');
+    }
+
+    if (!comment.author.equals(req.user._id)) {
+      return errorResponse(res, 403, 'You can only delete your own comments');
+    }
+
+    comment.deletedAt = new Date();
+    comment.deletedBy = req.user._id;
+    await comment.save();
+
+    await createAuditLog({
+      user: req.user._id,
+      action: 'COMMENT_DELETED',
+      resource: 'Application',
+      resourceId: comment.applicationId,
+      ipAddress: req.auditMetadata?.ipAddress,
+      userAgent: req.auditMetadata?.userAgent,
+      details: {
+        commentId: comment._id,
+        isReply: !!comment.parentId
+      }
+    });
+
+    return successResponse(res, 200, 'Comment deleted successfully', {
+      id: comment._id,
+      deletedAt: comment.deletedAt
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get every version of a comment, including deleted ones
+ * @route   GET /api/admin/comments/:commentId/history
+ * @access  Private/Admin
+ */
+exports.getCommentHistory = async (req, res, next) => {
+  try {
+    const { commentId } = req.params;
+
+    const comment = await Comment.findById(commentId)
+      .populate('author', AUTHOR_FIELDS)
+      .populate('deletedBy', AUTHOR_FIELDS);
+    if (!comment) {
+      return errorResponse(res, 404, 'Comment not found');
+    }
+
+    // Each version was current from its "since" until the next one
+    const bodies = [...comment.editHistory.map(e => e.body), comment.body];
+    const since = [comment.createdAt, ...comment.editHistory.map(e => e.editedAt)];
+
+    return successResponse(res, 200, 'Comment history retrieved successfully', {
+      id: comment._id,
+      applicationId: comment.applicationId,
+      author: comment.author,
+      versions: bodies.map((body, index) => ({
+        version: index + 1,
+        body,
+        since: since[index],
+        isCurrent: index === bodies.length - 1
+      })),
+      deletedAt: comment.deletedAt,
+      deletedBy: comment.deletedBy
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,84 @@
+const { successResponse, errorResponse } = require('../utils/responseUtils');
+const {
+  getEmailTransport,
+  getOutboxMessages,
+  findOutboxMessage,
+  clearOutbox
+} = require('../services/emailTransports');
+
+const isOutboxEnabled = () => getEmailTransport()?.name === 'outbox';
+
+const OUTBOX_DISABLED = 'The email outbox is only available when EMAIL_TRANSPORT is outbox';
+
+/**
+ * @desc    List emails held in the outbox instead of being sent
+ * @route   GET /api/admin/email-outbox
+ * @access  Private/Admin
+ */
+exports.getOutbox = async (req, res, next) => {
+  try {
+    if (!isOutboxEnabled()) {
+      return errorResponse(res, 404, OUTBOX_DISABLED);
+    }
+
+    const messages = getOutboxMessages({ to: req.query.to });
+
+    return successResponse(res, 200, 'Outbox retrieved successfully', {
+      total: messages.length,
+      messages: messages.map(({ html, attachments, ...message }) => ({
+        ...message,
+        attachments: attachments.map(a => a.filename)
+      }))
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get an email from the outbox; ?format=html returns the email itself for viewing in a browser
+ * @route   GET /api/admin/email-outbox/:id
+ * @access  Private/Admin
+ */
+exports.getOutboxMessage = async (req, res, next) => {
+  try {
+    if (!isOutboxEnabled()) {
+      return errorResponse(res, 404, OUTBOX_DISABLED);
+    }
+
+    const message = findOutboxMessage(req.params.id);
+    if (!message) {
+      return errorResponse(res, 404, 'Message not found in the outbox');
+    }
+
+    if (req.query.format === 'html') {
+      return res.type('html').send(message.html);
+    }
+
+    return successResponse(res, 200, 'Outbox message retrieved successfully', message);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Empty the outbox
+ * @route   DELETE /api/admin/email-outbox
+ * @access  Private/Admin
+ */
+exports.clearOutbox = async (req, res, next) => {
+  try {
+    if (!isOutboxEnabled()) {
+      return errorResponse(res, 404, OUTBOX_DISABLED);
+    }
+
+    const removed = clearOutbox();
+
+    return successResponse(res, 200, 'Outbox cleared successfully', { removed });
+
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,245 @@
+const EmailTemplate = require('../models/EmailTemplate');
+const Job = require('../models/Job');
+const { successResponse, errorResponse } = require('../utils/responseUtils');
+const { createAuditLog } = require('../utils/auditLogger');
+const {
+  EMAIL_TEMPLATES,
+  getTemplateErrors,
+  resolveTemplate,
+  renderTemplate,
+  getSampleVariables
+} = require('../services/emailTemplateService');
+
+const describeTemplate = (key) => {
+  const { name, description, jobOverridable, variables } = EMAIL_TEMPLATES[key];
+  return { key, name, description, jobOverridable, variables };
+};
+
+/**
+ * Check that a job-specific template can be used: the template allows it and the job exists.
+ * Sends the error response and returns null when it cannot.
+ */
+const findOverrideJob = async (res, key, jobId) => {
+  if (!EMAIL_TEMPLATES[key].jobOverridable) {
+    errorResponse(res, 400, `The ${EMAIL_TEMPLATES[key].name} email cannot be customized per job`);
+    return null;
+  }
+
+  const job = await Job.findById(jobId).select('title');
+  if (!job) {
+    errorResponse(res, 404, 'Job not found');
+    return null;
+  }
+  return job;
+};
+
+/**
+ * @desc    List email templates with their variables and whether they were customized
+ * @route   GET /api/admin/email-templates
+ * @access  Private/Admin
+ */
+exports.getEmailTemplates = async (req, res, next) => {
+  try {
+    const saved = await EmailTemplate.find().select('key jobId updatedAt').lean();
+
+    const templates = Object.keys(EMAIL_TEMPLATES).map(key => {
+      const global = saved.find(t => t.key === key && !t.jobId);
+      return {
+        ...describeTemplate(key),
+        isCustomized: !!global,
+        updatedAt: global?.updatedAt || null,
+        jobOverrideCount: saved.filter(t => t.key === key && t.jobId).length
+      };
+    });
+
+    return successResponse(res, 200, 'Email templates retrieved successfully', templates);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the template an email is sent with (for a job, if jobId is given)
+ * @route   GET /api/admin/email-templates/:key
+ * @access  Private/Admin
+ */
+exports.getEmailTemplate = async (req, res, next) => {
+  try {
+    const { key } = req.params;
+    const { jobId } = req.query;
+
+    const template = await resolveTemplate(key, jobId);
+    const overrides = EMAIL_TEMPLATES[key].jobOverridable
+      ? await EmailTemplate.find({ key, jobId: { $ne: null } })
+        .populate('jobId', 'title')
+        .select('jobId updatedAt')
+        .lean()
+      : [];
+
+    return successResponse(res, 200, 'Email template retrieved successfully', {
+      ...describeTemplate(key),
+      subject: template.subject,
+      html: template.html,
+      source: template.source,
+      updatedAt: template.updatedAt,
+      jobOverrides: overrides.map(o => ({
+        jobId: o.jobId?._id,
+        jobTitle: o.jobId?.title,
+        updatedAt: o.updatedAt
+      }))
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Save an email template for every job, or as an override for one job
+ * @route   PUT /api/admin/email-templates/:key
+ * @access  Private/Admin
+ */
+exports.saveEmailTemplate = async (req, res, next) => {
+  try {
+    const { key } = req.params;
+    const { subject, html } = req.body;
+    const jobId = req.body.jobId || null;
+
+    let job = null;
+    if (jobId) {
+      job = await findOverrideJob(res, key, jobId);
+      if (!job) return;
+    }
+
+    const templateErrors = getTemplateErrors(key, { subject, html });
+    if (templateErrors.length > 0) {
+      return errorResponse(res, 400, 'Invalid email template', templateErrors);
+    }
+
+    const existing = await EmailTemplate.exists({ key, jobId });
+    const template = await EmailTemplate.findOneAndUpdate(
+      { key, jobId },
+      { subject, html, updatedBy: req.user._id },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    await createAuditLog({
+      user: req.user._id,
+      action: 'EMAIL_TEMPLATE_UPDATED',
+      resource: 'EmailTemplate',
+      resourceId: template._id,
+      ipAddress: req.auditMetadata?.ipAddress,
+      userAgent: req.auditMetadata?.userAgent,
+      details: {
+        key,
+        jobId,
+        jobTitle: job?.title,
+        subject,
+        created: !existing
+      }
+    });
+
+    return successResponse(res, 200, 'Email template saved successfully', {
+      ...describeTemplate(key),
+      jobId,
+      subject: template.subject,
+      html: template.html,
+      source: jobId ? 'job' : 'global',
+      updatedAt: template.updatedAt
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Discard a saved template so the email falls back to the shared or built-in one
+ * @route   DELETE /api/admin/email-templates/:key
+ * @access  Private/Admin
+ *
+ * Without jobId this resets the version used for every job; job overrides are kept.
+ */
+exports.resetEmailTemplate = async (req, res, next) => {
+  try {
+    const { key } = req.params;
+    const jobId = req.query.jobId || null;
+
+    const template = await EmailTemplate.findOneAndDelete({ key, jobId });
+    if (!template) {
+      return errorResponse(res, 404, jobId
+        ? 'This job has no override for this email template'
+        : 'This email template has not been customized');
+    }
+
+    await createAuditLog({
+      user: req.user._id,
+      action: 'EMAIL_TEMPLATE_RESET',
+      resource: 'EmailTemplate',
+      resourceId: template._id,
+      ipAddress: req.auditMetadata?.ipAddress,
+      userAgent: req.auditMetadata?.userAgent,
+      details: {
+        key,
+        jobId,
+        subject: template.subject
+      }
+    });
+
+    const current = await resolveTemplate(key, jobId);
+
+    return successResponse(res, 200, 'Email template reset successfully', {
+      ...describeTemplate(key),
+      jobId,
+      subject: current.subject,
+      html: current.html,
+      source: current.source,
+      updatedAt: current.updatedAt
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Render an email template with sample data
+ * @route   POST /api/admin/email-templates/:key/preview
+ * @access  Private/Admin
+ *
+ * Previews unsaved edits when subject/html are sent, otherwise the template currently in use.
+ * Variables in the body replace the sample values.
+ */
+exports.previewEmailTemplate = async (req, res, next) => {
+  try {
+    const { key } = req.params;
+    const { subject, html, variables = {} } = req.body;
+    const jobId = req.body.jobId || null;
+
+    const current = await resolveTemplate(key, jobId);
+    const template = {
+      subject: subject ?? current.subject,
+      html: html ?? current.html
+    };
+
+    const templateErrors = getTemplateErrors(key, template);
+    if (templateErrors.length > 0) {
+      return errorResponse(res, 400, 'Invalid email template', templateErrors);
+    }
+
+    const rendered = renderTemplate(key, template, {
+      ...getSampleVariables(key),
+      ...variables
+    });
+
+    return successResponse(res, 200, 'Email template preview rendered successfully', {
+      key,
+      source: subject == null && html == null ? current.source : 'draft',
+      ...rendered
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,273 @@
+const mongoose = require('mongoose');
+const FormTemplate = require('../models/FormTemplate');
+const JobField = require('../models/JobField');
+const Job = require('../models/Job');
+const Application = require('../models/Application');
+const { successResponse, errorResponse } = require('../utils/responseUtils');
+const { createAuditLog } = require('../utils/auditLogger');
+const { cloneFields } = require('../utils/formLogic');
+
+const generateFieldId = () => new mongoose.Types.ObjectId().toString();
+
+const sortByOrder = (fields) => [...fields].sort((a, b) => a.order - b.order);
+
+/**
+ * @desc    Save a job's form as a reusable template
+ * @route   POST /api/admin/form-templates
+ * @access  Private/Admin
+ */
+exports.createFormTemplate = async (req, res, next) => {
+  try {
+    const { jobId, name, description } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return errorResponse(res, 400, 'Template name is required');
+    }
+
+    if (!jobId || !mongoose.Types.ObjectId.isValid(jobId)) {
+      return errorResponse(res, 400, 'Invalid job ID');
+    }
+
+    const job = await Job.findById(jobId).select('title');
+    if (!job) {
+      return errorResponse(res, 404, 'Job not found');
+    }
+
+    const jobField = await JobField.findOne({ jobId });
+    if (!jobField || jobField.fields.length === 0) {
+      return errorResponse(res, 400, 'This job has no form fields to save as a template');
+    }
+
+    const template = await FormTemplate.create({
+      name,
+      description: description || '',
+      fields: cloneFields(sortByOrder(jobField.fields), generateFieldId),
+      sourceJobId: job._id,
+      createdBy: req.user._id
+    });
+
+    await createAuditLog({
+      user: req.user._id,
+      action: 'FORM_TEMPLATE_CREATED',
+      resource: 'FormTemplate',
+      resourceId: template._id,
+      ipAddress: req.auditMetadata?.ipAddress,
+      userAgent: req.auditMetadata?.userAgent,
+      details: {
+        name: template.name,
+        sourceJobTitle: job.title,
+        fieldCount: template.fields.length
+      },
+      severity: 'low'
+    });
+
+    return successResponse(res, 201, 'Form template created successfully', {
+      id: template._id,
+      name: template.name,
+      description: template.description,
+      totalFields: template.fields.length,
+      sourceJobId: template.sourceJobId,
+      createdAt: template.createdAt
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List form templates
+ * @route   GET /api/admin/form-templates
+ * @access  Private/Admin
+ */
+exports.getFormTemplates = async (req, res, next) => {
+  try {
+    const templates = await FormTemplate.find()
+      .sort({ name: 1 })
+      .populate('createdBy', 'name email');
+
+    return successResponse(res, 200, 'Form templates retrieved successfully', {
+      templates: templates.map(t => ({
+        id: t._id,
+        name: t.name,
+        description: t.description,
+        totalFields: t.fields.length,
+        sourceJobId: t.sourceJobId,
+        createdBy: t.createdBy,
+        createdAt: t.createdAt,
+        updatedAt: t.updatedAt
+      }))
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a form template with its fields
+ * @route   GET /api/admin/form-templates/:templateId
+ * @access  Private/Admin
+ */
+exports.getFormTemplateById = async (req, res, next) => {
+  try {
+    const { templateId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(templateId)) {
+      return errorResponse(res, 400, 'Invalid template ID');
+    }
+
+    const template = await FormTemplate.findById(templateId).populate('createdBy', 'name email');
+    if (!template) {
+      return errorResponse(res, 404, 'Form template not found');
+    }
+
+    return successResponse(res, 200, 'Form template retrieved successfully', {
+      id: template._id,
+      name: template.name,
+      description: template.description,
+      sourceJobId: template.sourceJobId,
+      createdBy: template.createdBy,
+      createdAt: template.createdAt,
+      updatedAt: template.updatedAt,
+      fields: sortByOrder(template.fields)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a form template
+ * @route   DELETE /api/admin/form-templates/:templateId
+ * @access  Private/Admin
+ */
+exports.deleteFormTemplate = async (req, res, next) => {
+  try {
+    const { templateId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(templateId)) {
+      return errorResponse(res, 400, 'Invalid template ID');
+    }
+
+    const template = await FormTemplate.findByIdAndDelete(templateId);
+    if (!template) {
+      return errorResponse(res, 404, 'Form template not found');
+    }
+
+    await createAuditLog({
+      user: req.user._id,
+      action: 'FORM_TEMPLATE_DELETED',
+      resource: 'FormTemplate',
+      resourceId: template._id,
+      ipAddress: req.auditMetadata?.ipAddress,
+      userAgent: req.auditMetadata?.userAgent,
+      details: { name: template.name },
+      severity: 'low'
+    });
+
+    return successResponse(res, 200, 'Form template deleted successfully');
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Apply a form template to a job
+ * @route   POST /api/admin/jobs/:jobId/apply-template
+ * @access  Private/Admin
+ *
+ * mode "replace" (default) swaps out the job's current fields,
+ * mode "append" adds the template's fields after the existing ones.
+ */
+exports.applyFormTemplate = async (req, res, next) => {
+  try {
+    const { jobId } = req.params;
+    const { templateId, mode = 'replace' } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(jobId)) {
+      return errorResponse(res, 400, 'Invalid job ID');
+    }
+
+    if (!templateId || !mongoose.Types.ObjectId.isValid(templateId)) {
+      return errorResponse(res, 400, 'Invalid template ID');
+    }
+
+    if (!['replace', 'append'].includes(mode)) {
+      return errorResponse(res, 400, 'Invalid mode. Must be replace or append');
+    }
+
+    const job = await Job.findById(jobId);
+    if (!job) {
+      return errorResponse(res, 404, 'Job not found');
+    }
+
+    const template = await FormTemplate.findById(templateId);
+    if (!template) {
+      return errorResponse(res, 404, 'Form template not found');
+    }
+
+    let jobField = await JobField.findOne({ jobId });
+    const existingFields = jobField ? jobField.fields : [];
+
+    // Business rule: Cannot replace a form that applicants have already answered
+    if (mode === 'replace' && existingFields.length > 0) {
+      const applicationCount = await Application.countDocuments({ jobId });
+      if (applicationCount > 0) {
+        return errorResponse(
+          res,
+          400,
+          'Cannot replace the form of a job that already has applications. Use mode "append" instead.'
+        );
+      }
+    }
+
+    const orderOffset = mode === 'append'
+      ? existingFields.reduce((max, f) => Math.max(max, f.order), 0)
+      : 0;
+
+    const newFields = cloneFields(sortByOrder(template.fields), generateFieldId)
+      .map((field, index) => ({ ...field, order: orderOffset + index + 1 }));
+
+    if (jobField) {
+      jobField.fields = mode === 'append' ? [...existingFields, ...newFields] : newFields;
+      await jobField.save();
+    } else {
+      jobField = await JobField.create({ jobId, fields: newFields });
+    }
+
+    job.hasField = jobField.fields.length > 0;
+    await job.save();
+
+    await createAuditLog({
+      user: req.user._id,
+      action: 'FORM_TEMPLATE_APPLIED',
+      resource: 'Job',
+      resourceId: job._id,
+      ipAddress: req.auditMetadata?.ipAddress,
+      userAgent: req.auditMetadata?.userAgent,
+      details: {
+        jobTitle: job.title,
+        templateId: template._id,
+        templateName: template.name,
+        mode,
+        fieldsAdded: newFields.length
+      },
+      severity: 'low'
+    });
+
+    return successResponse(res, 200, 'Form template applied successfully', {
+      jobId: job._id,
+      templateId: template._id,
+      mode,
+      fieldsAdded: newFields.length,
+      totalFields: jobField.fields.length,
+      jobHasField: job.hasField
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,96 @@
+const Application = require('../models/Application');
+const Interview = require('../models/Interview');
+const { successResponse, errorResponse } = require('../utils/responseUtils');
+const { getBookableSlots, bookSlot, applicantTimeZone } = require('../services/interviewService');
+
+/**
+ * Interview a booking token belongs to, with the application it is for.
+ * Returns { interview, application } or { error, status }.
+ */
+const loadBooking = async (token) => {
+  const interview = await Interview.findByBookingToken(token);
+  if (!interview) {
+    return { error: 'This booking link is invalid or has already been used', status: 404 };
+  }
+  if (interview.bookingExpiresAt < new Date()) {
+    return { error: 'This booking link has expired. Please contact us for a new one', status: 410 };
+  }
+
+  const application = await Application.findById(interview.applicationId)
+    .select('applicant jobId withdrawnAt')
+    .populate('jobId', 'title');
+  if (!application || application.withdrawnAt) {
+    return { error: 'This application is no longer active', status: 410 };
+  }
+
+  return { interview, application };
+};
+
+/**
+ * @desc    Get the interview a booking link is for and the times that can be booked
+ * @route   GET /api/interview-booking/:token
+ * @access  Public (token)
+ */
+exports.getBooking = async (req, res, next) => {
+  try {
+    const { interview, application, error, status } = await loadBooking(req.params.token);
+    if (error) {
+      return errorResponse(res, status, error);
+    }
+
+    const slots = await getBookableSlots(interview);
+
+    return successResponse(res, 200, 'Booking retrieved successfully', {
+      applicantName: application.applicant.name,
+      jobTitle: application.jobId?.title,
+      durationMinutes: interview.durationMinutes,
+      location: interview.location,
+      expiresAt: interview.bookingExpiresAt,
+      // Zone to show the times in
+      timezone: applicantTimeZone(application, interview),
+      slots: slots.map(slot => ({
+        id: slot._id,
+        startsAt: slot.startsAt,
+        endsAt: new Date(slot.startsAt.getTime() + interview.durationMinutes * 60000),
+        interviewer: slot.interviewer.name
+      }))
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Book one of the offered times
+ * @route   POST /api/interview-booking/:token
+ * @access  Public (token)
+ *
+ * The link stops working once the interview is booked; the confirmation is emailed.
+ */
+exports.bookInterview = async (req, res, next) => {
+  try {
+    const { interview, error, status } = await loadBooking(req.params.token);
+    if (error) {
+      return errorResponse(res, status, error);
+    }
+
+    const result = await bookSlot(interview, req.body.slotId);
+    if (result.error) {
+      return errorResponse(res, result.status, result.error);
+    }
+
+    await interview.populate('interviewers', 'name');
+
+    return successResponse(res, 200, 'Your interview is booked. A confirmation has been sent to your email', {
+      interviewId: interview._id,
+      startsAt: interview.startsAt,
+      endsAt: interview.endsAt,
+      location: interview.location || interview.meetingLink,
+      interviewers: interview.interviewers.map(u => u.name)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
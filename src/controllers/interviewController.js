@@ -0,0 +1,701 @@
+const Application = require('../models/Application');
+const Interview = require('../models/Interview');
+const InterviewSlot = require('../models/InterviewSlot');
+const User = require('../models/User');
+const { successResponse, errorResponse } = require('../utils/responseUtils');
+const { createAuditLog } = require('../utils/auditLogger');
+const { queueApplicationMessage, describeEmail } = require('../services/messageService');
+const { DEFAULT_TIMEZONE, parseDateInZone, formatDate } = require('../utils/timezone');
+const {
+  USER_FIELDS,
+  newInterviewUid,
+  bookingLink,
+  findInterviewConflicts,
+  findSlotConflicts,
+  applicantTimeZone,
+  scheduleInterview,
+  rescheduleInterview,
+  cancelInterview,
+  buildInterviewCalendar,
+  formatInterview
+} = require('../services/interviewService');
+
+const MAX_SLOTS_PER_REQUEST = 100;
+const DEFAULT_DURATION_MINUTES = 45;
+
+/**
+ * Interviewers that are not admins, as an error message, or null when all are
+ */
+const getInterviewerError = async (interviewerIds) => {
+  const found = await User.findAdmins(interviewerIds).select('_id');
+  const foundIds = new Set(found.map(u => u._id.toString()));
+  const unknown = interviewerIds.filter(id => !foundIds.has(id.toString()));
+
+  return unknown.length > 0 ? `Interviewers must be admins: ${unknown.join(', ')}` : null;
+};
+
+const describeConflicts = (conflicts) => conflicts.map(c => ({
+  interviewId: c._id,
+  applicationId: c.applicationId,
+  interviewers: c.interviewers,
+  startsAt: c.startsAt,
+  endsAt: c.endsAt
+}));
+
+/**
+ * @desc    Add interview availability, split into slots of slotMinutes
+ * @route   POST /api/admin/interview-slots
+ * @access  Private/Admin
+ *
+ * Without slotMinutes the whole range is one slot. Slots are for the current admin unless
+ * interviewerId is given, and for every job unless jobId is given. Times without an offset
+ * are read in timezone, or the admin's own zone.
+ */
+exports.createSlots = async (req, res, next) => {
+  try {
+    const timeZone = req.body.timezone || req.user.timezone || DEFAULT_TIMEZONE;
+    const startsAt = parseDateInZone(req.body.startsAt, timeZone);
+    const endsAt = parseDateInZone(req.body.endsAt, timeZone);
+    const { slotMinutes, jobId = null } = req.body;
+    const interviewerId = req.body.interviewerId || req.user._id.toString();
+
+    if (!startsAt || !endsAt) {
+      return errorResponse(res, 400, 'startsAt and endsAt must be valid date-times');
+    }
+    if (endsAt <= startsAt) {
+      return errorResponse(res, 400, 'endsAt must be after startsAt');
+    }
+    if (startsAt < new Date()) {
+      return errorResponse(res, 400, 'Availability cannot start in the past');
+    }
+
+    const rangeMinutes = (endsAt - startsAt) / 60000;
+    const count = slotMinutes ? Math.floor(rangeMinutes / slotMinutes) : 1;
+    if (count < 1) {
+      return errorResponse(res, 400, `The range is shorter than one ${slotMinutes}-minute slot`);
+    }
+    if (count > MAX_SLOTS_PER_REQUEST) {
+      return errorResponse(res, 400, `At most ${MAX_SLOTS_PER_REQUEST} slots can be created at once; this range makes ${count}`);
+    }
+
+    const interviewerError = await getInterviewerError([interviewerId]);
+    if (interviewerError) {
+      return errorResponse(res, 400, interviewerError);
+    }
+
+    const slotEnd = slotMinutes ? new Date(startsAt.getTime() + count * slotMinutes * 60000) : endsAt;
+    const [slotConflicts, interviewConflicts] = await Promise.all([
+      findSlotConflicts(interviewerId, startsAt, slotEnd),
+      findInterviewConflicts([interviewerId], startsAt, slotEnd)
+    ]);
+    if (slotConflicts.length > 0 || interviewConflicts.length > 0) {
+      return errorResponse(res, 409, 'This availability overlaps existing slots or interviews of the interviewer', {
+        slots: slotConflicts,
+        interviews: describeConflicts(interviewConflicts)
+      });
+    }
+
+    const slots = await InterviewSlot.insertMany(Array.from({ length: count }, (_, i) => {
+      const slotStart = slotMinutes ? new Date(startsAt.getTime() + i * slotMinutes * 60000) : startsAt;
+      return {
+        interviewer: interviewerId,
+        jobId,
+        startsAt: slotStart,
+        endsAt: slotMinutes ? new Date(slotStart.getTime() + slotMinutes * 60000) : endsAt,
+        createdBy: req.user._id
+      };
+    }));
+
+    await createAuditLog({
+      user: req.user._id,
+      action: 'INTERVIEW_SLOTS_CREATED',
+      resource: 'User',
+      resourceId: interviewerId,
+      ipAddress: req.auditMetadata?.ipAddress,
+      userAgent: req.auditMetadata?.userAgent,
+      details: {
+        count: slots.length,
+        startsAt,
+        endsAt: slotEnd,
+        jobId
+      }
+    });
+
+    return successResponse(res, 201, `${slots.length} interview slots created`, { slots });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List interview slots, by default the open ones from now on
+ * @route   GET /api/admin/interview-slots?interviewer=&jobId=&status=&from=&to=
+ * @access  Private/Admin
+ */
+exports.getSlots = async (req, res, next) => {
+  try {
+    const { interviewer, jobId, status = 'open' } = req.query;
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+
+    const filter = {
+      status,
+      startsAt: { $gte: from, ...(req.query.to && { $lte: new Date(req.query.to) }) },
+      ...(interviewer && { interviewer }),
+      ...(jobId && { jobId: { $in: [null, jobId] } })
+    };
+
+    const slots = await InterviewSlot.find(filter)
+      .populate('interviewer', USER_FIELDS)
+      .populate('jobId', 'title')
+      .sort({ startsAt: 1 })
+      .limit(500);
+
+    return successResponse(res, 200, 'Interview slots retrieved successfully', {
+      total: slots.length,
+      slots
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Remove an open interview slot
+ * @route   DELETE /api/admin/interview-slots/:slotId
+ * @access  Private/Admin
+ */
+exports.deleteSlot = async (req, res, next) => {
+  try {
+    const slot = await InterviewSlot.findOneAndDelete({ _id: req.params.slotId, status: 'open' });
+    if (!slot) {
+      const exists = await InterviewSlot.exists({ _id: req.params.slotId });
+      return exists
+        ? errorResponse(res, 400, 'This slot is booked and cannot be removed')
+        : errorResponse(res, 404, 'Interview slot not found');
+    }
+
+    await createAuditLog({
+      user: req.user._id,
+      action: 'INTERVIEW_SLOT_DELETED',
+      resource: 'User',
+      resourceId: slot.interviewer,
+      ipAddress: req.auditMetadata?.ipAddress,
+      userAgent: req.auditMetadata?.userAgent,
+      details: {
+        slotId: slot._id,
+        startsAt: slot.startsAt,
+        endsAt: slot.endsAt
+      }
+    });
+
+    return successResponse(res, 200, 'Interview slot removed successfully');
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Schedule an interview for a response at a fixed time
+ * @route   POST /api/admin/responses/:responseId/interviews
+ * @access  Private/Admin
+ *
+ * Fails with 409 when an interviewer already has an interview at that time. The event is
+ * created with the configured calendar provider and the applicant is emailed the details.
+ * A startsAt without an offset is read in timezone, or the job's zone.
+ */
+exports.scheduleResponseInterview = async (req, res, next) => {
+  try {
+    const { responseId } = req.params;
+    const durationMinutes = req.body.durationMinutes || DEFAULT_DURATION_MINUTES;
+    const interviewerIds = [...new Set((req.body.interviewerIds || [req.user._id]).map(String))];
+
+    const application = await Application.findById(responseId)
+      .select('jobId withdrawnAt')
+      .populate('jobId', 'timezone');
+    if (!application) {
+      return errorResponse(res, 404, 'Response not found');
+    }
+    if (application.withdrawnAt) {
+      return errorResponse(res, 400, 'The applicant withdrew this application');
+    }
+
+    const timezone = req.body.timezone || application.jobId?.timezone || DEFAULT_TIMEZONE;
+    const startsAt = parseDateInZone(req.body.startsAt, timezone);
+    if (!startsAt) {
+      return errorResponse(res, 400, 'startsAt must be a valid date-time');
+    }
+    if (startsAt < new Date()) {
+      return errorResponse(res, 400, 'Interviews cannot be scheduled in the past');
+    }
+
+    const interviewerError = await getInterviewerError(interviewerIds);
+    if (interviewerError) {
+      return errorResponse(res, 400, interviewerError);
+    }
+
+    const endsAt = new Date(startsAt.getTime() + durationMinutes * 60000);
+    const conflicts = await findInterviewConflicts(interviewerIds, startsAt, endsAt);
+    if (conflicts.length > 0) {
+      return errorResponse(res, 409, 'An interviewer already has an interview at this time', {
+        interviews: describeConflicts(conflicts)
+      });
+    }
+
+    const interview = new Interview({
+      applicationId: application._id,
+      jobId: application.jobId?._id,
+      status: 'scheduled',
+      interviewers: interviewerIds,
+      timezone,
+      durationMinutes,
+      location: req.body.location || '',
+      uid: newInterviewUid(),
+      customMessage: req.body.custom_message || '',
+      createdBy: req.user._id
+    });
+
+    const result = await scheduleInterview(interview, { startsAt, bookedBy: 'admin', sender: req.user });
+    if (result.error) {
+      return errorResponse(res, result.status, result.error);
+    }
+
+    await createAuditLog({
+      user: req.user._id,
+      action: 'INTERVIEW_SCHEDULED',
+      resource: 'Application',
+      resourceId: application._id,
+      ipAddress: req.auditMetadata?.ipAddress,
+      userAgent: req.auditMetadata?.userAgent,
+      details: {
+        interviewId: interview._id,
+        startsAt: interview.startsAt,
+        interviewers: interviewerIds,
+        calendarProvider: interview.calendar.provider,
+        messageId: result.message._id
+      }
+    });
+
+    await interview.populate('interviewers', USER_FIELDS);
+
+    return successResponse(res, 201, describeEmail('Interview scheduled', result.message), {
+      interview: formatInterview(interview),
+      email: { messageId: result.message._id, status: result.message.status }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Email the applicant a link to book an interview from the interviewers' open slots
+ * @route   POST /api/admin/responses/:responseId/interviews/booking-link
+ * @access  Private/Admin
+ *
+ * Without interviewerIds any interviewer's slots for the job can be booked. An earlier
+ * booking link of the response stops working.
+ */
+exports.sendBookingLink = async (req, res, next) => {
+  try {
+    const { responseId } = req.params;
+    const durationMinutes = req.body.durationMinutes || DEFAULT_DURATION_MINUTES;
+    const interviewerIds = [...new Set((req.body.interviewerIds || []).map(String))];
+
+    const application = await Application.findById(responseId).populate('jobId', 'title timezone');
+    if (!application) {
+      return errorResponse(res, 404, 'Response not found');
+    }
+    if (application.withdrawnAt) {
+      return errorResponse(res, 400, 'The applicant withdrew this application');
+    }
+
+    if (interviewerIds.length > 0) {
+      const interviewerError = await getInterviewerError(interviewerIds);
+      if (interviewerError) {
+        return errorResponse(res, 400, interviewerError);
+      }
+    }
+
+    await Interview.updateMany(
+      { applicationId: application._id, status: 'awaiting_booking' },
+      {
+        $set: { status: 'cancelled', bookingTokenHash: null, bookingExpiresAt: null },
+        $push: { history: { action: 'cancelled', changedBy: req.user._id, reason: 'Replaced by a new booking link' } }
+      }
+    );
+
+    const interview = new Interview({
+      applicationId: application._id,
+      jobId: application.jobId._id,
+      status: 'awaiting_booking',
+      interviewers: interviewerIds,
+      timezone: req.body.timezone || application.jobId.timezone || DEFAULT_TIMEZONE,
+      durationMinutes,
+      location: req.body.location || '',
+      uid: newInterviewUid(),
+      customMessage: req.body.custom_message || '',
+      createdBy: req.user._id
+    });
+    const token = interview.issueBookingToken(req.body.expiresInDays);
+    interview.recordChange('booking_link_sent', { changedBy: req.user._id });
+    await interview.save();
+
+    const message = await queueApplicationMessage(application, 'interview_booking', {
+      booking_link: bookingLink(token),
+      duration_minutes: String(durationMinutes),
+      expires_at: formatDate(interview.bookingExpiresAt, applicantTimeZone(application, interview)),
+      custom_message: interview.customMessage,
+      sender_name: req.user.name
+    }, { sentBy: req.user._id, trigger: 'interview_booking' });
+
+    await createAuditLog({
+      user: req.user._id,
+      action: 'INTERVIEW_BOOKING_LINK_SENT',
+      resource: 'Application',
+      resourceId: application._id,
+      ipAddress: req.auditMetadata?.ipAddress,
+      userAgent: req.auditMetadata?.userAgent,
+      details: {
+        interviewId: interview._id,
+        interviewers: interviewerIds,
+        durationMinutes,
+        expiresAt: interview.bookingExpiresAt,
+        messageId: message._id
+      }
+    });
+
+    return successResponse(res, 201, describeEmail('Booking link created', message), {
+      interview: formatInterview(interview),
+      email: { messageId: message._id, status: message.status }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the interviews of a response, newest first
+ * @route   GET /api/admin/responses/:responseId/interviews
+ * @access  Private/Admin
+ */
+exports.getResponseInterviews = async (req, res, next) => {
+  try {
+    const { responseId } = req.params;
+
+    const exists = await Application.exists({ _id: responseId });
+    if (!exists) {
+      return errorResponse(res, 404, 'Response not found');
+    }
+
+    const interviews = await Interview.find({ applicationId: responseId })
+      .populate('interviewers', USER_FIELDS)
+      .populate('feedback.interviewer', USER_FIELDS)
+      .sort({ createdAt: -1 });
+
+    return successResponse(res, 200, 'Interviews retrieved successfully', {
+      responseId,
+      total: interviews.length,
+      // The application can move past the interview stage once this is true
+      feedbackComplete: interviews.every(i => i.pendingFeedback().length === 0),
+      interviews: interviews.map(i => formatInterview(i))
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List scheduled interviews in a time range, e.g. for a calendar view
+ * @route   GET /api/admin/interviews?from=&to=&interviewer=
+ * @access  Private/Admin
+ *
+ * Defaults to the next 30 days.
+ */
+exports.getInterviews = async (req, res, next) => {
+  try {
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 30 * 24 * 60 * 60 * 1000);
+
+    const interviews = await Interview.find({
+      status: { $in: Interview.FEEDBACK_STATUSES },
+      startsAt: { $gte: from, $lt: to },
+      ...(req.query.interviewer && { interviewers: req.query.interviewer })
+    })
+      .populate('interviewers', USER_FIELDS)
+      .populate('applicationId', 'applicant.name applicant.email')
+      .populate('jobId', 'title')
+      .sort({ startsAt: 1 });
+
+    return successResponse(res, 200, 'Interviews retrieved successfully', {
+      from,
+      to,
+      total: interviews.length,
+      interviews: interviews.map(formatInterview)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get an interview
+ * @route   GET /api/admin/interviews/:interviewId
+ * @access  Private/Admin
+ */
+exports.getInterview = async (req, res, next) => {
+  try {
+    const interview = await Interview.findById(req.params.interviewId)
+      .populate('interviewers', USER_FIELDS)
+      .populate('createdBy', USER_FIELDS)
+      .populate('history.changedBy', USER_FIELDS)
+      .populate('feedback.interviewer', USER_FIELDS);
+    if (!interview) {
+      return errorResponse(res, 404, 'Interview not found');
+    }
+
+    return successResponse(res, 200, 'Interview retrieved successfully', formatInterview(interview, { includeHistory: true }));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Move a scheduled interview to another time, length or place, or change its interviewers
+ * @route   PATCH /api/admin/interviews/:interviewId
+ * @access  Private/Admin
+ *
+ * The calendar event is updated and the applicant and interviewers are emailed an updated .ics with
+ * the same UID. A startsAt without an offset is read in the interview's zone.
+ */
+exports.rescheduleResponseInterview = async (req, res, next) => {
+  try {
+    const { durationMinutes, location, reason = '' } = req.body;
+    const interviewerIds = req.body.interviewerIds && [...new Set(req.body.interviewerIds.map(String))];
+
+    const interview = await Interview.findById(req.params.interviewId);
+    if (!interview) {
+      return errorResponse(res, 404, 'Interview not found');
+    }
+
+    const startsAt = req.body.startsAt ? parseDateInZone(req.body.startsAt, interview.timezone) : null;
+    if (req.body.startsAt && !startsAt) {
+      return errorResponse(res, 400, 'startsAt must be a valid date-time');
+    }
+    if (interview.status !== 'scheduled') {
+      return errorResponse(res, 400, `Only scheduled interviews can be rescheduled; this one is ${interview.status}`);
+    }
+    if (!startsAt && !durationMinutes && location === undefined && !interviewerIds) {
+      return errorResponse(res, 400, 'Nothing to change: give startsAt, durationMinutes, location or interviewerIds');
+    }
+
+    const newStart = startsAt || interview.startsAt;
+    if (newStart < new Date()) {
+      return errorResponse(res, 400, 'Interviews cannot be moved into the past');
+    }
+
+    if (interviewerIds) {
+      const interviewerError = await getInterviewerError(interviewerIds);
+      if (interviewerError) {
+        return errorResponse(res, 400, interviewerError);
+      }
+    }
+
+    const newEnd = new Date(newStart.getTime() + (durationMinutes || interview.durationMinutes) * 60000);
+    const conflicts = await findInterviewConflicts(interviewerIds || interview.interviewers, newStart, newEnd, {
+      excludeInterviewId: interview._id
+    });
+    if (conflicts.length > 0) {
+      return errorResponse(res, 409, 'An interviewer already has an interview at this time', {
+        interviews: describeConflicts(conflicts)
+      });
+    }
+
+    const previousStartsAt = interview.startsAt;
+    const previousInterviewers = [...interview.interviewers];
+    const result = await rescheduleInterview(interview, { startsAt, durationMinutes, location, interviewerIds }, {
+      sender: req.user,
+      reason
+    });
+    if (result.error) {
+      return errorResponse(res, result.status, result.error);
+    }
+
+    await createAuditLog({
+      user: req.user._id,
+      action: 'INTERVIEW_RESCHEDULED',
+      resource: 'Application',
+      resourceId: interview.applicationId,
+      ipAddress: req.auditMetadata?.ipAddress,
+      userAgent: req.auditMetadata?.userAgent,
+      details: {
+        interviewId: interview._id,
+        previousStartsAt,
+        startsAt: interview.startsAt,
+        location: interview.location,
+        ...(interviewerIds && { previousInterviewers, interviewers: interview.interviewers }),
+        sequence: interview.sequence,
+        reason,
+        messageId: result.message._id
+      }
+    });
+
+    await interview.populate('interviewers', USER_FIELDS);
+
+    return successResponse(res, 200, describeEmail('Interview rescheduled', result.message), {
+      interview: formatInterview(interview),
+      email: { messageId: result.message._id, status: result.message.status }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Cancel an interview, or a booking link that was not used yet
+ * @route   POST /api/admin/interviews/:interviewId/cancel
+ * @access  Private/Admin
+ *
+ * For a scheduled interview the calendar event is removed and the applicant is emailed
+ * an .ics cancellation with the same UID.
+ */
+exports.cancelResponseInterview = async (req, res, next) => {
+  try {
+    const { reason = '' } = req.body;
+
+    const interview = await Interview.findById(req.params.interviewId);
+    if (!interview) {
+      return errorResponse(res, 404, 'Interview not found');
+    }
+    if (!['awaiting_booking', 'scheduled'].includes(interview.status)) {
+      return errorResponse(res, 400, `This interview is already ${interview.status}`);
+    }
+
+    const previousStatus = interview.status;
+    const result = await cancelInterview(interview, { sender: req.user, reason });
+    if (result.error) {
+      return errorResponse(res, result.status, result.error);
+    }
+
+    await createAuditLog({
+      user: req.user._id,
+      action: 'INTERVIEW_CANCELLED',
+      resource: 'Application',
+      resourceId: interview.applicationId,
+      ipAddress: req.auditMetadata?.ipAddress,
+      userAgent: req.auditMetadata?.userAgent,
+      details: {
+        interviewId: interview._id,
+        previousStatus,
+        startsAt: interview.startsAt,
+        reason,
+        ...(result.message && { messageId: result.message._id })
+      }
+    });
+
+    await interview.populate('interviewers', USER_FIELDS);
+
+    return successResponse(res, 200,
+      result.message ? describeEmail('Interview cancelled', result.message) : 'Booking link cancelled', {
+        interview: formatInterview(interview),
+        ...(result.message && { email: { messageId: result.message._id, status: result.message.status } })
+      });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Submit the current admin's feedback on an interview they were on
+ * @route   PUT /api/admin/interviews/:interviewId/feedback
+ * @access  Private/Admin
+ *
+ * Feedback can be given once the interview has started and replaces the admin's earlier feedback.
+ * The interview counts as completed from the first feedback on.
+ */
+exports.submitInterviewFeedback = async (req, res, next) => {
+  try {
+    const { rating, recommendation, notes = '' } = req.body;
+
+    const interview = await Interview.findById(req.params.interviewId);
+    if (!interview) {
+      return errorResponse(res, 404, 'Interview not found');
+    }
+    if (!interview.interviewers.some(id => id.equals(req.user._id))) {
+      return errorResponse(res, 403, 'Only the interviewers of this interview can give feedback on it');
+    }
+    if (!Interview.FEEDBACK_STATUSES.includes(interview.status)) {
+      return errorResponse(res, 400, `Feedback cannot be given on an interview that is ${interview.status}`);
+    }
+    if (interview.startsAt > new Date()) {
+      return errorResponse(res, 400, 'Feedback can be given once the interview has started');
+    }
+
+    const updated = interview.feedback.some(f => f.interviewer.equals(req.user._id));
+    interview.submitFeedback(req.user._id, { rating, recommendation, notes });
+    interview.status = 'completed';
+    await interview.save();
+
+    await createAuditLog({
+      user: req.user._id,
+      action: 'INTERVIEW_FEEDBACK_SUBMITTED',
+      resource: 'Application',
+      resourceId: interview.applicationId,
+      ipAddress: req.auditMetadata?.ipAddress,
+      userAgent: req.auditMetadata?.userAgent,
+      details: {
+        interviewId: interview._id,
+        rating,
+        recommendation,
+        updated,
+        pendingFeedback: interview.pendingFeedback()
+      }
+    });
+
+    await interview.populate([
+      { path: 'interviewers', select: USER_FIELDS },
+      { path: 'feedback.interviewer', select: USER_FIELDS }
+    ]);
+
+    return successResponse(res, 200, updated ? 'Feedback updated' : 'Feedback submitted', formatInterview(interview));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Download a scheduled interview as an iCalendar file
+ * @route   GET /api/admin/interviews/:interviewId/ics
+ * @access  Private/Admin
+ */
+exports.downloadInterviewCalendar = async (req, res, next) => {
+  try {
+    const interview = await Interview.findById(req.params.interviewId).populate('interviewers', USER_FIELDS);
+    if (!interview) {
+      return errorResponse(res, 404, 'Interview not found');
+    }
+    if (interview.status !== 'scheduled') {
+      return errorResponse(res, 400, 'Only scheduled interviews can be added to a calendar');
+    }
+
+    const application = await Application.findById(interview.applicationId)
+      .select('applicant jobId')
+      .populate('jobId', 'title');
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'attachment; filename="interview.ics"');
+    return res.send(buildInterviewCalendar(interview, application, interview.interviewers));
+
+  } catch (error) {
+    next(error);
+  }
+};
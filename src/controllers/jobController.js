@@ -1,7 +1,14 @@
+const mongoose = require('mongoose');
 const Job = require('../models/Job');
 const JobField = require('../models/JobField');
+const Scorecard = require('../models/Scorecard');
 const { successResponse, errorResponse } = require('../utils/responseUtils');
 const { createAuditLog } = require('../utils/auditLogger');
+const { cloneFields } = require('../utils/formLogic');
+const { DEFAULT_TIMEZONE, isValidTimeZone, changeTimeZone, parseDateInZone } = require('../utils/timezone');
+
+// A deadline given as a date alone lasts until the end of that day in the job's zone
+const parseDeadline = (value, timeZone) => parseDateInZone(value, timeZone, { endOfDay: true });
 
 /**
  * STEP 2: Create Job (Admin)
@@ -18,7 +25,8 @@ exports.createJob = async (req, res, next) => {
       key_responsibilities,
       what_we_offer,
       requirements,
-      deadline 
+      deadline,
+      timezone = DEFAULT_TIMEZONE
     } = req.body;
 
     // Validate required fields
@@ -26,6 +34,10 @@ exports.createJob = async (req, res, next) => {
       return errorResponse(res, 400, 'Title, description, and deadline are required');
     }
 
+    if (!isValidTimeZone(timezone)) {
+      return errorResponse(res, 400, 'Timezone must be an IANA time zone such as Africa/Addis_Ababa');
+    }
+
     const job = await Job.create({
       title,
       description,
@@ -36,7 +48,8 @@ exports.createJob = async (req, res, next) => {
       what_we_offer: what_we_offer || [],
       requirements: requirements || [],
       status: 'INACTIVE',
-      deadline,
+      deadline: parseDeadline(deadline, timezone),
+      timezone,
       createdBy: req.user._id,
       hasField: false
     });
@@ -45,6 +58,8 @@ exports.createJob = async (req, res, next) => {
       id: job._id,
       hasField: job.hasField,
       status: job.status,
+      deadline: job.deadline,
+      timezone: job.timezone,
       isPastDeadline: job.isPastDeadline,
       createdAt: job.createdAt
     });
@@ -73,9 +88,10 @@ exports.getAdminJobs = async (req, res, next) => {
       filter.hasField = req.query.hasField === 'true';
     }
 
-    // Filter by isPastDeadline (true, false)
+    // Filter by isPastDeadline (true, false), against the deadline itself since the stored flag
+    // is only refreshed when the job is saved
     if (req.query.isPastDeadline !== undefined) {
-      filter.isPastDeadline = req.query.isPastDeadline === 'true';
+      filter.deadline = req.query.isPastDeadline === 'true' ? { $lt: new Date() } : { $gte: new Date() };
     }
 
     // Pagination parameters
@@ -92,7 +108,9 @@ exports.getAdminJobs = async (req, res, next) => {
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit)
-      .select('title description location type work_mode key_responsibilities what_we_offer requirements status deadline isPastDeadline hasField createdAt updatedAt');
+      .select('title description location type work_mode key_responsibilities what_we_offer requirements status deadline timezone isPastDeadline hasField createdAt updatedAt');
+
+    jobs.forEach(job => job.updateDeadlineStatus());
 
     return successResponse(res, 200, 'Jobs retrieved successfully', {
       jobs,
@@ -143,11 +161,13 @@ exports.getAdminJobById = async (req, res, next) => {
       requirements: job.requirements,
       status: job.status,
       deadline: job.deadline,
-      isPastDeadline: job.isPastDeadline,
+      timezone: job.timezone,
+      isPastDeadline: job.updateDeadlineStatus(),
       hasField: job.hasField,
       createdAt: job.createdAt,
       updatedAt: job.updatedAt,
       isReadyToPublish: job.isReadyToPublish(),
+      formVersion: jobFields ? jobFields.version : null,
       fields: jobFields ? jobFields.fields.sort((a, b) => a.order - b.order) : []
     });
 
@@ -244,6 +264,7 @@ exports.deleteJob = async (req, res, next) => {
     }
 
     await JobField.deleteOne({ jobId });
+    await Scorecard.deleteOne({ jobId });
 
     return successResponse(res, 200, 'Job deleted successfully');
 
@@ -270,7 +291,8 @@ exports.updateJobMetadata = async (req, res, next) => {
       what_we_offer,
       requirements,
       status, 
-      deadline 
+      deadline,
+      timezone
     } = req.body;
 
     const job = await Job.findById(jobId);
@@ -293,6 +315,10 @@ exports.updateJobMetadata = async (req, res, next) => {
       return errorResponse(res, 400, 'Invalid work mode. Must be remote, onsite, or hybrid');
     }
 
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+      return errorResponse(res, 400, 'Timezone must be an IANA time zone such as Africa/Addis_Ababa');
+    }
+
     // If status is changed to ACTIVE, ensure job is ready
     if (status && String(status).toUpperCase() === 'ACTIVE' && !job.hasField) {
       return errorResponse(res, 400, 'Cannot publish job without form fields. Please add at least one field first.');
@@ -309,11 +335,17 @@ exports.updateJobMetadata = async (req, res, next) => {
     if (what_we_offer !== undefined) updates.what_we_offer = what_we_offer;
     if (requirements !== undefined) updates.requirements = requirements;
     if (status !== undefined) updates.status = String(status).toUpperCase();
-    if (deadline !== undefined) updates.deadline = new Date(deadline);
+    if (timezone !== undefined) updates.timezone = timezone;
+    if (deadline !== undefined) {
+      updates.deadline = parseDeadline(deadline, timezone || job.timezone);
+    } else if (timezone !== undefined && timezone !== job.timezone && job.deadline) {
+      // The deadline keeps its date and time of day, now read in the new zone
+      updates.deadline = changeTimeZone(job.deadline, job.timezone, timezone);
+    }
 
     // Validate deadline (must be in future)
-    if (updates.deadline && updates.deadline < new Date()) {
-      return errorResponse(res, 400, 'Deadline must be in the future');
+    if (deadline !== undefined && (!updates.deadline || updates.deadline < new Date())) {
+      return errorResponse(res, 400, 'Deadline must be a valid date in the future');
     }
 
     Object.assign(job, updates);
@@ -335,6 +367,7 @@ exports.updateJobMetadata = async (req, res, next) => {
       requirements: job.requirements,
       status: job.status,
       deadline: job.deadline,
+      timezone: job.timezone,
       isPastDeadline: job.isPastDeadline,
       updatedAt: job.updatedAt
     });
@@ -342,4 +375,94 @@ exports.updateJobMetadata = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Duplicate Job (Admin)
+ * POST /admin/jobs/:jobId/duplicate
+ * Copies the job metadata and its form as a new INACTIVE draft
+ */
+exports.duplicateJob = async (req, res, next) => {
+  try {
+    const { jobId } = req.params;
+    const { title, deadline } = req.body || {};
+
+    if (!mongoose.Types.ObjectId.isValid(jobId)) {
+      return errorResponse(res, 400, 'Invalid job ID');
+    }
+
+    const source = await Job.findById(jobId);
+    if (!source) {
+      return errorResponse(res, 404, 'Job not found');
+    }
+
+    const newDeadline = deadline !== undefined ? parseDeadline(deadline, source.timezone) : source.deadline;
+    if (deadline !== undefined && (!newDeadline || newDeadline < new Date())) {
+      return errorResponse(res, 400, 'Deadline must be a valid date in the future');
+    }
+
+    const sourceFields = await JobField.findOne({ jobId });
+    const fields = sourceFields
+      ? cloneFields(
+        [...sourceFields.fields].sort((a, b) => a.order - b.order),
+        () => new mongoose.Types.ObjectId().toString()
+      )
+      : [];
+
+    const job = await Job.create({
+      title: title || `${source.title} (Copy)`,
+      description: source.description,
+      location: source.location,
+      type: source.type,
+      work_mode: source.work_mode,
+      key_responsibilities: source.key_responsibilities,
+      what_we_offer: source.what_we_offer,
+      requirements: source.requirements,
+      pipelineTemplate: source.pipelineTemplate,
+      status: 'INACTIVE',
+      deadline: newDeadline,
+      timezone: source.timezone,
+      createdBy: req.user._id,
+      hasField: fields.length > 0
+    });
+
+    if (fields.length > 0) {
+      await JobField.create({ jobId: job._id, fields });
+    }
+
+    try {
+      await createAuditLog({
+        user: req.user._id,
+        action: 'JOB_CREATED',
+        resource: 'Job',
+        resourceId: job._id,
+        ipAddress: req.auditMetadata?.ipAddress,
+        userAgent: req.auditMetadata?.userAgent,
+        details: {
+          title: job.title,
+          duplicatedFrom: source._id,
+          fieldCount: fields.length
+        },
+        severity: 'low'
+      });
+    } catch (auditError) {
+      console.error('Job duplicate audit log error:', auditError.message);
+    }
+
+    return successResponse(res, 201, 'Job duplicated successfully', {
+      id: job._id,
+      duplicatedFrom: source._id,
+      title: job.title,
+      status: job.status,
+      hasField: job.hasField,
+      totalFields: fields.length,
+      deadline: job.deadline,
+      timezone: job.timezone,
+      isPastDeadline: job.isPastDeadline,
+      createdAt: job.createdAt
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,250 @@
+const Application = require('../models/Application');
+const Message = require('../models/Message');
+const { successResponse, errorResponse } = require('../utils/responseUtils');
+const { createAuditLog, createBulkAuditLogs } = require('../utils/auditLogger');
+const { EMAIL_TEMPLATES } = require('../services/emailTemplateService');
+const {
+  APPLICATION_VARIABLES,
+  getMissingVariables,
+  queueApplicationMessage,
+  formatMessage
+} = require('../services/messageService');
+const { RESENDABLE_STATUSES, requeueMessage } = require('../services/emailQueueService');
+
+const MAX_RECIPIENTS = 500;
+
+/**
+ * @desc    Email one or more applicants using an email template
+ * @route   POST /api/admin/messages
+ * @access  Private/Admin
+ *
+ * Applicant name and job title are filled in per application. Messages are queued and recorded on
+ * their application; their delivery status is on GET /admin/responses/:responseId/messages.
+ */
+exports.sendMessages = async (req, res, next) => {
+  try {
+    const { template } = req.body;
+    const variables = { ...(req.body.variables || {}) };
+    const responseIds = [...new Set(req.body.responseIds.map(String))];
+
+    if (responseIds.length > MAX_RECIPIENTS) {
+      return errorResponse(res, 400, `A message can be sent to at most ${MAX_RECIPIENTS} responses at once`);
+    }
+
+    const known = EMAIL_TEMPLATES[template].variables;
+    const unknown = Object.keys(variables).filter(name => !known[name] || APPLICATION_VARIABLES.includes(name));
+    if (unknown.length > 0) {
+      return errorResponse(res, 400, `Variables that cannot be set for ${template}: ${unknown.join(', ')}`);
+    }
+
+    if (known.sender_name && !variables.sender_name) {
+      variables.sender_name = req.user.name;
+    }
+
+    const missing = getMissingVariables(template, variables);
+    if (missing.length > 0) {
+      return errorResponse(res, 400, `Missing required variables: ${missing.join(', ')}`);
+    }
+
+    const applications = await Application.find({ _id: { $in: responseIds } })
+      .select('applicant jobId withdrawnAt')
+      .populate('jobId', 'title');
+    const applicationsById = new Map(applications.map(a => [a._id.toString(), a]));
+
+    const results = [];
+    const auditEntries = [];
+
+    for (const responseId of responseIds) {
+      const application = applicationsById.get(responseId);
+      if (!application) {
+        results.push({ responseId, success: false, error: 'Response not found' });
+        continue;
+      }
+      if (application.withdrawnAt) {
+        results.push({ responseId, success: false, error: 'The applicant withdrew this application' });
+        continue;
+      }
+
+      const message = await queueApplicationMessage(application, template, variables, { sentBy: req.user._id });
+
+      if (message.status === 'queued') {
+        auditEntries.push({
+          user: req.user._id,
+          action: 'EMAIL_SENT',
+          resource: 'Application',
+          resourceId: application._id,
+          ipAddress: req.auditMetadata?.ipAddress,
+          userAgent: req.auditMetadata?.userAgent,
+          details: {
+            emailType: template,
+            messageId: message._id,
+            to: message.to,
+            subject: message.subject,
+            jobTitle: application.jobId?.title
+          }
+        });
+      }
+
+      results.push({
+        responseId,
+        success: message.status !== 'failed',
+        messageId: message._id,
+        status: message.status,
+        ...(message.error && { error: message.error })
+      });
+    }
+
+    await createBulkAuditLogs(auditEntries);
+
+    const queued = results.filter(r => r.status === 'queued').length;
+
+    return successResponse(res, 200, `Message queued for ${queued} of ${results.length} applicants`, {
+      template,
+      total: results.length,
+      queued,
+      skipped: results.filter(r => r.status === 'skipped').length,
+      failed: results.filter(r => !r.success).length,
+      results
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the messages sent to the applicant of a response, newest first
+ * @route   GET /api/admin/responses/:responseId/messages?status=
+ * @access  Private/Admin
+ */
+exports.getResponseMessages = async (req, res, next) => {
+  try {
+    const { responseId } = req.params;
+    const { status } = req.query;
+
+    const exists = await Application.exists({ _id: responseId });
+    if (!exists) {
+      return errorResponse(res, 404, 'Response not found');
+    }
+
+    const messages = await Message.find({ applicationId: responseId, ...(status && { status }) })
+      .select('-html -attachments.content')
+      .populate('sentBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    return successResponse(res, 200, 'Messages retrieved successfully', {
+      responseId,
+      total: messages.length,
+      messages: messages.map(m => formatMessage(m))
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a sent message, including its body
+ * @route   GET /api/admin/messages/:messageId
+ * @access  Private/Admin
+ */
+exports.getMessage = async (req, res, next) => {
+  try {
+    const message = await Message.findById(req.params.messageId)
+      .populate('sentBy', 'name email');
+    if (!message) {
+      return errorResponse(res, 404, 'Message not found');
+    }
+
+    return successResponse(res, 200, 'Message retrieved successfully', formatMessage(message, { includeHtml: true }));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+const auditResend = (req, message, previousStatus) => ({
+  user: req.user._id,
+  action: 'EMAIL_RESENT',
+  resource: 'Application',
+  resourceId: message.applicationId,
+  ipAddress: req.auditMetadata?.ipAddress,
+  userAgent: req.auditMetadata?.userAgent,
+  details: {
+    emailType: message.templateKey,
+    messageId: message._id,
+    to: message.to,
+    subject: message.subject,
+    previousStatus
+  }
+});
+
+/**
+ * @desc    Put a failed, bounced or skipped message back in the queue
+ * @route   POST /api/admin/messages/:messageId/resend
+ * @access  Private/Admin
+ *
+ * The message is sent again as it was rendered, to the same address.
+ */
+exports.resendMessage = async (req, res, next) => {
+  try {
+    const message = await Message.findById(req.params.messageId);
+    if (!message) {
+      return errorResponse(res, 404, 'Message not found');
+    }
+
+    const previousStatus = message.status;
+    const requeued = await requeueMessage(message);
+    if (!requeued) {
+      return errorResponse(res, 400, RESENDABLE_STATUSES.includes(message.status)
+        ? 'This message could not be rendered and cannot be resent'
+        : `Only ${RESENDABLE_STATUSES.join(', ')} messages can be resent; this one is ${message.status}`);
+    }
+
+    await createAuditLog(auditResend(req, message, previousStatus));
+
+    return successResponse(res, 200, 'Message queued for delivery', formatMessage(message));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Resend every failed or bounced message of a response
+ * @route   POST /api/admin/responses/:responseId/messages/resend-failed
+ * @access  Private/Admin
+ */
+exports.resendFailedMessages = async (req, res, next) => {
+  try {
+    const { responseId } = req.params;
+
+    const exists = await Application.exists({ _id: responseId });
+    if (!exists) {
+      return errorResponse(res, 404, 'Response not found');
+    }
+
+    const messages = await Message.find({ applicationId: responseId, status: { $in: ['failed', 'bounced'] } });
+
+    const requeued = [];
+    const auditEntries = [];
+    for (const message of messages) {
+      const previousStatus = message.status;
+      if (await requeueMessage(message)) {
+        requeued.push(message);
+        auditEntries.push(auditResend(req, message, previousStatus));
+      }
+    }
+
+    await createBulkAuditLogs(auditEntries);
+
+    return successResponse(res, 200, `${requeued.length} messages queued for delivery`, {
+      responseId,
+      requeued: requeued.length,
+      messages: requeued.map(m => formatMessage(m))
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,273 @@
+const Application = require('../models/Application');
+const Offer = require('../models/Offer');
+const PipelineTemplate = require('../models/PipelineTemplate');
+const { successResponse, errorResponse } = require('../utils/responseUtils');
+const { createAuditLog } = require('../utils/auditLogger');
+const { getFeedbackMoveError, advanceToStage } = require('../services/pipelineService');
+const { DEFAULT_TIMEZONE, parseDateInZone } = require('../utils/timezone');
+const { describeEmail } = require('../services/messageService');
+const {
+  renderOfferLetter,
+  buildOfferLetterPdf,
+  buildLetterAttachment,
+  queueOfferMessage,
+  refreshExpiry,
+  formatOffer
+} = require('../services/offerService');
+
+const USER_FIELDS = 'name email';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @desc    Make an offer to the applicant of a response
+ * @route   POST /api/admin/responses/:responseId/offers
+ * @access  Private/Admin
+ *
+ * Renders the offer letter, emails it as a PDF with a link to accept or decline, and moves
+ * the response to the offer stage of the job's pipeline. A startDate or expiresAt without an
+ * offset is read in timezone, or the job's zone; without expiresAt the offer runs for
+ * expiresInDays (OFFER_EXPIRY_DAYS by default). An earlier offer still waiting for an answer is
+ * withdrawn, once the new offer and its email are saved: when the email cannot be prepared
+ * no offer is made and the earlier one stays open.
+ */
+exports.createOffer = async (req, res, next) => {
+  try {
+    const { responseId } = req.params;
+
+    const application = await Application.findById(responseId)
+      .populate('jobId', 'title status timezone pipelineTemplate');
+    if (!application) {
+      return errorResponse(res, 404, 'Response not found');
+    }
+    if (application.withdrawnAt) {
+      return errorResponse(res, 400, 'The applicant withdrew this application');
+    }
+    if (application.jobId?.status === 'INACTIVE') {
+      return errorResponse(res, 400, 'Cannot make offers for applications on closed jobs');
+    }
+
+    const template = await PipelineTemplate.resolveForJob(application.jobId);
+    const offerStage = template.purposeStage('offer');
+    if (!offerStage) {
+      return errorResponse(res, 400, 'The pipeline of this job has no offer stage');
+    }
+
+    const feedbackError = await getFeedbackMoveError(application, template, offerStage);
+    if (feedbackError) {
+      return errorResponse(res, 400, feedbackError);
+    }
+
+    const timezone = req.body.timezone || application.jobId?.timezone || DEFAULT_TIMEZONE;
+    const startDate = parseDateInZone(req.body.startDate, timezone);
+    if (!startDate) {
+      return errorResponse(res, 400, 'startDate must be a valid date');
+    }
+
+    const expiresAt = req.body.expiresAt
+      ? parseDateInZone(req.body.expiresAt, timezone, { endOfDay: true })
+      : new Date(Date.now() + (req.body.expiresInDays || Offer.EXPIRY_DAYS) * DAY_MS);
+    if (!expiresAt || expiresAt <= new Date()) {
+      return errorResponse(res, 400, 'expiresAt must be a date in the future');
+    }
+
+    const offer = new Offer({
+      applicationId: application._id,
+      jobId: application.jobId._id,
+      role: req.body.role || application.jobId.title,
+      salary: {
+        amount: req.body.salary,
+        currency: req.body.currency,
+        period: req.body.salaryPeriod
+      },
+      startDate,
+      timezone,
+      expiresAt,
+      customMessage: req.body.custom_message || '',
+      createdBy: req.user._id
+    });
+    offer.letter = renderOfferLetter(offer, application, req.user);
+    const token = offer.issueResponseToken();
+    const attachment = await buildLetterAttachment(offer);
+    await offer.save();
+
+    let message;
+    try {
+      message = await queueOfferMessage(offer, application, token, req.user, { stage: offerStage, attachment });
+    } catch (error) {
+      await Offer.deleteOne({ _id: offer._id });
+      throw error;
+    }
+    if (message.status === 'failed') {
+      await Offer.deleteOne({ _id: offer._id });
+      return errorResponse(res, 502, `The offer email could not be prepared: ${message.error}. No offer was made`);
+    }
+
+    await Offer.updateMany(
+      { applicationId: application._id, status: 'sent', _id: { $ne: offer._id } },
+      { $set: { status: 'withdrawn', withdrawnAt: new Date(), withdrawnBy: req.user._id, withdrawReason: 'Replaced by a new offer' } }
+    );
+
+    await advanceToStage(application, offerStage, req.user._id, 'Offer sent');
+    await application.save();
+
+    await createAuditLog({
+      user: req.user._id,
+      action: 'OFFER_SENT',
+      resource: 'Application',
+      resourceId: application._id,
+      ipAddress: req.auditMetadata?.ipAddress,
+      userAgent: req.auditMetadata?.userAgent,
+      details: {
+        offerId: offer._id,
+        role: offer.role,
+        salary: offer.salary,
+        startDate: offer.startDate,
+        expiresAt: offer.expiresAt,
+        messageId: message._id
+      }
+    });
+
+    return successResponse(res, 201, describeEmail('Offer created', message), {
+      offer: formatOffer(offer),
+      pipeline_stage: application.pipeline_stage,
+      email: { messageId: message._id, status: message.status }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the offers made for a response, newest first
+ * @route   GET /api/admin/responses/:responseId/offers
+ * @access  Private/Admin
+ */
+exports.getResponseOffers = async (req, res, next) => {
+  try {
+    const { responseId } = req.params;
+
+    const exists = await Application.exists({ _id: responseId });
+    if (!exists) {
+      return errorResponse(res, 404, 'Response not found');
+    }
+
+    const offers = await Offer.find({ applicationId: responseId })
+      .populate('createdBy', USER_FIELDS)
+      .sort({ createdAt: -1 });
+    await Promise.all(offers.map(refreshExpiry));
+
+    return successResponse(res, 200, 'Offers retrieved successfully', {
+      responseId,
+      total: offers.length,
+      offers: offers.map(formatOffer)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get an offer with its letter
+ * @route   GET /api/admin/offers/:offerId
+ * @access  Private/Admin
+ */
+exports.getOffer = async (req, res, next) => {
+  try {
+    const offer = await Offer.findById(req.params.offerId)
+      .populate('createdBy', USER_FIELDS)
+      .populate('withdrawnBy', USER_FIELDS);
+    if (!offer) {
+      return errorResponse(res, 404, 'Offer not found');
+    }
+    await refreshExpiry(offer);
+
+    return successResponse(res, 200, 'Offer retrieved successfully', {
+      offer: { ...formatOffer(offer), withdrawnBy: offer.withdrawnBy, letter: offer.letter }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Download the offer letter as a PDF
+ * @route   GET /api/admin/offers/:offerId/letter
+ * @access  Private/Admin
+ */
+exports.downloadOfferLetter = async (req, res, next) => {
+  try {
+    const offer = await Offer.findById(req.params.offerId);
+    if (!offer) {
+      return errorResponse(res, 404, 'Offer not found');
+    }
+
+    const pdf = await buildOfferLetterPdf(offer);
+
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', 'attachment; filename="offer-letter.pdf"');
+    return res.send(pdf);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Withdraw an offer the candidate has not answered yet
+ * @route   POST /api/admin/offers/:offerId/withdraw
+ * @access  Private/Admin
+ *
+ * The offer link stops accepting answers. The response stays in its pipeline stage.
+ */
+exports.withdrawOffer = async (req, res, next) => {
+  try {
+    const offer = await Offer.findById(req.params.offerId);
+    if (!offer) {
+      return errorResponse(res, 404, 'Offer not found');
+    }
+    await refreshExpiry(offer);
+    if (offer.status !== 'sent') {
+      return errorResponse(res, 400, `Only offers waiting for an answer can be withdrawn. This offer is ${offer.status}`);
+    }
+
+    // Claimed atomically so a candidate answering at the same time is not overruled
+    const withdrawn = await Offer.findOneAndUpdate(
+      { _id: offer._id, status: 'sent' },
+      {
+        $set: {
+          status: 'withdrawn',
+          withdrawnAt: new Date(),
+          withdrawnBy: req.user._id,
+          withdrawReason: req.body.reason || ''
+        }
+      },
+      { new: true }
+    );
+    if (!withdrawn) {
+      return errorResponse(res, 400, 'The candidate answered this offer in the meantime');
+    }
+
+    await createAuditLog({
+      user: req.user._id,
+      action: 'OFFER_WITHDRAWN',
+      resource: 'Application',
+      resourceId: withdrawn.applicationId,
+      ipAddress: req.auditMetadata?.ipAddress,
+      userAgent: req.auditMetadata?.userAgent,
+      details: {
+        offerId: withdrawn._id,
+        reason: withdrawn.withdrawReason
+      }
+    });
+
+    return successResponse(res, 200, 'Offer withdrawn', {
+      offer: formatOffer(withdrawn)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
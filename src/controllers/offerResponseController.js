@@ -0,0 +1,164 @@
+const Application = require('../models/Application');
+const Offer = require('../models/Offer');
+const { successResponse, errorResponse } = require('../utils/responseUtils');
+const {
+  formatSalary,
+  buildOfferLetterPdf,
+  refreshExpiry,
+  respondToOffer
+} = require('../services/offerService');
+
+/**
+ * Offer a response token belongs to. Returns { offer } or { error, status }.
+ */
+const loadOffer = async (token) => {
+  const offer = await Offer.findByResponseToken(token);
+  if (!offer) {
+    return { error: 'This offer link is invalid', status: 404 };
+  }
+  if (offer.status === 'withdrawn') {
+    return { error: 'This offer has been withdrawn', status: 410 };
+  }
+
+  await refreshExpiry(offer);
+  return { offer };
+};
+
+/**
+ * Offer that can still be accepted or declined. Returns { offer } or { error, status }.
+ */
+const loadOpenOffer = async (token) => {
+  const { offer, error, status } = await loadOffer(token);
+  if (error) {
+    return { error, status };
+  }
+  if (offer.status === 'expired') {
+    return { error: 'This offer has expired. Please contact us if you are still interested', status: 410 };
+  }
+  if (offer.status !== 'sent') {
+    return { error: `You have already ${offer.status} this offer`, status: 409 };
+  }
+
+  return { offer };
+};
+
+/**
+ * @desc    Get the offer an offer link is for
+ * @route   GET /api/offers/:token
+ * @access  Public (token)
+ */
+exports.getOffer = async (req, res, next) => {
+  try {
+    const { offer, error, status } = await loadOffer(req.params.token);
+    if (error) {
+      return errorResponse(res, status, error);
+    }
+
+    const application = await Application.findById(offer.applicationId)
+      .select('applicant jobId')
+      .populate('jobId', 'title');
+
+    return successResponse(res, 200, 'Offer retrieved successfully', {
+      applicantName: application?.applicant.name,
+      jobTitle: application?.jobId?.title,
+      status: offer.status,
+      role: offer.role,
+      salary: formatSalary(offer.salary),
+      startDate: offer.startDate,
+      expiresAt: offer.expiresAt,
+      // Zone to show the dates in
+      timezone: offer.timezone,
+      letter: offer.letter,
+      respondedAt: offer.respondedAt
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Download the offer letter as a PDF
+ * @route   GET /api/offers/:token/letter
+ * @access  Public (token)
+ */
+exports.downloadOfferLetter = async (req, res, next) => {
+  try {
+    const { offer, error, status } = await loadOffer(req.params.token);
+    if (error) {
+      return errorResponse(res, status, error);
+    }
+
+    const pdf = await buildOfferLetterPdf(offer);
+
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', 'attachment; filename="offer-letter.pdf"');
+    return res.send(pdf);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Accept the offer
+ * @route   POST /api/offers/:token/accept
+ * @access  Public (token)
+ *
+ * The application moves to hired and the admin who made the offer is notified.
+ */
+exports.acceptOffer = async (req, res, next) => {
+  try {
+    const { offer, error, status } = await loadOpenOffer(req.params.token);
+    if (error) {
+      return errorResponse(res, status, error);
+    }
+
+    const result = await respondToOffer(offer, 'accepted', { auditMetadata: req.auditMetadata });
+    if (result.error) {
+      return errorResponse(res, result.status, result.error);
+    }
+
+    return successResponse(res, 200, 'Thank you for accepting our offer. We will be in touch about your first day', {
+      status: result.offer.status,
+      role: result.offer.role,
+      startDate: result.offer.startDate,
+      respondedAt: result.offer.respondedAt
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Decline the offer, optionally saying why
+ * @route   POST /api/offers/:token/decline
+ * @access  Public (token)
+ *
+ * The application moves to rejected and the admin who made the offer is notified.
+ */
+exports.declineOffer = async (req, res, next) => {
+  try {
+    const { offer, error, status } = await loadOpenOffer(req.params.token);
+    if (error) {
+      return errorResponse(res, status, error);
+    }
+
+    const result = await respondToOffer(offer, 'declined', {
+      reason: req.body.reason || '',
+      auditMetadata: req.auditMetadata
+    });
+    if (result.error) {
+      return errorResponse(res, result.status, result.error);
+    }
+
+    return successResponse(res, 200, 'Your answer has been recorded. Thank you for letting us know', {
+      status: result.offer.status,
+      respondedAt: result.offer.respondedAt
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
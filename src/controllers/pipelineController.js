@@ -1,17 +1,23 @@
 const mongoose = require('mongoose');
 const Application = require('../models/Application');
 const Job = require('../models/Job');
+const PipelineTemplate = require('../models/PipelineTemplate');
 const { successResponse, errorResponse } = require('../utils/responseUtils');
 const { createAuditLog } = require('../utils/auditLogger');
+const { getStageMoveError, getFeedbackMoveError } = require('../services/pipelineService');
+const { getStageEmailTemplate, queueStageChangeMessage } = require('../services/messageService');
 
 /**
  * @desc    Move application to a different pipeline stage
- * @route   PATCH /api/applications/:id/move-stage
+ * @route   PATCH /api/pipeline/applications/:id/move-stage
  * @access  Private (Admin only)
+ *
+ * Moving to a rejection stage or offer emails the applicant unless sendEmail is false.
  */
 exports.moveStage = async (req, res, next) => {
   try {
-    const { stage, notes } = req.body;
+    const { stage, notes, custom_message } = req.body;
+    const sendEmail = req.body.sendEmail !== false;
     const applicationId = req.params.id;
 
     // Validate ObjectId format
@@ -19,52 +25,26 @@ exports.moveStage = async (req, res, next) => {
       return errorResponse(res, 400, 'Invalid application ID format');
     }
 
-    // Find application and populate details
+    // Find application and populate job details
     const application = await Application.findById(applicationId)
-      .populate('job', 'title status postedBy')
-      .populate('applicant', 'name email');
+      .populate('jobId', 'title status pipelineTemplate');
 
     if (!application) {
       return errorResponse(res, 404, 'Application not found');
     }
 
-    // Business rule: Cannot move stages on closed jobs (except to rejected)
-    if (application.job.status === 'closed' && stage !== 'rejected') {
-      return errorResponse(res, 400, 'Cannot move stages for applications on closed jobs');
-    }
-
-    // Prevent moving to the same stage
-    if (application.pipeline_stage === stage) {
-      return errorResponse(res, 400, `Application is already in ${stage} stage`);
-    }
+    const template = await PipelineTemplate.resolveForJob(application.jobId);
 
-    // Validate stage transitions (business logic)
-    const invalidTransitions = {
-      'hired': ['rejected', 'screening', 'interview'],
-      'rejected': ['hired', 'offer', 'assessment', 'interview', 'screening', 'applied']
-    };
-
-    if (invalidTransitions[application.pipeline_stage]?.includes(stage)) {
-      return errorResponse(
-        res, 
-        400,
-        `Invalid transition: Cannot move from ${application.pipeline_stage} to ${stage}`
-      );
+    const moveError = getStageMoveError(application, template, stage) ||
+      await getFeedbackMoveError(application, template, stage);
+    if (moveError) {
+      return errorResponse(res, 400, moveError);
     }
 
-    // Store previous stage for history
-    const previousStage = application.pipeline_stage;
-
-    // Update pipeline stage
-    application.pipeline_stage = stage;
-    application.current_stage_entered = new Date();
-    
-    // Add to stage history
-    application.stage_history.push({
-      stage,
-      changed_by: req.user._id,
-      changed_at: new Date(),
-      notes: notes || `Moved from ${previousStage} to ${stage}`
+    // Update pipeline stage and history
+    const previousStage = application.moveToStage(stage, {
+      changedBy: req.user._id,
+      notes
     });
 
     await application.save();
@@ -78,27 +58,56 @@ exports.moveStage = async (req, res, next) => {
       ipAddress: req.auditMetadata?.ipAddress,
       userAgent: req.auditMetadata?.userAgent,
       details: {
-        jobTitle: application.job.title,
+        jobTitle: application.jobId?.title,
         applicantName: application.applicant.name,
         applicantEmail: application.applicant.email,
         fromStage: previousStage,
         toStage: stage,
         notes: notes || 'No notes provided'
       },
-      severity: stage === 'rejected' ? 'medium' : 'low'
+      severity: template.isRejectionStage(stage) ? 'medium' : 'low'
     });
 
-    // TODO: Trigger email notification to candidate
-    // await sendStageChangeEmail(application.applicant.email, stage, application.job.title);
+    let message = null;
+    if (sendEmail && getStageEmailTemplate(template, stage)) {
+      message = await queueStageChangeMessage(application, stage, {
+        template,
+        sender: req.user,
+        customMessage: custom_message || ''
+      });
+
+      if (message.status === 'queued') {
+        await createAuditLog({
+          user: req.user._id,
+          action: 'EMAIL_SENT',
+          resource: 'Application',
+          resourceId: application._id,
+          ipAddress: req.auditMetadata?.ipAddress,
+          userAgent: req.auditMetadata?.userAgent,
+          details: {
+            emailType: message.templateKey,
+            messageId: message._id,
+            to: message.to,
+            subject: message.subject,
+            jobTitle: application.jobId?.title
+          }
+        });
+      }
+    }
 
     return successResponse(res, 200, `Application moved to ${stage} stage successfully`, {
       _id: application._id,
-      job: application.job.title,
+      job: application.jobId?.title,
       applicant: application.applicant.name,
       previous_stage: previousStage,
       pipeline_stage: application.pipeline_stage,
       current_stage_entered: application.current_stage_entered,
-      last_updated_by: req.user.name
+      last_updated_by: req.user.name,
+      email: message && {
+        messageId: message._id,
+        template: message.templateKey,
+        status: message.status
+      }
     });
 
   } catch (error) {
@@ -108,7 +117,7 @@ exports.moveStage = async (req, res, next) => {
 
 /**
  * @desc    Get pipeline statistics for a job
- * @route   GET /api/jobs/:jobId/pipeline-stats
+ * @route   GET /api/pipeline/jobs/:jobId/pipeline-stats
  * @access  Private (Admin only)
  */
 exports.getPipelineStats = async (req, res, next) => {
@@ -128,7 +137,7 @@ exports.getPipelineStats = async (req, res, next) => {
 
     // Aggregate pipeline statistics
     const stats = await Application.aggregate([
-      { $match: { job: new mongoose.Types.ObjectId(jobId) } },
+      { $match: { jobId: new mongoose.Types.ObjectId(jobId) } },
       {
         $group: {
           _id: '$pipeline_stage',
@@ -153,8 +162,8 @@ exports.getPipelineStats = async (req, res, next) => {
     ]);
 
     // Format response with all stages (even if count is 0)
-    const allStages = ['applied', 'screening', 'interview', 'assessment', 'offer', 'hired', 'rejected'];
-    const formattedStats = allStages.map(stage => {
+    const template = await PipelineTemplate.resolveForJob(job);
+    const formattedStats = template.stageKeys().map(stage => {
       const found = stats.find(s => s.stage === stage);
       return {
         stage,
@@ -182,6 +191,7 @@ exports.getPipelineStats = async (req, res, next) => {
 
     return successResponse(res, 200, 'Pipeline statistics retrieved', {
       job: { _id: job._id, title: job.title },
+      pipelineTemplate: { _id: template._id, name: template.name },
       totalApplications,
       pipelineBreakdown: formattedStats
     });
@@ -193,8 +203,8 @@ exports.getPipelineStats = async (req, res, next) => {
 
 /**
  * @desc    Get stage history for an application
- * @route   GET /api/applications/:id/stage-history
- * @access  Private (Admin or Applicant)
+ * @route   GET /api/pipeline/applications/:id/stage-history
+ * @access  Private (Admin only)
  */
 exports.getStageHistory = async (req, res, next) => {
   try {
@@ -207,23 +217,17 @@ exports.getStageHistory = async (req, res, next) => {
 
     const application = await Application.findById(applicationId)
       .populate('stage_history.changed_by', 'name email role')
-      .populate('applicant', '_id')
-      .select('stage_history pipeline_stage job applicant');
+      .select('stage_history pipeline_stage current_stage_entered jobId applicant');
 
     if (!application) {
       return errorResponse(res, 404, 'Application not found');
     }
 
-    // Authorization: Only admin or the applicant can view history
-    const isOwner = req.user._id.toString() === application.applicant._id.toString();
-    const isAdmin = req.user.role === 'admin';
-
-    if (!isAdmin && !isOwner) {
-      return errorResponse(res, 403, 'Not authorized to view this application history');
-    }
-
     return successResponse(res, 200, 'Stage history retrieved', {
+      applicationId: application._id,
+      applicant: application.applicant.name,
       currentStage: application.pipeline_stage,
+      currentStageEntered: application.current_stage_entered,
       history: application.stage_history.sort((a, b) => b.changed_at - a.changed_at)
     });
 
@@ -234,49 +238,58 @@ exports.getStageHistory = async (req, res, next) => {
 
 /**
  * @desc    Get all applications grouped by pipeline stage (Kanban board)
- * @route   GET /api/applications/pipeline
+ * @route   GET /api/pipeline/applications/pipeline
  * @access  Private (Admin only)
  */
 exports.getKanbanBoard = async (req, res, next) => {
   try {
     const { jobId } = req.query;
     const query = {};
+    let template;
 
     if (jobId) {
       if (!mongoose.Types.ObjectId.isValid(jobId)) {
         return errorResponse(res, 400, 'Invalid job ID format');
       }
-      query.job = jobId;
+
+      const job = await Job.findById(jobId).select('pipelineTemplate');
+      if (!job) {
+        return errorResponse(res, 404, 'Job not found');
+      }
+
+      query.jobId = jobId;
+      template = await PipelineTemplate.resolveForJob(job);
+    } else {
+      template = await PipelineTemplate.resolveDefault();
     }
 
     const applications = await Application.find(query)
-      .populate('job', 'title company')
-      .populate('applicant', 'name email')
+      .select('jobId applicant pipeline_stage current_stage_entered createdAt')
+      .populate('jobId', 'title')
       .sort({ current_stage_entered: -1 })
       .lean();
 
-    // Group by pipeline stage
-    const kanbanBoard = {
-      applied: [],
-      screening: [],
-      interview: [],
-      assessment: [],
-      offer: [],
-      hired: [],
-      rejected: []
-    };
+    // Group by pipeline stage. Stages outside the template (e.g. other jobs' templates) get their own column.
+    const kanbanBoard = Object.fromEntries(
+      template.stageKeys().map(stage => [stage, []])
+    );
 
     applications.forEach(app => {
-      if (kanbanBoard[app.pipeline_stage]) {
-        kanbanBoard[app.pipeline_stage].push({
-          _id: app._id,
-          applicant: app.applicant,
-          job: app.job,
-          stage: app.pipeline_stage,
-          timeInStage: Math.floor((new Date() - new Date(app.current_stage_entered)) / (1000 * 60 * 60 * 24)), // days
-          appliedAt: app.createdAt
-        });
+      if (!kanbanBoard[app.pipeline_stage]) {
+        kanbanBoard[app.pipeline_stage] = [];
       }
+
+      kanbanBoard[app.pipeline_stage].push({
+        _id: app._id,
+        applicant: {
+          name: app.applicant.name,
+          email: app.applicant.email
+        },
+        job: app.jobId,
+        stage: app.pipeline_stage,
+        timeInStage: Math.floor((new Date() - new Date(app.current_stage_entered)) / (1000 * 60 * 60 * 24)), // days
+        appliedAt: app.createdAt
+      });
     });
 
     return successResponse(res, 200, 'Kanban board retrieved', kanbanBoard);
@@ -0,0 +1,372 @@
+const mongoose = require('mongoose');
+const PipelineTemplate = require('../models/PipelineTemplate');
+const Application = require('../models/Application');
+const Job = require('../models/Job');
+const { successResponse, errorResponse } = require('../utils/responseUtils');
+const { createAuditLog } = require('../utils/auditLogger');
+
+/**
+ * Build a fully connected transition graph (every stage may move to every other stage)
+ */
+const buildOpenTransitions = (stages) => {
+  const keys = stages.map(s => s.key);
+  return Object.fromEntries(keys.map(key => [key, keys.filter(k => k !== key)]));
+};
+
+/**
+ * Normalise incoming stages: lowercase keys, default labels and order, no outcome or purpose unless given
+ */
+const normaliseStages = (stages) => stages.map((stage, index) => ({
+  key: String(stage.key).trim().toLowerCase(),
+  label: stage.label || stage.key,
+  order: stage.order !== undefined ? stage.order : index + 1,
+  outcome: stage.outcome || null,
+  purpose: stage.purpose || null
+}));
+
+/**
+ * Stages that applications of the given jobs currently sit in but the stage list does not contain
+ */
+const findStrandedStages = async (jobIds, stageKeys) => {
+  if (jobIds.length === 0) return [];
+
+  return Application.distinct('pipeline_stage', {
+    jobId: { $in: jobIds },
+    pipeline_stage: { $nin: stageKeys }
+  });
+};
+
+/**
+ * IDs of jobs whose pipeline is the given template, including jobs that
+ * inherit it because it is (or is about to become) the default
+ */
+const findJobsUsingTemplate = async (templateId, { isDefault = false } = {}) => {
+  const filter = isDefault
+    ? { $or: [{ pipelineTemplate: templateId }, { pipelineTemplate: null }] }
+    : { pipelineTemplate: templateId };
+
+  return Job.find(filter).distinct('_id');
+};
+
+const formatTemplate = (template) => ({
+  _id: template._id,
+  name: template.name,
+  description: template.description,
+  stages: [...template.stages].sort((a, b) => a.order - b.order),
+  transitions: Object.fromEntries(template.transitions || []),
+  isDefault: template.isDefault,
+  isBuiltIn: template.isNew,
+  createdAt: template.createdAt,
+  updatedAt: template.updatedAt
+});
+
+/**
+ * @desc    Create a pipeline template
+ * @route   POST /api/pipeline/templates
+ * @access  Private (Admin only)
+ */
+exports.createTemplate = async (req, res, next) => {
+  try {
+    const { name, description, stages, transitions, isDefault } = req.body;
+
+    const normalisedStages = normaliseStages(stages);
+
+    // Business rule: A new default must cover every stage inheriting jobs already use
+    if (isDefault) {
+      const jobIds = await findJobsUsingTemplate(null, { isDefault: true });
+      const stranded = await findStrandedStages(jobIds, normalisedStages.map(s => s.key));
+      if (stranded.length > 0) {
+        return errorResponse(
+          res,
+          400,
+          `Cannot make this the default: applications on jobs without a template are in stages it does not have: ${stranded.join(', ')}`
+        );
+      }
+    }
+
+    const template = await PipelineTemplate.create({
+      name,
+      description: description || '',
+      stages: normalisedStages,
+      transitions: transitions || buildOpenTransitions(normalisedStages),
+      isDefault: !!isDefault,
+      createdBy: req.user._id
+    });
+
+    await createAuditLog({
+      user: req.user._id,
+      action: 'PIPELINE_TEMPLATE_CREATED',
+      resource: 'PipelineTemplate',
+      resourceId: template._id,
+      ipAddress: req.auditMetadata?.ipAddress,
+      userAgent: req.auditMetadata?.userAgent,
+      details: {
+        name: template.name,
+        stages: template.stageKeys()
+      },
+      severity: 'low'
+    });
+
+    return successResponse(res, 201, 'Pipeline template created successfully', formatTemplate(template));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List pipeline templates
+ * @route   GET /api/pipeline/templates
+ * @access  Private (Admin only)
+ */
+exports.getTemplates = async (req, res, next) => {
+  try {
+    const templates = await PipelineTemplate.find().sort({ isDefault: -1, name: 1 });
+    const defaultTemplate = await PipelineTemplate.resolveDefault();
+
+    return successResponse(res, 200, 'Pipeline templates retrieved', {
+      templates: templates.map(formatTemplate),
+      defaultTemplate: formatTemplate(defaultTemplate)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a single pipeline template
+ * @route   GET /api/pipeline/templates/:templateId
+ * @access  Private (Admin only)
+ */
+exports.getTemplateById = async (req, res, next) => {
+  try {
+    const template = await PipelineTemplate.findById(req.params.templateId);
+    if (!template) {
+      return errorResponse(res, 404, 'Pipeline template not found');
+    }
+
+    const jobsUsingTemplate = await Job.countDocuments({ pipelineTemplate: template._id });
+
+    return successResponse(res, 200, 'Pipeline template retrieved', {
+      ...formatTemplate(template),
+      jobsUsingTemplate
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a pipeline template
+ * @route   PATCH /api/pipeline/templates/:templateId
+ * @access  Private (Admin only)
+ */
+exports.updateTemplate = async (req, res, next) => {
+  try {
+    const { name, description, stages, transitions, isDefault } = req.body;
+
+    const template = await PipelineTemplate.findById(req.params.templateId);
+    if (!template) {
+      return errorResponse(res, 404, 'Pipeline template not found');
+    }
+
+    const normalisedStages = stages !== undefined ? normaliseStages(stages) : null;
+    const willBeDefault = isDefault !== undefined ? !!isDefault : template.isDefault;
+
+    // Business rule: Cannot drop a stage that applications of jobs using this template are still in
+    if (normalisedStages || (willBeDefault && !template.isDefault)) {
+      const stageKeys = normalisedStages ? normalisedStages.map(s => s.key) : template.stageKeys();
+      const jobIds = await findJobsUsingTemplate(template._id, { isDefault: willBeDefault });
+      const stranded = await findStrandedStages(jobIds, stageKeys);
+      if (stranded.length > 0) {
+        return errorResponse(
+          res,
+          400,
+          `Stages still in use by applications would be missing from this template: ${stranded.join(', ')}`
+        );
+      }
+    }
+
+    if (normalisedStages) {
+      const stageKeys = normalisedStages.map(s => s.key);
+      template.stages = normalisedStages;
+
+      // Drop edges to removed stages unless a new graph was supplied
+      if (transitions === undefined) {
+        const pruned = {};
+        for (const key of stageKeys) {
+          pruned[key] = (template.transitions.get(key) || []).filter(t => stageKeys.includes(t));
+        }
+        template.transitions = pruned;
+      }
+    }
+
+    if (name !== undefined) template.name = name;
+    if (description !== undefined) template.description = description;
+    if (transitions !== undefined) template.transitions = transitions;
+    if (isDefault !== undefined) template.isDefault = !!isDefault;
+
+    await template.save();
+
+    await createAuditLog({
+      user: req.user._id,
+      action: 'PIPELINE_TEMPLATE_UPDATED',
+      resource: 'PipelineTemplate',
+      resourceId: template._id,
+      ipAddress: req.auditMetadata?.ipAddress,
+      userAgent: req.auditMetadata?.userAgent,
+      details: {
+        name: template.name,
+        updatedFields: Object.keys(req.body)
+      },
+      severity: 'low'
+    });
+
+    return successResponse(res, 200, 'Pipeline template updated successfully', formatTemplate(template));
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a pipeline template
+ * @route   DELETE /api/pipeline/templates/:templateId
+ * @access  Private (Admin only)
+ */
+exports.deleteTemplate = async (req, res, next) => {
+  try {
+    const template = await PipelineTemplate.findById(req.params.templateId);
+    if (!template) {
+      return errorResponse(res, 404, 'Pipeline template not found');
+    }
+
+    if (template.isDefault) {
+      return errorResponse(res, 400, 'Cannot delete the default template. Unset isDefault or choose another default first');
+    }
+
+    const jobsUsingTemplate = await Job.countDocuments({ pipelineTemplate: template._id });
+    if (jobsUsingTemplate > 0) {
+      return errorResponse(
+        res,
+        400,
+        `Cannot delete a template that is attached to ${jobsUsingTemplate} job(s)`
+      );
+    }
+
+    await template.deleteOne();
+
+    await createAuditLog({
+      user: req.user._id,
+      action: 'PIPELINE_TEMPLATE_DELETED',
+      resource: 'PipelineTemplate',
+      resourceId: template._id,
+      ipAddress: req.auditMetadata?.ipAddress,
+      userAgent: req.auditMetadata?.userAgent,
+      details: { name: template.name },
+      severity: 'medium'
+    });
+
+    return successResponse(res, 200, 'Pipeline template deleted successfully');
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the pipeline that applies to a job
+ * @route   GET /api/pipeline/jobs/:jobId/pipeline-template
+ * @access  Private (Admin only)
+ */
+exports.getJobPipelineTemplate = async (req, res, next) => {
+  try {
+    const job = await Job.findById(req.params.jobId).select('title pipelineTemplate');
+    if (!job) {
+      return errorResponse(res, 404, 'Job not found');
+    }
+
+    const template = await PipelineTemplate.resolveForJob(job);
+
+    return successResponse(res, 200, 'Job pipeline retrieved', {
+      job: { _id: job._id, title: job.title },
+      inheritsDefault: !job.pipelineTemplate,
+      pipelineTemplate: formatTemplate(template)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Attach a pipeline template to a job (null resets to the default)
+ * @route   PATCH /api/pipeline/jobs/:jobId/pipeline-template
+ * @access  Private (Admin only)
+ */
+exports.assignJobPipelineTemplate = async (req, res, next) => {
+  try {
+    const { jobId } = req.params;
+    const { templateId } = req.body;
+
+    const job = await Job.findById(jobId);
+    if (!job) {
+      return errorResponse(res, 404, 'Job not found');
+    }
+
+    let template;
+    if (templateId) {
+      if (!mongoose.Types.ObjectId.isValid(templateId)) {
+        return errorResponse(res, 400, 'Invalid template ID format');
+      }
+
+      template = await PipelineTemplate.findById(templateId);
+      if (!template) {
+        return errorResponse(res, 404, 'Pipeline template not found');
+      }
+    } else {
+      template = await PipelineTemplate.resolveDefault();
+    }
+
+    // Business rule: Every existing application must have a place in the new pipeline
+    const stranded = await findStrandedStages([job._id], template.stageKeys());
+    if (stranded.length > 0) {
+      return errorResponse(
+        res,
+        400,
+        `Applications for this job are in stages the template does not have: ${stranded.join(', ')}`
+      );
+    }
+
+    const previousTemplate = job.pipelineTemplate;
+    job.pipelineTemplate = templateId || null;
+    await job.save();
+
+    await createAuditLog({
+      user: req.user._id,
+      action: 'JOB_UPDATED',
+      resource: 'Job',
+      resourceId: job._id,
+      ipAddress: req.auditMetadata?.ipAddress,
+      userAgent: req.auditMetadata?.userAgent,
+      details: {
+        jobTitle: job.title,
+        action: 'Pipeline template changed',
+        previousTemplate,
+        newTemplate: job.pipelineTemplate
+      },
+      severity: 'low'
+    });
+
+    return successResponse(res, 200, 'Job pipeline template updated successfully', {
+      job: { _id: job._id, title: job.title },
+      inheritsDefault: !job.pipelineTemplate,
+      pipelineTemplate: formatTemplate(template)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
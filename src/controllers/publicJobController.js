@@ -27,7 +27,7 @@ exports.getPublicJobs = async (req, res, next) => {
 
     // Get paginated jobs
     const jobs = await Job.find(filter)
-      .select('title description location type work_mode key_responsibilities what_we_offer requirements deadline')
+      .select('title description location type work_mode key_responsibilities what_we_offer requirements deadline timezone')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit);
@@ -43,7 +43,8 @@ exports.getPublicJobs = async (req, res, next) => {
       key_responsibilities: job.key_responsibilities,
       what_we_offer: job.what_we_offer,
       requirements: job.requirements,
-      deadline: job.deadline
+      deadline: job.deadline,
+      timezone: job.timezone
     }));
 
     return successResponse(res, 200, 'Jobs retrieved successfully', {
@@ -97,6 +98,7 @@ exports.getPublicJobById = async (req, res, next) => {
       what_we_offer: job.what_we_offer,
       requirements: job.requirements,
       deadline: job.deadline,
+      timezone: job.timezone,
       createdAt: job.createdAt,
       fields
     });
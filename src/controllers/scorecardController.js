@@ -0,0 +1,245 @@
+const mongoose = require('mongoose');
+const Application = require('../models/Application');
+const Job = require('../models/Job');
+const Scorecard = require('../models/Scorecard');
+const ScorecardSubmission = require('../models/ScorecardSubmission');
+const { successResponse, errorResponse } = require('../utils/responseUtils');
+const { createAuditLog } = require('../utils/auditLogger');
+const {
+  buildScorecardDefinition,
+  buildSubmissionRatings,
+  refreshScorecardSummary,
+  summarizeCriteria
+} = require('../services/scorecardService');
+
+const formatScorecard = (scorecard) => ({
+  id: scorecard._id,
+  jobId: scorecard.jobId,
+  criteria: scorecard.criteria,
+  scale: scorecard.scale,
+  updatedAt: scorecard.updatedAt
+});
+
+const formatSubmission = (submission) => ({
+  id: submission._id,
+  reviewer: submission.reviewer,
+  ratings: submission.ratings,
+  scale: submission.scale,
+  score: submission.score,
+  notes: submission.notes,
+  submittedAt: submission.createdAt,
+  updatedAt: submission.updatedAt
+});
+
+/**
+ * @desc    Get the scorecard reviewers use for a job
+ * @route   GET /api/admin/jobs/:jobId/scorecard
+ * @access  Private/Admin
+ */
+exports.getJobScorecard = async (req, res, next) => {
+  try {
+    const { jobId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(jobId)) {
+      return errorResponse(res, 400, 'Invalid job ID');
+    }
+
+    const scorecard = await Scorecard.findOne({ jobId });
+
+    return successResponse(res, 200, scorecard ? 'Scorecard retrieved successfully' : 'No scorecard defined for this job', {
+      scorecard: scorecard ? formatScorecard(scorecard) : null
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create or replace a job's scorecard
+ * @route   PUT /api/admin/jobs/:jobId/scorecard
+ * @access  Private/Admin
+ *
+ * Submitted scorecards keep the criteria and weights they were rated against.
+ */
+exports.saveJobScorecard = async (req, res, next) => {
+  try {
+    const { jobId } = req.params;
+
+    const job = await Job.findById(jobId).select('title');
+    if (!job) {
+      return errorResponse(res, 404, 'Job not found');
+    }
+
+    const existing = await Scorecard.findOne({ jobId });
+
+    const definition = buildScorecardDefinition(req.body, existing);
+    if (definition.error) {
+      return errorResponse(res, 400, definition.error);
+    }
+
+    const scorecard = existing || new Scorecard({ jobId });
+    scorecard.criteria = definition.criteria;
+    scorecard.scale = definition.scale;
+    scorecard.updatedBy = req.user._id;
+    await scorecard.save();
+
+    await createAuditLog({
+      user: req.user._id,
+      action: 'SCORECARD_UPDATED',
+      resource: 'Job',
+      resourceId: job._id,
+      ipAddress: req.auditMetadata?.ipAddress,
+      userAgent: req.auditMetadata?.userAgent,
+      details: {
+        jobTitle: job.title,
+        criteria: scorecard.criteria.map(c => ({ label: c.label, weight: c.weight })),
+        scale: definition.scale,
+        created: !existing
+      }
+    });
+
+    return successResponse(res, existing ? 200 : 201, 'Scorecard saved successfully', {
+      scorecard: formatScorecard(scorecard)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Submit or update the signed-in reviewer's scorecard for a response
+ * @route   PUT /api/admin/responses/:responseId/scorecard
+ * @access  Private/Admin
+ */
+exports.submitScorecard = async (req, res, next) => {
+  try {
+    const { responseId } = req.params;
+    const { ratings, notes } = req.body;
+
+    const application = await Application.findById(responseId).populate('jobId', 'title');
+    if (!application || !application.jobId) {
+      return errorResponse(res, 404, 'Response not found');
+    }
+
+    const scorecard = await Scorecard.findOne({ jobId: application.jobId._id });
+    if (!scorecard) {
+      return errorResponse(res, 400, 'This job has no scorecard yet');
+    }
+
+    const result = buildSubmissionRatings(scorecard, ratings);
+    if (result.errors) {
+      return errorResponse(res, 400, 'Invalid ratings', result.errors);
+    }
+
+    const existing = await ScorecardSubmission.findOne({ applicationId: application._id, reviewer: req.user._id });
+
+    const submission = existing || new ScorecardSubmission({
+      applicationId: application._id,
+      jobId: application.jobId._id,
+      reviewer: req.user._id
+    });
+    submission.ratings = result.ratings;
+    submission.scale = { min: scorecard.scale.min, max: scorecard.scale.max };
+    submission.score = result.score;
+    if (notes !== undefined) submission.notes = notes;
+    await submission.save();
+
+    const summary = await refreshScorecardSummary(application._id);
+
+    await createAuditLog({
+      user: req.user._id,
+      action: 'SCORECARD_SUBMITTED',
+      resource: 'Application',
+      resourceId: application._id,
+      ipAddress: req.auditMetadata?.ipAddress,
+      userAgent: req.auditMetadata?.userAgent,
+      details: {
+        jobTitle: application.jobId.title,
+        applicantName: application.applicant.name,
+        score: result.score,
+        updated: !!existing
+      }
+    });
+
+    return successResponse(res, existing ? 200 : 201, 'Scorecard submitted successfully', {
+      submission: formatSubmission(submission),
+      summary
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get every reviewer's scorecard for a response, with averages
+ * @route   GET /api/admin/responses/:responseId/scorecards
+ * @access  Private/Admin
+ */
+exports.getResponseScorecards = async (req, res, next) => {
+  try {
+    const { responseId } = req.params;
+
+    const application = await Application.findById(responseId).select('jobId scorecardSummary');
+    if (!application) {
+      return errorResponse(res, 404, 'Response not found');
+    }
+
+    const [scorecard, submissions] = await Promise.all([
+      Scorecard.findOne({ jobId: application.jobId }),
+      ScorecardSubmission.find({ applicationId: application._id })
+        .populate('reviewer', 'name email')
+        .sort({ createdAt: 1 })
+    ]);
+
+    return successResponse(res, 200, 'Scorecards retrieved successfully', {
+      scorecard: scorecard ? formatScorecard(scorecard) : null,
+      summary: application.scorecardSummary,
+      criteria: summarizeCriteria(submissions),
+      submissions: submissions.map(formatSubmission)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Withdraw the signed-in reviewer's scorecard for a response
+ * @route   DELETE /api/admin/responses/:responseId/scorecard
+ * @access  Private/Admin
+ */
+exports.deleteMyScorecard = async (req, res, next) => {
+  try {
+    const { responseId } = req.params;
+
+    const submission = await ScorecardSubmission.findOneAndDelete({
+      applicationId: responseId,
+      reviewer: req.user._id
+    });
+    if (!submission) {
+      return errorResponse(res, 404, 'You have not submitted a scorecard for this response');
+    }
+
+    const summary = await refreshScorecardSummary(responseId);
+
+    await createAuditLog({
+      user: req.user._id,
+      action: 'SCORECARD_DELETED',
+      resource: 'Application',
+      resourceId: responseId,
+      ipAddress: req.auditMetadata?.ipAddress,
+      userAgent: req.auditMetadata?.userAgent,
+      details: {
+        score: submission.score
+      }
+    });
+
+    return successResponse(res, 200, 'Scorecard deleted successfully', { summary });
+
+  } catch (error) {
+    next(error);
+  }
+};
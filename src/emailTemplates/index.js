@@ -0,0 +1,242 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Built-in email templates.
+ *
+ * Each entry is used as-is until an admin saves a version of it through
+ * /admin/email-templates. `variables` lists the placeholders the template may
+ * use, with the sample values shown in previews; `required` ones must have a
+ * value when an admin sends the email. `fromName` is the sender name and may
+ * use the same variables. `sendable` templates can be sent to applicants
+ * through /admin/messages.
+ */
+
+const readDefault = (key) => fs.readFileSync(path.join(__dirname, `${key}.html`), 'utf8');
+
+const APPLICANT_VARIABLES = {
+  applicant_name: { description: 'Applicant full name', sample: 'Abebe Kebede' },
+  job_title: { description: 'Title of the job applied for', sample: 'Senior Backend Engineer' }
+};
+
+const SENDER_VARIABLES = {
+  sender_name: { description: 'Name of the person sending the email', sample: 'Sara Bekele' },
+  sender_title: { description: 'Job title of the sender', sample: 'Talent Acquisition Lead' }
+};
+
+const CUSTOM_MESSAGE_VARIABLE = {
+  custom_message: { description: 'Optional extra paragraph written by the sender', sample: 'Please bring a copy of your ID.' }
+};
+
+const EMAIL_TEMPLATES = {
+  application_confirmation: {
+    name: 'Application confirmation',
+    description: 'Sent to the applicant right after they submit an application',
+    jobOverridable: true,
+    sendable: false,
+    fromName: 'FaydaTech Careers',
+    subject: 'Application Received - {{job_title}}',
+    variables: { ...APPLICANT_VARIABLES }
+  },
+  interview_invitation: {
+    name: 'Interview invitation',
+    description: 'Sent when an applicant is invited to an interview',
+    jobOverridable: true,
+    sendable: true,
+    fromName: '{{sender_name}} - FaydaTech',
+    subject: 'Interview Invitation for {{role}}',
+    variables: {
+      ...APPLICANT_VARIABLES,
+      role: { description: 'Role the interview is for', sample: 'Senior Backend Engineer' },
+      interview_date: { description: 'Interview date', sample: '2025-03-14', required: true },
+      interview_time: { description: 'Interview time', sample: '10:00 AM', required: true },
+      interview_location: { description: 'Interview address or meeting link', sample: 'https://meet.google.com/abc-defg-hij', required: true },
+      ...CUSTOM_MESSAGE_VARIABLE,
+      ...SENDER_VARIABLES
+    }
+  },
+  interview_booking: {
+    name: 'Interview booking link',
+    description: 'Sent when an applicant is asked to pick an interview time from the interviewers\' availability',
+    jobOverridable: true,
+    sendable: false,
+    fromName: 'FaydaTech Careers',
+    subject: 'Book your interview - {{job_title}}',
+    variables: {
+      ...APPLICANT_VARIABLES,
+      booking_link: { description: 'Link to the page where the applicant picks a time', sample: 'https://careers.faydatech.com/interviews/book?token=sample' },
+      duration_minutes: { description: 'Length of the interview in minutes', sample: '45' },
+      expires_at: { description: 'When the booking link expires', sample: 'Friday, 21 March 2025' },
+      ...CUSTOM_MESSAGE_VARIABLE,
+      sender_name: SENDER_VARIABLES.sender_name
+    }
+  },
+  interview_rescheduled: {
+    name: 'Interview rescheduled',
+    description: 'Sent with an updated calendar invitation when an interview moves to another time or place',
+    jobOverridable: true,
+    sendable: false,
+    fromName: 'FaydaTech Careers',
+    subject: 'Interview Rescheduled - {{role}}',
+    variables: {
+      ...APPLICANT_VARIABLES,
+      role: { description: 'Role the interview is for', sample: 'Senior Backend Engineer' },
+      interview_date: { description: 'New interview date', sample: 'Monday, 17 March 2025' },
+      interview_time: { description: 'New interview time', sample: '14:00 - 14:45 UTC' },
+      interview_location: { description: 'Interview address or meeting link', sample: 'https://meet.google.com/abc-defg-hij' },
+      previous_date: { description: 'Date the interview was moved from', sample: 'Friday, 14 March 2025' },
+      previous_time: { description: 'Time the interview was moved from', sample: '10:00 - 10:45 UTC' },
+      reason: { description: 'Optional explanation from the sender', sample: 'The interviewer is travelling that day.' },
+      sender_name: SENDER_VARIABLES.sender_name
+    }
+  },
+  interview_cancelled: {
+    name: 'Interview cancelled',
+    description: 'Sent with a calendar cancellation when an interview is cancelled',
+    jobOverridable: true,
+    sendable: false,
+    fromName: 'FaydaTech Careers',
+    subject: 'Interview Cancelled - {{role}}',
+    variables: {
+      ...APPLICANT_VARIABLES,
+      role: { description: 'Role the interview was for', sample: 'Senior Backend Engineer' },
+      interview_date: { description: 'Date of the cancelled interview', sample: 'Friday, 14 March 2025' },
+      interview_time: { description: 'Time of the cancelled interview', sample: '10:00 - 10:45 UTC' },
+      reason: { description: 'Optional explanation from the sender', sample: 'The position has been filled.' },
+      sender_name: SENDER_VARIABLES.sender_name
+    }
+  },
+  acceptance: {
+    name: 'Acceptance',
+    description: 'Sent when an applicant is hired',
+    jobOverridable: true,
+    sendable: true,
+    fromName: '{{sender_name}} - FaydaTech',
+    subject: '🎉 Congratulations! - {{role}} Position at FaydaTech',
+    variables: {
+      ...APPLICANT_VARIABLES,
+      role: { description: 'Role the applicant is hired for', sample: 'Senior Backend Engineer' },
+      ...CUSTOM_MESSAGE_VARIABLE,
+      ...SENDER_VARIABLES
+    }
+  },
+  rejection: {
+    name: 'Rejection',
+    description: 'Sent when an application is rejected',
+    jobOverridable: true,
+    sendable: true,
+    fromName: 'FaydaTech Careers',
+    subject: 'Your Application - {{job_title}}',
+    variables: { ...APPLICANT_VARIABLES, ...CUSTOM_MESSAGE_VARIABLE }
+  },
+  offer: {
+    name: 'Offer',
+    description: 'Sent when an application moves to the offer stage',
+    jobOverridable: true,
+    sendable: true,
+    fromName: 'FaydaTech Careers',
+    subject: 'Job Offer - {{job_title}}',
+    variables: { ...APPLICANT_VARIABLES, ...CUSTOM_MESSAGE_VARIABLE, ...SENDER_VARIABLES }
+  },
+  offer_letter: {
+    name: 'Offer letter',
+    description: 'Sent with the offer letter (PDF) and a link to accept or decline when an offer is made',
+    jobOverridable: true,
+    sendable: false,
+    fromName: '{{sender_name}} - FaydaTech',
+    subject: 'Your Job Offer - {{role}} at FaydaTech',
+    variables: {
+      ...APPLICANT_VARIABLES,
+      role: { description: 'Role offered', sample: 'Senior Backend Engineer' },
+      salary: { description: 'Salary and how often it is paid', sample: 'ETB 85,000.00 per month' },
+      start_date: { description: 'Start date', sample: 'Monday, 7 April 2025' },
+      expires_at: { description: 'Last day to respond', sample: 'Friday, 21 March 2025' },
+      offer_link: { description: 'Link to accept or decline the offer', sample: 'https://careers.faydatech.com/offers/respond?token=sample' },
+      ...CUSTOM_MESSAGE_VARIABLE,
+      sender_name: SENDER_VARIABLES.sender_name
+    }
+  },
+  applicant_message: {
+    name: 'Message to applicant',
+    description: 'General-purpose message an admin writes to one or more applicants',
+    jobOverridable: true,
+    sendable: true,
+    fromName: 'FaydaTech Careers',
+    subject: 'Update on your application - {{job_title}}',
+    variables: {
+      ...APPLICANT_VARIABLES,
+      message: { description: 'Message text', sample: 'We are still reviewing applications and will get back to you next week.', required: true },
+      ...SENDER_VARIABLES
+    }
+  },
+  magic_link: {
+    name: 'Applicant portal sign-in link',
+    description: 'Sent when an applicant asks for a link to the applicant portal',
+    jobOverridable: false,
+    sendable: false,
+    fromName: 'FaydaTech Careers',
+    subject: 'Your FaydaTech application portal link',
+    variables: {
+      link: { description: 'Sign-in link', sample: 'https://careers.faydatech.com/applicant/verify?token=sample' },
+      expires_in_minutes: { description: 'Minutes until the link expires', sample: '15' }
+    }
+  },
+  mention: {
+    name: 'Comment mention',
+    description: 'Sent to an admin who was @mentioned in a comment',
+    jobOverridable: false,
+    sendable: false,
+    fromName: 'FaydaTech Careers',
+    subject: '{{author_name}} mentioned you on {{applicant_name}}\'s application',
+    variables: {
+      ...APPLICANT_VARIABLES,
+      recipient_name: { description: 'Name of the mentioned admin', sample: 'Sara Bekele' },
+      author_name: { description: 'Name of the comment author', sample: 'Dawit Alemu' },
+      excerpt: { description: 'Start of the comment', sample: 'Strong portfolio. @Sara Bekele can you check the system design answer?' },
+      link: { description: 'Link to the application in the dashboard', sample: 'https://careers.faydatech.com/admin/responses/sample' }
+    }
+  },
+  offer_response: {
+    name: 'Offer response',
+    description: 'Sent to the admin who made an offer when the candidate accepts or declines it',
+    jobOverridable: false,
+    sendable: false,
+    fromName: 'FaydaTech Careers',
+    subject: '{{applicant_name}} {{outcome}} the offer for {{role}}',
+    variables: {
+      ...APPLICANT_VARIABLES,
+      recipient_name: { description: 'Name of the admin', sample: 'Sara Bekele' },
+      role: { description: 'Role offered', sample: 'Senior Backend Engineer' },
+      outcome: { description: 'accepted or declined', sample: 'accepted' },
+      reason: { description: 'Reason the candidate gave for declining', sample: 'I accepted another offer.' },
+      stage_note: { description: 'Set when the application could not be moved to hired or rejected, saying why', sample: '' },
+      link: { description: 'Link to the application in the dashboard', sample: 'https://careers.faydatech.com/admin/responses/sample' }
+    }
+  },
+  interviewer_notification: {
+    name: 'Interviewer notification',
+    description: 'Sent to the interviewers of an interview, with a calendar file, when it is scheduled, rescheduled or cancelled',
+    jobOverridable: false,
+    sendable: false,
+    fromName: 'FaydaTech Careers',
+    subject: '{{change}}: {{applicant_name}} - {{job_title}}',
+    variables: {
+      ...APPLICANT_VARIABLES,
+      recipient_name: { description: 'Name of the interviewer', sample: 'Sara Bekele' },
+      change: { description: 'What happened to the interview', sample: 'Interview scheduled' },
+      interview_date: { description: 'Interview date, in the interviewer\'s time zone', sample: 'Friday, 14 March 2025' },
+      interview_time: { description: 'Interview time, in the interviewer\'s time zone', sample: '10:00 - 10:45 GMT+3 (Africa/Addis_Ababa)' },
+      interview_location: { description: 'Interview address or meeting link', sample: 'https://meet.google.com/abc-defg-hij' },
+      panel: { description: 'Names of all interviewers', sample: 'Sara Bekele, Dawit Alemu' },
+      reason: { description: 'Optional explanation of the change', sample: 'The applicant asked for a later time.' },
+      next_step: { description: 'What the interviewer is asked to do; empty for cancellations', sample: 'After the interview, please submit your feedback on the application.' },
+      link: { description: 'Link to the application in the dashboard', sample: 'https://careers.faydatech.com/admin/responses/sample' }
+    }
+  }
+};
+
+for (const [key, template] of Object.entries(EMAIL_TEMPLATES)) {
+  template.html = readDefault(key);
+}
+
+module.exports = EMAIL_TEMPLATES;
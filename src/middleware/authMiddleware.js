@@ -15,6 +15,10 @@ const protect = async (req, res, next) => {
     }
 
     const decoded = verifyToken(token);
+    if (decoded.type === 'applicant') {
+      return errorResponse(res, 401, 'Not authorized, token invalid or expired');
+    }
+
     req.user = await User.findById(decoded.id).select('-password');
 
     if (!req.user) {
@@ -27,4 +31,31 @@ const protect = async (req, res, next) => {
   }
 };
 
-module.exports = { protect };
\ No newline at end of file
+/**
+ * Applicant portal sessions (magic-link sign-in). Sets req.applicant = { email }.
+ */
+const protectApplicant = (req, res, next) => {
+  try {
+    let token;
+
+    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+      token = req.headers.authorization.split(' ')[1];
+    }
+
+    if (!token) {
+      return errorResponse(res, 401, 'Not authorized, no token provided');
+    }
+
+    const decoded = verifyToken(token);
+    if (decoded.type !== 'applicant' || !decoded.email) {
+      return errorResponse(res, 401, 'Not authorized, token invalid or expired');
+    }
+
+    req.applicant = { email: decoded.email };
+    next();
+  } catch (error) {
+    return errorResponse(res, 401, 'Not authorized, token invalid or expired');
+  }
+};
+
+module.exports = { protect, protectApplicant };
\ No newline at end of file
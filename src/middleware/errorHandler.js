@@ -29,6 +29,16 @@ const errorHandler = (err, req, res, next) => {
     return errorResponse(res, 400, err.message);
   }
 
+  if (err.name === 'MulterError') {
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return errorResponse(res, 413, 'File too large');
+    }
+    if (err.code === 'LIMIT_FILE_COUNT') {
+      return errorResponse(res, 400, 'Too many files uploaded');
+    }
+    return errorResponse(res, 400, err.message);
+  }
+
   const statusCode = err.statusCode || 500;
   const message = err.message || 'Internal Server Error';
   
@@ -1,4 +1,56 @@
 const mongoose = require('mongoose');
+const { isValidTimeZone } = require('../utils/timezone');
+
+const stageHistorySchema = new mongoose.Schema({
+  stage: {
+    type: String,
+    required: true
+  },
+  from_stage: {
+    type: String,
+    default: null
+  },
+  // Null when the change was made by the system (submission, migration)
+  changed_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  changed_at: {
+    type: Date,
+    default: Date.now
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+});
+
+/**
+ * Uploaded file stored in the private uploads bucket.
+ * The matching answer's value is the object key.
+ */
+const applicationFileSchema = new mongoose.Schema({
+  fieldId: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  bucket: {
+    type: String,
+    required: true
+  },
+  originalName: String,
+  mimeType: String,
+  size: Number,
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
 
 const applicationSchema = new mongoose.Schema({
   jobId: {
@@ -7,6 +59,13 @@ const applicationSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Person behind the application, shared across jobs
+  candidateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Candidate',
+    default: null,
+    index: true
+  },
   applicant: {
     name: {
       type: String,
@@ -33,6 +92,15 @@ const applicationSchema = new mongoose.Schema({
       type: String,
       required: true,
       trim: true
+    },
+    // IANA zone emails to the applicant are written in; the job's zone when null
+    timezone: {
+      type: String,
+      default: null,
+      validate: {
+        validator: (value) => value == null || isValidTimeZone(value),
+        message: 'Timezone must be an IANA time zone such as Africa/Addis_Ababa'
+      }
     }
   },
   answers: [{
@@ -42,6 +110,21 @@ const applicationSchema = new mongoose.Schema({
     },
     value: mongoose.Schema.Types.Mixed
   }],
+  // JobField version the answers were given against (null for applications
+  // submitted before form versioning)
+  formVersion: {
+    type: Number,
+    default: null
+  },
+  files: {
+    type: [applicationFileSchema],
+    default: []
+  },
+  // Client-supplied key so a retried submit returns the original result
+  idempotencyKey: {
+    type: String,
+    default: undefined
+  },
   isSaved: {
     type: Boolean,
     default: false,
@@ -57,10 +140,51 @@ const applicationSchema = new mongoose.Schema({
     default: false,
     index: true
   },
+  // Stage key from the job's pipeline template
+  pipeline_stage: {
+    type: String,
+    default: 'applied',
+    index: true
+  },
+  current_stage_entered: {
+    type: Date,
+    default: Date.now
+  },
+  stage_history: {
+    type: [stageHistorySchema],
+    default: () => [{ stage: 'applied', notes: 'Application submitted' }]
+  },
+  // Set when the applicant withdraws through the applicant portal
+  withdrawnAt: {
+    type: Date,
+    default: null
+  },
+  withdrawalReason: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Kept in sync with the reviewers' scorecards so responses can be sorted by score
+  scorecardSummary: {
+    averageScore: {
+      type: Number,
+      default: null
+    },
+    reviewerCount: {
+      type: Number,
+      default: 0
+    }
+  },
+  // date is the start in UTC; time is how it was shown to the applicant, in timezone
   interviewDetails: {
     date: Date,
     time: String,
-    meetLink: String
+    timezone: String,
+    meetLink: String,
+    interviewers: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }]
   },
   hasField: {
     type: Boolean,
@@ -72,5 +196,32 @@ const applicationSchema = new mongoose.Schema({
 });
 
 applicationSchema.index({ jobId: 1, 'applicant.email': 1 }, { unique: true });
+applicationSchema.index({ jobId: 1, pipeline_stage: 1 });
+applicationSchema.index({ jobId: 1, 'scorecardSummary.averageScore': -1 });
+applicationSchema.index(
+  { jobId: 1, idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
+
+/**
+ * Move the application to a new pipeline stage and record it in the history.
+ * Does not save the document.
+ */
+applicationSchema.methods.moveToStage = function(stage, { changedBy = null, notes } = {}) {
+  const previousStage = this.pipeline_stage;
+  const now = new Date();
+
+  this.pipeline_stage = stage;
+  this.current_stage_entered = now;
+  this.stage_history.push({
+    stage,
+    from_stage: previousStage,
+    changed_by: changedBy,
+    changed_at: now,
+    notes: notes || `Moved from ${previousStage} to ${stage}`
+  });
+
+  return previousStage;
+};
 
 module.exports = mongoose.model('Application', applicationSchema);
\ No newline at end of file
@@ -1,10 +1,11 @@
 const mongoose = require('mongoose');
 
 const auditLogSchema = new mongoose.Schema({
+  // null for actions applicants take through a link (e.g. answering an offer)
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true,
+    default: null,
     index: true
   },
   action: {
@@ -17,6 +18,7 @@ const auditLogSchema = new mongoose.Schema({
       'LOGOUT',
       'PASSWORD_CHANGED',
       'REGISTER',
+      'PROFILE_UPDATED',
       
       // Job Management
       'JOB_CREATED',
@@ -30,9 +32,45 @@ const auditLogSchema = new mongoose.Schema({
       'APPLICATION_SUBMITTED',
       'APPLICATION_VIEWED',
       'APPLICATION_DELETED',
+      'APPLICATION_SAVED',
+      'APPLICATION_UNSAVED',
       'STAGE_CHANGED',
       'CV_DOWNLOADED',
       'CV_VIEWED',
+      'SCORECARD_SUBMITTED',
+      'SCORECARD_DELETED',
+      'COMMENT_DELETED',
+      'EMAIL_SENT',
+      'EMAIL_RESENT',
+
+      // Pipeline Configuration
+      'PIPELINE_TEMPLATE_CREATED',
+      'PIPELINE_TEMPLATE_UPDATED',
+      'PIPELINE_TEMPLATE_DELETED',
+      'FORM_TEMPLATE_CREATED',
+      'FORM_TEMPLATE_DELETED',
+      'FORM_TEMPLATE_APPLIED',
+      'SCORECARD_UPDATED',
+      'EMAIL_TEMPLATE_UPDATED',
+      'EMAIL_TEMPLATE_RESET',
+
+      // Candidates
+      'CANDIDATE_MERGED',
+
+      // Interviews
+      'INTERVIEW_SLOTS_CREATED',
+      'INTERVIEW_SLOT_DELETED',
+      'INTERVIEW_SCHEDULED',
+      'INTERVIEW_RESCHEDULED',
+      'INTERVIEW_CANCELLED',
+      'INTERVIEW_BOOKING_LINK_SENT',
+      'INTERVIEW_FEEDBACK_SUBMITTED',
+
+      // Offers
+      'OFFER_SENT',
+      'OFFER_WITHDRAWN',
+      'OFFER_ACCEPTED',
+      'OFFER_DECLINED',
       
       // User Management
       'USER_ROLE_CHANGED',
@@ -50,7 +88,7 @@ const auditLogSchema = new mongoose.Schema({
   },
   resource: {
     type: String,
-    enum: ['User', 'Job', 'Application', 'System', 'Auth'],
+    enum: ['User', 'Job', 'Application', 'System', 'Auth', 'PipelineTemplate', 'FormTemplate', 'Candidate', 'EmailTemplate', 'Interview'],
     required: true,
     index: true
   },
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+/**
+ * A person across all of their applications.
+ * Identified by normalized email addresses and phone numbers (see services/candidateService.js);
+ * Applications point at their candidate through `candidateId`.
+ */
+const candidateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  emails: {
+    type: [String],
+    default: []
+  },
+  phones: {
+    type: [String],
+    default: []
+  },
+  country: {
+    type: String,
+    trim: true
+  },
+  city: {
+    type: String,
+    trim: true
+  },
+  // Set when this record was merged into another candidate
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Candidate',
+    default: null
+  },
+  mergedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// An email belongs to one active candidate, so concurrent first applications can't create two.
+// Merged candidates keep their emails and are left out.
+candidateSchema.index(
+  { emails: 1 },
+  { unique: true, partialFilterExpression: { mergedInto: { $type: 'null' } } }
+);
+candidateSchema.index({ phones: 1 });
+candidateSchema.index({ mergedInto: 1 });
+
+module.exports = mongoose.model('Candidate', candidateSchema);
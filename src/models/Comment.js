@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+const editSchema = new mongoose.Schema({
+  body: String,
+  editedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+/**
+ * Internal comment on an application. Replies point at a top-level comment
+ * through parentId; threads are one level deep.
+ */
+const commentSchema = new mongoose.Schema({
+  applicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true
+  },
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  body: {
+    type: String,
+    required: [true, 'Comment body is required'],
+    trim: true,
+    maxlength: [5000, 'Comment cannot exceed 5000 characters']
+  },
+  // Users @mentioned in the current body
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Earlier bodies, oldest first
+  editHistory: {
+    type: [editSchema],
+    default: []
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  // Deleted comments are kept for the history but no longer shown
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+commentSchema.index({ applicationId: 1, createdAt: 1 });
+
+/**
+ * Record the current body in the history and replace it
+ */
+commentSchema.methods.edit = function(body, mentions) {
+  this.editHistory.push({ body: this.body, editedAt: new Date() });
+  this.body = body;
+  this.mentions = mentions;
+  this.editedAt = new Date();
+};
+
+module.exports = mongoose.model('Comment', commentSchema);
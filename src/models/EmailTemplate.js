@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+const EMAIL_TEMPLATES = require('../emailTemplates');
+
+/**
+ * Admin-edited version of a built-in email template.
+ * jobId null is the version used for every job; a jobId makes it an override for that job.
+ */
+const emailTemplateSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    enum: Object.keys(EMAIL_TEMPLATES)
+  },
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    default: null
+  },
+  subject: {
+    type: String,
+    required: [true, 'Subject is required'],
+    trim: true,
+    maxlength: [300, 'Subject cannot exceed 300 characters']
+  },
+  html: {
+    type: String,
+    required: [true, 'HTML body is required']
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+emailTemplateSchema.index({ key: 1, jobId: 1 }, { unique: true });
+
+module.exports = mongoose.model('EmailTemplate', emailTemplateSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const JobField = require('./JobField');
+
+// Template fields share the JobField field definition (type, options, visibility, constraints)
+const fieldSchema = JobField.schema.path('fields').schema;
+
+const formTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    unique: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  fields: {
+    type: [fieldSchema],
+    validate: {
+      validator: function(v) {
+        return Array.isArray(v) && v.length > 0;
+      },
+      message: 'A form template needs at least one field'
+    }
+  },
+  sourceJobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('FormTemplate', formTemplateSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const JobField = require('./JobField');
+
+// Snapshots share the JobField field definition (type, options, visibility, constraints)
+const fieldSchema = JobField.schema.path('fields').schema;
+
+/**
+ * Immutable copy of a job form at a given version.
+ * Written the first time an application is submitted against that version,
+ * so editing or deleting questions later does not change how old answers render.
+ */
+const formVersionSchema = new mongoose.Schema({
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  fields: [fieldSchema]
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+formVersionSchema.index({ jobId: 1, version: 1 }, { unique: true });
+
+/**
+ * Store a snapshot of the JobField's current version if there is none yet.
+ * Returns the version number.
+ */
+formVersionSchema.statics.snapshot = async function(jobField) {
+  const fields = jobField.fields.map(f => (typeof f.toObject === 'function' ? f.toObject() : f));
+
+  try {
+    await this.updateOne(
+      { jobId: jobField.jobId, version: jobField.version },
+      { $setOnInsert: { fields } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // Concurrent submits can race on the upsert; the snapshot exists either way
+    if (error.code !== 11000) throw error;
+  }
+
+  return jobField.version;
+};
+
+module.exports = mongoose.model('FormVersion', formVersionSchema);
@@ -0,0 +1,274 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { DEFAULT_TIMEZONE, isValidTimeZone } = require('../utils/timezone');
+
+// awaiting_booking: a booking link was sent and the applicant has not picked a slot yet
+const INTERVIEW_STATUSES = ['awaiting_booking', 'scheduled', 'cancelled', 'completed'];
+
+const BOOKING_LINK_EXPIRY_DAYS = parseInt(process.env.INTERVIEW_BOOKING_EXPIRY_DAYS, 10) || 7;
+
+const INTERVIEW_CHANGES = ['booking_link_sent', 'scheduled', 'rescheduled', 'cancelled'];
+
+const FEEDBACK_RECOMMENDATIONS = ['strong_yes', 'yes', 'no', 'strong_no'];
+
+// Interviews whose interviewers owe feedback: the ones that are on or have taken place
+const FEEDBACK_STATUSES = ['scheduled', 'completed'];
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const interviewChangeSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: INTERVIEW_CHANGES,
+    required: true
+  },
+  // Null when the applicant made the change (booking)
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Time and place after the change, and before it for reschedules
+  startsAt: Date,
+  endsAt: Date,
+  location: String,
+  previousStartsAt: Date,
+  previousEndsAt: Date,
+  previousLocation: String,
+  reason: {
+    type: String,
+    default: ''
+  }
+}, { _id: false });
+
+// One interviewer's assessment after the interview; submitting it again replaces it
+const interviewFeedbackSchema = new mongoose.Schema({
+  interviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5']
+  },
+  recommendation: {
+    type: String,
+    enum: FEEDBACK_RECOMMENDATIONS,
+    required: [true, 'Recommendation is required']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [5000, 'Notes cannot exceed 5000 characters'],
+    default: ''
+  },
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+/**
+ * Interview of an applicant, scheduled directly by an admin or booked by the
+ * applicant from the interviewers' open slots
+ */
+const interviewSchema = new mongoose.Schema({
+  applicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true,
+    index: true
+  },
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: INTERVIEW_STATUSES,
+    required: true
+  },
+  interviewers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  startsAt: {
+    type: Date,
+    default: null
+  },
+  endsAt: {
+    type: Date,
+    default: null
+  },
+  // IANA zone the interview was arranged in (the job's unless given); times are stored in UTC
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE,
+    validate: {
+      validator: isValidTimeZone,
+      message: 'Timezone must be an IANA time zone such as Africa/Addis_Ababa'
+    }
+  },
+  durationMinutes: {
+    type: Number,
+    required: true,
+    min: [5, 'Interviews last at least 5 minutes'],
+    max: [480, 'Interviews cannot last more than 8 hours']
+  },
+  // Address or meeting link; a link from the calendar provider is used when empty
+  location: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  meetingLink: {
+    type: String,
+    default: null
+  },
+  // Stable identifier of the calendar event (iCalendar UID)
+  uid: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  calendar: {
+    provider: String,
+    eventId: String
+  },
+  // iCalendar SEQUENCE; goes up with every update sent to attendees under the same uid
+  sequence: {
+    type: Number,
+    default: 0
+  },
+  slotId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InterviewSlot',
+    default: null
+  },
+  bookedBy: {
+    type: String,
+    enum: ['admin', 'applicant', null],
+    default: null
+  },
+  // Only a hash of the booking token is stored; the raw token goes out by email
+  bookingTokenHash: {
+    type: String,
+    default: null,
+    index: { unique: true, partialFilterExpression: { bookingTokenHash: { $type: 'string' } } }
+  },
+  bookingExpiresAt: {
+    type: Date,
+    default: null
+  },
+  customMessage: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  history: {
+    type: [interviewChangeSchema],
+    default: []
+  },
+  feedback: {
+    type: [interviewFeedbackSchema],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+interviewSchema.index({ interviewers: 1, startsAt: 1 });
+
+/**
+ * Give the interview a new booking token. Returns the raw token (only available here).
+ * Does not save the document.
+ */
+interviewSchema.methods.issueBookingToken = function(expiresInDays = BOOKING_LINK_EXPIRY_DAYS) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this.bookingTokenHash = hashToken(token);
+  this.bookingExpiresAt = new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000);
+
+  return token;
+};
+
+/**
+ * Record a change in the history with the interview's time and place after it.
+ * Does not save the document.
+ *
+ * @param {string} action - booking_link_sent, scheduled, rescheduled or cancelled
+ * @param {Object} options - { changedBy, reason, previous: { startsAt, endsAt, location } }
+ */
+interviewSchema.methods.recordChange = function(action, { changedBy = null, reason = '', previous = null } = {}) {
+  this.history.push({
+    action,
+    changedBy,
+    startsAt: this.startsAt,
+    endsAt: this.endsAt,
+    location: this.location || this.meetingLink || '',
+    ...(previous && {
+      previousStartsAt: previous.startsAt,
+      previousEndsAt: previous.endsAt,
+      previousLocation: previous.location
+    }),
+    reason
+  });
+};
+
+/**
+ * Save an interviewer's feedback, replacing what they submitted before.
+ * Does not save the document.
+ *
+ * @param {Object} interviewerId
+ * @param {Object} feedback - { rating, recommendation, notes }
+ */
+interviewSchema.methods.submitFeedback = function(interviewerId, { rating, recommendation, notes = '' }) {
+  const entry = { interviewer: interviewerId, rating, recommendation, notes, submittedAt: new Date() };
+  const index = this.feedback.findIndex(f => f.interviewer.equals(interviewerId));
+
+  if (index === -1) {
+    this.feedback.push(entry);
+  } else {
+    this.feedback.set(index, entry);
+  }
+};
+
+/**
+ * Interviewers (IDs) who have not submitted feedback yet; none for interviews
+ * that were cancelled or never booked
+ */
+interviewSchema.methods.pendingFeedback = function() {
+  if (!FEEDBACK_STATUSES.includes(this.status)) return [];
+
+  const submitted = new Set(this.feedback.map(f => String(f.interviewer)));
+  return this.interviewers
+    .map(i => i._id || i)
+    .filter(id => !submitted.has(String(id)));
+};
+
+/**
+ * Interview a booking token belongs to, or null when the token is unknown
+ */
+interviewSchema.statics.findByBookingToken = function(token) {
+  return this.findOne({ bookingTokenHash: hashToken(String(token)) });
+};
+
+interviewSchema.statics.STATUSES = INTERVIEW_STATUSES;
+interviewSchema.statics.CHANGES = INTERVIEW_CHANGES;
+interviewSchema.statics.FEEDBACK_RECOMMENDATIONS = FEEDBACK_RECOMMENDATIONS;
+interviewSchema.statics.FEEDBACK_STATUSES = FEEDBACK_STATUSES;
+interviewSchema.statics.BOOKING_LINK_EXPIRY_DAYS = BOOKING_LINK_EXPIRY_DAYS;
+
+module.exports = mongoose.model('Interview', interviewSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const SLOT_STATUSES = ['open', 'booked'];
+
+/**
+ * Time an interviewer is available for an interview. Applicants pick from
+ * open slots through their booking link; booking a slot links it to the interview.
+ */
+const interviewSlotSchema = new mongoose.Schema({
+  interviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // null makes the slot available for every job
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    default: null
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: SLOT_STATUSES,
+    default: 'open'
+  },
+  interviewId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Interview',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+interviewSlotSchema.index({ interviewer: 1, startsAt: 1 });
+interviewSlotSchema.index({ status: 1, startsAt: 1 });
+
+interviewSlotSchema.statics.STATUSES = SLOT_STATUSES;
+
+module.exports = mongoose.model('InterviewSlot', interviewSlotSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { DEFAULT_TIMEZONE, isValidTimeZone } = require('../utils/timezone');
 
 const jobSchema = new mongoose.Schema({
   title: {
@@ -76,6 +77,16 @@ const jobSchema = new mongoose.Schema({
     required: [function() { return this.isNew; }, 'Deadline is required']
   },
   
+  // IANA zone the deadline and interviews for the job are given in
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE,
+    validate: {
+      validator: (value) => value == null || isValidTimeZone(value),
+      message: 'Timezone must be an IANA time zone such as Africa/Addis_Ababa'
+    }
+  },
+  
   // New flag to track if deadline has passed
   isPastDeadline: {
     type: Boolean,
@@ -95,6 +106,13 @@ const jobSchema = new mongoose.Schema({
     default: false,
     index: true,
     description: 'Indicates if job has form fields added'
+  },
+
+  pipelineTemplate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PipelineTemplate',
+    default: null,
+    description: 'Hiring pipeline used for this job. Falls back to the default template when null.'
   }
 }, {
   timestamps: true
@@ -1,4 +1,55 @@
 const mongoose = require('mongoose');
+const { VISIBILITY_OPERATORS } = require('../utils/formLogic');
+
+/**
+ * Conditional display rules (see utils/formLogic.js)
+ */
+const visibilitySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['show', 'hide'],
+    default: 'show'
+  },
+  logic: {
+    type: String,
+    enum: ['all', 'any'],
+    default: 'all'
+  },
+  rules: [{
+    _id: false,
+    fieldId: {
+      type: String,
+      required: true
+    },
+    operator: {
+      type: String,
+      enum: VISIBILITY_OPERATORS,
+      required: true
+    },
+    value: mongoose.Schema.Types.Mixed
+  }]
+}, { _id: false });
+
+/**
+ * Optional per-field answer constraints (see utils/answerValidation.js)
+ */
+const constraintsSchema = new mongoose.Schema({
+  minLength: Number,
+  maxLength: Number,
+  pattern: String,
+  patternMessage: String,
+  minSelections: Number,
+  maxSelections: Number,
+  minRating: Number,
+  maxRating: Number,
+  minDate: String,
+  maxDate: String,
+  allowedFileTypes: {
+    type: [String],
+    default: undefined
+  },
+  maxFileSizeMB: Number
+}, { _id: false });
 
 const fieldSchema = new mongoose.Schema({
   id: {
@@ -24,6 +75,14 @@ const fieldSchema = new mongoose.Schema({
   order: {
     type: Number,
     required: true
+  },
+  visibility: {
+    type: visibilitySchema,
+    default: null
+  },
+  constraints: {
+    type: constraintsSchema,
+    default: null
   }
 });
 
@@ -34,11 +93,23 @@ const jobFieldSchema = new mongoose.Schema({
     required: true,
     unique: true
   },
-  fields: [fieldSchema]
+  fields: [fieldSchema],
+  // Bumped on every change to `fields`; applications record the version they answered
+  version: {
+    type: Number,
+    default: 1
+  }
 }, {
   timestamps: true
 });
 
+jobFieldSchema.pre('save', function(next) {
+  if (!this.isNew && this.isModified('fields')) {
+    this.version += 1;
+  }
+  next();
+});
+
 // Note: `unique: true` on jobId already creates an index.
 // Avoid declaring a duplicate index to prevent Mongoose warnings.
 
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const MAGIC_LINK_EXPIRY_MINUTES = parseInt(process.env.MAGIC_LINK_EXPIRY_MINUTES, 10) || 15;
+
+/**
+ * One-time sign-in link for the applicant portal.
+ * Only a hash of the token is stored; the raw token goes out by email.
+ */
+const magicLinkTokenSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Expired links are removed by MongoDB
+magicLinkTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Create a link token for an email. Returns the raw token (only available here).
+ */
+magicLinkTokenSchema.statics.issue = async function(email) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await this.create({
+    email,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + MAGIC_LINK_EXPIRY_MINUTES * 60 * 1000)
+  });
+
+  return token;
+};
+
+/**
+ * Mark a token as used and return its email, or null if it is unknown, used or expired
+ */
+magicLinkTokenSchema.statics.redeem = async function(token) {
+  const link = await this.findOneAndUpdate(
+    { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() },
+    { new: true }
+  );
+
+  return link ? link.email : null;
+};
+
+magicLinkTokenSchema.statics.MAGIC_LINK_EXPIRY_MINUTES = MAGIC_LINK_EXPIRY_MINUTES;
+
+module.exports = mongoose.model('MagicLinkToken', magicLinkTokenSchema);
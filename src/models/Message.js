@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+
+// queued -> sent, or failed once every attempt failed, or bounced when the recipient was rejected.
+// skipped when email was not configured at the time.
+const MESSAGE_STATUSES = ['queued', 'sent', 'failed', 'bounced', 'skipped'];
+const MESSAGE_TRIGGERS = [
+  'manual',
+  'stage_change',
+  'application_submitted',
+  'interview_invitation',
+  'interview_booking',
+  'interview_scheduled',
+  'interview_rescheduled',
+  'interview_cancelled',
+  'offer_sent',
+  'acceptance'
+];
+
+/**
+ * Email to an applicant about one application, and its place in the outbound queue.
+ * Keeps the rendered email so it reads the same after the template changes and can be resent as-is.
+ */
+const messageSchema = new mongoose.Schema({
+  applicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true
+  },
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job'
+  },
+  templateKey: {
+    type: String,
+    required: true
+  },
+  to: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  from: {
+    type: String,
+    default: ''
+  },
+  subject: {
+    type: String,
+    default: ''
+  },
+  html: {
+    type: String,
+    default: ''
+  },
+  // iCalendar invitations are stored as text, binary files such as PDFs base64-encoded
+  attachments: [{
+    _id: false,
+    filename: { type: String, required: true },
+    contentType: { type: String, required: true },
+    content: { type: String, required: true },
+    encoding: { type: String, enum: ['utf8', 'base64'], default: 'utf8' }
+  }],
+  status: {
+    type: String,
+    enum: MESSAGE_STATUSES,
+    required: true
+  },
+  // Last delivery error
+  error: {
+    type: String,
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastAttemptAt: {
+    type: Date,
+    default: null
+  },
+  // Set while a worker is sending the message
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  // Email transport that sent it (resend, smtp, outbox) and the id it gave the message
+  transport: {
+    type: String,
+    default: null
+  },
+  providerMessageId: {
+    type: String,
+    default: null
+  },
+  trigger: {
+    type: String,
+    enum: MESSAGE_TRIGGERS,
+    default: 'manual'
+  },
+  // Stage change that sent the message
+  stage: {
+    type: String,
+    default: null
+  },
+  // null for messages the system sent on its own
+  sentBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+messageSchema.index({ applicationId: 1, createdAt: -1 });
+messageSchema.index({ status: 1, nextAttemptAt: 1 });
+
+messageSchema.statics.STATUSES = MESSAGE_STATUSES;
+messageSchema.statics.TRIGGERS = MESSAGE_TRIGGERS;
+
+module.exports = mongoose.model('Message', messageSchema);
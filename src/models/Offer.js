@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { DEFAULT_TIMEZONE, isValidTimeZone } = require('../utils/timezone');
+
+// sent: waiting for the candidate. expired is set once a sent offer is read after its expiry.
+const OFFER_STATUSES = ['sent', 'accepted', 'declined', 'withdrawn', 'expired'];
+const SALARY_PERIODS = ['hour', 'month', 'year'];
+
+const OFFER_EXPIRY_DAYS = parseInt(process.env.OFFER_EXPIRY_DAYS, 10) || 7;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Job offer made to an applicant. Keeps the rendered letter so the PDF reads the same
+ * after the letter template changes.
+ */
+const offerSchema = new mongoose.Schema({
+  applicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true,
+    index: true
+  },
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: OFFER_STATUSES,
+    default: 'sent'
+  },
+  role: {
+    type: String,
+    required: [true, 'Role is required'],
+    trim: true
+  },
+  salary: {
+    amount: {
+      type: Number,
+      required: [true, 'Salary is required'],
+      min: [0, 'Salary cannot be negative']
+    },
+    // ISO 4217 code
+    currency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z]{3}$/, 'Currency must be a three-letter code such as ETB'],
+      default: 'ETB'
+    },
+    period: {
+      type: String,
+      enum: SALARY_PERIODS,
+      default: 'month'
+    }
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  // IANA zone the start date and expiry are shown in (the job's)
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE,
+    validate: {
+      validator: isValidTimeZone,
+      message: 'Timezone must be an IANA time zone such as Africa/Addis_Ababa'
+    }
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  customMessage: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Letter text as rendered when the offer was made
+  letter: {
+    type: String,
+    required: true
+  },
+  // Only a hash of the response token is stored; the raw token goes out by email
+  responseTokenHash: {
+    type: String,
+    default: null,
+    index: { unique: true, partialFilterExpression: { responseTokenHash: { $type: 'string' } } }
+  },
+  respondedAt: {
+    type: Date,
+    default: null
+  },
+  declineReason: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  withdrawnAt: {
+    type: Date,
+    default: null
+  },
+  withdrawnBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  withdrawReason: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Give the offer a new response token. Returns the raw token (only available here).
+ * Does not save the document.
+ */
+offerSchema.methods.issueResponseToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.responseTokenHash = hashToken(token);
+  return token;
+};
+
+/**
+ * Mark a sent offer past its expiry as expired. Does not save the document.
+ *
+ * @returns {boolean} Whether the status changed
+ */
+offerSchema.methods.updateExpiryStatus = function() {
+  if (this.status !== 'sent' || this.expiresAt > new Date()) return false;
+
+  this.status = 'expired';
+  return true;
+};
+
+/**
+ * Offer a response token belongs to, or null when the token is unknown
+ */
+offerSchema.statics.findByResponseToken = function(token) {
+  return this.findOne({ responseTokenHash: hashToken(String(token)) });
+};
+
+offerSchema.statics.STATUSES = OFFER_STATUSES;
+offerSchema.statics.SALARY_PERIODS = SALARY_PERIODS;
+offerSchema.statics.EXPIRY_DAYS = OFFER_EXPIRY_DAYS;
+
+module.exports = mongoose.model('Offer', offerSchema);
@@ -0,0 +1,249 @@
+const mongoose = require('mongoose');
+
+/**
+ * Built-in pipeline used when a job has no template and no template
+ * is marked as the default
+ */
+const DEFAULT_PIPELINE = {
+  name: 'Standard hiring pipeline',
+  stages: [
+    { key: 'applied', label: 'Applied', order: 1 },
+    { key: 'screening', label: 'Screening', order: 2 },
+    { key: 'interview', label: 'Interview', order: 3, purpose: 'interview' },
+    { key: 'assessment', label: 'Assessment', order: 4 },
+    { key: 'offer', label: 'Offer', order: 5, purpose: 'offer' },
+    { key: 'hired', label: 'Hired', order: 6, outcome: 'hired' },
+    { key: 'rejected', label: 'Rejected', order: 7, outcome: 'rejected' }
+  ],
+  transitions: {
+    applied: ['screening', 'interview', 'assessment', 'offer', 'hired', 'rejected'],
+    screening: ['applied', 'interview', 'assessment', 'offer', 'hired', 'rejected'],
+    interview: ['applied', 'screening', 'assessment', 'offer', 'hired', 'rejected'],
+    assessment: ['applied', 'screening', 'interview', 'offer', 'hired', 'rejected'],
+    offer: ['applied', 'screening', 'interview', 'assessment', 'hired', 'rejected'],
+    hired: ['applied', 'assessment', 'offer'],
+    rejected: []
+  }
+};
+
+// How an application in a stage ended; stages without an outcome are still open
+const STAGE_OUTCOMES = ['hired', 'rejected'];
+
+// Part a stage plays in the hiring flow: applications move to the interview stage when an
+// interview is scheduled, and to the offer stage when an offer is made
+const STAGE_PURPOSES = ['interview', 'offer'];
+
+const stageSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Stage key is required'],
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9_]+$/, 'Stage key may only contain lowercase letters, numbers and underscores']
+  },
+  label: {
+    type: String,
+    required: [true, 'Stage label is required'],
+    trim: true
+  },
+  order: {
+    type: Number,
+    required: true
+  },
+  outcome: {
+    type: String,
+    enum: STAGE_OUTCOMES,
+    default: null
+  },
+  purpose: {
+    type: String,
+    enum: STAGE_PURPOSES,
+    default: null
+  }
+}, { _id: false });
+
+const pipelineTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    unique: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  stages: {
+    type: [stageSchema],
+    validate: {
+      validator: function(v) {
+        return Array.isArray(v) && v.length > 0;
+      },
+      message: 'A pipeline template needs at least one stage'
+    }
+  },
+  // Allowed-transition graph: stage key -> stage keys it may move to
+  transitions: {
+    type: Map,
+    of: [String],
+    default: {}
+  },
+  isDefault: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Stage keys sorted by their configured order
+ */
+pipelineTemplateSchema.methods.stageKeys = function() {
+  return [...this.stages]
+    .sort((a, b) => a.order - b.order)
+    .map(s => s.key);
+};
+
+pipelineTemplateSchema.methods.hasStage = function(key) {
+  return this.stages.some(s => s.key === key);
+};
+
+/**
+ * Stage that new applications start in
+ */
+pipelineTemplateSchema.methods.initialStage = function() {
+  return this.stageKeys()[0];
+};
+
+/**
+ * Outcome a stage marks (hired or rejected), null for open stages and unknown keys
+ */
+pipelineTemplateSchema.methods.stageOutcome = function(key) {
+  const stage = this.stages.find(s => s.key === key);
+  return stage ? stage.outcome || null : null;
+};
+
+pipelineTemplateSchema.methods.isRejectionStage = function(key) {
+  return this.stageOutcome(key) === 'rejected';
+};
+
+/**
+ * First stage (by order) marked with an outcome, or null when the template has none
+ */
+pipelineTemplateSchema.methods.outcomeStage = function(outcome) {
+  return this.stageKeys().find(key => this.stageOutcome(key) === outcome) || null;
+};
+
+/**
+ * Purpose of a stage (interview or offer), null for other stages and unknown keys
+ */
+pipelineTemplateSchema.methods.stagePurpose = function(key) {
+  const stage = this.stages.find(s => s.key === key);
+  return stage ? stage.purpose || null : null;
+};
+
+/**
+ * First stage (by order) marked with a purpose, or null when the template has none
+ */
+pipelineTemplateSchema.methods.purposeStage = function(purpose) {
+  return this.stageKeys().find(key => this.stagePurpose(key) === purpose) || null;
+};
+
+/**
+ * Position of a stage in the pipeline, -1 if the template does not have it
+ */
+pipelineTemplateSchema.methods.stageIndex = function(key) {
+  return this.stageKeys().indexOf(key);
+};
+
+/**
+ * Check whether an application may move from one stage to another.
+ * Applications sitting in a stage the template does not know about
+ * (e.g. after the job's template was changed) may move anywhere.
+ */
+pipelineTemplateSchema.methods.canTransition = function(from, to) {
+  if (!this.hasStage(to)) return false;
+  if (!this.hasStage(from)) return true;
+
+  const allowed = this.transitions.get(from) || [];
+  return allowed.includes(to);
+};
+
+/**
+ * Stage keys and transitions must reference stages defined on the template
+ */
+pipelineTemplateSchema.pre('validate', function(next) {
+  const keys = this.stages.map(s => s.key);
+
+  if (new Set(keys).size !== keys.length) {
+    this.invalidate('stages', 'Stage keys must be unique');
+  }
+
+  const transitionErrors = [];
+  for (const [from, targets] of this.transitions || []) {
+    if (!keys.includes(from)) {
+      transitionErrors.push(`"${from}" is not a stage of this template`);
+      continue;
+    }
+
+    const unknown = targets.filter(t => !keys.includes(t));
+    if (unknown.length > 0) {
+      transitionErrors.push(`targets ${unknown.join(', ')} from "${from}" are not stages of this template`);
+    }
+  }
+
+  if (transitionErrors.length > 0) {
+    this.invalidate('transitions', `Invalid transitions: ${transitionErrors.join('; ')}`);
+  }
+
+  next();
+});
+
+/**
+ * Only one template can be the default
+ */
+pipelineTemplateSchema.pre('save', async function(next) {
+  if (this.isDefault && this.isModified('isDefault')) {
+    await this.constructor.updateMany(
+      { _id: { $ne: this._id }, isDefault: true },
+      { isDefault: false }
+    );
+  }
+  next();
+});
+
+/**
+ * Resolve the pipeline template that applies to a job:
+ * the job's own template, then the stored default, then the built-in pipeline.
+ */
+pipelineTemplateSchema.statics.resolveForJob = async function(job) {
+  if (job?.pipelineTemplate) {
+    const templateId = job.pipelineTemplate._id || job.pipelineTemplate;
+    const template = await this.findById(templateId);
+    if (template) return template;
+  }
+
+  return this.resolveDefault();
+};
+
+/**
+ * Stored default template, or an unsaved copy of the built-in pipeline
+ */
+pipelineTemplateSchema.statics.resolveDefault = async function() {
+  const stored = await this.findOne({ isDefault: true });
+  return stored || new this(DEFAULT_PIPELINE);
+};
+
+pipelineTemplateSchema.statics.DEFAULT_PIPELINE = DEFAULT_PIPELINE;
+pipelineTemplateSchema.statics.STAGE_OUTCOMES = STAGE_OUTCOMES;
+pipelineTemplateSchema.statics.STAGE_PURPOSES = STAGE_PURPOSES;
+
+module.exports = mongoose.model('PipelineTemplate', pipelineTemplateSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_SCALE = { min: 1, max: 5 };
+
+const criterionSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true
+  },
+  label: {
+    type: String,
+    required: [true, 'Criterion label is required'],
+    trim: true,
+    maxlength: [100, 'Criterion label cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Relative importance; the score is the weighted average of the ratings
+  weight: {
+    type: Number,
+    default: 1,
+    min: [0.1, 'Weight must be at least 0.1']
+  }
+}, { _id: false });
+
+/**
+ * Criteria reviewers rate applications of a job on
+ */
+const scorecardSchema = new mongoose.Schema({
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true,
+    unique: true
+  },
+  criteria: {
+    type: [criterionSchema],
+    validate: {
+      validator: function(v) {
+        return Array.isArray(v) && v.length > 0;
+      },
+      message: 'A scorecard needs at least one criterion'
+    }
+  },
+  // Whole-number rating scale shared by all criteria
+  scale: {
+    min: {
+      type: Number,
+      default: DEFAULT_SCALE.min
+    },
+    max: {
+      type: Number,
+      default: DEFAULT_SCALE.max
+    }
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+scorecardSchema.statics.DEFAULT_SCALE = DEFAULT_SCALE;
+
+module.exports = mongoose.model('Scorecard', scorecardSchema);
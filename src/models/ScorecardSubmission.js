@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Criterion as it was when rated, so later edits to the scorecard don't change past reviews
+const ratingSchema = new mongoose.Schema({
+  criterionId: {
+    type: String,
+    required: true
+  },
+  label: String,
+  weight: Number,
+  rating: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+/**
+ * One reviewer's scorecard for one application
+ */
+const scorecardSubmissionSchema = new mongoose.Schema({
+  applicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true,
+    index: true
+  },
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  reviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  ratings: {
+    type: [ratingSchema],
+    default: []
+  },
+  scale: {
+    min: Number,
+    max: Number
+  },
+  // Weighted average of the ratings, on the scale above
+  score: {
+    type: Number,
+    required: true
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Notes cannot exceed 2000 characters'],
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+scorecardSubmissionSchema.index({ applicationId: 1, reviewer: 1 }, { unique: true });
+
+module.exports = mongoose.model('ScorecardSubmission', scorecardSubmissionSchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Unattached uploads are removed by the cleanup job after this long
+const UPLOAD_TTL_HOURS = parseInt(process.env.UPLOAD_TTL_HOURS, 10) || 24;
+
+/**
+ * File uploaded for an application form before the answers are submitted.
+ * The applicant gets an opaque token back and references it from the
+ * answer to the file field; the upload is attached when the application is saved.
+ */
+const uploadSchema = new mongoose.Schema({
+  token: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => crypto.randomBytes(24).toString('hex')
+  },
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  fieldId: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  bucket: {
+    type: String,
+    required: true
+  },
+  originalName: String,
+  mimeType: String,
+  size: Number,
+  status: {
+    type: String,
+    enum: ['pending', 'attached'],
+    default: 'pending'
+  },
+  applicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + UPLOAD_TTL_HOURS * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: true
+});
+
+uploadSchema.index({ status: 1, expiresAt: 1 });
+
+/**
+ * Shape the upload like a multer file so the answer validators can check it
+ */
+uploadSchema.methods.toFileAnswer = function() {
+  return {
+    originalname: this.originalName,
+    mimetype: this.mimeType,
+    size: this.size,
+    uploadToken: this.token,
+    key: this.key,
+    bucket: this.bucket
+  };
+};
+
+uploadSchema.statics.UPLOAD_TTL_HOURS = UPLOAD_TTL_HOURS;
+
+module.exports = mongoose.model('Upload', uploadSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { DEFAULT_TIMEZONE, isValidTimeZone } = require('../utils/timezone');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -23,6 +24,15 @@ const userSchema = new mongoose.Schema({
     type: String,
     enum: ['user', 'admin'],
     default: 'admin'
+  },
+  // IANA zone emails to the user are written in
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE,
+    validate: {
+      validator: (value) => value == null || isValidTimeZone(value),
+      message: 'Timezone must be an IANA time zone such as Africa/Addis_Ababa'
+    }
   }
 }, {
   timestamps: true
@@ -42,6 +52,13 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+/**
+ * Admins among the given user IDs: the users that can be mentioned in comments or be interviewers
+ */
+userSchema.statics.findAdmins = function(ids) {
+  return this.find({ _id: { $in: ids }, role: 'admin' });
+};
+
 // Remove password from JSON response
 userSchema.methods.toJSON = function() {
   const obj = this.toObject();
@@ -7,10 +7,14 @@ const captureMetadata = require('../middleware/captureMetadata');
 // Import controllers
 const {
   getJobResponses,
+  exportJobResponses,
   getResponseDetail,
   toggleSaveResponse,
   sendInterviewInvitation,
-  sendAcceptanceEmail
+  sendAcceptanceEmail,
+  bulkResponseAction,
+  getResponseFileLink,
+  getResponseTimeline
 } = require('../controllers/applicationController');
 
 const {
@@ -19,7 +23,8 @@ const {
   getAdminJobById,
   deleteJob,
   updateJobStatus,
-  updateJobMetadata
+  updateJobMetadata,
+  duplicateJob
 } = require('../controllers/jobController');
 
 const {
@@ -30,7 +35,120 @@ const {
   getJobFields
 } = require('../controllers/applicationFormController');
 
+const {
+  createFormTemplate,
+  getFormTemplates,
+  getFormTemplateById,
+  deleteFormTemplate,
+  applyFormTemplate
+} = require('../controllers/formTemplateController');
+
+const {
+  getCandidates,
+  getCandidateHistory,
+  mergeCandidates
+} = require('../controllers/candidateController');
+
+const {
+  getJobScorecard,
+  saveJobScorecard,
+  submitScorecard,
+  getResponseScorecards,
+  deleteMyScorecard
+} = require('../controllers/scorecardController');
+
+const {
+  getComments,
+  addComment,
+  editComment,
+  deleteComment,
+  getCommentHistory
+} = require('../controllers/commentController');
+
+const {
+  getEmailTemplates,
+  getEmailTemplate,
+  saveEmailTemplate,
+  resetEmailTemplate,
+  previewEmailTemplate
+} = require('../controllers/emailTemplateController');
+
+const {
+  sendMessages,
+  getResponseMessages,
+  getMessage,
+  resendMessage,
+  resendFailedMessages
+} = require('../controllers/messageController');
+
+const {
+  getOutbox,
+  getOutboxMessage,
+  clearOutbox
+} = require('../controllers/emailOutboxController');
+
+const {
+  createSlots,
+  getSlots,
+  deleteSlot,
+  scheduleResponseInterview,
+  sendBookingLink,
+  getResponseInterviews,
+  getInterviews,
+  getInterview,
+  rescheduleResponseInterview,
+  cancelResponseInterview,
+  submitInterviewFeedback,
+  downloadInterviewCalendar
+} = require('../controllers/interviewController');
+
+const {
+  createOffer,
+  getResponseOffers,
+  getOffer,
+  downloadOfferLetter,
+  withdrawOffer
+} = require('../controllers/offerController');
+
 const { jobValidator } = require('../validators/jobValidator');
+const { bulkResponseActionValidator } = require('../validators/applicationValidator');
+const {
+  validateScorecardDefinition,
+  validateScorecardSubmission,
+  validateResponseId
+} = require('../validators/scorecardValidator');
+const {
+  validateAddComment,
+  validateEditComment,
+  validateCommentId
+} = require('../validators/commentValidator');
+const {
+  validateTemplateKey,
+  validateSaveEmailTemplate,
+  validatePreviewEmailTemplate
+} = require('../validators/emailTemplateValidator');
+const {
+  validateSendMessages,
+  validateMessageId,
+  validateMessageList
+} = require('../validators/messageValidator');
+const {
+  validateCreateSlots,
+  validateSlotList,
+  validateSlotId,
+  validateScheduleInterview,
+  validateBookingLink,
+  validateInterviewList,
+  validateInterviewId,
+  validateRescheduleInterview,
+  validateCancelInterview,
+  validateInterviewFeedback
+} = require('../validators/interviewValidator');
+const {
+  validateCreateOffer,
+  validateOfferId,
+  validateWithdrawOffer
+} = require('../validators/offerValidator');
 const validateRequest = require('../middleware/validateRequest');
 
 // Apply authentication and authorization to all admin routes
@@ -48,7 +166,7 @@ router.use(captureMetadata);
  *   post:
  *     tags: [Jobs - Admin]
  *     summary: STEP 2 - Create a new job
- *     description: Create job metadata using the new format. Job is created as INACTIVE by default.
+ *     description: Create job metadata using the new format. Job is created as INACTIVE by default. The deadline is read in the job's timezone (an IANA zone, DEFAULT_TIMEZONE when omitted) unless it carries Z or an offset; a date alone runs until the end of that day.
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -81,7 +199,8 @@ router.use(captureMetadata);
  *               - Proficiency in JavaScript, React, and Node.js
  *               - Strong problem-solving skills
  *               - Excellent communication and teamwork abilities
- *             deadline: "2026-02-15T17:00:00Z"
+ *             deadline: "2026-02-15"
+ *             timezone: Africa/Addis_Ababa
  *     responses:
  *       201:
  *         description: Job created successfully
@@ -186,7 +305,7 @@ router.patch('/jobs/:jobId/status', updateJobStatus);
  *   patch:
  *     tags: [Jobs - Admin]
  *     summary: Update job metadata (new format)
- *     description: Update metadata fields of a job (title, description, location, type, work_mode, key_responsibilities, what_we_offer, requirements, deadline, status). If setting status to ACTIVE, the job must already have at least one form field.
+ *     description: Update metadata fields of a job (title, description, location, type, work_mode, key_responsibilities, what_we_offer, requirements, deadline, timezone, status). If setting status to ACTIVE, the job must already have at least one form field. A deadline without Z or an offset is read in the job's timezone (the new one when both change). Changing only the timezone keeps the deadline's date and time of day, now in the new zone.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -259,6 +378,46 @@ router.patch('/jobs/:jobId', updateJobMetadata);
  */
 router.delete('/jobs/:jobId', deleteJob);
 
+/**
+ * @swagger
+ * /admin/jobs/{jobId}/duplicate:
+ *   post:
+ *     tags: [Jobs - Admin]
+ *     summary: Duplicate a job
+ *     description: Copy the job metadata and its form fields into a new INACTIVE draft. Field IDs are regenerated and conditional logic is remapped to the copied fields.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job ID to copy
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 description: Title of the copy (defaults to "<title> (Copy)")
+ *               deadline:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Deadline of the copy (defaults to the source deadline)
+ *     responses:
+ *       201:
+ *         description: Job duplicated successfully
+ *       400:
+ *         description: Invalid deadline
+ *       404:
+ *         description: Job not found
+ */
+router.post('/jobs/:jobId/duplicate', duplicateJob);
+
 // ========================================
 // JOB FIELDS (FORM BUILDER) ROUTES
 // ========================================
@@ -418,17 +577,13 @@ router.patch('/jobs/:jobId/fields/:fieldId', updateField);
  */
 router.delete('/jobs/:jobId/fields/:fieldId', deleteField);
 
-// ========================================
-// APPLICATION RESPONSES MANAGEMENT
-// ========================================
-
 /**
  * @swagger
- * /admin/jobs/{jobId}/responses:
- *   get:
- *     tags: [Applications - Admin]
- *     summary: STEP 8 - Get all responses for a job
- *     description: Fetch all applications submitted for a specific job
+ * /admin/jobs/{jobId}/apply-template:
+ *   post:
+ *     tags: [Job Fields - Admin]
+ *     summary: Apply a form template to a job
+ *     description: Copy a form template's fields into the job form. "replace" swaps out the current fields and is refused once the job has applications; "append" adds the template's fields after the existing ones. Updates the job's hasField flag.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -437,57 +592,70 @@ router.delete('/jobs/:jobId/fields/:fieldId', deleteField);
  *         required: true
  *         schema:
  *           type: string
- *         description: Job ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - templateId
+ *             properties:
+ *               templateId:
+ *                 type: string
+ *               mode:
+ *                 type: string
+ *                 enum: [replace, append]
+ *                 default: replace
  *     responses:
  *       200:
- *         description: Responses retrieved successfully
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ApplicationResponseList'
+ *         description: Form template applied successfully
+ *       400:
+ *         description: Validation error or job already has applications
+ *       404:
+ *         description: Job or template not found
  */
-router.get('/jobs/:jobId/responses', getJobResponses);
+router.post('/jobs/:jobId/apply-template', applyFormTemplate);
+
+// ========================================
+// SCORECARDS
+// ========================================
 
 /**
  * @swagger
- * /admin/responses/{responseId}:
+ * /admin/jobs/{jobId}/scorecard:
  *   get:
- *     tags: [Applications - Admin]
- *     summary: STEP 9 - Get single response detail
- *     description: Fetch detailed information about a specific application
+ *     tags: [Scorecards - Admin]
+ *     summary: Get a job's scorecard
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: responseId
+ *         name: jobId
  *         required: true
  *         schema:
  *           type: string
- *         description: Response/Application ID
  *     responses:
  *       200:
- *         description: Response retrieved successfully
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ApplicationResponseDetail'
- *       404:
- *         description: Response not found
+ *         description: Scorecard retrieved (null when the job has none)
  */
-router.get('/responses/:responseId', getResponseDetail);
+router.get('/jobs/:jobId/scorecard', getJobScorecard);
 
 /**
  * @swagger
- * /admin/responses/{responseId}/save:
- *   patch:
- *     tags: [Applications - Admin]
- *     summary: STEP 10 - Save/Unsave response
- *     description: Toggle the saved status of an application
+ * /admin/jobs/{jobId}/scorecard:
+ *   put:
+ *     tags: [Scorecards - Admin]
+ *     summary: Create or replace a job's scorecard
+ *     description: |
+ *       Criteria reviewers rate every application on, with weights and a whole-number rating scale.
+ *       Send a criterion's `id` to keep it; criteria without a known id get a new one.
+ *       Scorecards already submitted keep the criteria and scale they were rated against.
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: responseId
+ *         name: jobId
  *         required: true
  *         schema:
  *           type: string
@@ -498,25 +666,61 @@ router.get('/responses/:responseId', getResponseDetail);
  *           schema:
  *             type: object
  *             required:
- *               - isSaved
+ *               - criteria
  *             properties:
- *               isSaved:
- *                 type: boolean
+ *               criteria:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - label
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                     label:
+ *                       type: string
+ *                     description:
+ *                       type: string
+ *                     weight:
+ *                       type: number
+ *                       default: 1
+ *               scale:
+ *                 type: object
+ *                 properties:
+ *                   min:
+ *                     type: integer
+ *                     default: 1
+ *                   max:
+ *                     type: integer
+ *                     default: 5
+ *           example:
+ *             criteria:
+ *               - label: Technical skills
+ *                 weight: 2
+ *               - label: Communication
+ *                 weight: 1
+ *             scale:
+ *               min: 1
+ *               max: 5
  *     responses:
  *       200:
- *         description: Response save status updated
+ *         description: Scorecard updated
+ *       201:
+ *         description: Scorecard created
+ *       400:
+ *         description: Validation error
  *       404:
- *         description: Response not found
+ *         description: Job not found
  */
-router.patch('/responses/:responseId/save', toggleSaveResponse);
+router.put('/jobs/:jobId/scorecard', validateScorecardDefinition, validateRequest, saveJobScorecard);
 
 /**
  * @swagger
- * /admin/responses/{responseId}/send-invitation:
- *   post:
- *     tags: [Applications - Admin]
- *     summary: STEP 11 - Send interview invitation (Phase 2)
- *     description: Send interview invitation email with Google Meet link
+ * /admin/responses/{responseId}/scorecard:
+ *   put:
+ *     tags: [Scorecards - Admin]
+ *     summary: Submit your scorecard for a response
+ *     description: Every criterion of the job's scorecard has to be rated. Submitting again replaces your earlier scorecard.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -530,22 +734,39 @@ router.patch('/responses/:responseId/save', toggleSaveResponse);
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/SendInvitationRequest'
+ *             type: object
+ *             required:
+ *               - ratings
+ *             properties:
+ *               ratings:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     criterionId:
+ *                       type: string
+ *                     rating:
+ *                       type: integer
+ *               notes:
+ *                 type: string
  *     responses:
  *       200:
- *         description: Interview invitation sent successfully
+ *         description: Scorecard updated
+ *       201:
+ *         description: Scorecard submitted
+ *       400:
+ *         description: Missing or out-of-range ratings, or the job has no scorecard
  *       404:
  *         description: Response not found
  */
-router.post('/responses/:responseId/send-invitation', sendInterviewInvitation);
+router.put('/responses/:responseId/scorecard', validateScorecardSubmission, validateRequest, submitScorecard);
 
 /**
  * @swagger
- * /admin/responses/{responseId}/send-acceptance:
- *   post:
- *     tags: [Applications - Admin]
- *     summary: STEP 12 - Send acceptance email (Phase 2)
- *     description: Send job acceptance email to applicant using the new acceptance format.
+ * /admin/responses/{responseId}/scorecard:
+ *   delete:
+ *     tags: [Scorecards - Admin]
+ *     summary: Withdraw your scorecard for a response
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -554,70 +775,1903 @@ router.post('/responses/:responseId/send-invitation', sendInterviewInvitation);
  *         required: true
  *         schema:
  *           type: string
- *         description: Application/response ID
+ *     responses:
+ *       200:
+ *         description: Scorecard deleted
+ *       404:
+ *         description: You have no scorecard for this response
+ */
+router.delete('/responses/:responseId/scorecard', validateResponseId, validateRequest, deleteMyScorecard);
+
+/**
+ * @swagger
+ * /admin/responses/{responseId}/scorecards:
+ *   get:
+ *     tags: [Scorecards - Admin]
+ *     summary: Get all reviewers' scorecards for a response
+ *     description: Every submitted scorecard, the average score and the average rating per criterion
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: responseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Scorecards retrieved successfully
+ *       404:
+ *         description: Response not found
+ */
+router.get('/responses/:responseId/scorecards', validateResponseId, validateRequest, getResponseScorecards);
+
+// ========================================
+// FORM TEMPLATES
+// ========================================
+
+/**
+ * @swagger
+ * /admin/form-templates:
+ *   post:
+ *     tags: [Form Templates - Admin]
+ *     summary: Save a job's form as a template
+ *     description: Snapshot the fields of an existing job form into a reusable template
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/SendAcceptanceRequest'
- *           examples:
- *             default:
- *               summary: Send acceptance email
- *               value:
- *                 applicant_name: Jane Doe
- *                 role: Frontend Developer
- *                 custom_message: >-
- *                   Please find the attached offer letter with details about your
- *                   compensation and benefits. Kindly sign and return it by January 20, 2026.
- *                 sender_name: John Smith
- *                 sender_title: Talent Acquisition Manager
+ *             type: object
+ *             required:
+ *               - jobId
+ *               - name
+ *             properties:
+ *               jobId:
+ *                 type: string
+ *                 description: Job whose form is saved
+ *               name:
+ *                 type: string
+ *                 example: Engineering - Standard
+ *               description:
+ *                 type: string
  *     responses:
- *       200:
- *         description: Acceptance email sent successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 message:
- *                   type: string
- *                   example: Acceptance Email sent successfully
- *                 data:
- *                   type: object
- *                   properties:
- *                     responseId:
- *                       type: string
- *                       example: 679c1d2e3f4g5h6789ijklmn
- *                     isAccepted:
- *                       type: boolean
- *                       example: true
- *                     acceptanceDetails:
- *                       type: object
- *                       properties:
- *                         applicant_name:
- *                           type: string
- *                           example: Jane Doe
- *                         role:
- *                           type: string
- *                           example: Frontend Developer
- *                         custom_message:
- *                           type: string
- *                           example: Please find the attached offer letter with details about your compensation and benefits.
- *                         sender_name:
- *                           type: string
- *                           example: John Smith
- *                         sender_title:
- *                           type: string
- *                           example: Talent Acquisition Manager
- *       404:
- *         description: Response not found
+ *       201:
+ *         description: Form template created successfully
  *       400:
- *         description: Validation error (missing required acceptance fields)
+ *         description: Validation error or job has no fields
+ *       404:
+ *         description: Job not found
  */
-router.post('/responses/:responseId/send-acceptance', sendAcceptanceEmail);
+router.post('/form-templates', createFormTemplate);
+
+/**
+ * @swagger
+ * /admin/form-templates:
+ *   get:
+ *     tags: [Form Templates - Admin]
+ *     summary: List form templates
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Form templates retrieved successfully
+ */
+router.get('/form-templates', getFormTemplates);
+
+/**
+ * @swagger
+ * /admin/form-templates/{templateId}:
+ *   get:
+ *     tags: [Form Templates - Admin]
+ *     summary: Get a form template with its fields
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Form template retrieved successfully
+ *       404:
+ *         description: Form template not found
+ */
+router.get('/form-templates/:templateId', getFormTemplateById);
+
+/**
+ * @swagger
+ * /admin/form-templates/{templateId}:
+ *   delete:
+ *     tags: [Form Templates - Admin]
+ *     summary: Delete a form template
+ *     description: Jobs that were built from the template keep their own copy of the fields
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Form template deleted successfully
+ *       404:
+ *         description: Form template not found
+ */
+router.delete('/form-templates/:templateId', deleteFormTemplate);
+
+// ========================================
+// CANDIDATES
+// ========================================
+
+/**
+ * @swagger
+ * /admin/candidates:
+ *   get:
+ *     tags: [Candidates - Admin]
+ *     summary: List candidates
+ *     description: Applicants deduplicated across jobs by email and phone number
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Matches name, email or phone number
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Candidates retrieved successfully
+ */
+router.get('/candidates', getCandidates);
+
+/**
+ * @swagger
+ * /admin/candidates/{candidateId}:
+ *   get:
+ *     tags: [Candidates - Admin]
+ *     summary: Get a candidate's application history
+ *     description: Every application of the candidate across all jobs. IDs of merged candidates resolve to the candidate they were merged into.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: candidateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Candidate retrieved successfully
+ *       404:
+ *         description: Candidate not found
+ */
+router.get('/candidates/:candidateId', getCandidateHistory);
+
+/**
+ * @swagger
+ * /admin/candidates/{candidateId}/merge:
+ *   post:
+ *     tags: [Candidates - Admin]
+ *     summary: Merge duplicate candidates
+ *     description: Moves the applications, emails and phone numbers of the source candidates to this candidate. Merged candidates redirect to this one.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: candidateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Candidate to keep
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - sourceCandidateIds
+ *             properties:
+ *               sourceCandidateIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Candidates merged successfully
+ *       400:
+ *         description: Validation error or candidate already merged
+ *       404:
+ *         description: Candidate not found
+ */
+router.post('/candidates/:candidateId/merge', mergeCandidates);
+
+// ========================================
+// APPLICATION RESPONSES MANAGEMENT
+// ========================================
+
+/**
+ * @swagger
+ * /admin/jobs/{jobId}/responses:
+ *   get:
+ *     tags: [Applications - Admin]
+ *     summary: STEP 8 - Get all responses for a job
+ *     description: |
+ *       Fetch applications submitted for a job, with search, answer filters and sorting.
+ *       The response also carries `facets`: per-option answer counts of every multiple choice,
+ *       dropdown and checkbox field, over the filtered responses.
+ *
+ *       **Answer filters** use the field ID of the job form:
+ *       - `answer[<fieldId>]=5+` - answer equals the value (checkboxes: the option is selected)
+ *       - `answer[<fieldId>][in]=Remote,Hybrid` - answer is one of the values
+ *       - `answer[<fieldId>][gte]=4` - also `gt`, `lte`, `lt`; rating, date and time fields only
+ *       - `answer[<fieldId>][contains]=react` - text fields (case-insensitive) and checkboxes
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job ID
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Words to find in applicant name, email, city and free-text answers. Every word has to match.
+ *       - in: query
+ *         name: submittedFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: submittedTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Inclusive; a date without time covers the whole day
+ *       - in: query
+ *         name: isSaved
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: isInvited
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: isAccepted
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: stage
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           default: submittedAt
+ *         description: submittedAt, name, email, city, score (average scorecard score) or answer.<fieldId>
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Responses retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApplicationResponseList'
+ *       400:
+ *         description: Invalid search parameters (unknown field, unsupported operator, bad date)
+ */
+router.get('/jobs/:jobId/responses', getJobResponses);
+
+/**
+ * @swagger
+ * /admin/jobs/{jobId}/responses/export:
+ *   get:
+ *     tags: [Applications - Admin]
+ *     summary: Export responses for a job as CSV or Excel
+ *     description: |
+ *       Streams one row per application and one column per form question, in field order.
+ *       Questions that only older form versions had follow as "(removed)" columns.
+ *       Checkbox answers are joined with "; ". File answers link to
+ *       GET /admin/responses/{responseId}/files/{fieldId} rather than to the file itself, so a shared
+ *       export gives no access to files: opening one needs an admin login and is audited.
+ *
+ *       Accepts the same `search`, `answer[...]`, date, flag, `stage` and sort parameters as
+ *       GET /admin/jobs/{jobId}/responses, so the export matches the filtered list.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *           default: csv
+ *     responses:
+ *       200:
+ *         description: Export file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid format or search parameters
+ *       404:
+ *         description: Job not found
+ */
+router.get('/jobs/:jobId/responses/export', exportJobResponses);
+
+/**
+ * @swagger
+ * /admin/responses/bulk:
+ *   post:
+ *     tags: [Applications - Admin]
+ *     summary: Apply an action to many responses at once
+ *     description: |
+ *       Run one action over a list of responses and get a per-item result.
+ *       One response failing (not found, invalid stage transition) does not stop the others.
+ *       Every affected response gets its own audit entry.
+ *
+ *       **Actions:**
+ *       - `move_stage` - Move to `stage` (validated against each job's pipeline template)
+ *       - `save` / `unsave` - Set the saved flag
+ *       - `reject` - Move to `rejected`
+ *
+ *       Moving to a rejection stage or the stage marked with purpose `offer` emails the applicant the rejection or offer email (set `sendEmail: false` to skip).
+ *       The emails are recorded in each response's messages.
+ *       - `delete` - Permanently delete the response
+ *
+ *       At most 500 responses per request.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - responseIds
+ *               - action
+ *             properties:
+ *               responseIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               action:
+ *                 type: string
+ *                 enum: [move_stage, save, unsave, reject, delete]
+ *               stage:
+ *                 type: string
+ *                 description: Target stage (required for move_stage)
+ *               notes:
+ *                 type: string
+ *               sendEmail:
+ *                 type: boolean
+ *                 default: true
+ *               custom_message:
+ *                 type: string
+ *                 description: Extra paragraph added to the rejection or offer email
+ *           example:
+ *             responseIds: [679c1d2e3f4g5h6789ijklmn, 679c1d2e3f4g5h6789ijklmo]
+ *             action: move_stage
+ *             stage: screening
+ *             notes: Passed CV screen
+ *     responses:
+ *       200:
+ *         description: Bulk action processed (see per-item results)
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: "Bulk move_stage completed: 1 succeeded, 1 failed"
+ *               data:
+ *                 action: move_stage
+ *                 total: 2
+ *                 succeeded: 1
+ *                 failed: 1
+ *                 results:
+ *                   - responseId: 679c1d2e3f4g5h6789ijklmn
+ *                     success: true
+ *                     previous_stage: applied
+ *                     pipeline_stage: screening
+ *                   - responseId: 679c1d2e3f4g5h6789ijklmo
+ *                     success: false
+ *                     error: Response not found
+ *       400:
+ *         description: Validation error
+ */
+router.post('/responses/bulk', bulkResponseActionValidator, validateRequest, bulkResponseAction);
+
+/**
+ * @swagger
+ * /admin/responses/{responseId}:
+ *   get:
+ *     tags: [Applications - Admin]
+ *     summary: STEP 9 - Get single response detail
+ *     description: Fetch detailed information about a specific application. Answers are rendered against the form version the application was submitted against, so later edits to the form do not change them.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: responseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Response/Application ID
+ *     responses:
+ *       200:
+ *         description: Response retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApplicationResponseDetail'
+ *       404:
+ *         description: Response not found
+ */
+router.get('/responses/:responseId', getResponseDetail);
+
+/**
+ * @swagger
+ * /admin/responses/{responseId}/files/{fieldId}:
+ *   get:
+ *     tags: [Applications - Admin]
+ *     summary: Get a short-lived link to an uploaded file
+ *     description: |
+ *       Uploaded files (CVs, cover letters, ...) live in a private bucket. This issues a presigned
+ *       link that expires after a few minutes (FILE_LINK_EXPIRY_SECONDS, default 300).
+ *       Every link is audited: `inline` writes CV_VIEWED, `attachment` writes CV_DOWNLOADED.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: responseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: fieldId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the file field
+ *       - in: query
+ *         name: disposition
+ *         schema:
+ *           type: string
+ *           enum: [inline, attachment]
+ *           default: inline
+ *         description: View in the browser or force a download
+ *     responses:
+ *       200:
+ *         description: File link created successfully
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: File link created successfully
+ *               data:
+ *                 fieldId: 677b2c3d4e5f6789abcdef02
+ *                 fileName: john_doe_cv.pdf
+ *                 mimeType: application/pdf
+ *                 disposition: inline
+ *                 url: http://localhost:9000/job-uploads/677b2c3d4e5f6789abcdef02-1736432960000-john_doe_cv.pdf?X-Amz-Algorithm=...
+ *                 expiresIn: 300
+ *                 expiresAt: 2026-01-09T14:34:20.000Z
+ *       400:
+ *         description: Invalid response ID or disposition
+ *       404:
+ *         description: Response or file not found
+ *       502:
+ *         description: Storage could not sign the link
+ */
+router.get('/responses/:responseId/files/:fieldId', getResponseFileLink);
+
+/**
+ * @swagger
+ * /admin/responses/{responseId}/save:
+ *   patch:
+ *     tags: [Applications - Admin]
+ *     summary: STEP 10 - Save/Unsave response
+ *     description: Toggle the saved status of an application
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: responseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - isSaved
+ *             properties:
+ *               isSaved:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Response save status updated
+ *       404:
+ *         description: Response not found
+ */
+router.patch('/responses/:responseId/save', toggleSaveResponse);
+
+/**
+ * @swagger
+ * /admin/responses/{responseId}/send-invitation:
+ *   post:
+ *     tags: [Applications - Admin]
+ *     summary: STEP 11 - Send interview invitation (Phase 2)
+ *     deprecated: true
+ *     description: |
+ *       Sends an invitation with free-text date, time and location. It creates no calendar event or
+ *       `.ics` file and cannot be rescheduled or cancelled; use POST /admin/responses/{responseId}/interviews instead.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: responseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SendInvitationRequest'
+ *     responses:
+ *       200:
+ *         description: Invitation saved and email queued (see `email.status`)
+ *       404:
+ *         description: Response not found
+ */
+router.post('/responses/:responseId/send-invitation', sendInterviewInvitation);
+
+/**
+ * @swagger
+ * /admin/responses/{responseId}/send-acceptance:
+ *   post:
+ *     tags: [Applications - Admin]
+ *     summary: STEP 12 - Send acceptance email (Phase 2)
+ *     deprecated: true
+ *     description: Send job acceptance email to applicant using the new acceptance format. Superseded by offers (POST /admin/responses/{responseId}/offers), which carry salary, start date, a PDF letter and the candidate's accept/decline answer.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: responseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Application/response ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SendAcceptanceRequest'
+ *           examples:
+ *             default:
+ *               summary: Send acceptance email
+ *               value:
+ *                 applicant_name: Jane Doe
+ *                 role: Frontend Developer
+ *                 custom_message: >-
+ *                   Please find the attached offer letter with details about your
+ *                   compensation and benefits. Kindly sign and return it by January 20, 2026.
+ *                 sender_name: John Smith
+ *                 sender_title: Talent Acquisition Manager
+ *     responses:
+ *       200:
+ *         description: Acceptance saved and email queued (see `email.status`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Acceptance saved. The email is queued for delivery
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     responseId:
+ *                       type: string
+ *                       example: 679c1d2e3f4g5h6789ijklmn
+ *                     isAccepted:
+ *                       type: boolean
+ *                       example: true
+ *                     email:
+ *                       type: object
+ *                       properties:
+ *                         messageId:
+ *                           type: string
+ *                         status:
+ *                           type: string
+ *                           enum: [queued, skipped, failed]
+ *                     acceptanceDetails:
+ *                       type: object
+ *                       properties:
+ *                         applicant_name:
+ *                           type: string
+ *                           example: Jane Doe
+ *                         role:
+ *                           type: string
+ *                           example: Frontend Developer
+ *                         custom_message:
+ *                           type: string
+ *                           example: Please find the attached offer letter with details about your compensation and benefits.
+ *                         sender_name:
+ *                           type: string
+ *                           example: John Smith
+ *                         sender_title:
+ *                           type: string
+ *                           example: Talent Acquisition Manager
+ *       404:
+ *         description: Response not found
+ *       400:
+ *         description: Validation error (missing required acceptance fields)
+ */
+router.post('/responses/:responseId/send-acceptance', sendAcceptanceEmail);
+
+// ========================================
+// COMMENTS & ACTIVITY
+// ========================================
+
+/**
+ * @swagger
+ * /admin/responses/{responseId}/comments:
+ *   get:
+ *     tags: [Comments - Admin]
+ *     summary: Get the comment threads on a response
+ *     description: Top-level comments with their replies, oldest first. Deleted comments keep their place with `body` set to null.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: responseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Comments retrieved successfully
+ *       404:
+ *         description: Response not found
+ */
+router.get('/responses/:responseId/comments', validateResponseId, validateRequest, getComments);
+
+/**
+ * @swagger
+ * /admin/responses/{responseId}/comments:
+ *   post:
+ *     tags: [Comments - Admin]
+ *     summary: Comment on a response
+ *     description: |
+ *       Mention admins as `@[Name](userId)`; mentioned admins get an email.
+ *       Set `parentId` to reply to a top-level comment.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: responseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 type: string
+ *                 example: "Strong portfolio. @[Sara Bekele](679c1d2e3f4a5b6789abcdef) can you check the system design answer?"
+ *               parentId:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Comment added successfully
+ *       400:
+ *         description: Validation error or invalid parent comment
+ *       404:
+ *         description: Response or parent comment not found
+ */
+router.post('/responses/:responseId/comments', validateAddComment, validateRequest, addComment);
+
+/**
+ * @swagger
+ * /admin/comments/{commentId}:
+ *   patch:
+ *     tags: [Comments - Admin]
+ *     summary: Edit your comment
+ *     description: The previous text is kept in the comment's history. Newly mentioned admins are notified.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Comment updated successfully
+ *       403:
+ *         description: Not your comment
+ *       404:
+ *         description: Comment not found
+ */
+router.patch('/comments/:commentId', validateEditComment, validateRequest, editComment);
+
+/**
+ * @swagger
+ * /admin/comments/{commentId}:
+ *   delete:
+ *     tags: [Comments - Admin]
+ *     summary: Delete your comment
+ *     description: The comment is hidden from threads but stays in its history
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Comment deleted successfully
+ *       403:
+ *         description: Not your comment
+ *       404:
+ *         description: Comment not found
+ */
+router.delete('/comments/:commentId', validateCommentId, validateRequest, deleteComment);
+
+/**
+ * @swagger
+ * /admin/comments/{commentId}/history:
+ *   get:
+ *     tags: [Comments - Admin]
+ *     summary: Get the edit and delete history of a comment
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Every version of the comment, oldest first
+ *       404:
+ *         description: Comment not found
+ */
+router.get('/comments/:commentId/history', validateCommentId, validateRequest, getCommentHistory);
+
+/**
+ * @swagger
+ * /admin/responses/{responseId}/timeline:
+ *   get:
+ *     tags: [Comments - Admin]
+ *     summary: Get the activity timeline of a response
+ *     description: Stage changes, comments, emails sent and other audited actions on the application, newest first
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: responseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: types
+ *         schema:
+ *           type: string
+ *           example: comment,stage_change
+ *         description: Comma-separated entry types to include (stage_change, comment, email, audit). Defaults to all.
+ *     responses:
+ *       200:
+ *         description: Timeline retrieved successfully
+ *       400:
+ *         description: Unknown entry type
+ *       404:
+ *         description: Response not found
+ */
+router.get('/responses/:responseId/timeline', getResponseTimeline);
+
+// ========================================
+// MESSAGES TO APPLICANTS
+// ========================================
+
+/**
+ * @swagger
+ * /admin/messages:
+ *   post:
+ *     tags: [Messages - Admin]
+ *     summary: Email one or more applicants
+ *     description: |
+ *       Queues the chosen email template for the applicant of every response and records the message on the response.
+ *       A background worker sends queued messages and retries failed deliveries with backoff.
+ *       `applicant_name`, `job_title` and `role` are filled in from each response; `sender_name` defaults to your name.
+ *       Withdrawn responses are skipped. At most 500 responses per request.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [responseIds, template]
+ *             properties:
+ *               responseIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               template:
+ *                 type: string
+ *                 enum: [applicant_message, interview_invitation, acceptance, rejection, offer]
+ *               variables:
+ *                 type: object
+ *                 description: Template variables, see GET /admin/email-templates/{key}
+ *           example:
+ *             responseIds: [679c1d2e3f4g5h6789ijklmn, 679c1d2e3f4g5h6789ijklmo]
+ *             template: applicant_message
+ *             variables:
+ *               message: We are still reviewing applications and will get back to you next week.
+ *               sender_title: Talent Acquisition Lead
+ *     responses:
+ *       200:
+ *         description: Per-response result with the message status (queued, skipped when email is not configured, failed when the template could not be rendered)
+ *       400:
+ *         description: Unknown template, unknown variable or missing required variable
+ */
+router.post('/messages', validateSendMessages, validateRequest, sendMessages);
+
+/**
+ * @swagger
+ * /admin/messages/{messageId}:
+ *   get:
+ *     tags: [Messages - Admin]
+ *     summary: Get a sent message with its body
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Message retrieved successfully
+ *       404:
+ *         description: Message not found
+ */
+router.get('/messages/:messageId', validateMessageId, validateRequest, getMessage);
+
+/**
+ * @swagger
+ * /admin/responses/{responseId}/messages:
+ *   get:
+ *     tags: [Messages - Admin]
+ *     summary: Get the messages sent to the applicant of a response
+ *     description: |
+ *       Every email about the response (confirmation, interview, acceptance, stage change and manual messages), newest first.
+ *       `status` is queued (waiting to be sent or retried), sent, failed (every attempt failed),
+ *       bounced (the recipient was rejected) or skipped (email was not configured).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: responseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, sent, failed, bounced, skipped]
+ *     responses:
+ *       200:
+ *         description: Messages retrieved successfully
+ *       404:
+ *         description: Response not found
+ */
+router.get('/responses/:responseId/messages', validateMessageList, validateRequest, getResponseMessages);
+
+/**
+ * @swagger
+ * /admin/responses/{responseId}/messages/resend-failed:
+ *   post:
+ *     tags: [Messages - Admin]
+ *     summary: Resend the failed and bounced messages of a response
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: responseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Messages put back in the queue
+ *       404:
+ *         description: Response not found
+ */
+router.post('/responses/:responseId/messages/resend-failed', validateResponseId, validateRequest, resendFailedMessages);
+
+/**
+ * @swagger
+ * /admin/messages/{messageId}/resend:
+ *   post:
+ *     tags: [Messages - Admin]
+ *     summary: Resend a failed, bounced or skipped message
+ *     description: Puts the message back in the queue as it was rendered, to the same address, with a fresh set of attempts
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Message queued for delivery
+ *       400:
+ *         description: Message is queued or already sent
+ *       404:
+ *         description: Message not found
+ */
+router.post('/messages/:messageId/resend', validateMessageId, validateRequest, resendMessage);
+
+/**
+ * @swagger
+ * /admin/email-outbox:
+ *   get:
+ *     tags: [Messages - Admin]
+ *     summary: List emails held in the development outbox
+ *     description: |
+ *       Only available when emails go to the outbox instead of a provider
+ *       (`EMAIL_TRANSPORT=outbox`, the default outside production when Resend and SMTP are not configured).
+ *       The outbox is kept in memory and is emptied on restart.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *         description: Only emails to this address
+ *     responses:
+ *       200:
+ *         description: Outbox emails, newest first, without their body
+ *       404:
+ *         description: The outbox transport is not in use
+ */
+router.get('/email-outbox', getOutbox);
+
+/**
+ * @swagger
+ * /admin/email-outbox/{id}:
+ *   get:
+ *     tags: [Messages - Admin]
+ *     summary: Get an email from the development outbox
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, html]
+ *         description: html returns the email itself for viewing in a browser
+ *     responses:
+ *       200:
+ *         description: Outbox email
+ *       404:
+ *         description: Email not found or the outbox transport is not in use
+ */
+router.get('/email-outbox/:id', getOutboxMessage);
+
+/**
+ * @swagger
+ * /admin/email-outbox:
+ *   delete:
+ *     tags: [Messages - Admin]
+ *     summary: Empty the development outbox
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Outbox cleared
+ *       404:
+ *         description: The outbox transport is not in use
+ */
+router.delete('/email-outbox', clearOutbox);
+
+// ========================================
+// EMAIL TEMPLATES
+// ========================================
+
+/**
+ * @swagger
+ * /admin/email-templates:
+ *   get:
+ *     tags: [Email Templates - Admin]
+ *     summary: List email templates
+ *     description: Every email the system sends, with the variables it can use, whether it was customized and how many jobs override it
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Email templates retrieved successfully
+ */
+router.get('/email-templates', getEmailTemplates);
+
+/**
+ * @swagger
+ * /admin/email-templates/{key}:
+ *   get:
+ *     tags: [Email Templates - Admin]
+ *     summary: Get an email template
+ *     description: The template the email is currently sent with. `source` is `job` (override for the given job), `global` (edited by an admin) or `default` (built in).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [application_confirmation, interview_invitation, interview_booking, interview_rescheduled, interview_cancelled, acceptance, rejection, offer, applicant_message, magic_link, mention]
+ *       - in: query
+ *         name: jobId
+ *         schema:
+ *           type: string
+ *         description: Get the template used for this job
+ *     responses:
+ *       200:
+ *         description: Email template retrieved successfully
+ *       400:
+ *         description: Unknown template
+ */
+router.get('/email-templates/:key', validateTemplateKey, validateRequest, getEmailTemplate);
+
+/**
+ * @swagger
+ * /admin/email-templates/{key}:
+ *   put:
+ *     tags: [Email Templates - Admin]
+ *     summary: Save an email template
+ *     description: |
+ *       Saves the template for every job, or as an override for one job when `jobId` is given.
+ *       Use `{{variable}}` placeholders (e.g. `{{applicant_name}}`, `{{role}}`, `{{interview_date}}`) and
+ *       `{{#variable}}...{{/variable}}` for parts shown only when the variable has a value.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [subject, html]
+ *             properties:
+ *               subject:
+ *                 type: string
+ *                 example: "Interview Invitation for {{role}}"
+ *               html:
+ *                 type: string
+ *                 example: "<p>Dear {{applicant_name}},</p><p>Your interview is on {{interview_date}}.</p>"
+ *               jobId:
+ *                 type: string
+ *                 description: Save as an override for this job only
+ *     responses:
+ *       200:
+ *         description: Email template saved successfully
+ *       400:
+ *         description: Unknown variable, unclosed section or template that cannot be overridden per job
+ *       404:
+ *         description: Job not found
+ */
+router.put('/email-templates/:key', validateSaveEmailTemplate, validateRequest, saveEmailTemplate);
+
+/**
+ * @swagger
+ * /admin/email-templates/{key}:
+ *   delete:
+ *     tags: [Email Templates - Admin]
+ *     summary: Reset an email template
+ *     description: Discards the saved version. A job override falls back to the shared template; the shared template falls back to the built-in one.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: jobId
+ *         schema:
+ *           type: string
+ *         description: Remove this job's override
+ *     responses:
+ *       200:
+ *         description: Email template reset successfully
+ *       404:
+ *         description: Template was not customized
+ */
+router.delete('/email-templates/:key', validateTemplateKey, validateRequest, resetEmailTemplate);
+
+/**
+ * @swagger
+ * /admin/email-templates/{key}/preview:
+ *   post:
+ *     tags: [Email Templates - Admin]
+ *     summary: Preview an email template with sample data
+ *     description: Renders unsaved `subject`/`html` edits, or the template in use when they are omitted. `variables` replace the sample values.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               subject:
+ *                 type: string
+ *               html:
+ *                 type: string
+ *               jobId:
+ *                 type: string
+ *               variables:
+ *                 type: object
+ *                 example: { "applicant_name": "Hana Tesfaye" }
+ *     responses:
+ *       200:
+ *         description: Rendered fromName, subject and html
+ *       400:
+ *         description: Invalid template
+ */
+router.post('/email-templates/:key/preview', validatePreviewEmailTemplate, validateRequest, previewEmailTemplate);
+
+/**
+ * @swagger
+ * /admin/interview-slots:
+ *   post:
+ *     tags: [Interviews - Admin]
+ *     summary: Add interview availability
+ *     description: |
+ *       Splits `startsAt`-`endsAt` into slots of `slotMinutes` (one slot for the whole range when omitted),
+ *       at most 100 at once. Slots belong to the current admin unless `interviewerId` is given and are
+ *       offered for every job unless `jobId` is given. Applicants with a booking link pick from open slots.
+ *       Times without `Z` or an offset are read in `timezone`, or the admin's own zone.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [startsAt, endsAt]
+ *             properties:
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *                 example: "2025-03-14T09:00:00Z"
+ *               endsAt:
+ *                 type: string
+ *                 format: date-time
+ *                 example: "2025-03-14T12:00:00Z"
+ *               slotMinutes:
+ *                 type: integer
+ *                 example: 45
+ *               jobId:
+ *                 type: string
+ *               interviewerId:
+ *                 type: string
+ *               timezone:
+ *                 type: string
+ *                 example: Africa/Addis_Ababa
+ *     responses:
+ *       201:
+ *         description: Slots created
+ *       400:
+ *         description: Invalid range or interviewer is not an admin
+ *       409:
+ *         description: Overlaps existing slots or interviews of the interviewer (listed in `errors`)
+ */
+router.post('/interview-slots', validateCreateSlots, validateRequest, createSlots);
+
+/**
+ * @swagger
+ * /admin/interview-slots:
+ *   get:
+ *     tags: [Interviews - Admin]
+ *     summary: List interview slots
+ *     description: Open slots from now on unless filtered otherwise. With `jobId`, slots for that job and for every job.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: interviewer
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: jobId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, booked]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Interview slots retrieved successfully
+ */
+router.get('/interview-slots', validateSlotList, validateRequest, getSlots);
+
+/**
+ * @swagger
+ * /admin/interview-slots/{slotId}:
+ *   delete:
+ *     tags: [Interviews - Admin]
+ *     summary: Remove an open interview slot
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: slotId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Interview slot removed successfully
+ *       400:
+ *         description: The slot is booked
+ *       404:
+ *         description: Interview slot not found
+ */
+router.delete('/interview-slots/:slotId', validateSlotId, validateRequest, deleteSlot);
+
+/**
+ * @swagger
+ * /admin/responses/{responseId}/interviews:
+ *   post:
+ *     tags: [Interviews - Admin]
+ *     summary: Schedule an interview at a fixed time
+ *     description: |
+ *       Creates the event with the configured calendar provider (Google Calendar, or an offline
+ *       iCalendar event when `CALENDAR_PROVIDER=ics` or Google is not configured), moves the response
+ *       to the interview stage and queues the `interview_invitation` email.
+ *       Interviewers default to the current admin; each gets the `interviewer_notification` email with the
+ *       `.ics` file, in their own time zone. A `startsAt` without `Z` or an offset is read in
+ *       `timezone` (the job's zone when omitted); the email shows the time in the applicant's zone.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: responseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [startsAt]
+ *             properties:
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *                 example: "2025-03-14T10:00"
+ *               timezone:
+ *                 type: string
+ *                 description: IANA zone of the interview; defaults to the job's
+ *                 example: Africa/Addis_Ababa
+ *               durationMinutes:
+ *                 type: integer
+ *                 default: 45
+ *               interviewerIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               location:
+ *                 type: string
+ *                 description: Address or meeting link. When empty, Google Calendar adds a Meet link.
+ *               custom_message:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Interview scheduled
+ *       404:
+ *         description: Response not found
+ *       409:
+ *         description: An interviewer already has an interview at this time (listed in `errors`)
+ *       502:
+ *         description: The calendar provider could not create the event
+ *   get:
+ *     tags: [Interviews - Admin]
+ *     summary: Get the interviews of a response
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: responseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Interviews retrieved successfully
+ *       404:
+ *         description: Response not found
+ */
+router.post('/responses/:responseId/interviews', validateScheduleInterview, validateRequest, scheduleResponseInterview);
+router.get('/responses/:responseId/interviews', validateResponseId, validateRequest, getResponseInterviews);
+
+/**
+ * @swagger
+ * /admin/responses/{responseId}/interviews/booking-link:
+ *   post:
+ *     tags: [Interviews - Admin]
+ *     summary: Email the applicant a link to book an interview
+ *     description: |
+ *       Queues the `interview_booking` email with a link to `INTERVIEW_BOOKING_URL?token=...`.
+ *       The applicant picks one of the open slots of `interviewerIds` (any interviewer when omitted)
+ *       through `GET/POST /interview-booking/{token}`. A previous unused link of the response is cancelled.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: responseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               durationMinutes:
+ *                 type: integer
+ *                 default: 45
+ *               interviewerIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               location:
+ *                 type: string
+ *               expiresInDays:
+ *                 type: integer
+ *                 default: 7
+ *               timezone:
+ *                 type: string
+ *                 description: IANA zone of the interview; defaults to the job's
+ *               custom_message:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Booking link created and email queued
+ *       404:
+ *         description: Response not found
+ */
+router.post('/responses/:responseId/interviews/booking-link', validateBookingLink, validateRequest, sendBookingLink);
+
+/**
+ * @swagger
+ * /admin/interviews:
+ *   get:
+ *     tags: [Interviews - Admin]
+ *     summary: List scheduled interviews in a time range
+ *     description: Defaults to the next 30 days.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: interviewer
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Interviews retrieved successfully
+ */
+router.get('/interviews', validateInterviewList, validateRequest, getInterviews);
+
+/**
+ * @swagger
+ * /admin/interviews/{interviewId}:
+ *   get:
+ *     tags: [Interviews - Admin]
+ *     summary: Get an interview with its change history
+ *     description: "`history` lists every change: booking link sent, scheduled, rescheduled (with the previous time and place) and cancelled."
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: interviewId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Interview retrieved successfully
+ *       404:
+ *         description: Interview not found
+ */
+router.get('/interviews/:interviewId', validateInterviewId, validateRequest, getInterview);
+
+/**
+ * @swagger
+ * /admin/interviews/{interviewId}:
+ *   patch:
+ *     tags: [Interviews - Admin]
+ *     summary: Reschedule an interview or change its interviewers
+ *     description: |
+ *       Moves a scheduled interview to another time, length or place, or replaces its panel with `interviewerIds`.
+ *       The calendar event is updated and the applicant gets the `interview_rescheduled` email with an updated
+ *       `.ics` (same UID, higher SEQUENCE). Interviewers get the `interviewer_notification` email; those taken
+ *       off the panel get a cancellation. A booked slot is freed when the time or panel changes. A `startsAt`
+ *       without `Z` or an offset is read in the interview's zone.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: interviewId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *               durationMinutes:
+ *                 type: integer
+ *               location:
+ *                 type: string
+ *               interviewerIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: New panel of admin users
+ *               reason:
+ *                 type: string
+ *                 description: Included in the emails to the applicant and interviewers
+ *     responses:
+ *       200:
+ *         description: Interview rescheduled
+ *       400:
+ *         description: Interview is not scheduled, nothing to change, or new time in the past
+ *       404:
+ *         description: Interview not found
+ *       409:
+ *         description: An interviewer already has an interview at the new time (listed in `errors`)
+ *       502:
+ *         description: The calendar provider could not update the event
+ */
+router.patch('/interviews/:interviewId', validateRescheduleInterview, validateRequest, rescheduleResponseInterview);
+
+/**
+ * @swagger
+ * /admin/interviews/{interviewId}/cancel:
+ *   post:
+ *     tags: [Interviews - Admin]
+ *     summary: Cancel an interview or an unused booking link
+ *     description: |
+ *       A scheduled interview is removed from the calendar, its slot is freed and the applicant gets the
+ *       `interview_cancelled` email with an `.ics` cancellation (METHOD:CANCEL, same UID).
+ *       A booking link that was not used yet just stops working.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: interviewId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Included in the email to the applicant
+ *     responses:
+ *       200:
+ *         description: Interview cancelled
+ *       400:
+ *         description: Interview is already cancelled or completed
+ *       404:
+ *         description: Interview not found
+ *       502:
+ *         description: The calendar provider could not cancel the event
+ */
+router.post('/interviews/:interviewId/cancel', validateCancelInterview, validateRequest, cancelResponseInterview);
+
+/**
+ * @swagger
+ * /admin/interviews/{interviewId}/feedback:
+ *   put:
+ *     tags: [Interviews - Admin]
+ *     summary: Submit your feedback on an interview
+ *     description: |
+ *       Only the interview's interviewers can give feedback, once the interview has started. Submitting again
+ *       replaces your earlier feedback. The interview is marked completed. An application cannot move past the
+ *       interview stage (except to a rejection stage) until every interviewer of its interviews that have started
+ *       has given feedback. Interviews still upcoming do not hold it back.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: interviewId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [rating, recommendation]
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *                 example: 4
+ *               recommendation:
+ *                 type: string
+ *                 enum: [strong_yes, yes, no, strong_no]
+ *                 example: yes
+ *               notes:
+ *                 type: string
+ *                 example: Solid system design answers; would like a second opinion on frontend depth.
+ *     responses:
+ *       200:
+ *         description: Feedback submitted or updated; the interview is returned with `feedback` and `pendingFeedback`
+ *       400:
+ *         description: Validation error, the interview has not started, or it was cancelled
+ *       403:
+ *         description: You are not an interviewer of this interview
+ *       404:
+ *         description: Interview not found
+ */
+router.put('/interviews/:interviewId/feedback', validateInterviewFeedback, validateRequest, submitInterviewFeedback);
+
+/**
+ * @swagger
+ * /admin/interviews/{interviewId}/ics:
+ *   get:
+ *     tags: [Interviews - Admin]
+ *     summary: Download a scheduled interview as an iCalendar (.ics) file
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: interviewId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: iCalendar file
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: The interview is not scheduled
+ *       404:
+ *         description: Interview not found
+ */
+router.get('/interviews/:interviewId/ics', validateInterviewId, validateRequest, downloadInterviewCalendar);
+
+// ========================================
+// OFFERS
+// ========================================
+
+/**
+ * @swagger
+ * /admin/responses/{responseId}/offers:
+ *   post:
+ *     tags: [Offers - Admin]
+ *     summary: Make a job offer
+ *     description: |
+ *       Renders the offer letter from its template, emails it to the applicant as a PDF with a link
+ *       to accept or decline (the `offer_letter` email template), and moves the response to the
+ *       offer stage (the stage its pipeline template marks with purpose `offer`). A `startDate` or
+ *       `expiresAt` without Z or an offset is read in `timezone`, or the job's zone; a date alone for
+ *       `expiresAt` runs until the end of that day. Without `expiresAt` the offer runs for
+ *       `expiresInDays` (OFFER_EXPIRY_DAYS, 7 by default).
+ *
+ *       An earlier offer still waiting for an answer is withdrawn once the new offer and its email are
+ *       saved; when the email cannot be prepared no offer is made and the earlier one stays open.
+ *       Accepting moves the response to hired, declining to rejected, and the admin who made the
+ *       offer is emailed either way.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: responseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [salary, startDate]
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 description: Defaults to the job title
+ *                 example: Senior Backend Engineer
+ *               salary:
+ *                 type: number
+ *                 example: 85000
+ *               currency:
+ *                 type: string
+ *                 description: ISO 4217 code
+ *                 default: ETB
+ *               salaryPeriod:
+ *                 type: string
+ *                 enum: [hour, month, year]
+ *                 default: month
+ *               startDate:
+ *                 type: string
+ *                 example: 2025-04-01
+ *               expiresAt:
+ *                 type: string
+ *                 example: 2025-03-21
+ *               expiresInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 60
+ *               timezone:
+ *                 type: string
+ *                 example: Africa/Addis_Ababa
+ *               custom_message:
+ *                 type: string
+ *                 example: You will report to our Head of Engineering.
+ *     responses:
+ *       201:
+ *         description: Offer created and the letter queued for delivery (see `email.status`)
+ *       400:
+ *         description: Validation error, withdrawn application, closed job, no offer stage in the job's pipeline, or interview feedback still missing
+ *       404:
+ *         description: Response not found
+ *       502:
+ *         description: The offer email could not be prepared; no offer was made
+ *   get:
+ *     tags: [Offers - Admin]
+ *     summary: List the offers made for a response, newest first
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: responseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Offers retrieved successfully
+ *       404:
+ *         description: Response not found
+ */
+router.post('/responses/:responseId/offers', validateCreateOffer, validateRequest, createOffer);
+router.get('/responses/:responseId/offers', validateResponseId, validateRequest, getResponseOffers);
+
+/**
+ * @swagger
+ * /admin/offers/{offerId}:
+ *   get:
+ *     tags: [Offers - Admin]
+ *     summary: Get an offer with its letter text
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: offerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Offer retrieved successfully
+ *       404:
+ *         description: Offer not found
+ */
+router.get('/offers/:offerId', validateOfferId, validateRequest, getOffer);
+
+/**
+ * @swagger
+ * /admin/offers/{offerId}/letter:
+ *   get:
+ *     tags: [Offers - Admin]
+ *     summary: Download the offer letter as a PDF
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: offerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Offer letter
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Offer not found
+ */
+router.get('/offers/:offerId/letter', validateOfferId, validateRequest, downloadOfferLetter);
+
+/**
+ * @swagger
+ * /admin/offers/{offerId}/withdraw:
+ *   post:
+ *     tags: [Offers - Admin]
+ *     summary: Withdraw an offer the candidate has not answered yet
+ *     description: The offer link stops accepting answers. The response stays in its pipeline stage.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: offerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 2000
+ *     responses:
+ *       200:
+ *         description: Offer withdrawn
+ *       400:
+ *         description: The offer was already answered, withdrawn or has expired
+ *       404:
+ *         description: Offer not found
+ */
+router.post('/offers/:offerId/withdraw', validateWithdrawOffer, validateRequest, withdrawOffer);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
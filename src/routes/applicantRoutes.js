@@ -0,0 +1,296 @@
+const express = require('express');
+const router = express.Router();
+const { protectApplicant } = require('../middleware/authMiddleware');
+const { applicationUpload } = require('../config/multer');
+const validateRequest = require('../middleware/validateRequest');
+
+const {
+  requestMagicLink,
+  createSession,
+  getMyApplications,
+  getMyApplication,
+  withdrawApplication,
+  updateMyApplication,
+  replaceMyApplicationFile
+} = require('../controllers/applicantPortalController');
+
+const {
+  magicLinkValidator,
+  sessionValidator,
+  withdrawValidator,
+  updateContactValidator
+} = require('../validators/applicantValidator');
+
+// ========================================
+// SIGN-IN (MAGIC LINK)
+// ========================================
+
+/**
+ * @swagger
+ * /applicant/magic-link:
+ *   post:
+ *     tags: [Applicant Portal]
+ *     summary: Request a sign-in link
+ *     description: |
+ *       Emails a one-time sign-in link to the applicant portal if there are applications
+ *       for the address. The link expires after 15 minutes (MAGIC_LINK_EXPIRY_MINUTES) and points
+ *       to `${APPLICANT_PORTAL_URL}/verify?token=...`.
+ *
+ *       The response is the same whether or not the email has applied.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: john.doe@gmail.com
+ *     responses:
+ *       200:
+ *         description: If there are applications for this email, a sign-in link is on its way.
+ *       400:
+ *         description: Validation failed
+ */
+router.post('/magic-link', magicLinkValidator, validateRequest, requestMagicLink);
+
+/**
+ * @swagger
+ * /applicant/session:
+ *   post:
+ *     tags: [Applicant Portal]
+ *     summary: Exchange a magic-link token for a session
+ *     description: Each link works once. Returns a bearer token for the other applicant portal endpoints (valid 24 hours by default).
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token from the emailed link
+ *     responses:
+ *       200:
+ *         description: Signed in successfully
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: Signed in successfully
+ *               data:
+ *                 token: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *                 email: john.doe@gmail.com
+ *       401:
+ *         description: Link invalid, already used or expired
+ */
+router.post('/session', sessionValidator, validateRequest, createSession);
+
+// ========================================
+// MY APPLICATIONS
+// ========================================
+
+router.use(protectApplicant);
+
+/**
+ * @swagger
+ * /applicant/applications:
+ *   get:
+ *     tags: [Applicant Portal]
+ *     summary: List my applications
+ *     description: All applications submitted with the signed-in email, newest first, with their current status.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Applications retrieved successfully
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: Applications retrieved successfully
+ *               data:
+ *                 email: john.doe@gmail.com
+ *                 applications:
+ *                   - applicationId: 677c1b2c3d4e5f6789abcde0
+ *                     job:
+ *                       id: 677a1b2c3d4e5f6789abcdef
+ *                       title: Frontend Developer
+ *                       deadline: 2026-02-28T23:59:59.000Z
+ *                       isAcceptingChanges: true
+ *                     status:
+ *                       stage: interview
+ *                       label: Interview
+ *                       since: 2026-01-12T09:00:00.000Z
+ *                     withdrawnAt: null
+ *                     submittedAt: 2026-01-09T14:29:20.000Z
+ *                     canWithdraw: true
+ *                     canEdit: true
+ *       401:
+ *         description: Not signed in
+ */
+router.get('/applications', getMyApplications);
+
+/**
+ * @swagger
+ * /applicant/applications/{applicationId}:
+ *   get:
+ *     tags: [Applicant Portal]
+ *     summary: Get one of my applications
+ *     description: Answers, uploaded files and the status history of the application.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: applicationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Application retrieved successfully
+ *       404:
+ *         description: Application not found
+ */
+router.get('/applications/:applicationId', getMyApplication);
+
+/**
+ * @swagger
+ * /applicant/applications/{applicationId}:
+ *   patch:
+ *     tags: [Applicant Portal]
+ *     summary: Update my contact details
+ *     description: Allowed until the job deadline while the application is still open. The email address can't be changed.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: applicationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - applicant
+ *             properties:
+ *               applicant:
+ *                 type: object
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                   phoneNumber:
+ *                     type: string
+ *                   country:
+ *                     type: string
+ *                   city:
+ *                     type: string
+ *                   timezone:
+ *                     type: string
+ *                     nullable: true
+ *                     description: IANA zone interview emails are written in; null for the job's zone
+ *                     example: Europe/London
+ *     responses:
+ *       200:
+ *         description: Application updated successfully
+ *       400:
+ *         description: Validation failed, or the deadline has passed / application is closed
+ *       404:
+ *         description: Application not found
+ */
+router.patch('/applications/:applicationId', updateContactValidator, validateRequest, updateMyApplication);
+
+/**
+ * @swagger
+ * /applicant/applications/{applicationId}/files/{fieldId}:
+ *   put:
+ *     tags: [Applicant Portal]
+ *     summary: Replace an uploaded file
+ *     description: Upload a new file for a file field. Allowed until the job deadline while the application is still open; checked against the field's allowed types and size limit.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: applicationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: fieldId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: File updated successfully
+ *       400:
+ *         description: No file, file type/size not allowed, or the application can no longer be changed
+ *       404:
+ *         description: Application or file field not found
+ *       502:
+ *         description: Storage upload failed; safe to retry
+ */
+router.put(
+  '/applications/:applicationId/files/:fieldId',
+  applicationUpload.single('file'),
+  replaceMyApplicationFile
+);
+
+/**
+ * @swagger
+ * /applicant/applications/{applicationId}/withdraw:
+ *   post:
+ *     tags: [Applicant Portal]
+ *     summary: Withdraw an application
+ *     description: Marks the application as withdrawn (`withdrawnAt`); it keeps its pipeline stage and can no longer be moved. The applicant sees its status as `withdrawn`. Not possible once the applicant has been hired or rejected.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: applicationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: I accepted another offer
+ *     responses:
+ *       200:
+ *         description: Application withdrawn successfully
+ *       400:
+ *         description: Already withdrawn or no longer possible
+ *       404:
+ *         description: Application not found
+ */
+router.post('/applications/:applicationId/withdraw', withdrawValidator, validateRequest, withdrawApplication);
+
+module.exports = router;
@@ -498,7 +498,7 @@ router.patch('/responses/:responseId/save', toggleSaveResponse);
  *             sender_title: "Talent Acquisition Manager"
  *     responses:
  *       200:
- *         description: Interview invitation sent successfully
+ *         description: Invitation saved and email queued (see `email.status`)
  *         content:
  *           application/json:
  *             schema:
@@ -509,7 +509,7 @@ router.patch('/responses/:responseId/save', toggleSaveResponse);
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: Interview invitation sent successfully
+ *                   example: Interview invitation saved. The email is queued for delivery
  *                 data:
  *                   type: object
  *                   properties:
@@ -519,6 +519,14 @@ router.patch('/responses/:responseId/save', toggleSaveResponse);
  *                     isInvited:
  *                       type: boolean
  *                       example: true
+ *                     email:
+ *                       type: object
+ *                       properties:
+ *                         messageId:
+ *                           type: string
+ *                         status:
+ *                           type: string
+ *                           enum: [queued, skipped, failed]
  *                     interviewDetails:
  *                       type: object
  *                       properties:
@@ -551,8 +559,12 @@ router.post('/responses/:responseId/send-invitation', sendInterviewInvitation);
  *   post:
  *     tags: [Applications - Admin]
  *     summary: STEP 12 - Send acceptance email (Phase 2)
+ *     deprecated: true
  *     description: |
  *       Send job acceptance/offer email to applicant.
+ *
+ *       Superseded by offers (POST /admin/responses/{responseId}/offers), which carry salary,
+ *       start date, a PDF letter and the candidate's accept/decline answer.
  *       
  *       **Backend automatically:**
  *       1. Sends congratulations email to applicant
@@ -574,7 +586,7 @@ router.post('/responses/:responseId/send-invitation', sendInterviewInvitation);
  *         example: 677c3d4e5f6789abcdef012
  *     responses:
  *       200:
- *         description: Acceptance email sent successfully
+ *         description: Acceptance saved and email queued (see `email.status`)
  *         content:
  *           application/json:
  *             schema:
@@ -585,7 +597,7 @@ router.post('/responses/:responseId/send-invitation', sendInterviewInvitation);
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: Acceptance Email sent successfully
+ *                   example: Acceptance saved. The email is queued for delivery
  *                 data:
  *                   type: object
  *                   properties:
@@ -595,6 +607,14 @@ router.post('/responses/:responseId/send-invitation', sendInterviewInvitation);
  *                     isAccepted:
  *                       type: boolean
  *                       example: true
+ *                     email:
+ *                       type: object
+ *                       properties:
+ *                         messageId:
+ *                           type: string
+ *                         status:
+ *                           type: string
+ *                           enum: [queued, skipped, failed]
  *       404:
  *         description: Response not found
  *         content:
@@ -1,6 +1,6 @@
 const express = require('express');
-const { register, login, getMe } = require('../controllers/authController');
-const { registerValidator, loginValidator } = require('../validators/authValidator');
+const { register, login, getMe, updateMe } = require('../controllers/authController');
+const { registerValidator, loginValidator, updateMeValidator } = require('../validators/authValidator');
 const validateRequest = require('../middleware/validateRequest');
 const { protect } = require('../middleware/authMiddleware');
 
@@ -101,9 +101,38 @@ router.post('/login', loginValidator, validateRequest, login);
  *                       type: string
  *                     role:
  *                       type: string
+ *                     timezone:
+ *                       type: string
+ *                       example: Africa/Addis_Ababa
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *   patch:
+ *     tags: [Authentication]
+ *     summary: Update the current user's profile
+ *     description: Change the name or the IANA time zone that interview notifications to the user are written in
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               timezone:
+ *                 type: string
+ *                 example: Europe/Berlin
+ *     responses:
+ *       200:
+ *         description: User profile updated
+ *       400:
+ *         description: Validation error
  *       401:
  *         description: Unauthorized - Invalid or missing token
  */
 router.get('/me', protect, getMe);
+router.patch('/me', protect, updateMeValidator, validateRequest, updateMe);
 
 module.exports = router;
\ No newline at end of file
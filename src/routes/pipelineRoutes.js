@@ -12,10 +12,23 @@ const {
   getStageHistory,
   getKanbanBoard
 } = require('../controllers/pipelineController');
+const {
+  createTemplate,
+  getTemplates,
+  getTemplateById,
+  updateTemplate,
+  deleteTemplate,
+  getJobPipelineTemplate,
+  assignJobPipelineTemplate
+} = require('../controllers/pipelineTemplateController');
 const {
   validateMoveStage,
   validateJobId,
-  validateApplicationId
+  validateApplicationId,
+  validateTemplateId,
+  validateCreateTemplate,
+  validateUpdateTemplate,
+  validateAssignTemplate
 } = require('../validators/pipelineValidator');
 
 // Apply metadata capture to all routes
@@ -40,6 +53,15 @@ router.get(
   getPipelineStats
 );
 
+router.get(
+  '/applications/:id/stage-history',
+  protect,
+  authorize('admin'),
+  validateApplicationId,
+  validateRequest,
+  getStageHistory
+);
+
 router.get(
   '/applications/pipeline',
   protect,
@@ -47,4 +69,67 @@ router.get(
   getKanbanBoard
 );
 
+// Pipeline templates (Admin only)
+router.post(
+  '/templates',
+  protect,
+  authorize('admin'),
+  validateCreateTemplate,
+  validateRequest,
+  createTemplate
+);
+
+router.get(
+  '/templates',
+  protect,
+  authorize('admin'),
+  getTemplates
+);
+
+router.get(
+  '/templates/:templateId',
+  protect,
+  authorize('admin'),
+  validateTemplateId,
+  validateRequest,
+  getTemplateById
+);
+
+router.patch(
+  '/templates/:templateId',
+  protect,
+  authorize('admin'),
+  validateUpdateTemplate,
+  validateRequest,
+  updateTemplate
+);
+
+router.delete(
+  '/templates/:templateId',
+  protect,
+  authorize('admin'),
+  validateTemplateId,
+  validateRequest,
+  deleteTemplate
+);
+
+// Pipeline template attached to a job (Admin only)
+router.get(
+  '/jobs/:jobId/pipeline-template',
+  protect,
+  authorize('admin'),
+  validateJobId,
+  validateRequest,
+  getJobPipelineTemplate
+);
+
+router.patch(
+  '/jobs/:jobId/pipeline-template',
+  protect,
+  authorize('admin'),
+  validateAssignTemplate,
+  validateRequest,
+  assignJobPipelineTemplate
+);
+
 module.exports = router;
\ No newline at end of file
@@ -2,8 +2,13 @@ const express = require('express');
 const router = express.Router();
 const publicJobController = require('../controllers/publicJobController');
 const applicationController = require('../controllers/applicationController');
-const { successResponse, errorResponse } = require('../utils/responseUtils');
-const { upload, uploadToMinio } = require('../config/multer');
+const interviewBookingController = require('../controllers/interviewBookingController');
+const offerResponseController = require('../controllers/offerResponseController');
+const { validateBookingToken, validateBookInterview } = require('../validators/interviewValidator');
+const { validateOfferToken, validateDeclineOffer } = require('../validators/offerValidator');
+const validateRequest = require('../middleware/validateRequest');
+const captureMetadata = require('../middleware/captureMetadata');
+const { applicationUpload } = require('../config/multer');
 
 /**
  * @swagger
@@ -156,8 +161,15 @@ router.get('/jobs', publicJobController.getPublicJobs);
  *       - Full job metadata (not truncated)
  *       - All form fields with their configuration
  *       - Field types, questions, options, required status
+ *       - Conditional logic (`visibility`) for fields that are shown or hidden
+ *         depending on earlier answers
  *       - Fields are sorted by the `order` property
  *       
+ *       **Conditional Logic:**
+ *       A field with `visibility.rules` is shown (`action: show`) or hidden
+ *       (`action: hide`) when `all`/`any` of its rules match the applicant's answers.
+ *       Hidden fields are not required and their answers are discarded on submit.
+ *       
  *       **Use Case:**
  *       Frontend uses this response to dynamically render the job application form.
  *       Each field type (short_answer, multiple_choice, file, etc.) should be 
@@ -364,98 +376,66 @@ router.get('/jobs/:jobId', publicJobController.getPublicJobById);
 
 /**
  * @swagger
- * /files/upload:
+ * /jobs/{jobId}/uploads:
  *   post:
  *     tags: [Applications - Public]
- *     summary: Upload a file to MinIO and get public URL (generic)
+ *     summary: Upload a file for an application (phase 1 of submit)
  *     description: |
- *       Simple utility endpoint to upload **any single file** to MinIO and get back
- *       a public URL. This can be reused from other sites/frontends that just need
- *       a MinIO-hosted file URL.
- *
- *       **Notes:**
- *       - Field name must be `file`
- *       - Uses the same MinIO bucket and config as job applications (`job-uploads`)
- *       - Accepted formats are controlled by backend multer config (PDF, DOC, DOCX)
- *       - Max size is 5MB
+ *       Upload one file for a `file` field before submitting the application.
+ *       The file is checked against the field's allowed types and size limit and stored
+ *       privately. Use the returned `uploadToken` as the answer value for that field in
+ *       POST /jobs/:jobId/apply. Tokens that are not used within 24 hours are removed.
  *
- *       **NO AUTHENTICATION REQUIRED** by default.
+ *       **NO AUTHENTICATION REQUIRED**
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
  *     requestBody:
  *       required: true
  *       content:
  *         multipart/form-data:
  *           schema:
  *             type: object
+ *             required:
+ *               - file
+ *               - fieldId
  *             properties:
  *               file:
  *                 type: string
  *                 format: binary
- *                 description: File to upload
- *           examples:
- *             sampleFile:
- *               summary: Example file upload
- *               value:
- *                 file: (binary file)
+ *               fieldId:
+ *                 type: string
+ *                 description: ID of the file field this upload answers
+ *                 example: 677b2c3d4e5f6789abcdef02
  *     responses:
  *       201:
  *         description: File uploaded successfully
  *         content:
  *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 message:
- *                   type: string
- *                   example: File uploaded successfully
- *                 data:
- *                   type: object
- *                   properties:
- *                     fileName:
- *                       type: string
- *                       example: my_cv.pdf
- *                     bucket:
- *                       type: string
- *                       example: job-uploads
- *                     objectName:
- *                       type: string
- *                       example: cv-1736432960000-my_cv.pdf
- *                     url:
- *                       type: string
- *                       description: Public MinIO URL to access the file
- *                       example: http://localhost:9000/job-uploads/cv-1736432960000-my_cv.pdf
+ *             example:
+ *               success: true
+ *               message: File uploaded successfully
+ *               data:
+ *                 uploadToken: 9f2c4b1e0a7d4c3b8e6f5a4d3c2b1a0f9e8d7c6b5a4f3e2d
+ *                 fieldId: 677b2c3d4e5f6789abcdef02
+ *                 fileName: john_doe_cv.pdf
+ *                 mimeType: application/pdf
+ *                 size: 182734
+ *                 expiresAt: 2026-01-10T14:29:20.000Z
  *       400:
- *         description: No file provided or upload failed
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: false
- *                 message:
- *                   type: string
- *                   example: No file uploaded or upload failed
+ *         description: Not a file field, no file, or file type/size not allowed
+ *       403:
+ *         description: Job is no longer accepting applications
+ *       502:
+ *         description: Storage upload failed; safe to retry
  */
 router.post(
-  '/files/upload',
-  upload.single('file'),
-  uploadToMinio,
-  (req, res) => {
-    if (!req.file || !req.file.minioUrl) {
-      return errorResponse(res, 400, 'No file uploaded or upload failed');
-    }
-
-    return successResponse(res, 201, 'File uploaded successfully', {
-      fileName: req.file.originalname,
-      bucket: req.file.minioBucket,
-      objectName: req.file.minioFileName,
-      url: req.file.minioUrl
-    });
-  }
+  '/jobs/:jobId/uploads',
+  applicationUpload.single('file'),
+  applicationController.uploadApplicationFile
 );
 
 /**
@@ -465,7 +445,7 @@ router.post(
  *     tags: [Applications - Public]
  *     summary: STEP 3 - Apply for a job (CRITICAL - PUBLIC - No Authentication)
  *     description: |
- *       Submit a job application with form answers and optional CV upload.
+ *       Submit a job application with form answers and file uploads.
  *       
  *       **CRITICAL REQUIREMENTS:**
  *       
@@ -476,32 +456,42 @@ router.post(
  *       - `phoneNumber` (string, required)
  *       - `country` (string, required)
  *       - `city` (string, required)
+ *       - `timezone` (string, optional) - IANA zone interview emails are written in; the job's zone when omitted
  *       
  *       **2. Answers Array:**
  *       - Array of objects with `fieldId` and `value`
  *       - `fieldId`: Must match field IDs from GET /jobs/:jobId response
  *       - `value`: Can be string OR array (for checkboxes)
+ *       - Each answer is checked against its field type (options for choice fields,
+ *         URLs for links, integers for ratings, YYYY-MM-DD dates, HH:MM times) and any
+ *         field `constraints`. Failures come back per field in `errors`.
  *       - File field values are auto-populated by backend (don't include in answers)
  *       
- *       **3. File Upload (Optional but Recommended):**
- *       - If job has a file field, user can upload CV
- *       - Field name: `cv` (single file)
- *       - Must also send `fileFieldId` to specify which field it belongs to
- *       - Accepted formats: PDF, DOC, DOCX
- *       - Maximum size: 5MB
- *       - File is uploaded to MinIO cloud storage
+ *       **3. File Uploads:**
+ *       - A form can have any number of `file` fields (e.g. CV, cover letter, portfolio)
+ *       - Recommended (two-phase): upload each file first with POST /jobs/:jobId/uploads,
+ *         then answer the file field with the returned `uploadToken`
+ *         (`{ fieldId: "field_2", value: "<uploadToken>" }`). Tokens expire after 24 hours.
+ *       - Alternatively send each file with the submit under the ID of its file field (one file per field)
+ *       - Allowed types and size limit come from the field's `constraints`
+ *         (`allowedFileTypes`, `maxFileSizeMB`); default PDF, DOC, DOCX up to 5MB
+ *       - Required file fields must have an upload; violations come back per field in `errors`
+ *       - Legacy: a single file sent as `cv` together with `fileFieldId` is still accepted
+ *       - Files are stored in a private MinIO bucket; admins get short-lived links
  *       
- *       **4. Duplicate Prevention:**
+ *       **4. Duplicate Prevention & Retries:**
  *       - User can only apply ONCE per job
  *       - Duplicate check is done by email address
  *       - Returns error code "DUPLICATE_APPLICATION" if already applied
+ *       - Send an `Idempotency-Key` header (e.g. a UUID generated per attempt to submit) so a
+ *         retried submit returns the original 201 result (with `Idempotent-Replayed: true`)
+ *         instead of DUPLICATE_APPLICATION
  *       
  *       **5. Request Format:**
- *       - Content-Type: multipart/form-data
+ *       - Content-Type: multipart/form-data (or application/json when files use upload tokens)
  *       - `applicant`: JSON string
  *       - `answers`: JSON string (array)
- *       - `cv`: File (optional)
- *       - `fileFieldId`: String (required if cv is provided)
+ *       - `<fileFieldId>`: File, one part per file field
  *       
  *       **NO AUTHENTICATION REQUIRED** - Anyone can apply
  *       
@@ -525,11 +515,9 @@ router.post(
  *         { fieldId: "field_5", value: ["React", "TypeScript"] } // array for checkboxes
  *       ]));
  *       
- *       // CV file (if job requires it)
- *       if (cvFile) {
- *         formData.append('cv', cvFile);
- *         formData.append('fileFieldId', 'field_2');
- *       }
+ *       // Files, each under the ID of its file field
+ *       formData.append('field_2', cvFile);
+ *       formData.append('field_7', coverLetterFile);
  *       
  *       fetch('/jobs/JOB_ID/apply', {
  *         method: 'POST',
@@ -544,6 +532,14 @@ router.post(
  *           type: string
  *         description: Job ID
  *         example: 677a1b2c3d4e5f6789abcdef
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         description: Client-generated key; a retry with the same key returns the original result
+ *         example: 3f8b1c2e-6d7a-4e59-9a51-0c2d4b7e8f10
  *     requestBody:
  *       required: true
  *       content:
@@ -568,20 +564,13 @@ router.post(
  *                   For checkboxes, value is an array.
  *                   Don't include file fields - backend handles those.
  *                 example: '[{"fieldId":"677b2c3d4e5f6789abcdef01","value":"John Doe"},{"fieldId":"677b2c3d4e5f6789abcdef03","value":"5+"},{"fieldId":"677b2c3d4e5f6789abcdef05","value":["React","TypeScript","MongoDB"]}]'
- *               cv:
- *                 type: string
- *                 format: binary
- *                 description: |
- *                   CV/Resume file (PDF, DOC, DOCX)
- *                   Maximum size: 5MB
- *                   Optional - only if job has a file field
- *               fileFieldId:
- *                 type: string
- *                 description: |
- *                   Field ID where the CV should be attached.
- *                   Required if cv is provided.
- *                   Must match a field of type 'file' from the job form.
- *                 example: 677b2c3d4e5f6789abcdef02
+ *             additionalProperties:
+ *               type: string
+ *               format: binary
+ *               description: |
+ *                 File for a field of type 'file', sent under that field's ID.
+ *                 Allowed types and size follow the field's constraints
+ *                 (default PDF, DOC, DOCX up to 5MB).
  *           encoding:
  *             applicant:
  *               contentType: application/json
@@ -593,8 +582,7 @@ router.post(
  *               value:
  *                 applicant: '{"name":"John Doe","email":"john.doe@gmail.com","phoneNumber":"251962212818","country":"Ethiopia","city":"Addis Ababa"}'
  *                 answers: '[{"fieldId":"677b2c3d4e5f6789abcdef01","value":"John Doe"},{"fieldId":"677b2c3d4e5f6789abcdef03","value":"5+"},{"fieldId":"677b2c3d4e5f6789abcdef04","value":"I am passionate about React"},{"fieldId":"677b2c3d4e5f6789abcdef05","value":["React","TypeScript"]},{"fieldId":"677b2c3d4e5f6789abcdef06","value":"2026-02-01"}]'
- *                 cv: (binary file)
- *                 fileFieldId: 677b2c3d4e5f6789abcdef02
+ *                 677b2c3d4e5f6789abcdef02: (binary file)
  *             withoutCV:
  *               summary: Application without CV Upload
  *               value:
@@ -622,17 +610,11 @@ router.post(
  *                       type: string
  *                       description: ID of the created application
  *                       example: 677c1b2c3d4e5f6789abcde0
- *                     cvUrl:
- *                       type: string
- *                       nullable: true
- *                       description: Public MinIO URL of the uploaded CV (null if no file uploaded)
- *                       example: http://localhost:9000/job-uploads/cv-1736432960000-john_doe_cv.pdf
  *             example:
  *               success: true
  *               message: Application submitted successfully
  *               data:
  *                 applicationId: 677c1b2c3d4e5f6789abcde0
- *                 cvUrl: http://localhost:9000/job-uploads/cv-1736432960000-john_doe_cv.pdf
  *       400:
  *         description: Bad request - validation error or duplicate application
  *         content:
@@ -662,6 +644,22 @@ router.post(
  *                 value:
  *                   success: false
  *                   message: Name, email, phone number, country, and city are required
+ *               invalidAnswers:
+ *                 summary: Answers Failing Type or Constraint Checks
+ *                 value:
+ *                   success: false
+ *                   message: Some answers are invalid. Please correct them and try again.
+ *                   errors:
+ *                     - fieldId: 677b2c3d4e5f6789abcdef03
+ *                       question: Years of Experience
+ *                       type: dropdown
+ *                       code: invalid_option
+ *                       message: '"10+" is not one of the available options'
+ *                     - fieldId: 677b2c3d4e5f6789abcdef07
+ *                       question: Portfolio link
+ *                       type: link
+ *                       code: invalid_url
+ *                       message: Answer must be a valid http(s) URL
  *               invalidEmail:
  *                 summary: Invalid Email Format
  *                 value:
@@ -671,12 +669,24 @@ router.post(
  *                 summary: File Size Exceeds Limit
  *                 value:
  *                   success: false
- *                   message: File size exceeds 5MB limit
+ *                   message: Some answers are invalid. Please correct them and try again.
+ *                   errors:
+ *                     - fieldId: 677b2c3d4e5f6789abcdef02
+ *                       question: CV
+ *                       type: file
+ *                       code: file_too_large
+ *                       message: File size exceeds 5MB limit
  *               invalidFileType:
  *                 summary: Invalid File Type
  *                 value:
  *                   success: false
- *                   message: Only PDF and DOC/DOCX files are allowed
+ *                   message: Some answers are invalid. Please correct them and try again.
+ *                   errors:
+ *                     - fieldId: 677b2c3d4e5f6789abcdef02
+ *                       question: CV
+ *                       type: file
+ *                       code: invalid_file_type
+ *                       message: Only PDF, DOC, DOCX files are allowed
  *       403:
  *         description: Job is no longer accepting applications
  *         content:
@@ -693,6 +703,8 @@ router.post(
  *             example:
  *               success: false
  *               message: This job is no longer accepting applications
+ *       409:
+ *         description: Idempotency key already used for a different applicant
  *       404:
  *         description: Job not found
  *         content:
@@ -707,7 +719,7 @@ router.post(
  *                   type: string
  *                   example: Job not found
  *       413:
- *         description: File too large (exceeds 5MB)
+ *         description: File too large (exceeds the 25MB upload ceiling)
  *         content:
  *           application/json:
  *             schema:
@@ -722,9 +734,228 @@ router.post(
  */
 router.post(
   '/jobs/:jobId/apply', 
-  upload.single('cv'),      // Handle CV file upload
-  uploadToMinio,            // Upload to MinIO cloud storage (not local disk)
+  applicationUpload.any(),  // Files keyed by field ID; checked and stored in MinIO by the controller
   applicationController.applyForJob
 );
 
+
+/**
+ * @swagger
+ * /interview-booking/{token}:
+ *   get:
+ *     tags: [Interview Booking - Public]
+ *     summary: Get an interview booking and the times that can be booked
+ *     description: |
+ *       `token` comes from the booking link emailed to the applicant. Offered times are the open
+ *       slots of the interviewers, at least two hours ahead, that are not taken by another interview.
+ *
+ *       **NO AUTHENTICATION REQUIRED** - the token identifies the applicant
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Booking retrieved successfully
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: Booking retrieved successfully
+ *               data:
+ *                 applicantName: Hana Tesfaye
+ *                 jobTitle: Senior Backend Engineer
+ *                 durationMinutes: 45
+ *                 location: ""
+ *                 expiresAt: 2025-03-21T09:00:00.000Z
+ *                 timezone: Africa/Addis_Ababa
+ *                 slots:
+ *                   - id: 67d3f1a2b4c5d6e7f8a9b0c1
+ *                     startsAt: 2025-03-14T10:00:00.000Z
+ *                     endsAt: 2025-03-14T10:45:00.000Z
+ *                     interviewer: Abebe Kebede
+ *       404:
+ *         description: Invalid or already used link
+ *       410:
+ *         description: Link expired or application no longer active
+ *   post:
+ *     tags: [Interview Booking - Public]
+ *     summary: Book an interview time
+ *     description: |
+ *       Books one of the offered slots, creates the calendar event and emails the confirmation.
+ *       The link cannot be used again afterwards.
+ *
+ *       **NO AUTHENTICATION REQUIRED** - the token identifies the applicant
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [slotId]
+ *             properties:
+ *               slotId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Interview booked
+ *       404:
+ *         description: Invalid or already used link
+ *       409:
+ *         description: The time was taken in the meantime
+ *       410:
+ *         description: Link expired or application no longer active
+ */
+router.get('/interview-booking/:token', validateBookingToken, validateRequest, interviewBookingController.getBooking);
+router.post('/interview-booking/:token', validateBookInterview, validateRequest, interviewBookingController.bookInterview);
+
+/**
+ * @swagger
+ * /offers/{token}:
+ *   get:
+ *     tags: [Offers - Public]
+ *     summary: Get the job offer an offer link is for
+ *     description: |
+ *       `token` comes from the offer link emailed to the applicant with the offer letter.
+ *       A sent offer read after its expiry comes back with status `expired`.
+ *
+ *       **NO AUTHENTICATION REQUIRED** - the token identifies the applicant
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Offer retrieved successfully
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: Offer retrieved successfully
+ *               data:
+ *                 applicantName: Hana Tesfaye
+ *                 jobTitle: Senior Backend Engineer
+ *                 status: sent
+ *                 role: Senior Backend Engineer
+ *                 salary: ETB 85,000.00 per month
+ *                 startDate: 2025-04-01T06:00:00.000Z
+ *                 expiresAt: 2025-03-21T20:59:59.999Z
+ *                 timezone: Africa/Addis_Ababa
+ *                 letter: "Friday, 14 March 2025\n\nDear Hana Tesfaye, ..."
+ *                 respondedAt: null
+ *       404:
+ *         description: Invalid link
+ *       410:
+ *         description: The offer was withdrawn
+ */
+router.get('/offers/:token', validateOfferToken, validateRequest, offerResponseController.getOffer);
+
+/**
+ * @swagger
+ * /offers/{token}/letter:
+ *   get:
+ *     tags: [Offers - Public]
+ *     summary: Download the offer letter as a PDF
+ *     description: "**NO AUTHENTICATION REQUIRED** - the token identifies the applicant"
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Offer letter
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Invalid link
+ *       410:
+ *         description: The offer was withdrawn
+ */
+router.get('/offers/:token/letter', validateOfferToken, validateRequest, offerResponseController.downloadOfferLetter);
+
+/**
+ * @swagger
+ * /offers/{token}/accept:
+ *   post:
+ *     tags: [Offers - Public]
+ *     summary: Accept the job offer
+ *     description: |
+ *       Moves the application to the hired stage and notifies the admin who made the offer.
+ *       If the pipeline does not allow the move, the offer is still accepted and the admin is
+ *       told to move the application by hand.
+ *
+ *       **NO AUTHENTICATION REQUIRED** - the token identifies the applicant
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Offer accepted
+ *       404:
+ *         description: Invalid link
+ *       409:
+ *         description: The offer was already accepted or declined
+ *       410:
+ *         description: The offer was withdrawn or has expired, or the application is no longer active
+ */
+router.post('/offers/:token/accept', validateOfferToken, validateRequest, captureMetadata, offerResponseController.acceptOffer);
+
+/**
+ * @swagger
+ * /offers/{token}/decline:
+ *   post:
+ *     tags: [Offers - Public]
+ *     summary: Decline the job offer
+ *     description: |
+ *       Moves the application to the rejected stage and notifies the admin who made the offer.
+ *       If the pipeline does not allow the move, the offer is still declined and the admin is
+ *       told to move the application by hand.
+ *
+ *       **NO AUTHENTICATION REQUIRED** - the token identifies the applicant
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 2000
+ *                 example: I have accepted another offer
+ *     responses:
+ *       200:
+ *         description: Offer declined
+ *       404:
+ *         description: Invalid link
+ *       409:
+ *         description: The offer was already accepted or declined
+ *       410:
+ *         description: The offer was withdrawn or has expired, or the application is no longer active
+ */
+router.post('/offers/:token/decline', validateDeclineOffer, validateRequest, captureMetadata, offerResponseController.declineOffer);
+
 module.exports = router;
\ No newline at end of file
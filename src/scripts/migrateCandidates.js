@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Application = require('../models/Application');
+const Candidate = require('../models/Candidate');
+const { findOrCreateCandidate } = require('../services/candidateService');
+
+/**
+ * Candidate Backfill
+ *
+ * Applications submitted before candidate profiles existed are not linked
+ * to a candidate. This script links each of them, oldest first, using the
+ * same email/phone matching as new submissions, so an applicant's latest
+ * application ends up providing the profile's contact details.
+ *
+ * Linked applications are skipped, so the script is safe to run more than once.
+ *
+ * Emails are unique among active candidates. Candidates created twice for the
+ * same email before that was enforced are listed at the end; merge them
+ * (POST /api/admin/candidates/:candidateId/merge) so the unique index can build.
+ *
+ * Usage:
+ *   npm run migrate:candidates
+ */
+
+const migrateCandidates = async () => {
+  const mongoUri = process.env.MONGODB_URI;
+  if (!mongoUri) {
+    console.error('❌ Error: MONGODB_URI not found in environment variables');
+    process.exit(1);
+  }
+
+  try {
+    console.log('🔌 Connecting to MongoDB...');
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB\n');
+
+    const cursor = Application.find({ candidateId: null })
+      .select('applicant candidateId')
+      .sort({ createdAt: 1 })
+      .cursor();
+
+    let linked = 0;
+    const candidateIds = new Set();
+
+    for await (const application of cursor) {
+      const candidate = await findOrCreateCandidate(application.applicant);
+      await Application.updateOne({ _id: application._id }, { candidateId: candidate._id });
+
+      candidateIds.add(String(candidate._id));
+      linked++;
+    }
+
+    const duplicates = await Candidate.aggregate([
+      { $match: { mergedInto: null } },
+      { $unwind: '$emails' },
+      { $group: { _id: '$emails', candidateIds: { $addToSet: '$_id' } } },
+      { $match: { 'candidateIds.1': { $exists: true } } }
+    ]);
+    for (const { _id: email, candidateIds: ids } of duplicates) {
+      console.log(`⚠️  ${email} is on ${ids.length} candidates, merge them: ${ids.join(', ')}`);
+    }
+
+    console.log(`\n🎉 Migration complete. ${linked} application(s) linked to ${candidateIds.size} candidate(s).`);
+
+    await mongoose.connection.close();
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+migrateCandidates();
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Job = require('../models/Job');
+const { DEFAULT_TIMEZONE, parseDateInZone } = require('../utils/timezone');
+
+/**
+ * Job Deadline Migration
+ *
+ * Jobs created before jobs had a timezone stored the deadline exactly as
+ * given, so a date alone ("2026-02-15") became midnight UTC at the start of
+ * that day. Deadlines are now read in the job's zone and a date alone lasts
+ * until the end of that day. For each job without a stored timezone, this script:
+ *
+ *   1. gives it DEFAULT_TIMEZONE
+ *   2. moves a deadline at midnight UTC to the end of that day in that zone
+ *
+ * Deadlines with a time of day were exact instants and are left untouched.
+ * Jobs that have a timezone were created or migrated since, and their deadlines
+ * were read in it, so the script is safe to run more than once.
+ *
+ * Usage:
+ *   npm run migrate:job-deadlines
+ */
+
+const BATCH_SIZE = 200;
+
+const isMidnightUtc = (date) => date instanceof Date &&
+  date.getUTCHours() === 0 && date.getUTCMinutes() === 0 &&
+  date.getUTCSeconds() === 0 && date.getUTCMilliseconds() === 0;
+
+const migrateJobDeadlines = async () => {
+  const mongoUri = process.env.MONGODB_URI;
+  if (!mongoUri) {
+    console.error('❌ Error: MONGODB_URI not found in environment variables');
+    process.exit(1);
+  }
+
+  try {
+    console.log('🔌 Connecting to MongoDB...');
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB\n');
+
+    const cursor = Job.collection.find(
+      { timezone: { $in: [null, ''] } },
+      { projection: { deadline: 1 } }
+    );
+
+    let operations = [];
+    let zonesSet = 0;
+    let deadlinesMoved = 0;
+
+    const flush = async () => {
+      if (operations.length === 0) return;
+      await Job.collection.bulkWrite(operations);
+      operations = [];
+    };
+
+    for await (const job of cursor) {
+      const updates = { timezone: DEFAULT_TIMEZONE };
+      zonesSet++;
+
+      if (isMidnightUtc(job.deadline)) {
+        const day = job.deadline.toISOString().slice(0, 10);
+        updates.deadline = parseDateInZone(day, DEFAULT_TIMEZONE, { endOfDay: true });
+        updates.isPastDeadline = new Date() > updates.deadline;
+        deadlinesMoved++;
+      }
+
+      operations.push({ updateOne: { filter: { _id: job._id }, update: { $set: updates } } });
+
+      if (operations.length >= BATCH_SIZE) {
+        await flush();
+      }
+    }
+    await flush();
+
+    console.log(`🌍 Timezone set: ${zonesSet} job(s)`);
+    console.log(`📅 Deadline moved to the end of its day: ${deadlinesMoved} job(s)`);
+    console.log('\n🎉 Migration complete.');
+
+    await mongoose.connection.close();
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+migrateJobDeadlines();
@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Application = require('../models/Application');
+const PipelineTemplate = require('../models/PipelineTemplate');
+
+/**
+ * Pipeline Stage Migration
+ *
+ * Applications created before the hiring pipeline existed only carry the
+ * isSaved / isInvited / isAccepted booleans. This script gives each of them
+ * a pipeline_stage derived from those flags:
+ *
+ *   isAccepted -> hired
+ *   isInvited  -> interview
+ *   isSaved    -> screening
+ *   otherwise  -> applied
+ *
+ * Applications that already have a stage are left untouched, so the script
+ * is safe to run more than once.
+ *
+ * Withdrawals used to move an application to a 'withdrawn' stage that no
+ * pipeline template has. Withdrawal is now only the withdrawnAt flag, so
+ * those applications are returned to the stage they were withdrawn from.
+ *
+ * Stages now say whether they end an application as hired or rejected.
+ * Stored templates get that outcome on their 'hired' and 'rejected' stages.
+ * Likewise their 'interview' and 'offer' stages get that purpose, unless the
+ * template already marks another stage with it.
+ *
+ * Usage:
+ *   npm run migrate:pipeline
+ */
+
+const STAGE_MAPPINGS = [
+  { stage: 'hired', filter: { isAccepted: true } },
+  { stage: 'interview', filter: { isInvited: true } },
+  { stage: 'screening', filter: { isSaved: true } },
+  { stage: 'applied', filter: {} }
+];
+
+const migratePipelineStages = async () => {
+  const mongoUri = process.env.MONGODB_URI;
+  if (!mongoUri) {
+    console.error('❌ Error: MONGODB_URI not found in environment variables');
+    process.exit(1);
+  }
+
+  try {
+    console.log('🔌 Connecting to MongoDB...');
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB\n');
+
+    let totalMigrated = 0;
+
+    // Mappings are applied in priority order; each pass only touches
+    // applications that earlier passes have not already staged.
+    for (const { stage, filter } of STAGE_MAPPINGS) {
+      const result = await Application.collection.updateMany(
+        { ...filter, pipeline_stage: { $exists: false } },
+        [
+          {
+            $set: {
+              pipeline_stage: stage,
+              current_stage_entered: { $ifNull: ['$updatedAt', '$$NOW'] },
+              stage_history: [{
+                stage,
+                from_stage: null,
+                changed_by: null,
+                changed_at: { $ifNull: ['$updatedAt', '$$NOW'] },
+                notes: 'Migrated from application status flags'
+              }]
+            }
+          }
+        ]
+      );
+
+      console.log(`📦 ${stage}: ${result.modifiedCount} application(s)`);
+      totalMigrated += result.modifiedCount;
+    }
+
+    // The withdrawal is the last history entry; drop it and restore its from_stage
+    const withdrawn = await Application.collection.updateMany(
+      { pipeline_stage: 'withdrawn' },
+      [
+        {
+          $set: {
+            pipeline_stage: { $ifNull: [{ $arrayElemAt: ['$stage_history.from_stage', -1] }, 'applied'] },
+            current_stage_entered: { $ifNull: [{ $arrayElemAt: ['$stage_history.changed_at', -2] }, '$createdAt'] },
+            stage_history: { $slice: ['$stage_history', { $max: [{ $subtract: [{ $size: '$stage_history' }, 1] }, 0] }] }
+          }
+        }
+      ]
+    );
+
+    console.log(`📦 withdrawn -> previous stage: ${withdrawn.modifiedCount} application(s)`);
+    totalMigrated += withdrawn.modifiedCount;
+
+    // Templates were saved before stages had an outcome; mark the stages the keys used to imply
+    for (const outcome of PipelineTemplate.STAGE_OUTCOMES) {
+      const result = await PipelineTemplate.collection.updateMany(
+        { stages: { $elemMatch: { key: outcome, outcome: { $in: [null] } } } },
+        { $set: { 'stages.$[stage].outcome': outcome } },
+        { arrayFilters: [{ 'stage.key': outcome, 'stage.outcome': { $in: [null] } }] }
+      );
+      console.log(`📦 templates with a ${outcome} stage outcome: ${result.modifiedCount}`);
+    }
+
+    for (const purpose of PipelineTemplate.STAGE_PURPOSES) {
+      const result = await PipelineTemplate.collection.updateMany(
+        {
+          'stages.purpose': { $ne: purpose },
+          stages: { $elemMatch: { key: purpose, purpose: { $in: [null] } } }
+        },
+        { $set: { 'stages.$[stage].purpose': purpose } },
+        { arrayFilters: [{ 'stage.key': purpose }] }
+      );
+      console.log(`📦 templates with a ${purpose} stage purpose: ${result.modifiedCount}`);
+    }
+
+    console.log(`\n🎉 Migration complete. ${totalMigrated} application(s) updated.`);
+
+    await mongoose.connection.close();
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+migratePipelineStages();
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const { promisify } = require('util');
+require('dotenv').config();
+
+const Application = require('../models/Application');
+const minioClient = require('../utils/s3Client');
+const { UPLOADS_BUCKET } = require('../config/multer');
+const { objectKeyFromUrl } = require('../services/fileService');
+
+/**
+ * Private Uploads Migration
+ *
+ * Uploads used to live in a public-read bucket and applications stored the
+ * public URL as the answer value. This script:
+ *
+ *   1. removes the public-read policy from the uploads bucket
+ *   2. replaces URL answers with the object key and records the file on
+ *      the application, so admins can request presigned links for it
+ *
+ * Answers that already hold a key are left untouched, so the script is safe
+ * to run more than once.
+ *
+ * Usage:
+ *   npm run migrate:private-uploads
+ */
+
+const BATCH_SIZE = 200;
+
+const migratePrivateUploads = async () => {
+  const mongoUri = process.env.MONGODB_URI;
+  if (!mongoUri) {
+    console.error('❌ Error: MONGODB_URI not found in environment variables');
+    process.exit(1);
+  }
+
+  try {
+    const bucketExists = promisify(minioClient.bucketExists).bind(minioClient);
+    const setBucketPolicy = promisify(minioClient.setBucketPolicy).bind(minioClient);
+
+    if (await bucketExists(UPLOADS_BUCKET)) {
+      // An empty policy deletes the bucket policy
+      await setBucketPolicy(UPLOADS_BUCKET, '');
+      console.log(`🔒 Removed public policy from bucket "${UPLOADS_BUCKET}"\n`);
+    } else {
+      console.log(`ℹ️  Bucket "${UPLOADS_BUCKET}" does not exist yet\n`);
+    }
+
+    console.log('🔌 Connecting to MongoDB...');
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB\n');
+
+    const cursor = Application.collection.find(
+      { 'answers.value': { $regex: `/${UPLOADS_BUCKET}/` } },
+      { projection: { answers: 1, files: 1, createdAt: 1 } }
+    );
+
+    let operations = [];
+    let totalMigrated = 0;
+
+    const flush = async () => {
+      if (operations.length === 0) return;
+      await Application.collection.bulkWrite(operations);
+      totalMigrated += operations.length;
+      operations = [];
+    };
+
+    for await (const application of cursor) {
+      const files = application.files || [];
+      let changed = false;
+
+      const answers = application.answers.map(answer => {
+        const key = objectKeyFromUrl(answer.value);
+        if (!key) return answer;
+
+        changed = true;
+        if (!files.some(f => f.fieldId === answer.fieldId)) {
+          files.push({
+            fieldId: answer.fieldId,
+            key,
+            bucket: UPLOADS_BUCKET,
+            originalName: key,
+            uploadedAt: application.createdAt || new Date()
+          });
+        }
+        return { ...answer, value: key };
+      });
+
+      if (changed) {
+        operations.push({
+          updateOne: {
+            filter: { _id: application._id },
+            update: { $set: { answers, files } }
+          }
+        });
+      }
+
+      if (operations.length >= BATCH_SIZE) {
+        await flush();
+      }
+    }
+    await flush();
+
+    console.log(`🎉 Migration complete. ${totalMigrated} application(s) updated.`);
+
+    await mongoose.connection.close();
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+migratePrivateUploads();
@@ -0,0 +1,87 @@
+const { google } = require('googleapis');
+
+const isConfigured = () => !!(
+  process.env.GOOGLE_CLIENT_ID &&
+  process.env.GOOGLE_CLIENT_SECRET &&
+  process.env.GOOGLE_REFRESH_TOKEN
+);
+
+/**
+ * Google Calendar events with a Google Meet link, on the calendar of the account
+ * behind GOOGLE_REFRESH_TOKEN. Attendees get Google's own invitations.
+ */
+const create = () => {
+  const oauth2Client = new google.auth.OAuth2(
+    process.env.GOOGLE_CLIENT_ID,
+    process.env.GOOGLE_CLIENT_SECRET,
+    process.env.GOOGLE_REDIRECT_URI
+  );
+  oauth2Client.setCredentials({ refresh_token: process.env.GOOGLE_REFRESH_TOKEN });
+
+  const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
+  const calendarId = process.env.GOOGLE_CALENDAR_ID || 'primary';
+
+  const meetingLinkOf = (event) => event.hangoutLink || event.conferenceData?.entryPoints?.[0]?.uri || null;
+
+  return {
+    name: 'google',
+    createEvent: async ({ uid, summary, description, location, startsAt, endsAt, timeZone, attendees }) => {
+      const response = await calendar.events.insert({
+        calendarId,
+        conferenceDataVersion: 1,
+        sendUpdates: 'all',
+        requestBody: {
+          iCalUID: uid,
+          summary,
+          description,
+          location: location || undefined,
+          start: { dateTime: new Date(startsAt).toISOString(), timeZone: timeZone || 'UTC' },
+          end: { dateTime: new Date(endsAt).toISOString(), timeZone: timeZone || 'UTC' },
+          attendees: attendees.map(a => ({ email: a.email, displayName: a.name })),
+          // Only ask for a Meet link when no place was given
+          ...(!location && {
+            conferenceData: {
+              createRequest: {
+                requestId: uid,
+                conferenceSolutionKey: { type: 'hangoutsMeet' }
+              }
+            }
+          })
+        }
+      });
+
+      return { eventId: response.data.id, meetingLink: meetingLinkOf(response.data) };
+    },
+
+    // Google keeps its own SEQUENCE and sends the updated invitation to attendees
+    updateEvent: async ({ eventId, summary, description, location, startsAt, endsAt, timeZone, attendees }) => {
+      const response = await calendar.events.patch({
+        calendarId,
+        eventId,
+        sendUpdates: 'all',
+        requestBody: {
+          summary,
+          description,
+          location: location || null,
+          start: { dateTime: new Date(startsAt).toISOString(), timeZone: timeZone || 'UTC' },
+          end: { dateTime: new Date(endsAt).toISOString(), timeZone: timeZone || 'UTC' },
+          attendees: attendees.map(a => ({ email: a.email, displayName: a.name }))
+        }
+      });
+
+      return { eventId: response.data.id, meetingLink: meetingLinkOf(response.data) };
+    },
+
+    cancelEvent: async ({ eventId }) => {
+      try {
+        await calendar.events.delete({ calendarId, eventId, sendUpdates: 'all' });
+      } catch (error) {
+        // Already removed from the calendar
+        if (error.code === 404 || error.code === 410) return;
+        throw error;
+      }
+    }
+  };
+};
+
+module.exports = { isConfigured, create };
@@ -0,0 +1,15 @@
+const isConfigured = () => true;
+
+/**
+ * Offline provider: no external calendar. The event only exists in this
+ * system and reaches attendees as an .ics file; the meeting place is the
+ * interview's location.
+ */
+const create = () => ({
+  name: 'ics',
+  createEvent: async ({ uid }) => ({ eventId: uid, meetingLink: null }),
+  updateEvent: async ({ eventId }) => ({ eventId, meetingLink: null }),
+  cancelEvent: async () => {}
+});
+
+module.exports = { isConfigured, create };
@@ -0,0 +1,47 @@
+const google = require('./googleCalendarProvider');
+const ics = require('./icsCalendarProvider');
+
+const PROVIDERS = { google, ics };
+
+/**
+ * Provider named by CALENDAR_PROVIDER (google or ics).
+ * When it is not set: Google if its credentials are configured, otherwise ics.
+ */
+const chooseProviderName = () => {
+  const configured = process.env.CALENDAR_PROVIDER?.trim().toLowerCase();
+
+  if (configured) {
+    if (!PROVIDERS[configured]) {
+      throw new Error(`Unknown CALENDAR_PROVIDER "${configured}". Use ${Object.keys(PROVIDERS).join(' or ')}`);
+    }
+    return configured;
+  }
+
+  return google.isConfigured() ? 'google' : 'ics';
+};
+
+let provider;
+
+/**
+ * The calendar provider interviews are put on
+ *
+ * @returns {Object} {
+ *   name,
+ *   createEvent({ uid, summary, description, location, startsAt, endsAt, timeZone, attendees }) -> { eventId, meetingLink },
+ *   updateEvent({ eventId, uid, summary, description, location, startsAt, endsAt, timeZone, attendees }) -> { eventId, meetingLink },
+ *   cancelEvent({ eventId })
+ * }
+ */
+const getCalendarProvider = () => {
+  if (!provider) {
+    const name = chooseProviderName();
+
+    if (!PROVIDERS[name].isConfigured()) {
+      throw new Error(`CALENDAR_PROVIDER is ${name} but it is not configured`);
+    }
+    provider = PROVIDERS[name].create();
+  }
+  return provider;
+};
+
+module.exports = { getCalendarProvider };
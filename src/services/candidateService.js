@@ -0,0 +1,96 @@
+const Candidate = require('../models/Candidate');
+
+// Shorter numbers are too ambiguous to identify a person
+const MIN_PHONE_DIGITS = 6;
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * Digits only, with an international 00 prefix dropped ("+251 96-221" and "0025196221" match)
+ */
+const normalizePhone = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '').replace(/^00/, '');
+  return digits.length >= MIN_PHONE_DIGITS ? digits : null;
+};
+
+/**
+ * Find the candidate an applicant belongs to, or create one.
+ * Email matches win over phone matches; the candidate picks up any new
+ * email/phone and the latest contact details.
+ *
+ * Emails are unique among active candidates, so when a concurrent first
+ * application of the same person creates the candidate first, that one is used.
+ *
+ * @param {Object} applicant - Application applicant sub-document
+ * @returns {Promise<Document>} Candidate
+ */
+const findOrCreateCandidate = async (applicant) => {
+  const email = normalizeEmail(applicant.email);
+  const phone = normalizePhone(applicant.phoneNumber);
+
+  let candidate = await Candidate.findOne({ emails: email, mergedInto: null });
+  if (!candidate && phone) {
+    candidate = await Candidate.findOne({ phones: phone, mergedInto: null });
+  }
+
+  if (!candidate) {
+    try {
+      return await Candidate.create({
+        name: applicant.name,
+        emails: [email],
+        phones: phone ? [phone] : [],
+        country: applicant.country,
+        city: applicant.city
+      });
+    } catch (createError) {
+      if (createError.code !== 11000) throw createError;
+
+      candidate = await Candidate.findOne({ emails: email, mergedInto: null });
+      if (!candidate) throw createError;
+    }
+  }
+
+  return recordContactDetails(candidate, applicant);
+};
+
+/**
+ * Add an applicant's email/phone to a candidate and take over the latest contact details
+ */
+const recordContactDetails = async (candidate, applicant) => {
+  const email = normalizeEmail(applicant.email);
+  const phone = normalizePhone(applicant.phoneNumber);
+
+  if (email && !candidate.emails.includes(email)) candidate.emails.push(email);
+  if (phone && !candidate.phones.includes(phone)) candidate.phones.push(phone);
+  if (applicant.name) candidate.name = applicant.name;
+  if (applicant.country) candidate.country = applicant.country;
+  if (applicant.city) candidate.city = applicant.city;
+
+  if (candidate.isModified()) {
+    await candidate.save();
+  }
+  return candidate;
+};
+
+/**
+ * Follow merge redirects to the candidate that is still active
+ */
+const resolveCandidate = async (candidateId) => {
+  let candidate = await Candidate.findById(candidateId);
+  const seen = new Set();
+
+  while (candidate && candidate.mergedInto && !seen.has(String(candidate._id))) {
+    seen.add(String(candidate._id));
+    candidate = await Candidate.findById(candidate.mergedInto);
+  }
+
+  return candidate;
+};
+
+module.exports = {
+  normalizeEmail,
+  normalizePhone,
+  findOrCreateCandidate,
+  recordContactDetails,
+  resolveCandidate
+};
@@ -0,0 +1,63 @@
+const User = require('../models/User');
+const { sendMentionEmail } = require('./emailService');
+
+const ADMIN_URL = process.env.ADMIN_DASHBOARD_URL || 'http://localhost:3000/admin';
+
+// Mentions use the markup mention inputs produce: @[Display Name](userId)
+const MENTION_PATTERN = /@\[([^\]\n]+)\]\(([a-f0-9]{24})\)/g;
+
+const EXCERPT_LENGTH = 300;
+
+/**
+ * Admin users @mentioned in a comment body. Mentions of unknown users are left as plain text.
+ */
+const resolveMentions = async (body) => {
+  const ids = [...new Set([...body.matchAll(MENTION_PATTERN)].map(m => m[2]))];
+  if (ids.length === 0) return [];
+
+  return User.findAdmins(ids).select('name email');
+};
+
+/**
+ * Comment body with mention markup reduced to @Name
+ */
+const toPlainText = (body) => body.replace(MENTION_PATTERN, '@$1');
+
+/**
+ * Email users mentioned in a comment. The author is never notified, and
+ * when a comment is edited only newly mentioned users are.
+ *
+ * @param {Array} users - Mentioned users (name, email)
+ * @param {Object} context - { comment, author, application, previousMentions }
+ */
+const notifyMentions = async (users, { comment, author, application, previousMentions = [] }) => {
+  const alreadyNotified = new Set(previousMentions.map(String));
+  const recipients = users.filter(u => !u._id.equals(author._id) && !alreadyNotified.has(String(u._id)));
+
+  const text = toPlainText(comment.body);
+  const excerpt = text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH)}…` : text;
+  const link = `${ADMIN_URL}/responses/${application._id}`;
+
+  for (const user of recipients) {
+    try {
+      await sendMentionEmail(user.email, {
+        recipientName: user.name,
+        authorName: author.name,
+        applicantName: application.applicant.name,
+        jobTitle: application.jobId?.title || 'a job',
+        excerpt,
+        link
+      });
+    } catch (emailError) {
+      console.error('Mention email failed:', emailError.message);
+    }
+  }
+
+  return recipients.length;
+};
+
+module.exports = {
+  resolveMentions,
+  toPlainText,
+  notifyMentions
+};
@@ -0,0 +1,162 @@
+const Message = require('../models/Message');
+const { deliverEmail } = require('./emailService');
+const { EMAIL_TEMPLATES } = require('./emailTemplateService');
+
+const QUEUE_INTERVAL_MS = 30 * 1000;
+const QUEUE_BATCH_SIZE = 50;
+const MAX_SEND_ATTEMPTS = 5;
+// Retries wait 1, 2, 4 then 8 minutes
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+// A message claimed by a worker that died is picked up again after this long
+const SEND_LOCK_MS = 5 * 60 * 1000;
+
+// Statuses an admin can put back in the queue
+const RESENDABLE_STATUSES = ['failed', 'bounced', 'skipped'];
+
+const retryDelayMs = (attempts) => RETRY_BASE_DELAY_MS * 2 ** (attempts - 1);
+
+/**
+ * Take the next due message off the queue so no other worker sends it
+ */
+const claimNextMessage = () => {
+  const now = new Date();
+
+  return Message.findOneAndUpdate(
+    {
+      status: 'queued',
+      nextAttemptAt: { $lte: now },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }]
+    },
+    {
+      $set: { lockedUntil: new Date(now.getTime() + SEND_LOCK_MS), lastAttemptAt: now },
+      $inc: { attempts: 1 }
+    },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+/**
+ * Try to send a claimed message and record the outcome
+ *
+ * @returns {Promise<string>} Outcome: sent, skipped, retry, failed or bounced
+ */
+const deliverMessage = async (message) => {
+  try {
+    const result = await deliverEmail({
+      from: message.from,
+      to: message.to,
+      subject: message.subject,
+      html: message.html,
+      attachments: message.attachments
+    }, EMAIL_TEMPLATES[message.templateKey]?.name || message.templateKey);
+
+    message.status = result.skipped ? 'skipped' : 'sent';
+    message.error = result.skipped ? result.reason : null;
+    message.transport = result.transport || null;
+    message.providerMessageId = result.id || null;
+    message.sentAt = result.skipped ? null : new Date();
+  } catch (error) {
+    message.error = error.message;
+
+    if (error.bounced) {
+      message.status = 'bounced';
+    } else if (message.attempts >= MAX_SEND_ATTEMPTS) {
+      message.status = 'failed';
+    } else {
+      message.nextAttemptAt = new Date(Date.now() + retryDelayMs(message.attempts));
+    }
+  }
+
+  message.lockedUntil = null;
+  await message.save();
+
+  return message.status === 'queued' ? 'retry' : message.status;
+};
+
+/**
+ * Send the messages that are due, up to one batch
+ *
+ * @returns {Promise<Object>} Count per outcome, e.g. { sent: 3, retry: 1 }
+ */
+const processEmailQueue = async () => {
+  const outcomes = {};
+
+  for (let i = 0; i < QUEUE_BATCH_SIZE; i++) {
+    const message = await claimNextMessage();
+    if (!message) break;
+
+    const outcome = await deliverMessage(message);
+    outcomes[outcome] = (outcomes[outcome] || 0) + 1;
+  }
+
+  return outcomes;
+};
+
+let running = false;
+let runAgain = false;
+
+/**
+ * Work through the queue; a run requested while one is in progress starts when it ends
+ */
+const runEmailQueue = async () => {
+  if (running) {
+    runAgain = true;
+    return;
+  }
+
+  running = true;
+  try {
+    do {
+      runAgain = false;
+      await processEmailQueue();
+    } while (runAgain);
+  } catch (error) {
+    console.error('Email queue run failed:', error.message);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Send newly queued messages now rather than on the next interval
+ */
+const kickEmailQueue = () => {
+  setImmediate(runEmailQueue);
+};
+
+/**
+ * Put a failed, bounced or skipped message back in the queue with a fresh set of attempts
+ *
+ * @returns {Promise<boolean>} false when the message cannot be resent: its status does not allow it
+ *   or its template could not be rendered in the first place
+ */
+const requeueMessage = async (message) => {
+  if (!RESENDABLE_STATUSES.includes(message.status) || !message.html) {
+    return false;
+  }
+
+  message.status = 'queued';
+  message.attempts = 0;
+  message.nextAttemptAt = new Date();
+  message.lockedUntil = null;
+  message.error = null;
+  await message.save();
+
+  kickEmailQueue();
+  return true;
+};
+
+const startEmailQueue = () => {
+  kickEmailQueue();
+  return setInterval(runEmailQueue, QUEUE_INTERVAL_MS);
+};
+
+module.exports = {
+  MAX_SEND_ATTEMPTS,
+  RESENDABLE_STATUSES,
+  processEmailQueue,
+  kickEmailQueue,
+  requeueMessage,
+  startEmailQueue,
+  QUEUE_INTERVAL_MS
+};
@@ -0,0 +1,129 @@
+const EmailTemplate = require('../models/EmailTemplate');
+const EMAIL_TEMPLATES = require('../emailTemplates');
+
+/**
+ * Placeholders:
+ *   {{name}}                  Value of the variable (HTML-escaped in the body)
+ *   {{#name}} ... {{/name}}   Section kept only when the variable has a value
+ */
+const PLACEHOLDER_PATTERN = /\{\{\s*([#/]?)([a-z_]+)\s*\}\}/g;
+const SECTION_PATTERN = /\{\{#([a-z_]+)\}\}([\s\S]*?)\{\{\/\1\}\}/g;
+const VARIABLE_PATTERN = /\{\{\s*([a-z_]+)\s*\}\}/g;
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const isBlank = (value) => value == null || String(value).trim() === '';
+
+const formatValue = (value, html) => {
+  if (value == null) return '';
+  return html ? escapeHtml(value).replace(/\r?\n/g, '<br>') : String(value);
+};
+
+const renderString = (text, variables, { html }) => text
+  .replace(SECTION_PATTERN, (match, name, inner) => (isBlank(variables[name]) ? '' : inner))
+  .replace(VARIABLE_PATTERN, (match, name) => formatValue(variables[name], html));
+
+/**
+ * Problems with an edited template: unknown variables and unclosed sections
+ *
+ * @returns {Array<string>} Error messages (empty when the template is fine)
+ */
+const getTemplateErrors = (key, { subject, html }) => {
+  const known = EMAIL_TEMPLATES[key].variables;
+  const errors = [];
+
+  for (const [part, text] of [['subject', subject], ['html', html]]) {
+    const openSections = [];
+
+    for (const [, marker, name] of text.matchAll(PLACEHOLDER_PATTERN)) {
+      if (!known[name]) {
+        errors.push(`Unknown variable {{${name}}} in ${part}. Available: ${Object.keys(known).join(', ')}`);
+      }
+      if (marker === '#') {
+        openSections.push(name);
+      } else if (marker === '/' && openSections.pop() !== name) {
+        errors.push(`{{/${name}}} in ${part} does not close an open {{#${name}}} section`);
+      }
+    }
+
+    for (const name of openSections) {
+      errors.push(`Section {{#${name}}} in ${part} is never closed`);
+    }
+  }
+
+  return [...new Set(errors)];
+};
+
+/**
+ * Template used for an email: the job's override, the admin-edited version, or the built-in one
+ *
+ * @returns {Promise<Object>} { key, subject, html, source: 'job' | 'global' | 'default', updatedAt }
+ */
+const resolveTemplate = async (key, jobId = null) => {
+  const definition = EMAIL_TEMPLATES[key];
+
+  const candidates = jobId && definition.jobOverridable ? [jobId, null] : [null];
+  const saved = await EmailTemplate.find({ key, jobId: { $in: candidates } }).lean();
+
+  const match = (jobId && saved.find(t => t.jobId && String(t.jobId) === String(jobId))) ||
+    saved.find(t => !t.jobId);
+
+  if (match) {
+    return {
+      key,
+      subject: match.subject,
+      html: match.html,
+      source: match.jobId ? 'job' : 'global',
+      updatedAt: match.updatedAt
+    };
+  }
+
+  return { key, subject: definition.subject, html: definition.html, source: 'default', updatedAt: null };
+};
+
+/**
+ * Fill in a template's variables
+ *
+ * @returns {Object} { fromName, subject, html }
+ */
+const renderTemplate = (key, template, variables) => ({
+  fromName: renderString(EMAIL_TEMPLATES[key].fromName, variables, { html: false }).replace(/[\r\n"<>]+/g, ' ').trim(),
+  // Subjects are a single header line
+  subject: renderString(template.subject, variables, { html: false }).replace(/[\r\n]+/g, ' ').trim(),
+  html: renderString(template.html, variables, { html: true })
+});
+
+/**
+ * Resolve and render an email in one step
+ */
+const renderEmail = async (key, variables, jobId = null) => {
+  const template = await resolveTemplate(key, jobId);
+  return renderTemplate(key, template, variables);
+};
+
+/**
+ * Fill in the variables of a plain-text template, such as a document template
+ */
+const renderText = (text, variables) => renderString(text, variables, { html: false });
+
+/**
+ * Sample value for every variable of a template, for previews
+ */
+const getSampleVariables = (key) => Object.fromEntries(
+  Object.entries(EMAIL_TEMPLATES[key].variables).map(([name, variable]) => [name, variable.sample])
+);
+
+module.exports = {
+  EMAIL_TEMPLATES,
+  getTemplateErrors,
+  resolveTemplate,
+  renderTemplate,
+  renderEmail,
+  renderText,
+  getSampleVariables
+};
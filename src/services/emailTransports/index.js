@@ -0,0 +1,63 @@
+const resend = require('./resendTransport');
+const smtp = require('./smtpTransport');
+const outbox = require('./outboxTransport');
+
+const TRANSPORTS = { resend, smtp, outbox };
+
+/**
+ * Transport named by EMAIL_TRANSPORT (resend, smtp, outbox or none).
+ * When it is not set: Resend if configured, then SMTP, then the outbox
+ * outside production. Production without a provider sends nothing.
+ */
+const chooseTransportName = () => {
+  const configured = process.env.EMAIL_TRANSPORT?.trim().toLowerCase();
+
+  if (configured) {
+    if (configured === 'none') return null;
+    if (!TRANSPORTS[configured]) {
+      throw new Error(`Unknown EMAIL_TRANSPORT "${configured}". Use ${Object.keys(TRANSPORTS).join(', ')} or none`);
+    }
+    return configured;
+  }
+
+  if (resend.isConfigured()) return 'resend';
+  if (smtp.isConfigured()) return 'smtp';
+  return process.env.NODE_ENV === 'production' ? null : 'outbox';
+};
+
+let transport;
+
+/**
+ * The transport emails are sent with, or null when email is disabled
+ *
+ * @returns {Object|null} { name, send({ from, to, subject, html, attachments }) -> { id } }
+ */
+const getEmailTransport = () => {
+  if (transport === undefined) {
+    const name = chooseTransportName();
+
+    if (name && !TRANSPORTS[name].isConfigured()) {
+      console.error(`❌ EMAIL_TRANSPORT is ${name} but it is not configured`);
+      transport = null;
+    } else {
+      transport = name ? TRANSPORTS[name].create() : null;
+    }
+  }
+  return transport;
+};
+
+/**
+ * Sender address: EMAIL_FROM, or the older RESEND_FROM_EMAIL
+ */
+const getFromAddress = () => process.env.EMAIL_FROM ||
+  process.env.RESEND_FROM_EMAIL ||
+  process.env.SMTP_USER ||
+  'careers@faydatech.local';
+
+module.exports = {
+  getEmailTransport,
+  getFromAddress,
+  getOutboxMessages: outbox.getOutboxMessages,
+  findOutboxMessage: outbox.findOutboxMessage,
+  clearOutbox: outbox.clearOutbox
+};
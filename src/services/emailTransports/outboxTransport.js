@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+// Oldest messages are dropped once the in-memory outbox holds this many
+const MAX_OUTBOX_MESSAGES = 500;
+
+const outbox = [];
+
+const isConfigured = () => true;
+
+/**
+ * Keep emails instead of sending them, for development and tests.
+ * Messages are held in memory and, when EMAIL_OUTBOX_DIR is set, also written
+ * there as <id>.json and <id>.html, with attachments as <id>-<filename>.
+ */
+const create = () => {
+  const dir = process.env.EMAIL_OUTBOX_DIR;
+
+  return {
+    name: 'outbox',
+    send: async ({ from, to, subject, html, attachments = [] }) => {
+      const message = {
+        id: `outbox-${crypto.randomUUID()}`,
+        from,
+        to,
+        subject,
+        html,
+        attachments: attachments.map(({ filename, contentType, content, encoding = 'utf8' }) => ({ filename, contentType, content, encoding })),
+        sentAt: new Date()
+      };
+
+      outbox.push(message);
+      if (outbox.length > MAX_OUTBOX_MESSAGES) {
+        outbox.shift();
+      }
+
+      if (dir) {
+        await fs.mkdir(dir, { recursive: true });
+        await fs.writeFile(path.join(dir, `${message.id}.json`), JSON.stringify(message, null, 2));
+        await fs.writeFile(path.join(dir, `${message.id}.html`), html);
+        for (const attachment of message.attachments) {
+          await fs.writeFile(
+            path.join(dir, `${message.id}-${path.basename(attachment.filename)}`),
+            Buffer.from(attachment.content, attachment.encoding)
+          );
+        }
+      }
+
+      return { id: message.id };
+    }
+  };
+};
+
+/**
+ * Messages in the outbox, newest first
+ *
+ * @param {Object} filters - { to } to only get messages for one recipient
+ */
+const getOutboxMessages = ({ to } = {}) => outbox
+  .filter(m => !to || m.to.toLowerCase() === String(to).toLowerCase())
+  .reverse();
+
+const findOutboxMessage = (id) => outbox.find(m => m.id === id) || null;
+
+const clearOutbox = () => {
+  const count = outbox.length;
+  outbox.length = 0;
+  return count;
+};
+
+module.exports = {
+  isConfigured,
+  create,
+  getOutboxMessages,
+  findOutboxMessage,
+  clearOutbox
+};
@@ -0,0 +1,34 @@
+const { Resend } = require('resend');
+
+const isConfigured = () => !!(process.env.RESEND_API_KEY && (process.env.EMAIL_FROM || process.env.RESEND_FROM_EMAIL));
+
+/**
+ * Send through the Resend API (RESEND_API_KEY)
+ */
+const create = () => {
+  const client = new Resend(process.env.RESEND_API_KEY);
+
+  return {
+    name: 'resend',
+    send: async ({ from, to, subject, html, attachments = [] }) => {
+      const { data, error } = await client.emails.send({
+        from,
+        to: [to],
+        subject,
+        html,
+        attachments: attachments.map(a => ({
+          filename: a.filename,
+          contentType: a.contentType,
+          // The API takes file contents base64-encoded
+          content: a.encoding === 'base64' ? a.content : Buffer.from(a.content).toString('base64')
+        }))
+      });
+      if (error) {
+        throw new Error(error.message || 'Email provider rejected the message');
+      }
+      return { id: data?.id || null };
+    }
+  };
+};
+
+module.exports = { isConfigured, create };
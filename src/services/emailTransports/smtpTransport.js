@@ -0,0 +1,44 @@
+const nodemailer = require('nodemailer');
+
+const isConfigured = () => !!process.env.SMTP_HOST;
+
+/**
+ * Send through any SMTP server (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+ */
+const create = () => {
+  const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    // Port 465 speaks TLS from the start; other ports upgrade with STARTTLS
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: async ({ from, to, subject, html, attachments = [] }) => {
+      try {
+        const info = await transporter.sendMail({
+          from,
+          to,
+          subject,
+          html,
+          attachments: attachments.map(({ filename, contentType, content, encoding }) => ({ filename, contentType, content, encoding }))
+        });
+        return { id: info.messageId || null };
+      } catch (error) {
+        // A permanent (5xx) rejection of the recipient will not succeed on retry
+        if (error.command === 'RCPT TO' && error.responseCode >= 500) {
+          error.bounced = true;
+        }
+        throw error;
+      }
+    }
+  };
+};
+
+module.exports = { isConfigured, create };
@@ -0,0 +1,61 @@
+const { UPLOADS_BUCKET, generatePresignedUrl } = require('../config/multer');
+
+// Presigned links are meant to be opened right away
+const FILE_LINK_EXPIRY_SECONDS = parseInt(process.env.FILE_LINK_EXPIRY_SECONDS, 10) || 5 * 60;
+
+/**
+ * Object key of a legacy public MinIO URL (http://host:port/job-uploads/<key>), or null
+ */
+const objectKeyFromUrl = (value) => {
+  if (typeof value !== 'string') return null;
+
+  try {
+    const { pathname } = new URL(value);
+    const prefix = `/${UPLOADS_BUCKET}/`;
+    return pathname.startsWith(prefix) ? decodeURIComponent(pathname.slice(prefix.length)) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Stored file answering one of the application's file fields.
+ * Applications submitted while the bucket was public only have the URL in
+ * the answer, so the key is derived from it.
+ */
+const getApplicationFile = (application, fieldId) => {
+  const file = (application.files || []).find(f => f.fieldId === fieldId);
+  if (file) return file;
+
+  const answer = application.answers.find(a => a.fieldId === fieldId);
+  const key = answer && objectKeyFromUrl(answer.value);
+  return key ? { fieldId, key, bucket: UPLOADS_BUCKET, originalName: key } : null;
+};
+
+/**
+ * Short-lived presigned link to a stored file
+ * @param {Object} file - { key, bucket, originalName }
+ * @param {string} disposition - 'inline' to view in the browser, 'attachment' to download
+ * @param {number} expiresIn - Link lifetime in seconds
+ * @returns {Promise<Object|null>} { url, expiresIn, expiresAt } or null if signing failed
+ */
+const createFileLink = async (file, disposition = 'inline', expiresIn = FILE_LINK_EXPIRY_SECONDS) => {
+  const fileName = String(file.originalName || file.key).replace(/["\\]/g, '');
+  const url = await generatePresignedUrl(file.bucket, file.key, expiresIn, {
+    'response-content-disposition': `${disposition}; filename="${fileName}"`
+  });
+
+  if (!url) return null;
+
+  return {
+    url,
+    expiresIn,
+    expiresAt: new Date(Date.now() + expiresIn * 1000)
+  };
+};
+
+module.exports = {
+  objectKeyFromUrl,
+  getApplicationFile,
+  createFileLink
+};
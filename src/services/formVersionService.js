@@ -0,0 +1,78 @@
+const FormVersion = require('../models/FormVersion');
+const JobField = require('../models/JobField');
+
+const toId = (value) => String(value && value._id ? value._id : value);
+
+/**
+ * Load the form fields for each (job, version) pair used by the given applications.
+ * Applications without a recorded version, or whose snapshot is missing,
+ * fall back to the job's live form.
+ *
+ * @param {Array} applications - Applications with jobId and formVersion
+ * @returns {Promise<Function>} (application) => fields sorted by order
+ */
+const loadFormsForApplications = async (applications) => {
+  const jobIds = [...new Set(applications.map(a => toId(a.jobId)))];
+  const versionPairs = applications
+    .filter(a => a.formVersion != null)
+    .map(a => ({ jobId: toId(a.jobId), version: a.formVersion }));
+
+  const [snapshots, liveForms] = await Promise.all([
+    versionPairs.length > 0 ? FormVersion.find({ $or: versionPairs }).lean() : [],
+    JobField.find({ jobId: { $in: jobIds } }).lean()
+  ]);
+
+  const byVersion = new Map(snapshots.map(s => [`${s.jobId}:${s.version}`, s.fields]));
+  const byJob = new Map(liveForms.map(f => [String(f.jobId), f.fields]));
+
+  return (application) => {
+    const jobId = toId(application.jobId);
+    const fields = (application.formVersion != null && byVersion.get(`${jobId}:${application.formVersion}`)) ||
+      byJob.get(jobId) ||
+      [];
+    return [...fields].sort((a, b) => a.order - b.order);
+  };
+};
+
+/**
+ * Form fields an application was submitted against
+ */
+const getFormForApplication = async (application) => {
+  const getFields = await loadFormsForApplications([application]);
+  return getFields(application);
+};
+
+/**
+ * Pair answers with their questions in form order.
+ * Answers to fields that are not part of the form are appended as "Unknown Question".
+ */
+const renderAnswers = (fields, answers = []) => {
+  const answersById = new Map(answers.map(a => [a.fieldId, a.value]));
+  const fieldIds = new Set(fields.map(f => f.id));
+
+  const rendered = fields
+    .filter(field => answersById.has(field.id))
+    .map(field => ({
+      fieldId: field.id,
+      question: field.question,
+      type: field.type,
+      value: answersById.get(field.id)
+    }));
+
+  const unknown = answers
+    .filter(a => !fieldIds.has(a.fieldId))
+    .map(a => ({
+      fieldId: a.fieldId,
+      question: 'Unknown Question',
+      type: 'unknown',
+      value: a.value
+    }));
+
+  return [...rendered, ...unknown];
+};
+
+module.exports = {
+  loadFormsForApplications,
+  getFormForApplication,
+  renderAnswers
+};
@@ -0,0 +1,546 @@
+const crypto = require('crypto');
+const Application = require('../models/Application');
+const Interview = require('../models/Interview');
+const InterviewSlot = require('../models/InterviewSlot');
+const User = require('../models/User');
+const { getCalendarProvider } = require('./calendarProviders');
+const { getFromAddress } = require('./emailTransports');
+const { sendInterviewerEmail } = require('./emailService');
+const { queueApplicationMessage } = require('./messageService');
+const { advanceToPurposeStage } = require('./pipelineService');
+const { buildCalendar } = require('../utils/ics');
+const { formatDate, formatTimeRange } = require('../utils/timezone');
+
+const BOOKING_URL = process.env.INTERVIEW_BOOKING_URL || 'http://localhost:3000/interviews/book';
+const ADMIN_URL = process.env.ADMIN_DASHBOARD_URL || 'http://localhost:3000/admin';
+
+const FEEDBACK_REMINDER = 'After the interview, please submit your feedback (rating, recommendation and notes) ' +
+  'on the application. The applicant cannot move past the interview stage until every interviewer has.';
+
+// Applicants cannot book a slot starting sooner than this
+const MIN_BOOKING_NOTICE_MS = 2 * 60 * 60 * 1000;
+// Slots further ahead than this are not offered
+const BOOKING_WINDOW_DAYS = 60;
+const MAX_BOOKABLE_SLOTS = 200;
+
+const USER_FIELDS = 'name email';
+
+const newInterviewUid = () => `interview-${crypto.randomUUID()}@faydatech`;
+
+const overlapping = (startsAt, endsAt) => ({
+  startsAt: { $lt: endsAt },
+  endsAt: { $gt: startsAt }
+});
+
+const bookingLink = (token) => `${BOOKING_URL}?token=${token}`;
+
+/**
+ * Scheduled interviews of any of the interviewers that overlap the given time
+ *
+ * @param {Array} interviewerIds
+ * @param {Date} startsAt
+ * @param {Date} endsAt
+ * @param {Object} options - { excludeInterviewId }
+ */
+const findInterviewConflicts = (interviewerIds, startsAt, endsAt, { excludeInterviewId = null } = {}) => Interview.find({
+  status: 'scheduled',
+  interviewers: { $in: interviewerIds },
+  ...overlapping(startsAt, endsAt),
+  ...(excludeInterviewId && { _id: { $ne: excludeInterviewId } })
+})
+  .populate('interviewers', USER_FIELDS)
+  .select('applicationId interviewers startsAt endsAt');
+
+/**
+ * Slots of an interviewer that overlap the given time
+ */
+const findSlotConflicts = (interviewerId, startsAt, endsAt) => InterviewSlot.find({
+  interviewer: interviewerId,
+  ...overlapping(startsAt, endsAt)
+}).select('startsAt endsAt status');
+
+/**
+ * Date and time of an interview as written in emails, in the reader's zone
+ *
+ * @param {Date} startsAt
+ * @param {Date} endsAt
+ * @param {string} timeZone - IANA zone of the reader
+ * @returns {Object} { date: 'Friday, 14 March 2025', time: '10:00 - 10:45 GMT+3 (Africa/Addis_Ababa)' }
+ */
+const formatInterviewTime = (startsAt, endsAt, timeZone) => ({
+  date: formatDate(startsAt, timeZone),
+  time: formatTimeRange(startsAt, endsAt, timeZone)
+});
+
+/**
+ * Zone emails about an interview are written in for the applicant: their own when
+ * they gave one, otherwise the zone the interview was arranged in
+ */
+const applicantTimeZone = (application, interview) => application.applicant?.timezone || interview.timezone;
+
+/**
+ * Open slots the applicant of an interview awaiting booking can choose from:
+ * long enough, for the interview's interviewers (or anyone when none were chosen)
+ * and the job, and not clashing with an interview already scheduled
+ */
+const getBookableSlots = async (interview) => {
+  const from = new Date(Date.now() + MIN_BOOKING_NOTICE_MS);
+  const to = new Date(Date.now() + BOOKING_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+  const slots = await InterviewSlot.find({
+    status: 'open',
+    startsAt: { $gte: from, $lte: to },
+    jobId: { $in: [null, interview.jobId] },
+    ...(interview.interviewers.length > 0 && { interviewer: { $in: interview.interviewers } })
+  })
+    .populate('interviewer', 'name')
+    .sort({ startsAt: 1 })
+    .limit(MAX_BOOKABLE_SLOTS);
+
+  const durationMs = interview.durationMinutes * 60 * 1000;
+  const longEnough = slots.filter(s => s.endsAt - s.startsAt >= durationMs);
+  if (longEnough.length === 0) return [];
+
+  const busy = await Interview.find({
+    status: 'scheduled',
+    interviewers: { $in: longEnough.map(s => s.interviewer._id) },
+    ...overlapping(longEnough[0].startsAt, longEnough[longEnough.length - 1].endsAt)
+  }).select('interviewers startsAt endsAt');
+
+  return longEnough.filter(slot => {
+    const endsAt = new Date(slot.startsAt.getTime() + durationMs);
+    return !busy.some(i => i.interviewers.some(id => id.equals(slot.interviewer._id)) &&
+      i.startsAt < endsAt && i.endsAt > slot.startsAt);
+  });
+};
+
+const jobTitleOf = (application) => application.jobId?.title || 'the position';
+
+/**
+ * Application of an interview and its interviewers, as scheduling needs them.
+ * Returns { application, interviewers } or { error, status }.
+ */
+const loadInterviewParties = async (interview) => {
+  const application = await Application.findById(interview.applicationId).populate('jobId', 'title pipelineTemplate');
+  if (!application) {
+    return { error: 'Response not found', status: 404 };
+  }
+
+  const interviewers = await User.find({ _id: { $in: interview.interviewers } }).select(`${USER_FIELDS} timezone`);
+  return { application, interviewers };
+};
+
+/**
+ * Event fields shared by the calendar provider and .ics files
+ */
+const eventDetails = (interview, application, interviewers) => ({
+  summary: `Interview: ${application.applicant.name} - ${jobTitleOf(application)}`,
+  description: `Interview with FaydaTech for ${jobTitleOf(application)}.`,
+  location: interview.location,
+  startsAt: interview.startsAt,
+  endsAt: interview.endsAt,
+  timeZone: interview.timezone,
+  attendees: [
+    ...interviewers.map(u => ({ name: u.name, email: u.email })),
+    { name: application.applicant.name, email: application.applicant.email }
+  ]
+});
+
+/**
+ * iCalendar file for an interview. Every version of the interview shares its uid;
+ * its sequence tells calendars which version is newest.
+ *
+ * @param {Object} interview
+ * @param {Object} application - Its application with jobId populated
+ * @param {Array<Object>} interviewers - Users with name and email
+ * @param {string} method - PUBLISH for downloads, REQUEST for invitations and updates, CANCEL for cancellations
+ */
+const buildInterviewCalendar = (interview, application, interviewers, method = 'PUBLISH') => buildCalendar({
+  method,
+  events: [{
+    ...eventDetails(interview, application, interviewers),
+    uid: interview.uid,
+    sequence: interview.sequence,
+    location: interview.location || interview.meetingLink,
+    url: interview.meetingLink,
+    status: interview.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+    organizer: { name: 'FaydaTech Careers', email: getFromAddress() }
+  }]
+});
+
+const calendarAttachment = (interview, application, interviewers, method) => ({
+  filename: 'invite.ics',
+  contentType: `text/calendar; charset=utf-8; method=${method}`,
+  content: buildInterviewCalendar(interview, application, interviewers, method)
+});
+
+const placeOf = (interview) => interview.location || interview.meetingLink || 'To be confirmed';
+
+const setInterviewDetails = (application, interview) => {
+  const timezone = applicantTimeZone(application, interview);
+
+  application.isInvited = true;
+  application.interviewDetails = {
+    date: interview.startsAt,
+    time: formatInterviewTime(interview.startsAt, interview.endsAt, timezone).time,
+    timezone,
+    meetLink: placeOf(interview),
+    interviewers: interview.interviewers
+  };
+};
+
+/**
+ * Email interviewers about a change to an interview, each in their own time zone, with the
+ * interview's .ics file. Failures are logged; they do not undo the change.
+ *
+ * @param {Array<Object>} recipients - Interviewers to notify (name, email, timezone)
+ * @param {Object} interview
+ * @param {Object} application - With jobId populated
+ * @param {Array<Object>} panel - All interviewers of the interview
+ * @param {Object} options - { change: subject line, e.g. 'Interview scheduled', method: REQUEST or CANCEL, reason }
+ */
+const notifyInterviewers = async (recipients, interview, application, panel, { change, method, reason = '' }) => {
+  if (recipients.length === 0) return;
+
+  const attachment = calendarAttachment(interview, application, method === 'CANCEL' ? recipients : panel, method);
+
+  for (const user of recipients) {
+    const { date, time } = formatInterviewTime(interview.startsAt, interview.endsAt, user.timezone || interview.timezone);
+
+    try {
+      await sendInterviewerEmail(user.email, {
+        recipient_name: user.name,
+        applicant_name: application.applicant.name,
+        job_title: jobTitleOf(application),
+        change,
+        interview_date: date,
+        interview_time: time,
+        interview_location: placeOf(interview),
+        panel: panel.map(u => u.name).join(', '),
+        reason,
+        next_step: method === 'CANCEL' ? '' : FEEDBACK_REMINDER,
+        link: `${ADMIN_URL}/responses/${application._id}`
+      }, [attachment]);
+    } catch (emailError) {
+      console.error('Interviewer notification failed:', emailError.message);
+    }
+  }
+};
+
+const releaseSlot = async (interview) => {
+  if (!interview.slotId) return;
+
+  await InterviewSlot.updateOne({ _id: interview.slotId, interviewId: interview._id }, { status: 'open', interviewId: null });
+  interview.slotId = null;
+};
+
+/**
+ * Put an interview on the calendar at the given time, move the application to the
+ * interview stage and queue the invitation, with an .ics file, to the applicant.
+ * The caller has checked that the time is free.
+ *
+ * @param {Object} interview - Interview (not yet saved as scheduled)
+ * @param {Object} options
+ * @param {Date} options.startsAt - Start time; the end follows from durationMinutes
+ * @param {string} options.bookedBy - admin or applicant
+ * @param {Object} options.sender - Admin scheduling the interview, or null when the applicant booked it
+ * @returns {Promise<Object>} { interview, message } or { error, status }
+ */
+const scheduleInterview = async (interview, { startsAt, bookedBy, sender = null }) => {
+  const { application, interviewers, error, status } = await loadInterviewParties(interview);
+  if (error) {
+    return { error, status };
+  }
+  if (application.withdrawnAt) {
+    return { error: 'The applicant withdrew this application', status: 400 };
+  }
+
+  interview.startsAt = startsAt;
+  interview.endsAt = new Date(startsAt.getTime() + interview.durationMinutes * 60 * 1000);
+
+  try {
+    const provider = getCalendarProvider();
+    const event = await provider.createEvent({
+      uid: interview.uid,
+      ...eventDetails(interview, application, interviewers)
+    });
+
+    interview.calendar = { provider: provider.name, eventId: event.eventId };
+    interview.meetingLink = event.meetingLink;
+  } catch (error) {
+    console.error('Calendar event creation failed:', error.message);
+    return { error: `Could not create the calendar event: ${error.message}`, status: 502 };
+  }
+
+  interview.status = 'scheduled';
+  interview.bookedBy = bookedBy;
+  interview.bookingTokenHash = null;
+  interview.bookingExpiresAt = null;
+  interview.recordChange('scheduled', { changedBy: sender?._id || null });
+  await interview.save();
+
+  setInterviewDetails(application, interview);
+  await advanceToPurposeStage(application, 'interview', sender?._id || null,
+    bookedBy === 'applicant' ? 'Interview booked by the applicant' : 'Interview scheduled');
+  await application.save();
+
+  const { date, time } = formatInterviewTime(interview.startsAt, interview.endsAt, applicantTimeZone(application, interview));
+  const message = await queueApplicationMessage(application, 'interview_invitation', {
+    role: jobTitleOf(application),
+    interview_date: date,
+    interview_time: time,
+    interview_location: placeOf(interview),
+    custom_message: interview.customMessage,
+    sender_name: sender?.name || 'FaydaTech Hiring Team',
+    sender_title: ''
+  }, {
+    sentBy: sender?._id || null,
+    trigger: 'interview_scheduled',
+    attachments: [calendarAttachment(interview, application, interviewers, 'REQUEST')]
+  });
+
+  await notifyInterviewers(interviewers, interview, application, interviewers, {
+    change: 'Interview scheduled',
+    method: 'REQUEST'
+  });
+
+  return { interview, message };
+};
+
+/**
+ * Move a scheduled interview to another time, length or place, or change its panel. Updates the
+ * calendar event and emails the applicant and interviewers an updated .ics with the same uid and a
+ * higher sequence; interviewers taken off the panel get a cancellation. A booked slot is given back
+ * when the time changes. The caller has checked that the new time is free for the new panel.
+ *
+ * @param {Object} interview - Scheduled interview
+ * @param {Object} changes - { startsAt, durationMinutes, location, interviewerIds }; omitted ones stay as they are
+ * @param {Object} options - { sender: admin making the change, reason }
+ * @returns {Promise<Object>} { interview, message } or { error, status }
+ */
+const rescheduleInterview = async (interview, { startsAt, durationMinutes, location, interviewerIds }, { sender, reason = '' }) => {
+  const previousInterviewers = interview.interviewers.map(String);
+  const panelChanged = !!interviewerIds && (interviewerIds.length !== previousInterviewers.length ||
+    interviewerIds.some(id => !previousInterviewers.includes(String(id))));
+  if (panelChanged) interview.interviewers = interviewerIds;
+
+  const { application, interviewers, error, status } = await loadInterviewParties(interview);
+  if (error) {
+    return { error, status };
+  }
+
+  const previous = { startsAt: interview.startsAt, endsAt: interview.endsAt, location: placeOf(interview) };
+
+  if (startsAt) interview.startsAt = startsAt;
+  if (durationMinutes) interview.durationMinutes = durationMinutes;
+  if (location !== undefined) interview.location = location;
+  interview.endsAt = new Date(interview.startsAt.getTime() + interview.durationMinutes * 60 * 1000);
+
+  try {
+    const provider = getCalendarProvider();
+    const event = await provider.updateEvent({
+      eventId: interview.calendar?.eventId,
+      uid: interview.uid,
+      ...eventDetails(interview, application, interviewers)
+    });
+    interview.meetingLink = event.meetingLink;
+  } catch (error) {
+    console.error('Calendar event update failed:', error.message);
+    return { error: `Could not update the calendar event: ${error.message}`, status: 502 };
+  }
+
+  // The slot was the availability of one interviewer at one time
+  if (interview.startsAt.getTime() !== previous.startsAt.getTime() ||
+      interview.endsAt.getTime() !== previous.endsAt.getTime() ||
+      panelChanged) {
+    await releaseSlot(interview);
+  }
+
+  interview.sequence += 1;
+  interview.recordChange('rescheduled', { changedBy: sender._id, reason, previous });
+  await interview.save();
+
+  setInterviewDetails(application, interview);
+  await application.save();
+
+  const timeZone = applicantTimeZone(application, interview);
+  const now = formatInterviewTime(interview.startsAt, interview.endsAt, timeZone);
+  const before = formatInterviewTime(previous.startsAt, previous.endsAt, timeZone);
+  const message = await queueApplicationMessage(application, 'interview_rescheduled', {
+    role: jobTitleOf(application),
+    interview_date: now.date,
+    interview_time: now.time,
+    interview_location: placeOf(interview),
+    previous_date: before.date,
+    previous_time: before.time,
+    reason,
+    sender_name: sender.name
+  }, {
+    sentBy: sender._id,
+    trigger: 'interview_rescheduled',
+    attachments: [calendarAttachment(interview, application, interviewers, 'REQUEST')]
+  });
+
+  const removedIds = previousInterviewers.filter(id => !interview.interviewers.some(i => String(i) === id));
+  const removed = removedIds.length > 0
+    ? await User.find({ _id: { $in: removedIds } }).select(`${USER_FIELDS} timezone`)
+    : [];
+
+  await notifyInterviewers(interviewers, interview, application, interviewers, {
+    change: 'Interview updated',
+    method: 'REQUEST',
+    reason
+  });
+  await notifyInterviewers(removed, interview, application, interviewers, {
+    change: 'Removed from interview panel',
+    method: 'CANCEL',
+    reason
+  });
+
+  return { interview, message };
+};
+
+/**
+ * Cancel an interview. A scheduled one is removed from the calendar, its slot is given back
+ * and the applicant is emailed an .ics cancellation with the same uid. An unused booking
+ * link just stops working; nothing is emailed.
+ *
+ * @param {Object} interview - Interview awaiting booking or scheduled
+ * @param {Object} options - { sender: admin cancelling it, reason }
+ * @returns {Promise<Object>} { interview, message } (message is null for booking links) or { error, status }
+ */
+const cancelInterview = async (interview, { sender, reason = '' }) => {
+  if (interview.status === 'awaiting_booking') {
+    interview.status = 'cancelled';
+    interview.bookingTokenHash = null;
+    interview.bookingExpiresAt = null;
+    interview.recordChange('cancelled', { changedBy: sender._id, reason });
+    await interview.save();
+
+    return { interview, message: null };
+  }
+
+  const { application, interviewers, error, status } = await loadInterviewParties(interview);
+  if (error) {
+    return { error, status };
+  }
+
+  try {
+    await getCalendarProvider().cancelEvent({ eventId: interview.calendar?.eventId, uid: interview.uid });
+  } catch (error) {
+    console.error('Calendar event cancellation failed:', error.message);
+    return { error: `Could not cancel the calendar event: ${error.message}`, status: 502 };
+  }
+
+  await releaseSlot(interview);
+  interview.status = 'cancelled';
+  interview.sequence += 1;
+  interview.recordChange('cancelled', { changedBy: sender._id, reason });
+  await interview.save();
+
+  // The application keeps the details of another interview still scheduled, if any
+  const next = await Interview.findOne({ applicationId: application._id, status: 'scheduled' }).sort({ startsAt: 1 });
+  if (next) {
+    setInterviewDetails(application, next);
+  } else {
+    application.isInvited = false;
+    application.interviewDetails = undefined;
+  }
+  await application.save();
+
+  const { date, time } = formatInterviewTime(interview.startsAt, interview.endsAt, applicantTimeZone(application, interview));
+  const message = await queueApplicationMessage(application, 'interview_cancelled', {
+    role: jobTitleOf(application),
+    interview_date: date,
+    interview_time: time,
+    reason,
+    sender_name: sender.name
+  }, {
+    sentBy: sender._id,
+    trigger: 'interview_cancelled',
+    attachments: [calendarAttachment(interview, application, interviewers, 'CANCEL')]
+  });
+
+  await notifyInterviewers(interviewers, interview, application, interviewers, {
+    change: 'Interview cancelled',
+    method: 'CANCEL',
+    reason
+  });
+
+  return { interview, message };
+};
+
+/**
+ * Book a slot for an interview awaiting booking. The slot is claimed first so two
+ * applicants cannot book it, and released again if scheduling fails.
+ *
+ * @returns {Promise<Object>} { interview, message } or { error, status }
+ */
+const bookSlot = async (interview, slotId) => {
+  const bookable = await getBookableSlots(interview);
+  if (!bookable.some(s => s._id.equals(slotId))) {
+    return { error: 'This time is no longer available. Please choose another one', status: 409 };
+  }
+
+  const slot = await InterviewSlot.findOneAndUpdate(
+    { _id: slotId, status: 'open' },
+    { status: 'booked', interviewId: interview._id },
+    { new: true }
+  );
+  if (!slot) {
+    return { error: 'This time is no longer available. Please choose another one', status: 409 };
+  }
+
+  interview.interviewers = [slot.interviewer];
+  interview.slotId = slot._id;
+
+  const result = await scheduleInterview(interview, { startsAt: slot.startsAt, bookedBy: 'applicant' });
+  if (result.error) {
+    await InterviewSlot.updateOne({ _id: slot._id }, { status: 'open', interviewId: null });
+  }
+  return result;
+};
+
+/**
+ * Interview as returned by the admin API
+ */
+const formatInterview = (interview, { includeHistory = false } = {}) => ({
+  id: interview._id,
+  applicationId: interview.applicationId,
+  jobId: interview.jobId,
+  status: interview.status,
+  interviewers: interview.interviewers,
+  startsAt: interview.startsAt,
+  endsAt: interview.endsAt,
+  timezone: interview.timezone,
+  durationMinutes: interview.durationMinutes,
+  location: interview.location,
+  meetingLink: interview.meetingLink,
+  calendarProvider: interview.calendar?.provider || null,
+  bookedBy: interview.bookedBy,
+  bookingExpiresAt: interview.bookingExpiresAt,
+  slotId: interview.slotId,
+  sequence: interview.sequence,
+  feedback: interview.feedback,
+  pendingFeedback: interview.pendingFeedback(),
+  createdBy: interview.createdBy,
+  createdAt: interview.createdAt,
+  ...(includeHistory && { history: interview.history })
+});
+
+module.exports = {
+  USER_FIELDS,
+  newInterviewUid,
+  bookingLink,
+  findInterviewConflicts,
+  findSlotConflicts,
+  formatInterviewTime,
+  applicantTimeZone,
+  getBookableSlots,
+  scheduleInterview,
+  rescheduleInterview,
+  cancelInterview,
+  bookSlot,
+  buildInterviewCalendar,
+  formatInterview
+};
@@ -0,0 +1,153 @@
+const Message = require('../models/Message');
+const { isEmailConfigured, renderTemplatedEmail } = require('./emailService');
+const { kickEmailQueue } = require('./emailQueueService');
+const { EMAIL_TEMPLATES } = require('./emailTemplateService');
+
+// Stage purposes (see PipelineTemplate) that email the applicant when an application moves
+// into a stage with that purpose, besides the template's rejection stages (which send 'rejection')
+const STAGE_EMAIL_TEMPLATES = {
+  offer: 'offer'
+};
+
+/**
+ * Email template sent when an application moves into a stage of the pipeline template, or null
+ */
+const getStageEmailTemplate = (template, stage) => {
+  if (template.isRejectionStage(stage)) return 'rejection';
+  return STAGE_EMAIL_TEMPLATES[template.stagePurpose(stage)] || null;
+};
+
+// Templates admins can send to applicants by hand
+const SENDABLE_TEMPLATES = Object.keys(EMAIL_TEMPLATES).filter(key => EMAIL_TEMPLATES[key].sendable);
+
+// Variables filled from each application; callers sending to many applicants cannot set them
+const APPLICATION_VARIABLES = ['applicant_name', 'job_title'];
+
+const isBlank = (value) => value == null || String(value).trim() === '';
+
+const applicationVariables = (application) => ({
+  applicant_name: application.applicant.name,
+  job_title: application.jobId?.title || 'the position',
+  role: application.jobId?.title
+});
+
+/**
+ * Required variables of a template that have no value
+ *
+ * @returns {Array<string>} Variable names
+ */
+const getMissingVariables = (key, variables) => Object.entries(EMAIL_TEMPLATES[key].variables)
+  .filter(([name, variable]) => variable.required && isBlank(variables[name]))
+  .map(([name]) => name);
+
+/**
+ * Queue an email to an applicant about their application; it is recorded on the application
+ * and sent by the email queue worker, which retries failed deliveries.
+ * Does not throw when the template cannot be rendered: the message is recorded as failed.
+ *
+ * @param {Object} application - Application, with jobId populated when the job title should be used
+ * @param {string} templateKey - Email template
+ * @param {Object} variables - Template variables; applicant name and job title default to the application's
+ * @param {Object} options - { sentBy, trigger, stage, attachments: [{ filename, contentType, content, encoding }] }
+ * @returns {Promise<Object>} The Message record, status queued (or skipped/failed)
+ */
+const queueApplicationMessage = async (application, templateKey, variables = {}, {
+  sentBy = null,
+  trigger = 'manual',
+  stage = null,
+  attachments = []
+} = {}) => {
+  const jobId = application.jobId?._id || application.jobId;
+
+  const message = {
+    applicationId: application._id,
+    jobId,
+    templateKey,
+    to: application.applicant.email,
+    trigger,
+    stage,
+    sentBy,
+    attachments
+  };
+
+  let email;
+  try {
+    email = await renderTemplatedEmail(templateKey, {
+      ...applicationVariables(application),
+      ...variables
+    }, jobId);
+  } catch (error) {
+    console.error(`❌ Failed to render ${templateKey} email:`, error.message);
+    return Message.create({ ...message, status: 'failed', error: error.message });
+  }
+
+  if (!isEmailConfigured()) {
+    console.log(`📧 [SKIPPED] ${EMAIL_TEMPLATES[templateKey].name} email (email not configured)`);
+    return Message.create({ ...message, ...email, status: 'skipped', error: 'Email not configured' });
+  }
+
+  const queued = await Message.create({ ...message, ...email, status: 'queued', nextAttemptAt: new Date() });
+  kickEmailQueue();
+  return queued;
+};
+
+/**
+ * Queue the stage's email, if it has one, after an application moved into it
+ *
+ * @param {Object} application - Application with jobId populated
+ * @param {string} stage - Stage the application moved into
+ * @param {Object} options - { template: the job's pipeline template, sender: admin user who moved it, customMessage }
+ * @returns {Promise<Object|null>} The Message record, or null when the stage sends no email
+ */
+const queueStageChangeMessage = async (application, stage, { template, sender, customMessage = '' }) => {
+  const templateKey = getStageEmailTemplate(template, stage);
+  if (!templateKey) return null;
+
+  return queueApplicationMessage(application, templateKey, {
+    custom_message: customMessage,
+    sender_name: sender.name
+  }, { sentBy: sender._id, trigger: 'stage_change', stage });
+};
+
+/**
+ * Response message for an action that emails the applicant, saying what happened to the email
+ */
+const describeEmail = (action, message) => ({
+  queued: `${action}. The email is queued for delivery`,
+  skipped: `${action}. No email was sent because email is not configured`,
+  failed: `${action}. The email could not be prepared: ${message.error}`
+}[message.status]);
+
+/**
+ * Message as returned by the API; the body is only included when asked for
+ */
+const formatMessage = (message, { includeHtml = false } = {}) => ({
+  id: message._id,
+  applicationId: message.applicationId,
+  templateKey: message.templateKey,
+  to: message.to,
+  subject: message.subject,
+  ...(includeHtml && { html: message.html }),
+  attachments: (message.attachments || []).map(a => a.filename),
+  status: message.status,
+  error: message.error,
+  attempts: message.attempts,
+  nextAttemptAt: message.status === 'queued' ? message.nextAttemptAt : null,
+  sentAt: message.sentAt,
+  transport: message.transport,
+  trigger: message.trigger,
+  stage: message.stage,
+  sentBy: message.sentBy,
+  createdAt: message.createdAt
+});
+
+module.exports = {
+  getStageEmailTemplate,
+  SENDABLE_TEMPLATES,
+  APPLICATION_VARIABLES,
+  getMissingVariables,
+  queueApplicationMessage,
+  queueStageChangeMessage,
+  describeEmail,
+  formatMessage
+};
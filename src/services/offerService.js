@@ -0,0 +1,250 @@
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const Application = require('../models/Application');
+const Offer = require('../models/Offer');
+const PipelineTemplate = require('../models/PipelineTemplate');
+const User = require('../models/User');
+const { createAuditLog } = require('../utils/auditLogger');
+const { renderText } = require('./emailTemplateService');
+const { sendOfferResponseEmail } = require('./emailService');
+const { queueApplicationMessage } = require('./messageService');
+const { getStageMoveError, getFeedbackMoveError } = require('./pipelineService');
+const { formatDate } = require('../utils/timezone');
+
+const OFFER_URL = process.env.OFFER_RESPONSE_URL || 'http://localhost:3000/offers/respond';
+const ADMIN_URL = process.env.ADMIN_DASHBOARD_URL || 'http://localhost:3000/admin';
+
+const LETTER_TEMPLATE = fs.readFileSync(path.join(__dirname, '../documentTemplates/offer_letter.txt'), 'utf8');
+
+const offerLink = (token) => `${OFFER_URL}?token=${token}`;
+
+/**
+ * ETB 85,000.00 per month
+ */
+const formatSalary = ({ amount, currency, period }) => {
+  const money = new Intl.NumberFormat('en-US', { style: 'currency', currency, currencyDisplay: 'code' }).format(amount);
+  return `${money.replace(/\u00a0/g, ' ')} per ${period}`;
+};
+
+/**
+ * Variables shared by the offer letter and the offer email
+ */
+const offerVariables = (offer, application, sender) => ({
+  applicant_name: application.applicant.name,
+  job_title: application.jobId?.title || offer.role,
+  role: offer.role,
+  salary: formatSalary(offer.salary),
+  start_date: formatDate(offer.startDate, offer.timezone),
+  expires_at: formatDate(offer.expiresAt, offer.timezone),
+  custom_message: offer.customMessage,
+  sender_name: sender?.name || ''
+});
+
+/**
+ * Text of the offer letter from the letter template (src/documentTemplates/offer_letter.txt)
+ */
+const renderOfferLetter = (offer, application, sender) => renderText(LETTER_TEMPLATE, {
+  ...offerVariables(offer, application, sender),
+  letter_date: formatDate(offer.createdAt || new Date(), offer.timezone)
+}).replace(/\n{3,}/g, '\n\n').trim();
+
+/**
+ * The offer's letter as a PDF
+ *
+ * @param {Object} offer - Offer with its rendered letter
+ * @returns {Promise<Buffer>}
+ */
+const buildOfferLetterPdf = (offer) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 60,
+    info: { Title: `Offer letter - ${offer.role}`, Author: 'FaydaTech' }
+  });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  doc.font('Helvetica-Bold').fontSize(22).fillColor('#667eea').text('FaydaTech');
+  doc.font('Helvetica').fontSize(10).fillColor('#666666').text('Offer of employment');
+  doc.moveDown(2);
+
+  doc.font('Helvetica').fontSize(11).fillColor('#333333');
+  for (const paragraph of offer.letter.split(/\n\s*\n/)) {
+    doc.text(paragraph.trim(), { align: 'left', lineGap: 2 });
+    doc.moveDown();
+  }
+
+  doc.end();
+});
+
+/**
+ * The offer letter PDF as an email attachment
+ */
+const buildLetterAttachment = async (offer) => ({
+  filename: 'offer-letter.pdf',
+  contentType: 'application/pdf',
+  content: (await buildOfferLetterPdf(offer)).toString('base64'),
+  encoding: 'base64'
+});
+
+/**
+ * Queue the offer email to the applicant with the letter attached and the link to respond
+ *
+ * @param {Object} offer - Saved offer
+ * @param {Object} application - With jobId populated
+ * @param {string} token - Raw response token
+ * @param {Object} sender - Admin making the offer
+ * @param {Object} options - { stage: the pipeline's offer stage, attachment: from buildLetterAttachment }
+ * @returns {Promise<Object>} The Message record
+ */
+const queueOfferMessage = (offer, application, token, sender, { stage, attachment }) => queueApplicationMessage(application, 'offer_letter', {
+  ...offerVariables(offer, application, sender),
+  offer_link: offerLink(token)
+}, {
+  sentBy: sender._id,
+  trigger: 'offer_sent',
+  stage,
+  attachments: [attachment]
+});
+
+/**
+ * Save the offer as expired when it was read after its expiry. Only a still-sent offer is
+ * changed in the database, so an answer given in the meantime is kept.
+ */
+const refreshExpiry = async (offer) => {
+  if (offer.updateExpiryStatus()) {
+    await Offer.updateOne({ _id: offer._id, status: 'sent' }, { $set: { status: 'expired' } });
+  }
+  return offer;
+};
+
+/**
+ * Move the application to the template's stage marked with the outcome (hired or rejected).
+ * Returns { stage, stageError }; stageError says why it could not be moved, null when it was
+ * moved or is there already.
+ */
+const moveForAnswer = async (application, outcome, notes) => {
+  const template = await PipelineTemplate.resolveForJob(application.jobId);
+  const stage = template.outcomeStage(outcome);
+  if (!stage) {
+    return { stage: outcome, stageError: `the pipeline of this job has no stage marked ${outcome}` };
+  }
+  if (application.pipeline_stage === stage) return { stage, stageError: null };
+
+  const stageError = getStageMoveError(application, template, stage) ||
+    await getFeedbackMoveError(application, template, stage);
+  if (!stageError) {
+    application.moveToStage(stage, { notes });
+  }
+  return { stage, stageError };
+};
+
+/**
+ * Record the candidate's answer to an offer, move the application along (to the pipeline's hired
+ * stage when accepted, its rejection stage when declined), audit it and tell the admin who made
+ * the offer. When the application cannot be moved the answer is still recorded, and the admin is told to move it by hand.
+ *
+ * The offer is claimed atomically, so of two answers sent at once only the first counts.
+ *
+ * @param {Object} offer - Offer the answer is for
+ * @param {string} outcome - accepted or declined
+ * @param {Object} options - { reason } given when declining, { auditMetadata } of the request
+ * @returns {Promise<Object>} { offer, application, stageError } or { error, status }
+ */
+const respondToOffer = async (offer, outcome, { reason = '', auditMetadata = {} } = {}) => {
+  const application = await Application.findById(offer.applicationId).populate('jobId', 'title status pipelineTemplate');
+  if (!application || application.withdrawnAt) {
+    return { error: 'This application is no longer active', status: 410 };
+  }
+
+  const now = new Date();
+  const answered = await Offer.findOneAndUpdate(
+    { _id: offer._id, status: 'sent', expiresAt: { $gt: now } },
+    { $set: { status: outcome, respondedAt: now, declineReason: outcome === 'declined' ? reason : '' } },
+    { new: true }
+  );
+  if (!answered) {
+    return { error: 'This offer has already been answered or is no longer open', status: 409 };
+  }
+
+  if (outcome === 'accepted') application.isAccepted = true;
+  const notes = outcome === 'accepted'
+    ? 'Offer accepted by the candidate'
+    : reason ? `Offer declined by the candidate: ${reason}` : 'Offer declined by the candidate';
+  const { stage, stageError } = await moveForAnswer(application, outcome === 'accepted' ? 'hired' : 'rejected', notes);
+  await application.save();
+
+  await createAuditLog({
+    user: null,
+    action: outcome === 'accepted' ? 'OFFER_ACCEPTED' : 'OFFER_DECLINED',
+    resource: 'Application',
+    resourceId: application._id,
+    ipAddress: auditMetadata.ipAddress,
+    userAgent: auditMetadata.userAgent,
+    details: {
+      offerId: answered._id,
+      role: answered.role,
+      ...(outcome === 'declined' && { reason }),
+      ...(stageError && { stageNotChanged: stage, stageError })
+    },
+    status: stageError ? 'warning' : 'success'
+  });
+
+  const admin = answered.createdBy && await User.findById(answered.createdBy).select('name email');
+  if (admin) {
+    try {
+      await sendOfferResponseEmail(admin.email, {
+        recipientName: admin.name,
+        applicantName: application.applicant.name,
+        jobTitle: application.jobId?.title || answered.role,
+        role: answered.role,
+        outcome,
+        reason: outcome === 'declined' ? reason : '',
+        stageNote: stageError
+          ? `The application is still in the ${application.pipeline_stage} stage and could not be moved to ${stage}: ${stageError}. Please move it yourself once this is resolved.`
+          : '',
+        link: `${ADMIN_URL}/responses/${application._id}`
+      });
+    } catch (emailError) {
+      console.error('Offer response notification failed:', emailError.message);
+    }
+  }
+
+  return { offer: answered, application, stageError };
+};
+
+/**
+ * Offer as returned by the admin API
+ */
+const formatOffer = (offer) => ({
+  id: offer._id,
+  applicationId: offer.applicationId,
+  jobId: offer.jobId,
+  status: offer.status,
+  role: offer.role,
+  salary: offer.salary,
+  startDate: offer.startDate,
+  timezone: offer.timezone,
+  expiresAt: offer.expiresAt,
+  customMessage: offer.customMessage,
+  respondedAt: offer.respondedAt,
+  declineReason: offer.declineReason,
+  withdrawnAt: offer.withdrawnAt,
+  withdrawReason: offer.withdrawReason,
+  createdBy: offer.createdBy,
+  createdAt: offer.createdAt
+});
+
+module.exports = {
+  formatSalary,
+  renderOfferLetter,
+  buildOfferLetterPdf,
+  buildLetterAttachment,
+  queueOfferMessage,
+  refreshExpiry,
+  respondToOffer,
+  formatOffer
+};
@@ -0,0 +1,117 @@
+const Interview = require('../models/Interview');
+const PipelineTemplate = require('../models/PipelineTemplate');
+
+/**
+ * Check whether an application may be moved to a stage under the given pipeline template.
+ * Returns an error message, or null if the move is allowed.
+ *
+ * Expects application.jobId to be populated with at least `status`.
+ */
+const getStageMoveError = (application, template, stage) => {
+  if (!template.hasStage(stage)) {
+    return `Invalid pipeline stage. Allowed stages for this job: ${template.stageKeys().join(', ')}`;
+  }
+
+  // Business rule: Withdrawn applications stay withdrawn
+  if (application.withdrawnAt) {
+    return 'Application was withdrawn by the applicant';
+  }
+
+  // Business rule: Cannot move stages on closed jobs (except to a rejection stage)
+  if (application.jobId?.status === 'INACTIVE' && !template.isRejectionStage(stage)) {
+    return 'Cannot move stages for applications on closed jobs';
+  }
+
+  // Prevent moving to the same stage
+  if (application.pipeline_stage === stage) {
+    return `Application is already in ${stage} stage`;
+  }
+
+  // Validate stage transitions against the job's pipeline template
+  if (!template.canTransition(application.pipeline_stage, stage)) {
+    return `Invalid transition: Cannot move from ${application.pipeline_stage} to ${stage}`;
+  }
+
+  return null;
+};
+
+/**
+ * Check that every interviewer of the application's interviews has submitted feedback
+ * before it moves past the template's interview stage. Rejecting is always allowed.
+ * Only interviews that have started count: one still upcoming does not hold the application back.
+ * Returns an error message, or null if the move is allowed.
+ *
+ * @returns {Promise<string|null>}
+ */
+const getFeedbackMoveError = async (application, template, stage) => {
+  const interviewStage = template.purposeStage('interview');
+  if (template.isRejectionStage(stage) ||
+      !interviewStage ||
+      template.stageIndex(stage) <= template.stageIndex(interviewStage)) {
+    return null;
+  }
+
+  const interviews = await Interview.find({
+    applicationId: application._id,
+    status: { $in: Interview.FEEDBACK_STATUSES },
+    $or: [{ status: 'completed' }, { startsAt: { $lte: new Date() } }]
+  })
+    .populate('interviewers', 'name')
+    .select('status interviewers feedback');
+
+  const pending = interviews.flatMap(interview => {
+    const ids = new Set(interview.pendingFeedback().map(String));
+    return interview.interviewers.filter(u => ids.has(String(u._id))).map(u => u.name);
+  });
+  if (pending.length === 0) return null;
+
+  return `Interview feedback is still missing from ${[...new Set(pending)].join(', ')}. ` +
+    `All interviewers of past interviews must submit feedback before the application moves past the ${interviewStage} stage`;
+};
+
+/**
+ * Advance an application to the given stage of the template if it has not reached it yet.
+ * Keeps the pipeline in step with the invitation/acceptance flags.
+ * Skipped for withdrawn applications, when the template has no such stage or forbids the move,
+ * and while interview feedback is missing.
+ */
+const advanceInTemplate = async (application, template, stage, userId, notes) => {
+  const current = application.pipeline_stage;
+
+  if (application.withdrawnAt ||
+      !template.hasStage(stage) ||
+      template.stageIndex(current) >= template.stageIndex(stage) ||
+      !template.canTransition(current, stage) ||
+      await getFeedbackMoveError(application, template, stage)) {
+    return;
+  }
+
+  application.moveToStage(stage, { changedBy: userId, notes });
+};
+
+/**
+ * Advance an application to the given stage of its job's pipeline (see advanceInTemplate)
+ */
+const advanceToStage = async (application, stage, userId, notes) => {
+  const template = await PipelineTemplate.resolveForJob(application.jobId);
+  await advanceInTemplate(application, template, stage, userId, notes);
+};
+
+/**
+ * Advance an application to the stage its job's pipeline marks with a purpose (interview or offer).
+ * Skipped when the pipeline has no such stage.
+ */
+const advanceToPurposeStage = async (application, purpose, userId, notes) => {
+  const template = await PipelineTemplate.resolveForJob(application.jobId);
+  const stage = template.purposeStage(purpose);
+  if (stage) {
+    await advanceInTemplate(application, template, stage, userId, notes);
+  }
+};
+
+module.exports = {
+  getStageMoveError,
+  getFeedbackMoveError,
+  advanceToStage,
+  advanceToPurposeStage
+};
@@ -0,0 +1,236 @@
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const Application = require('../models/Application');
+const FormVersion = require('../models/FormVersion');
+const { loadFormsForApplications, renderAnswers } = require('./formVersionService');
+const { getApplicationFile } = require('./fileService');
+const { SEARCH_COLLATION } = require('./responseSearchService');
+
+// Applications are read, rendered and written this many at a time
+const EXPORT_BATCH_SIZE = 200;
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+const APPLICANT_COLUMNS = [
+  { header: 'Response ID', value: a => String(a._id) },
+  { header: 'Submitted At', value: a => a.createdAt },
+  { header: 'Name', value: a => a.applicant.name },
+  { header: 'Email', value: a => a.applicant.email },
+  { header: 'Phone Number', value: a => a.applicant.phoneNumber },
+  { header: 'Country', value: a => a.applicant.country },
+  { header: 'City', value: a => a.applicant.city },
+  { header: 'Stage', value: a => a.pipeline_stage },
+  { header: 'Saved', value: a => (a.isSaved ? 'Yes' : 'No') },
+  { header: 'Invited', value: a => (a.isInvited ? 'Yes' : 'No') },
+  { header: 'Accepted', value: a => (a.isAccepted ? 'Yes' : 'No') },
+  { header: 'Score', value: a => (a.scorecardSummary ? a.scorecardSummary.averageScore : null) },
+  { header: 'Reviewers', value: a => (a.scorecardSummary ? a.scorecardSummary.reviewerCount : 0) }
+];
+
+/**
+ * One column per field of the current form in field order, followed by
+ * fields that only older form versions had, so no answer is dropped
+ */
+const buildAnswerColumns = async (jobId, fields) => {
+  const columns = [...fields]
+    .sort((a, b) => a.order - b.order)
+    .map(f => ({ fieldId: f.id, header: f.question }));
+  const seen = new Set(columns.map(c => c.fieldId));
+
+  const snapshots = await FormVersion.find({ jobId }).sort({ version: -1 }).lean();
+  for (const snapshot of snapshots) {
+    for (const field of [...snapshot.fields].sort((a, b) => a.order - b.order)) {
+      if (!seen.has(field.id)) {
+        seen.add(field.id);
+        columns.push({ fieldId: field.id, header: `${field.question} (removed)` });
+      }
+    }
+  }
+
+  return columns;
+};
+
+/**
+ * Cell value of one answer: checkbox selections joined, files as a link to the admin file endpoint.
+ * Exports get shared, so files are never linked directly: the endpoint asks for an admin login
+ * and audits every download.
+ */
+const formatAnswer = (application, answer, fileLinkBase) => {
+  if (!answer) return '';
+
+  if (answer.type === 'file') {
+    const file = getApplicationFile(application, answer.fieldId);
+    return file
+      ? `${fileLinkBase}/responses/${application._id}/files/${encodeURIComponent(answer.fieldId)}`
+      : '';
+  }
+
+  if (Array.isArray(answer.value)) {
+    return answer.value.join('; ');
+  }
+
+  return answer.value == null ? '' : answer.value;
+};
+
+const buildRow = (application, fields, answerColumns, fileLinkBase) => {
+  const answers = new Map(renderAnswers(fields, application.answers).map(a => [a.fieldId, a]));
+
+  const row = APPLICANT_COLUMNS.map(c => c.value(application));
+  for (const column of answerColumns) {
+    row.push(formatAnswer(application, answers.get(column.fieldId), fileLinkBase));
+  }
+  return row;
+};
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const toCsvCell = (value) => {
+  if (value == null) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Wait until res can take more data. Also settles when the client goes away,
+ * since 'drain' never fires on a closed response.
+ */
+const waitForDrain = async (res) => {
+  const controller = new AbortController();
+  try {
+    await Promise.race([
+      once(res, 'drain', { signal: controller.signal }),
+      once(res, 'close', { signal: controller.signal })
+    ]);
+  } finally {
+    controller.abort();
+  }
+};
+
+const createCsvWriter = (res) => {
+  // BOM so Excel reads the file as UTF-8
+  res.write('\ufeff');
+
+  return {
+    writeRow: async (values) => {
+      if (!res.write(`${values.map(toCsvCell).join(',')}\r\n`)) {
+        await waitForDrain(res);
+      }
+    },
+    end: async () => {
+      res.end();
+    }
+  };
+};
+
+const createXlsxWriter = (res) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: res,
+    useStyles: false,
+    useSharedStrings: false
+  });
+  const sheet = workbook.addWorksheet('Responses');
+
+  return {
+    // The workbook is zipped straight into res; wait for a slow client like the CSV writer does
+    writeRow: async (values) => {
+      sheet.addRow(values).commit();
+      if (res.writableNeedDrain) {
+        await waitForDrain(res);
+      }
+    },
+    end: async () => {
+      sheet.commit();
+      await workbook.commit();
+    }
+  };
+};
+
+/**
+ * Stream a job's responses as CSV or XLSX.
+ * Applications are read through a cursor so memory use does not grow with the number of applicants.
+ * When the client aborts the download, reading stops and the cursor is closed.
+ *
+ * @param {Object} res - Express response
+ * @param {Object} options
+ * @param {Object} options.job - Job document (title used for the file name)
+ * @param {Array} options.fields - The job's current form fields
+ * @param {Object} options.match - $match filter from buildResponseSearch
+ * @param {Array} options.sortStages - Sort stages from buildResponseSearch
+ * @param {string} options.format - 'csv' or 'xlsx'
+ * @param {string} options.fileLinkBase - URL of the admin API that file answers link to
+ * @returns {Promise<number>} Number of rows written
+ */
+const streamResponseExport = async (res, { job, fields, match, sortStages, format, fileLinkBase }) => {
+  const answerColumns = await buildAnswerColumns(job._id, fields);
+
+  const slug = job.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'job';
+  const fileName = `${slug}-responses-${new Date().toISOString().slice(0, 10)}.${EXPORT_FORMATS[format].extension}`;
+
+  res.status(200);
+  res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.setHeader('Cache-Control', 'no-store');
+
+  const writer = format === 'xlsx' ? createXlsxWriter(res) : createCsvWriter(res);
+  await writer.writeRow([...APPLICANT_COLUMNS.map(c => c.header), ...answerColumns.map(c => c.header)]);
+
+  const cursor = Application.aggregate([
+    { $match: match },
+    ...sortStages,
+    {
+      $project: {
+        jobId: 1, formVersion: 1, applicant: 1, answers: 1, files: 1,
+        isSaved: 1, isInvited: 1, isAccepted: 1, pipeline_stage: 1, scorecardSummary: 1, createdAt: 1
+      }
+    }
+  ])
+    .collation(SEARCH_COLLATION)
+    .allowDiskUse(true)
+    .cursor({ batchSize: EXPORT_BATCH_SIZE });
+
+  let rowCount = 0;
+  let batch = [];
+
+  const writeBatch = async () => {
+    const fieldsFor = await loadFormsForApplications(batch);
+    for (const application of batch) {
+      if (res.destroyed) break;
+      await writer.writeRow(buildRow(application, fieldsFor(application), answerColumns, fileLinkBase));
+      rowCount++;
+    }
+    batch = [];
+  };
+
+  try {
+    for await (const application of cursor) {
+      if (res.destroyed) break;
+      batch.push(application);
+      if (batch.length >= EXPORT_BATCH_SIZE) {
+        await writeBatch();
+      }
+    }
+    if (batch.length > 0 && !res.destroyed) {
+      await writeBatch();
+    }
+  } finally {
+    await cursor.close();
+  }
+
+  if (!res.destroyed) {
+    await writer.end();
+  }
+  return rowCount;
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  streamResponseExport
+};
@@ -0,0 +1,337 @@
+const mongoose = require('mongoose');
+
+/**
+ * Search, filtering and sorting of a job's responses.
+ *
+ * Query parameters (all optional):
+ *   search                       Words matched against applicant name, email, city
+ *                                and free-text answers; every word has to match somewhere
+ *   answer[<fieldId>]=<value>    Answer equals value (checkboxes: value is one of the selections)
+ *   answer[<fieldId>][<op>]      op: eq, in (comma-separated), gte, gt, lte, lt, contains
+ *   submittedFrom / submittedTo  Submission date range (ISO date; a bare YYYY-MM-DD "to" includes that day)
+ *   isSaved / isInvited / isAccepted / stage
+ *   sortBy                       submittedAt, name, email, city, score or answer.<fieldId>
+ *   sortOrder                    asc or desc (default desc)
+ *
+ * Answer filters are checked against the job's current form fields.
+ */
+
+const TEXT_FIELD_TYPES = ['short_answer', 'paragraph', 'link'];
+const CHOICE_FIELD_TYPES = ['multiple_choice', 'dropdown', 'checkboxes'];
+// Answers of these types compare correctly with range operators
+const ORDERED_FIELD_TYPES = ['rating', 'date', 'time'];
+
+const RANGE_OPERATORS = { gte: '$gte', gt: '$gt', lte: '$lte', lt: '$lt' };
+const ANSWER_OPERATORS = ['eq', 'in', 'contains', ...Object.keys(RANGE_OPERATORS)];
+
+const APPLICANT_SEARCH_PATHS = ['applicant.name', 'applicant.email', 'applicant.city'];
+
+const SORT_PATHS = {
+  submittedAt: 'createdAt',
+  name: 'applicant.name',
+  email: 'applicant.email',
+  city: 'applicant.city',
+  score: 'scorecardSummary.averageScore'
+};
+
+const BOOLEAN_FILTERS = ['isSaved', 'isInvited', 'isAccepted'];
+
+const MAX_SEARCH_TERMS = 10;
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Names sort the way people read them, not by character code
+const SEARCH_COLLATION = { locale: 'en', strength: 2 };
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const parseDate = (value, endOfDay) => {
+  if (typeof value !== 'string') return null;
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+
+  if (endOfDay && DATE_ONLY_PATTERN.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+};
+
+/**
+ * Convert a query-string value to the type answers of the field are stored as
+ */
+const coerceAnswerValue = (field, value) => {
+  if (field.type === 'rating') {
+    const number = Number(value);
+    return value !== '' && Number.isFinite(number) ? number : undefined;
+  }
+  return value;
+};
+
+/**
+ * Condition on one answer's value for an operator, or { error }
+ */
+const buildAnswerCondition = (field, operator, rawValue) => {
+  if (!ANSWER_OPERATORS.includes(operator)) {
+    return { error: `Unknown operator "${operator}" for answer ${field.id}. Use one of: ${ANSWER_OPERATORS.join(', ')}` };
+  }
+
+  if (typeof rawValue !== 'string' && !Array.isArray(rawValue)) {
+    return { error: `Invalid value for answer ${field.id}` };
+  }
+
+  if (operator === 'contains') {
+    if (!TEXT_FIELD_TYPES.includes(field.type) && field.type !== 'checkboxes') {
+      return { error: `"contains" is not supported for ${field.type} field ${field.id}` };
+    }
+    return {
+      condition: field.type === 'checkboxes'
+        ? String(rawValue)
+        : new RegExp(escapeRegex(String(rawValue)), 'i')
+    };
+  }
+
+  if (operator === 'eq' || operator === 'in') {
+    const values = Array.isArray(rawValue)
+      ? rawValue
+      : operator === 'in' ? String(rawValue).split(',') : [rawValue];
+    const coerced = values.map(v => coerceAnswerValue(field, String(v).trim()));
+
+    if (coerced.some(v => v === undefined)) {
+      return { error: `Answer ${field.id} can only be compared with numbers` };
+    }
+    return { condition: coerced.length === 1 ? coerced[0] : { $in: coerced } };
+  }
+
+  // Range operators
+  if (!ORDERED_FIELD_TYPES.includes(field.type)) {
+    return { error: `"${operator}" is only supported for ${ORDERED_FIELD_TYPES.join(', ')} fields` };
+  }
+
+  const value = coerceAnswerValue(field, String(rawValue).trim());
+  if (value === undefined) {
+    return { error: `Answer ${field.id} can only be compared with numbers` };
+  }
+  return { condition: { [RANGE_OPERATORS[operator]]: value } };
+};
+
+/**
+ * Conditions for answer[<fieldId>] query parameters
+ */
+const buildAnswerFilters = (answerQuery, fieldsById, errors) => {
+  const conditions = [];
+
+  if (typeof answerQuery !== 'object' || Array.isArray(answerQuery)) {
+    errors.push('answer filters must look like answer[<fieldId>]=<value> or answer[<fieldId>][<operator>]=<value>');
+    return conditions;
+  }
+
+  for (const [fieldId, spec] of Object.entries(answerQuery)) {
+    const field = fieldsById.get(fieldId);
+    if (!field) {
+      errors.push(`Unknown field in answer filter: ${fieldId}`);
+      continue;
+    }
+    if (field.type === 'file') {
+      errors.push(`File field ${fieldId} cannot be filtered on`);
+      continue;
+    }
+
+    // answer[id]=x is shorthand for answer[id][eq]=x
+    const operations = typeof spec === 'object' && !Array.isArray(spec) ? spec : { eq: spec };
+
+    for (const [operator, rawValue] of Object.entries(operations)) {
+      const { condition, error } = buildAnswerCondition(field, operator, rawValue);
+      if (error) {
+        errors.push(error);
+        continue;
+      }
+      conditions.push({ answers: { $elemMatch: { fieldId, value: condition } } });
+    }
+  }
+
+  return conditions;
+};
+
+/**
+ * Every search word has to appear in the applicant's details or a free-text answer
+ */
+const buildSearchFilters = (search, fields) => {
+  const textFieldIds = fields.filter(f => TEXT_FIELD_TYPES.includes(f.type)).map(f => f.id);
+  const terms = String(search).trim().split(/\s+/).filter(Boolean).slice(0, MAX_SEARCH_TERMS);
+
+  return terms.map(term => {
+    const pattern = new RegExp(escapeRegex(term), 'i');
+    return {
+      $or: [
+        ...APPLICANT_SEARCH_PATHS.map(path => ({ [path]: pattern })),
+        ...(textFieldIds.length > 0
+          ? [{ answers: { $elemMatch: { fieldId: { $in: textFieldIds }, value: pattern } } }]
+          : [])
+      ]
+    };
+  });
+};
+
+/**
+ * Aggregation stages that sort by the requested column, newest first on ties
+ */
+const buildSortStages = (sortBy, sortOrder, fieldsById, errors) => {
+  const direction = sortOrder === 'asc' ? 1 : -1;
+
+  if (sortOrder !== undefined && !['asc', 'desc'].includes(sortOrder)) {
+    errors.push('sortOrder must be asc or desc');
+  }
+
+  if (!sortBy || SORT_PATHS[sortBy]) {
+    const path = SORT_PATHS[sortBy || 'submittedAt'];
+    return [{ $sort: path === 'createdAt' ? { createdAt: direction, _id: direction } : { [path]: direction, createdAt: -1 } }];
+  }
+
+  const answerMatch = /^answer\.(.+)$/.exec(sortBy);
+  if (!answerMatch || !fieldsById.has(answerMatch[1])) {
+    errors.push(`Cannot sort by "${sortBy}". Use submittedAt, name, email, city, score or answer.<fieldId>`);
+    return [];
+  }
+
+  const fieldId = answerMatch[1];
+  return [
+    {
+      $addFields: {
+        _sortValue: {
+          $let: {
+            vars: {
+              answer: {
+                $arrayElemAt: [{ $filter: { input: '$answers', cond: { $eq: ['$$this.fieldId', fieldId] } } }, 0]
+              }
+            },
+            in: '$$answer.value'
+          }
+        }
+      }
+    },
+    { $sort: { _sortValue: direction, createdAt: -1 } },
+    { $project: { _sortValue: 0 } }
+  ];
+};
+
+/**
+ * Turn the query string of a responses request into a $match filter and sort stages
+ *
+ * @param {string} jobId
+ * @param {Object} query - req.query
+ * @param {Array} fields - The job's form fields
+ * @returns {Object} { errors, match, sortStages, applied }
+ */
+const buildResponseSearch = (jobId, query, fields) => {
+  const errors = [];
+  const fieldsById = new Map(fields.map(f => [f.id, f]));
+  const conditions = [];
+
+  const match = { jobId: new mongoose.Types.ObjectId(String(jobId)) };
+
+  for (const flag of BOOLEAN_FILTERS) {
+    if (query[flag] !== undefined) {
+      match[flag] = query[flag] === 'true';
+    }
+  }
+  if (query.stage) {
+    match.pipeline_stage = String(query.stage);
+  }
+
+  if (query.submittedFrom || query.submittedTo) {
+    const from = query.submittedFrom && parseDate(query.submittedFrom, false);
+    const to = query.submittedTo && parseDate(query.submittedTo, true);
+
+    if (query.submittedFrom && !from) errors.push('submittedFrom must be a valid date');
+    if (query.submittedTo && !to) errors.push('submittedTo must be a valid date');
+
+    if (from || to) {
+      match.createdAt = {};
+      if (from) match.createdAt.$gte = from;
+      if (to) match.createdAt.$lte = to;
+    }
+  }
+
+  if (query.search) {
+    conditions.push(...buildSearchFilters(query.search, fields));
+  }
+
+  if (query.answer !== undefined) {
+    conditions.push(...buildAnswerFilters(query.answer, fieldsById, errors));
+  }
+
+  if (conditions.length > 0) {
+    match.$and = conditions;
+  }
+
+  const sortStages = buildSortStages(query.sortBy, query.sortOrder, fieldsById, errors);
+
+  return {
+    errors,
+    match,
+    sortStages,
+    applied: {
+      search: query.search,
+      answer: query.answer,
+      submittedFrom: query.submittedFrom,
+      submittedTo: query.submittedTo,
+      isSaved: query.isSaved,
+      isInvited: query.isInvited,
+      isAccepted: query.isAccepted,
+      stage: query.stage,
+      sortBy: query.sortBy || 'submittedAt',
+      sortOrder: query.sortOrder || 'desc'
+    }
+  };
+};
+
+/**
+ * Aggregation stages counting answers per option of the choice-type fields
+ */
+const buildFacetStages = (fields) => {
+  const choiceFieldIds = fields.filter(f => CHOICE_FIELD_TYPES.includes(f.type)).map(f => f.id);
+
+  return [
+    { $project: { answers: 1 } },
+    { $unwind: '$answers' },
+    { $match: { 'answers.fieldId': { $in: choiceFieldIds } } },
+    // Checkbox answers count once per selected option
+    { $unwind: '$answers.value' },
+    { $group: { _id: { fieldId: '$answers.fieldId', value: '$answers.value' }, count: { $sum: 1 } } }
+  ];
+};
+
+/**
+ * Shape facet rows per field, listing every option (unselected ones with 0)
+ * in form order, followed by values from older form versions
+ */
+const formatFacets = (fields, rows) => {
+  return fields
+    .filter(f => CHOICE_FIELD_TYPES.includes(f.type))
+    .map(field => {
+      const counts = new Map(
+        rows.filter(r => r._id.fieldId === field.id).map(r => [r._id.value, r.count])
+      );
+      const options = field.options || [];
+
+      return {
+        fieldId: field.id,
+        question: field.question,
+        type: field.type,
+        counts: [
+          ...options.map(value => ({ value, count: counts.get(value) || 0 })),
+          ...[...counts.entries()]
+            .filter(([value]) => !options.includes(value))
+            .map(([value, count]) => ({ value, count }))
+        ]
+      };
+    });
+};
+
+module.exports = {
+  SEARCH_COLLATION,
+  buildResponseSearch,
+  buildFacetStages,
+  formatFacets
+};
@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+const Application = require('../models/Application');
+const Scorecard = require('../models/Scorecard');
+const ScorecardSubmission = require('../models/ScorecardSubmission');
+
+// Upper bound on the rating scale; longer scales stop meaning anything to reviewers
+const MAX_SCALE_VALUE = 10;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Check a scorecard definition and give every criterion an ID.
+ * Criteria keep the ID they were sent with when the current definition has it,
+ * so ratings already given stay attached to the same criterion.
+ *
+ * @param {Object} input - { criteria: [{ id?, label, description?, weight? }], scale?: { min, max } }
+ * @param {Object|null} existing - Current scorecard of the job (its scale is kept unless a new one is sent)
+ * @returns {Object} { error } or { criteria, scale }
+ */
+const buildScorecardDefinition = (input, existing) => {
+  const defaultScale = existing ? existing.scale : Scorecard.DEFAULT_SCALE;
+  const scale = {
+    min: input.scale && input.scale.min != null ? Number(input.scale.min) : defaultScale.min,
+    max: input.scale && input.scale.max != null ? Number(input.scale.max) : defaultScale.max
+  };
+
+  if (!Number.isInteger(scale.min) || !Number.isInteger(scale.max) || scale.min < 0 || scale.max > MAX_SCALE_VALUE) {
+    return { error: `Scale must use whole numbers between 0 and ${MAX_SCALE_VALUE}` };
+  }
+  if (scale.min >= scale.max) {
+    return { error: 'Scale minimum must be lower than its maximum' };
+  }
+
+  const existingIds = new Set(existing ? existing.criteria.map(c => c.id) : []);
+  const seenIds = new Set();
+  const criteria = [];
+
+  for (const criterion of input.criteria) {
+    const id = criterion.id && existingIds.has(String(criterion.id))
+      ? String(criterion.id)
+      : new mongoose.Types.ObjectId().toString();
+
+    if (seenIds.has(id)) {
+      return { error: `Criterion ${id} is listed more than once` };
+    }
+    seenIds.add(id);
+
+    criteria.push({
+      id,
+      label: criterion.label,
+      description: criterion.description || '',
+      weight: criterion.weight != null ? Number(criterion.weight) : 1
+    });
+  }
+
+  return { criteria, scale };
+};
+
+/**
+ * Check a reviewer's ratings against the scorecard; every criterion has to be rated
+ *
+ * @returns {Object} { errors } or { ratings, score }
+ */
+const buildSubmissionRatings = (scorecard, ratingsInput) => {
+  const { min, max } = scorecard.scale;
+  const byCriterion = new Map(ratingsInput.map(r => [String(r.criterionId), r.rating]));
+  const criterionIds = new Set(scorecard.criteria.map(c => c.id));
+  const errors = [];
+
+  for (const criterionId of byCriterion.keys()) {
+    if (!criterionIds.has(criterionId)) {
+      errors.push(`Unknown criterion: ${criterionId}`);
+    }
+  }
+
+  const ratings = [];
+  for (const criterion of scorecard.criteria) {
+    const rating = Number(byCriterion.get(criterion.id));
+
+    if (!byCriterion.has(criterion.id)) {
+      errors.push(`"${criterion.label}" has not been rated`);
+    } else if (!Number.isInteger(rating) || rating < min || rating > max) {
+      errors.push(`"${criterion.label}" must be rated with a whole number from ${min} to ${max}`);
+    } else {
+      ratings.push({ criterionId: criterion.id, label: criterion.label, weight: criterion.weight, rating });
+    }
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const totalWeight = ratings.reduce((sum, r) => sum + r.weight, 0);
+  const score = round(ratings.reduce((sum, r) => sum + r.rating * r.weight, 0) / totalWeight);
+
+  return { ratings, score };
+};
+
+/**
+ * Recompute an application's average score and reviewer count from its scorecards
+ */
+const refreshScorecardSummary = async (applicationId) => {
+  const [summary] = await ScorecardSubmission.aggregate([
+    { $match: { applicationId: new mongoose.Types.ObjectId(String(applicationId)) } },
+    { $group: { _id: null, averageScore: { $avg: '$score' }, reviewerCount: { $sum: 1 } } }
+  ]);
+
+  const scorecardSummary = {
+    averageScore: summary ? round(summary.averageScore) : null,
+    reviewerCount: summary ? summary.reviewerCount : 0
+  };
+
+  await Application.updateOne({ _id: applicationId }, { scorecardSummary });
+  return scorecardSummary;
+};
+
+/**
+ * Average rating per criterion across submissions
+ */
+const summarizeCriteria = (submissions) => {
+  const totals = new Map();
+
+  for (const submission of submissions) {
+    for (const r of submission.ratings) {
+      const entry = totals.get(r.criterionId) || { criterionId: r.criterionId, label: r.label, sum: 0, count: 0 };
+      entry.sum += r.rating;
+      entry.count += 1;
+      totals.set(r.criterionId, entry);
+    }
+  }
+
+  return [...totals.values()].map(({ criterionId, label, sum, count }) => ({
+    criterionId,
+    label,
+    averageRating: round(sum / count),
+    ratingCount: count
+  }));
+};
+
+module.exports = {
+  buildScorecardDefinition,
+  buildSubmissionRatings,
+  refreshScorecardSummary,
+  summarizeCriteria
+};
@@ -0,0 +1,103 @@
+const Comment = require('../models/Comment');
+const Message = require('../models/Message');
+const { getResourceAuditLogs } = require('../utils/auditLogger');
+const { toPlainText } = require('./commentService');
+
+const TIMELINE_TYPES = ['stage_change', 'comment', 'email', 'audit'];
+
+// Audit actions already shown through their own timeline entries
+const AUDIT_ACTIONS_SHOWN_ELSEWHERE = ['STAGE_CHANGED', 'EMAIL_SENT', 'COMMENT_DELETED'];
+
+const MAX_AUDIT_EVENTS = 500;
+
+const actorOf = (user) => (user && user._id ? { id: user._id, name: user.name, email: user.email } : null);
+
+const stageChangeEntries = (application) => application.stage_history.map(h => ({
+  type: 'stage_change',
+  at: h.changed_at,
+  actor: actorOf(h.changed_by),
+  fromStage: h.from_stage,
+  toStage: h.stage,
+  notes: h.notes
+}));
+
+const commentEntries = async (application) => {
+  const comments = await Comment.find({ applicationId: application._id })
+    .populate('author', 'name email')
+    .lean();
+
+  return comments.map(c => ({
+    type: 'comment',
+    at: c.createdAt,
+    actor: actorOf(c.author),
+    commentId: c._id,
+    parentId: c.parentId,
+    body: c.deletedAt ? null : toPlainText(c.body),
+    editedAt: c.editedAt,
+    deletedAt: c.deletedAt
+  }));
+};
+
+const emailEntries = async (application) => {
+  const messages = await Message.find({ applicationId: application._id })
+    .select('-html -attachments')
+    .populate('sentBy', 'name email')
+    .lean();
+
+  return messages.map(m => ({
+    type: 'email',
+    at: m.createdAt,
+    actor: actorOf(m.sentBy),
+    messageId: m._id,
+    emailType: m.templateKey,
+    to: m.to,
+    subject: m.subject,
+    status: m.status,
+    trigger: m.trigger
+  }));
+};
+
+const auditEntries = async (application) => {
+  const logs = await getResourceAuditLogs('Application', application._id, { limit: MAX_AUDIT_EVENTS });
+
+  return logs
+    .filter(log => !AUDIT_ACTIONS_SHOWN_ELSEWHERE.includes(log.action))
+    .map(log => ({
+      type: 'audit',
+      at: log.createdAt,
+      actor: actorOf(log.user),
+      action: log.action,
+      details: log.details
+    }));
+};
+
+/**
+ * Everything that happened to an application, newest first: stage changes,
+ * comments, emails sent and other audited actions
+ *
+ * @param {Object} application - Application with stage_history.changed_by populated
+ * @param {Array} types - Entry types to include (defaults to all)
+ */
+const buildTimeline = async (application, types = TIMELINE_TYPES) => {
+  const wanted = new Set(types);
+
+  const [comments, emails, audits] = await Promise.all([
+    wanted.has('comment') ? commentEntries(application) : [],
+    wanted.has('email') ? emailEntries(application) : [],
+    wanted.has('audit') ? auditEntries(application) : []
+  ]);
+
+  const entries = [
+    ...(wanted.has('stage_change') ? stageChangeEntries(application) : []),
+    ...comments,
+    ...emails,
+    ...audits
+  ];
+
+  return entries.sort((a, b) => new Date(b.at) - new Date(a.at));
+};
+
+module.exports = {
+  TIMELINE_TYPES,
+  buildTimeline
+};
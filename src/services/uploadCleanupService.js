@@ -0,0 +1,55 @@
+const { promisify } = require('util');
+const Upload = require('../models/Upload');
+const minioClient = require('../utils/s3Client');
+
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+const CLEANUP_BATCH_SIZE = 500;
+
+/**
+ * Delete uploads that were never attached to an application before they expired,
+ * both the stored object and its record.
+ */
+const removeOrphanedUploads = async () => {
+  const removeObject = promisify(minioClient.removeObject).bind(minioClient);
+
+  const orphans = await Upload.find({
+    status: 'pending',
+    expiresAt: { $lt: new Date() }
+  }).limit(CLEANUP_BATCH_SIZE);
+
+  let removed = 0;
+  for (const upload of orphans) {
+    try {
+      await removeObject(upload.bucket, upload.key);
+    } catch (error) {
+      // Already gone is fine; anything else is retried on the next run
+      if (error.code !== 'NoSuchKey') {
+        console.error(`Failed to remove orphaned upload ${upload.key}:`, error.message);
+        continue;
+      }
+    }
+
+    await Upload.deleteOne({ _id: upload._id, status: 'pending' });
+    removed += 1;
+  }
+
+  return { removedUploads: removed };
+};
+
+const startUploadCleanup = () => {
+  const timer = setInterval(async () => {
+    try {
+      await removeOrphanedUploads();
+    } catch (error) {
+      console.error('Upload cleanup failed:', error.message);
+    }
+  }, CLEANUP_INTERVAL_MS);
+
+  return timer;
+};
+
+module.exports = {
+  removeOrphanedUploads,
+  startUploadCleanup,
+  CLEANUP_INTERVAL_MS
+};
@@ -0,0 +1,412 @@
+const vm = require('vm');
+const { isEmptyAnswer } = require('./formLogic');
+
+/**
+ * Type-aware validation of application answers against JobField fields.
+ *
+ * Each field type has a validator that checks the answer shape and the
+ * field's optional `constraints`:
+ *   minLength / maxLength / pattern / patternMessage  (short_answer, paragraph, link)
+ *   minSelections / maxSelections                     (checkboxes)
+ *   minRating / maxRating                             (rating, defaults 1-5)
+ *   minDate / maxDate                                 (date, YYYY-MM-DD)
+ *   allowedFileTypes / maxFileSizeMB                  (file, defaults PDF/DOC/DOCX up to 5MB)
+ *
+ * Errors are returned per field so the public form can render them inline:
+ *   { fieldId, question, type, code, message }
+ */
+
+const DEFAULT_MIN_RATING = 1;
+const DEFAULT_MAX_RATING = 5;
+
+// Uploads: per-field defaults, and the hard ceiling enforced by multer
+const DEFAULT_FILE_TYPES = ['pdf', 'doc', 'docx'];
+const DEFAULT_MAX_FILE_SIZE_MB = 5;
+const MAX_FILE_SIZE_MB = 25;
+const MAX_FILES_PER_APPLICATION = 10;
+
+// Known MIME types per extension; extensions not listed are checked by name only
+const FILE_MIME_TYPES = {
+  pdf: ['application/pdf'],
+  doc: ['application/msword'],
+  docx: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  odt: ['application/vnd.oasis.opendocument.text'],
+  rtf: ['application/rtf', 'text/rtf'],
+  txt: ['text/plain'],
+  ppt: ['application/vnd.ms-powerpoint'],
+  pptx: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+  xls: ['application/vnd.ms-excel'],
+  xlsx: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+  csv: ['text/csv', 'application/vnd.ms-excel'],
+  png: ['image/png'],
+  jpg: ['image/jpeg'],
+  jpeg: ['image/jpeg'],
+  gif: ['image/gif'],
+  zip: ['application/zip', 'application/x-zip-compressed']
+};
+
+const FILE_TYPE_PATTERN = /^[a-z0-9]+$/;
+
+// Admin-written patterns run against public input: both are capped, patterns that can
+// backtrack exponentially are refused when the constraint is saved (see hasNestedRepetition),
+// and every match is cut off after PATTERN_TIMEOUT_MS since no check catches every slow pattern
+const MAX_PATTERN_LENGTH = 200;
+const MAX_PATTERN_ANSWER_LENGTH = 1000;
+const PATTERN_TIMEOUT_MS = 100;
+
+const patternContext = vm.createContext({ pattern: '', value: '' });
+const patternScript = new vm.Script('new RegExp(pattern).test(value)');
+
+/**
+ * Test an answer against a pattern, giving up after PATTERN_TIMEOUT_MS.
+ * Returns true or false, or null when the match took too long.
+ */
+const matchesPattern = (pattern, value) => {
+  patternContext.pattern = pattern;
+  patternContext.value = value;
+  try {
+    return patternScript.runInContext(patternContext, { timeout: PATTERN_TIMEOUT_MS });
+  } catch (error) {
+    if (error.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw error;
+    console.error(`[Answers] Pattern ${JSON.stringify(pattern)} timed out after ${PATTERN_TIMEOUT_MS}ms`);
+    return null;
+  }
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+/**
+ * Parse a YYYY-MM-DD string into a UTC date, or null if it is not a real calendar date
+ */
+const parseDateOnly = (value) => {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return null;
+
+  const date = new Date(`${value}T00:00:00Z`);
+  if (Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+    return null;
+  }
+  return date;
+};
+
+const getExtension = (fileName) => {
+  const match = /\.([^.]+)$/.exec(fileName || '');
+  return match ? match[1].toLowerCase() : '';
+};
+
+// Multer file objects carry the original name, MIME type and size
+const isUploadedFile = (value) => !!value && typeof value === 'object' &&
+  typeof value.originalname === 'string' && typeof value.size === 'number';
+
+const isValidUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return ['http:', 'https:'].includes(url.protocol) && !!url.hostname;
+  } catch (error) {
+    return false;
+  }
+};
+
+const textChecks = (value, constraints) => {
+  if (typeof value !== 'string') {
+    return { code: 'invalid_type', message: 'Answer must be text' };
+  }
+
+  const length = value.trim().length;
+  if (constraints.minLength != null && length < constraints.minLength) {
+    return { code: 'too_short', message: `Answer must be at least ${constraints.minLength} characters` };
+  }
+  if (constraints.maxLength != null && length > constraints.maxLength) {
+    return { code: 'too_long', message: `Answer must be at most ${constraints.maxLength} characters` };
+  }
+  if (constraints.pattern && value.length > MAX_PATTERN_ANSWER_LENGTH) {
+    return { code: 'too_long', message: `Answer must be at most ${MAX_PATTERN_ANSWER_LENGTH} characters` };
+  }
+  if (constraints.pattern) {
+    const matches = matchesPattern(constraints.pattern, value);
+    if (matches === null) {
+      return { code: 'pattern_timeout', message: 'Answer could not be checked against the expected format' };
+    }
+    if (!matches) {
+      return { code: 'pattern_mismatch', message: constraints.patternMessage || 'Answer is not in the expected format' };
+    }
+  }
+
+  return null;
+};
+
+const choiceCheck = (value, field) => {
+  if (typeof value !== 'string') {
+    return { code: 'invalid_type', message: 'Answer must be a single option' };
+  }
+  if (!field.options.includes(value)) {
+    return { code: 'invalid_option', message: `"${value}" is not one of the available options` };
+  }
+  return null;
+};
+
+/**
+ * Validators keyed on JobField type. Each returns null or { code, message },
+ * and may return a normalised value via { value }.
+ */
+const TYPE_VALIDATORS = {
+  short_answer: (value, field, constraints) => textChecks(value, constraints),
+
+  paragraph: (value, field, constraints) => textChecks(value, constraints),
+
+  link: (value, field, constraints) => {
+    if (typeof value !== 'string' || !isValidUrl(value.trim())) {
+      return { code: 'invalid_url', message: 'Answer must be a valid http(s) URL' };
+    }
+    return textChecks(value, constraints);
+  },
+
+  multiple_choice: (value, field) => choiceCheck(value, field),
+
+  dropdown: (value, field) => choiceCheck(value, field),
+
+  checkboxes: (value, field, constraints) => {
+    if (!Array.isArray(value) || value.some(v => typeof v !== 'string')) {
+      return { code: 'invalid_type', message: 'Answer must be a list of options' };
+    }
+
+    const invalid = value.filter(v => !field.options.includes(v));
+    if (invalid.length > 0) {
+      return { code: 'invalid_option', message: `Not available options: ${invalid.join(', ')}` };
+    }
+    if (new Set(value).size !== value.length) {
+      return { code: 'duplicate_option', message: 'Each option can only be selected once' };
+    }
+    if (constraints.minSelections != null && value.length < constraints.minSelections) {
+      return { code: 'too_few_selections', message: `Select at least ${constraints.minSelections} option(s)` };
+    }
+    if (constraints.maxSelections != null && value.length > constraints.maxSelections) {
+      return { code: 'too_many_selections', message: `Select at most ${constraints.maxSelections} option(s)` };
+    }
+    return null;
+  },
+
+  file: (value, field, constraints) => {
+    if (!isUploadedFile(value)) {
+      return { code: 'invalid_type', message: 'Answer must be an uploaded file' };
+    }
+
+    const allowedTypes = constraints.allowedFileTypes && constraints.allowedFileTypes.length > 0
+      ? constraints.allowedFileTypes
+      : DEFAULT_FILE_TYPES;
+    const extension = getExtension(value.originalname);
+    const mimeTypes = FILE_MIME_TYPES[extension];
+    if (!allowedTypes.includes(extension) || (mimeTypes && !mimeTypes.includes(value.mimetype))) {
+      return {
+        code: 'invalid_file_type',
+        message: `Only ${allowedTypes.map(t => t.toUpperCase()).join(', ')} files are allowed`
+      };
+    }
+
+    const maxSizeMB = constraints.maxFileSizeMB != null ? constraints.maxFileSizeMB : DEFAULT_MAX_FILE_SIZE_MB;
+    if (value.size > maxSizeMB * 1024 * 1024) {
+      return { code: 'file_too_large', message: `File size exceeds ${maxSizeMB}MB limit` };
+    }
+    return null;
+  },
+
+  rating: (value, field, constraints) => {
+    const rating = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof rating !== 'number' || !Number.isInteger(rating)) {
+      return { code: 'invalid_type', message: 'Rating must be a whole number' };
+    }
+
+    const min = constraints.minRating != null ? constraints.minRating : DEFAULT_MIN_RATING;
+    const max = constraints.maxRating != null ? constraints.maxRating : DEFAULT_MAX_RATING;
+    if (rating < min || rating > max) {
+      return { code: 'out_of_range', message: `Rating must be between ${min} and ${max}` };
+    }
+    return { value: rating };
+  },
+
+  date: (value, field, constraints) => {
+    const date = parseDateOnly(value);
+    if (!date) {
+      return { code: 'invalid_date', message: 'Answer must be a valid date (YYYY-MM-DD)' };
+    }
+    if (constraints.minDate && date < parseDateOnly(constraints.minDate)) {
+      return { code: 'date_too_early', message: `Date must be on or after ${constraints.minDate}` };
+    }
+    if (constraints.maxDate && date > parseDateOnly(constraints.maxDate)) {
+      return { code: 'date_too_late', message: `Date must be on or before ${constraints.maxDate}` };
+    }
+    return null;
+  },
+
+  time: (value) => {
+    if (typeof value !== 'string' || !TIME_PATTERN.test(value)) {
+      return { code: 'invalid_time', message: 'Answer must be a valid time (HH:MM)' };
+    }
+    return null;
+  }
+};
+
+/**
+ * Validate answers against the form.
+ *
+ * @param {Array} fields - JobField fields
+ * @param {Array} answers - [{ fieldId, value }]
+ * @param {Set<string>} visibleFieldIds - Fields shown to the applicant (see formLogic)
+ * @returns {{ errors: Array, answers: Array }} Per-field errors and answers with normalised values
+ */
+const validateAnswers = (fields, answers, visibleFieldIds) => {
+  const errors = [];
+  const answersById = new Map(answers.map(a => [a.fieldId, a]));
+  const normalised = new Map();
+
+  for (const field of fields) {
+    if (!visibleFieldIds.has(field.id)) continue;
+
+    const answer = answersById.get(field.id);
+    const base = { fieldId: field.id, question: field.question, type: field.type };
+
+    if (!answer || isEmptyAnswer(answer.value)) {
+      if (field.required) {
+        errors.push({ ...base, code: 'required', message: 'This question is required' });
+      }
+      continue;
+    }
+
+    const validator = TYPE_VALIDATORS[field.type];
+    const result = validator ? validator(answer.value, field, field.constraints || {}) : null;
+
+    if (result && result.code) {
+      errors.push({ ...base, code: result.code, message: result.message });
+    } else if (result && result.value !== undefined) {
+      normalised.set(field.id, result.value);
+    }
+  }
+
+  return {
+    errors,
+    answers: answers.map(a => (normalised.has(a.fieldId) ? { ...a, value: normalised.get(a.fieldId) } : a))
+  };
+};
+
+// *, + or {n,m} at position i of a pattern
+const isRepetitionAt = (pattern, i) => pattern[i] === '*' || pattern[i] === '+' ||
+  /^\{\d+(,\d*)?\}/.test(pattern.slice(i, i + 12));
+
+/**
+ * Whether a pattern repeats a group that itself repeats or has alternatives, like (a+)+ or (a|ab)*.
+ * These can take exponential time on input that almost matches.
+ */
+const hasNestedRepetition = (pattern) => {
+  const groups = [{ repeats: false, alternates: false }];
+
+  for (let i = 0; i < pattern.length; i++) {
+    const group = groups[groups.length - 1];
+    const char = pattern[i];
+
+    if (char === '\\') {
+      i++;
+    } else if (char === '[') {
+      while (i + 1 < pattern.length && pattern[i + 1] !== ']') {
+        i += pattern[i + 1] === '\\' ? 2 : 1;
+      }
+      i++;
+    } else if (char === '(') {
+      groups.push({ repeats: false, alternates: false });
+    } else if (char === ')' && groups.length > 1) {
+      groups.pop();
+      if (isRepetitionAt(pattern, i + 1) && (group.repeats || group.alternates)) return true;
+      if (group.repeats) groups[groups.length - 1].repeats = true;
+    } else if (char === '|') {
+      group.alternates = true;
+    } else if (isRepetitionAt(pattern, i)) {
+      group.repeats = true;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Check constraints configured in the form builder.
+ * Returns an error message, or null if the constraints make sense for the field type.
+ */
+const getConstraintsError = (type, constraints) => {
+  if (!constraints) return null;
+
+  const isNonNegativeInt = (v) => v == null || (Number.isInteger(v) && v >= 0);
+  const outOfOrder = (min, max) => min != null && max != null && min > max;
+
+  if (!isNonNegativeInt(constraints.minLength) || !isNonNegativeInt(constraints.maxLength)) {
+    return 'minLength and maxLength must be non-negative integers';
+  }
+  if (outOfOrder(constraints.minLength, constraints.maxLength)) {
+    return 'minLength cannot be greater than maxLength';
+  }
+
+  if (!isNonNegativeInt(constraints.minSelections) || !isNonNegativeInt(constraints.maxSelections)) {
+    return 'minSelections and maxSelections must be non-negative integers';
+  }
+  if (outOfOrder(constraints.minSelections, constraints.maxSelections)) {
+    return 'minSelections cannot be greater than maxSelections';
+  }
+
+  if ((constraints.minRating != null && !Number.isInteger(constraints.minRating)) ||
+      (constraints.maxRating != null && !Number.isInteger(constraints.maxRating))) {
+    return 'minRating and maxRating must be integers';
+  }
+  if (type === 'rating') {
+    const min = constraints.minRating != null ? constraints.minRating : DEFAULT_MIN_RATING;
+    const max = constraints.maxRating != null ? constraints.maxRating : DEFAULT_MAX_RATING;
+    if (min > max) {
+      return 'minRating cannot be greater than maxRating';
+    }
+  }
+
+  if (constraints.minDate && !parseDateOnly(constraints.minDate)) {
+    return 'minDate must be a valid date (YYYY-MM-DD)';
+  }
+  if (constraints.maxDate && !parseDateOnly(constraints.maxDate)) {
+    return 'maxDate must be a valid date (YYYY-MM-DD)';
+  }
+  if (constraints.minDate && constraints.maxDate && constraints.minDate > constraints.maxDate) {
+    return 'minDate cannot be after maxDate';
+  }
+
+  if (constraints.allowedFileTypes != null) {
+    if (!Array.isArray(constraints.allowedFileTypes) ||
+        constraints.allowedFileTypes.some(t => typeof t !== 'string' || !FILE_TYPE_PATTERN.test(t))) {
+      return 'allowedFileTypes must be a list of lowercase file extensions without dots (e.g. pdf, docx)';
+    }
+  }
+  if (constraints.maxFileSizeMB != null &&
+      (typeof constraints.maxFileSizeMB !== 'number' || constraints.maxFileSizeMB <= 0 ||
+       constraints.maxFileSizeMB > MAX_FILE_SIZE_MB)) {
+    return `maxFileSizeMB must be a number greater than 0 and at most ${MAX_FILE_SIZE_MB}`;
+  }
+
+  if (constraints.pattern) {
+    if (typeof constraints.pattern !== 'string' || constraints.pattern.length > MAX_PATTERN_LENGTH) {
+      return `pattern must be text of at most ${MAX_PATTERN_LENGTH} characters`;
+    }
+    try {
+      new RegExp(constraints.pattern);
+    } catch (error) {
+      return 'pattern must be a valid regular expression';
+    }
+    if (hasNestedRepetition(constraints.pattern)) {
+      return 'pattern cannot repeat a group that repeats or has alternatives, such as (a+)+ or (a|b)*, ' +
+        'because such patterns can stall validation';
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  MAX_FILE_SIZE_MB,
+  MAX_FILES_PER_APPLICATION,
+  TYPE_VALIDATORS,
+  isUploadedFile,
+  validateAnswers,
+  getConstraintsError
+};
@@ -1,13 +1,13 @@
 const AuditLog = require('../models/AuditLog');
 
 /**
- * Create an audit log entry
+ * Create an audit log entry. user is null for actions applicants take through a link.
  * Never throws errors - fails silently to avoid breaking main logic
  */
 const createAuditLog = async (logData) => {
   try {
     const {
-      user,
+      user = null,
       action,
       resource,
       resourceId = null,
@@ -18,7 +18,7 @@ const createAuditLog = async (logData) => {
       severity = 'low'
     } = logData;
 
-    if (!user || !action || !resource) {
+    if (!action || !resource) {
       console.error('[Audit] Missing required fields:', { user, action, resource });
       return null;
     }
@@ -35,7 +35,7 @@ const createAuditLog = async (logData) => {
       severity
     });
 
-    console.log(`[Audit] ${action} by User ${user} on ${resource}${resourceId ? ' ID: ' + resourceId : ''}`);
+    console.log(`[Audit] ${action} by ${user ? `User ${user}` : 'applicant'} on ${resource}${resourceId ? ' ID: ' + resourceId : ''}`);
     return auditEntry;
 
   } catch (error) {
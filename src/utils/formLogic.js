@@ -0,0 +1,248 @@
+/**
+ * Conditional logic for job application forms.
+ *
+ * A field may carry a `visibility` rule set:
+ *   {
+ *     action: 'show' | 'hide',   // what happens when the rules match
+ *     logic: 'all' | 'any',      // how rules are combined
+ *     rules: [{ fieldId, operator, value }]
+ *   }
+ * Fields without rules are always visible.
+ */
+
+const VISIBILITY_OPERATORS = [
+  'equals',
+  'not_equals',
+  'contains',
+  'not_contains',
+  'is_empty',
+  'is_not_empty',
+  'greater_than',
+  'less_than'
+];
+
+// Operators that compare against a value (the rest only look at the answer)
+const VALUE_OPERATORS = ['equals', 'not_equals', 'contains', 'not_contains', 'greater_than', 'less_than'];
+
+const isEmptyAnswer = (value) => (
+  value === undefined ||
+  value === null ||
+  (typeof value === 'string' && value.trim() === '') ||
+  (Array.isArray(value) && value.length === 0)
+);
+
+/**
+ * Compare two answer values numerically when both are numbers, as dates when
+ * both parse as dates, otherwise as strings
+ */
+const compareValues = (a, b) => {
+  const numA = Number(a);
+  const numB = Number(b);
+  if (a !== '' && b !== '' && !Number.isNaN(numA) && !Number.isNaN(numB)) {
+    return numA - numB;
+  }
+
+  const dateA = Date.parse(a);
+  const dateB = Date.parse(b);
+  if (!Number.isNaN(dateA) && !Number.isNaN(dateB)) {
+    return dateA - dateB;
+  }
+
+  return String(a).localeCompare(String(b));
+};
+
+const matchesValue = (answer, expected) => {
+  if (Array.isArray(answer)) {
+    return answer.map(String).includes(String(expected));
+  }
+  return String(answer).trim().toLowerCase() === String(expected).trim().toLowerCase();
+};
+
+/**
+ * Evaluate a single rule against an answer value
+ */
+const evaluateRule = (rule, answer) => {
+  const empty = isEmptyAnswer(answer);
+
+  switch (rule.operator) {
+    case 'is_empty':
+      return empty;
+    case 'is_not_empty':
+      return !empty;
+    case 'equals':
+      return !empty && matchesValue(answer, rule.value);
+    case 'not_equals':
+      return empty || !matchesValue(answer, rule.value);
+    case 'contains':
+      return !empty && (Array.isArray(answer)
+        ? matchesValue(answer, rule.value)
+        : String(answer).toLowerCase().includes(String(rule.value).toLowerCase()));
+    case 'not_contains':
+      return empty || (Array.isArray(answer)
+        ? !matchesValue(answer, rule.value)
+        : !String(answer).toLowerCase().includes(String(rule.value).toLowerCase()));
+    case 'greater_than':
+      return !empty && !Array.isArray(answer) && compareValues(answer, rule.value) > 0;
+    case 'less_than':
+      return !empty && !Array.isArray(answer) && compareValues(answer, rule.value) < 0;
+    default:
+      return false;
+  }
+};
+
+const hasRules = (field) => !!(field.visibility && field.visibility.rules && field.visibility.rules.length > 0);
+
+/**
+ * Work out which fields are visible for a set of answers.
+ * A rule that points at a hidden field sees that field as unanswered,
+ * so hiding a question also hides the questions that branch off it.
+ *
+ * @param {Array} fields - JobField fields
+ * @param {Array} answers - [{ fieldId, value }]
+ * @returns {Set<string>} IDs of visible fields
+ */
+const getVisibleFieldIds = (fields, answers = []) => {
+  const fieldsById = new Map(fields.map(f => [f.id, f]));
+  const answersById = new Map((answers || []).map(a => [a.fieldId, a.value]));
+  const visibility = new Map();
+
+  const isVisible = (fieldId, trail = new Set()) => {
+    if (visibility.has(fieldId)) return visibility.get(fieldId);
+
+    const field = fieldsById.get(fieldId);
+    if (!field) return false;
+    if (!hasRules(field)) {
+      visibility.set(fieldId, true);
+      return true;
+    }
+
+    // Guard against cycles that slipped past the builder checks
+    if (trail.has(fieldId)) return false;
+    trail.add(fieldId);
+
+    const results = field.visibility.rules.map(rule => {
+      const sourceVisible = isVisible(rule.fieldId, trail);
+      const answer = sourceVisible ? answersById.get(rule.fieldId) : undefined;
+      return evaluateRule(rule, answer);
+    });
+
+    const matched = field.visibility.logic === 'any'
+      ? results.some(Boolean)
+      : results.every(Boolean);
+    const visible = field.visibility.action === 'hide' ? !matched : matched;
+
+    visibility.set(fieldId, visible);
+    return visible;
+  };
+
+  return new Set(fields.filter(f => isVisible(f.id)).map(f => f.id));
+};
+
+/**
+ * Check a field's visibility rules against the other fields of the form.
+ * Returns an error message, or null if the rules are valid.
+ *
+ * @param {Object} field - Field being added/updated (must have `id`)
+ * @param {Array} fields - All fields of the form, including `field`
+ */
+const getVisibilityError = (field, fields) => {
+  if (!field.visibility) return null;
+
+  const { action = 'show', logic = 'all', rules } = field.visibility;
+
+  if (!['show', 'hide'].includes(action)) {
+    return 'Visibility action must be show or hide';
+  }
+  if (!['all', 'any'].includes(logic)) {
+    return 'Visibility logic must be all or any';
+  }
+  if (!Array.isArray(rules)) {
+    return 'Visibility rules must be an array';
+  }
+
+  const fieldsById = new Map(fields.map(f => [f.id, f]));
+
+  for (const rule of rules) {
+    if (!rule || !rule.fieldId) {
+      return 'Each visibility rule needs a fieldId';
+    }
+    if (rule.fieldId === field.id) {
+      return 'A field cannot depend on itself';
+    }
+    if (!fieldsById.has(rule.fieldId)) {
+      return `Visibility rule refers to unknown field ${rule.fieldId}`;
+    }
+    if (!VISIBILITY_OPERATORS.includes(rule.operator)) {
+      return `Invalid visibility operator. Must be one of: ${VISIBILITY_OPERATORS.join(', ')}`;
+    }
+    if (VALUE_OPERATORS.includes(rule.operator) && isEmptyAnswer(rule.value)) {
+      return `Operator ${rule.operator} requires a value`;
+    }
+  }
+
+  // Reject dependency cycles (A shows B, B shows A)
+  const visiting = new Set();
+  const done = new Set();
+  const hasCycle = (fieldId) => {
+    if (done.has(fieldId)) return false;
+    if (visiting.has(fieldId)) return true;
+    visiting.add(fieldId);
+
+    const current = fieldId === field.id ? field : fieldsById.get(fieldId);
+    const deps = hasRules(current) ? current.visibility.rules.map(r => r.fieldId) : [];
+    const cyclic = deps.some(dep => fieldsById.has(dep) && hasCycle(dep));
+
+    visiting.delete(fieldId);
+    done.add(fieldId);
+    return cyclic;
+  };
+
+  if (hasCycle(field.id)) {
+    return 'Visibility rules create a circular dependency between fields';
+  }
+
+  return null;
+};
+
+/**
+ * Fields whose visibility rules depend on the given field
+ */
+const getDependentFields = (fieldId, fields) => fields.filter(f =>
+  hasRules(f) && f.visibility.rules.some(r => r.fieldId === fieldId)
+);
+
+/**
+ * Copy form fields with freshly generated IDs, remapping visibility rules
+ * so they point at the copied fields. Used when fields move between
+ * jobs and templates.
+ *
+ * @param {Array} fields - Fields (documents or plain objects)
+ * @param {Function} generateId - Returns a new unique field ID
+ */
+const cloneFields = (fields, generateId) => {
+  const plain = fields.map(f => (typeof f.toObject === 'function' ? f.toObject() : { ...f }));
+  const idMap = new Map(plain.map(f => [f.id, generateId()]));
+
+  return plain.map(({ _id, ...field }) => ({
+    ...field,
+    id: idMap.get(field.id),
+    visibility: hasRules(field)
+      ? {
+        ...field.visibility,
+        rules: field.visibility.rules
+          .filter(rule => idMap.has(rule.fieldId))
+          .map(rule => ({ ...rule, fieldId: idMap.get(rule.fieldId) }))
+      }
+      : (field.visibility || null)
+  }));
+};
+
+module.exports = {
+  VISIBILITY_OPERATORS,
+  cloneFields,
+  isEmptyAnswer,
+  evaluateRule,
+  getVisibleFieldIds,
+  getVisibilityError,
+  getDependentFields
+};
@@ -0,0 +1,94 @@
+/**
+ * Minimal iCalendar (RFC 5545) writer for interview invitations
+ */
+
+const PRODUCT_ID = '-//FaydaTech//Careers//EN';
+const MAX_LINE_OCTETS = 75;
+
+// 20250314T100000Z
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Parameter values with separators must be quoted, and cannot contain quotes
+const quoteParam = (value) => `"${String(value).replace(/"/g, '\'')}"`;
+
+/**
+ * Split a content line into 75-octet lines; continuation lines start with a space
+ */
+const foldLine = (line) => {
+  const lines = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = lines.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      lines.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  lines.push(current);
+
+  return lines.join('\r\n ');
+};
+
+const person = (property, { name, email }, params = []) => {
+  const allParams = [...(name ? [`CN=${quoteParam(name)}`] : []), ...params];
+  return `${[property, ...allParams].join(';')}:mailto:${email}`;
+};
+
+// Attendees are asked to reply to invitations, not to cancellations
+const attendeeParams = (method) => method === 'CANCEL'
+  ? ['ROLE=REQ-PARTICIPANT']
+  : ['ROLE=REQ-PARTICIPANT', 'PARTSTAT=NEEDS-ACTION', 'RSVP=TRUE'];
+
+const eventLines = (event, method) => [
+  'BEGIN:VEVENT',
+  `UID:${event.uid}`,
+  `SEQUENCE:${event.sequence || 0}`,
+  `DTSTAMP:${formatDateTime(event.stampedAt || new Date())}`,
+  `DTSTART:${formatDateTime(event.startsAt)}`,
+  `DTEND:${formatDateTime(event.endsAt)}`,
+  `SUMMARY:${escapeText(event.summary)}`,
+  ...(event.description ? [`DESCRIPTION:${escapeText(event.description)}`] : []),
+  ...(event.location ? [`LOCATION:${escapeText(event.location)}`] : []),
+  ...(event.url ? [`URL:${event.url}`] : []),
+  `STATUS:${event.status || 'CONFIRMED'}`,
+  ...(event.organizer ? [person('ORGANIZER', event.organizer)] : []),
+  ...(event.attendees || []).map(attendee => person('ATTENDEE', attendee, attendeeParams(method))),
+  'END:VEVENT'
+];
+
+/**
+ * Build an iCalendar file
+ *
+ * @param {Object} calendar
+ * @param {string} calendar.method - PUBLISH, REQUEST or CANCEL
+ * @param {Array<Object>} calendar.events - { uid, sequence, startsAt, endsAt, summary, description,
+ *   location, url, status, organizer: { name, email }, attendees: [{ name, email }] }
+ * @returns {string} File contents with CRLF line endings
+ */
+const buildCalendar = ({ method = 'PUBLISH', events }) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  `PRODID:${PRODUCT_ID}`,
+  'CALSCALE:GREGORIAN',
+  `METHOD:${method}`,
+  ...events.flatMap(event => eventLines(event, method)),
+  'END:VCALENDAR'
+].map(foldLine).join('\r\n') + '\r\n';
+
+module.exports = {
+  buildCalendar,
+  formatDateTime,
+  escapeText
+};
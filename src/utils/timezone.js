@@ -0,0 +1,160 @@
+/**
+ * IANA time zone helpers. Dates are stored in UTC; these read wall-clock times
+ * given in a zone and format stored dates for the person reading them.
+ */
+
+// Zone of the hiring team; used when a job, user or applicant has none
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Africa/Addis_Ababa';
+
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || timeZone.trim() === '') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Offset of the zone from UTC at the given instant, in milliseconds
+ */
+const zoneOffsetMs = (date, timeZone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date).map(p => [p.type, Number(p.value)]));
+
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * The instant a wall-clock time in a zone refers to
+ *
+ * @param {Object} time - { year, month (1-12), day, hour, minute, second, millisecond }
+ * @param {string} timeZone - IANA zone, e.g. Africa/Addis_Ababa
+ * @returns {Date}
+ */
+const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0 }, timeZone) => {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+
+  // The zone's offset at the wall-clock time read as UTC is right except around
+  // daylight-saving changes, where the offset at the first guess corrects it
+  const guess = wallClock - zoneOffsetMs(new Date(wallClock), timeZone);
+  return new Date(wallClock - zoneOffsetMs(new Date(guess), timeZone));
+};
+
+/**
+ * The instant showing in toZone the wall-clock time date shows in fromZone,
+ * e.g. 23:59 in Addis Ababa becomes 23:59 in Berlin
+ */
+const changeTimeZone = (date, fromZone, toZone) => {
+  const wallClock = new Date(date.getTime() + zoneOffsetMs(date, fromZone));
+  return zonedTimeToUtc({
+    year: wallClock.getUTCFullYear(),
+    month: wallClock.getUTCMonth() + 1,
+    day: wallClock.getUTCDate(),
+    hour: wallClock.getUTCHours(),
+    minute: wallClock.getUTCMinutes(),
+    second: wallClock.getUTCSeconds(),
+    millisecond: wallClock.getUTCMilliseconds()
+  }, toZone);
+};
+
+// 2025-03-14, 2025-03-14T10:00 or 2025-03-14T10:00:00.000 without Z or an offset
+const LOCAL_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?)?$/;
+
+// Date part of any ISO 8601 value, with or without a time and offset
+const ISO_DATE_PART = /^(\d{4})-(\d{2})-(\d{2})/;
+
+/**
+ * Whether year-month-day is a real calendar day (2025-02-30 is not; Date would roll it over)
+ */
+const isCalendarDay = (year, month, day) => {
+  const date = new Date(Date.UTC(2000, month - 1, day));
+  date.setUTCFullYear(year);
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+/**
+ * Parse an ISO 8601 date or date-time. Values with Z or an offset are exact; values
+ * without one are wall-clock time in the zone. A date alone is the start of that day
+ * in the zone, or its last moment with endOfDay.
+ *
+ * @returns {Date|null} null when the value is not a date, or names a day or time that does not exist
+ */
+const parseDateInZone = (value, timeZone, { endOfDay = false } = {}) => {
+  if (value instanceof Date) return value;
+
+  const text = String(value).trim();
+  const datePart = ISO_DATE_PART.exec(text);
+  if (datePart && !isCalendarDay(Number(datePart[1]), Number(datePart[2]), Number(datePart[3]))) {
+    return null;
+  }
+
+  const match = LOCAL_DATE_TIME.exec(text);
+  if (!match) {
+    const date = new Date(text);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  const [, year, month, day, hour, minute, second = '0', fraction = '0'] = match;
+  if (hour !== undefined && (Number(hour) > 23 || Number(minute) > 59 || Number(second) > 59)) {
+    return null;
+  }
+  const time = hour === undefined
+    ? (endOfDay ? { hour: 23, minute: 59, second: 59, millisecond: 999 } : {})
+    : { hour: Number(hour), minute: Number(minute), second: Number(second), millisecond: Number(fraction.padEnd(3, '0')) };
+
+  return zonedTimeToUtc({ year: Number(year), month: Number(month), day: Number(day), ...time }, timeZone);
+};
+
+/**
+ * Friday, 14 March 2025
+ */
+const formatDate = (date, timeZone) => new Intl.DateTimeFormat('en-GB', {
+  timeZone,
+  weekday: 'long',
+  day: 'numeric',
+  month: 'long',
+  year: 'numeric'
+}).format(date);
+
+const formatClock = (date, timeZone) => new Intl.DateTimeFormat('en-GB', {
+  timeZone,
+  hour: '2-digit',
+  minute: '2-digit'
+}).format(date);
+
+/**
+ * Short name of the zone at an instant: GMT+3, UTC
+ */
+const zoneLabel = (date, timeZone) => new Intl.DateTimeFormat('en-GB', { timeZone, timeZoneName: 'short' })
+  .formatToParts(date)
+  .find(p => p.type === 'timeZoneName').value;
+
+/**
+ * 10:00 - 10:45 GMT+3 (Africa/Addis_Ababa)
+ */
+const formatTimeRange = (startsAt, endsAt, timeZone) => {
+  const label = zoneLabel(startsAt, timeZone);
+  const zone = label === timeZone ? label : `${label} (${timeZone})`;
+  return `${formatClock(startsAt, timeZone)} - ${formatClock(endsAt, timeZone)} ${zone}`;
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  zonedTimeToUtc,
+  changeTimeZone,
+  parseDateInZone,
+  formatDate,
+  formatTimeRange
+};
@@ -8,8 +8,20 @@ const generateToken = (userId, role) => {
   );
 };
 
+/**
+ * Session token for the applicant portal. Carries the applicant's email
+ * instead of a user ID, so it is never accepted by the admin `protect` middleware.
+ */
+const generateApplicantToken = (email) => {
+  return jwt.sign(
+    { email, type: 'applicant' },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.APPLICANT_SESSION_EXPIRE || '24h' }
+  );
+};
+
 const verifyToken = (token) => {
   return jwt.verify(token, process.env.JWT_SECRET);
 };
 
-module.exports = { generateToken, verifyToken };
\ No newline at end of file
+module.exports = { generateToken, generateApplicantToken, verifyToken };
\ No newline at end of file
@@ -0,0 +1,50 @@
+const { body } = require('express-validator');
+const { isValidTimeZone } = require('../utils/timezone');
+
+const magicLinkValidator = [
+  body('email')
+    .trim()
+    .notEmpty().withMessage('Email is required')
+    .isEmail().withMessage('Please provide a valid email')
+];
+
+const sessionValidator = [
+  body('token')
+    .isString().withMessage('Token is required')
+    .trim()
+    .notEmpty().withMessage('Token is required')
+];
+
+const withdrawValidator = [
+  body('reason')
+    .optional()
+    .isString().withMessage('Reason must be text')
+    .trim()
+    .isLength({ max: 1000 }).withMessage('Reason cannot exceed 1000 characters')
+];
+
+const updateContactValidator = [
+  body('applicant')
+    .isObject().withMessage('applicant object is required'),
+
+  body('applicant.email')
+    .not().exists().withMessage('Email cannot be changed'),
+
+  body(['applicant.name', 'applicant.phoneNumber', 'applicant.country', 'applicant.city'])
+    .optional()
+    .isString().withMessage('Contact details must be text')
+    .trim()
+    .notEmpty().withMessage('Contact details cannot be empty'),
+
+  // null goes back to the job's zone
+  body('applicant.timezone')
+    .optional({ values: 'null' })
+    .custom(isValidTimeZone).withMessage('Timezone must be an IANA time zone such as Africa/Addis_Ababa')
+];
+
+module.exports = {
+  magicLinkValidator,
+  sessionValidator,
+  withdrawValidator,
+  updateContactValidator
+};
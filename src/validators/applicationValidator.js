@@ -23,4 +23,37 @@ const updateStageValidator = [
     .isLength({ min: 2 }).withMessage('Notes must be at least 2 characters if provided')
 ];
 
-module.exports = { applicationValidator, updateStageValidator };
\ No newline at end of file
+const bulkResponseActionValidator = [
+  body('responseIds')
+    .isArray({ min: 1 }).withMessage('responseIds must be a non-empty array'),
+
+  body('action')
+    .notEmpty().withMessage('Action is required')
+    .isIn(['move_stage', 'save', 'unsave', 'reject', 'delete'])
+    .withMessage('Action must be one of move_stage, save, unsave, reject, delete'),
+
+  body('stage')
+    .if(body('action').equals('move_stage'))
+    .notEmpty().withMessage('Stage is required for move_stage')
+    .isString()
+    .trim()
+    .toLowerCase(),
+
+  body('notes')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Notes must be less than 500 characters'),
+
+  body('sendEmail')
+    .optional()
+    .isBoolean().withMessage('sendEmail must be a boolean')
+    .toBoolean(),
+
+  body('custom_message')
+    .optional()
+    .isString()
+    .trim()
+];
+
+module.exports = { applicationValidator, updateStageValidator, bulkResponseActionValidator };
\ No newline at end of file
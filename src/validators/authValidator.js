@@ -1,4 +1,9 @@
 const { body } = require('express-validator');
+const { isValidTimeZone } = require('../utils/timezone');
+
+const timezone = body('timezone')
+  .optional()
+  .custom(isValidTimeZone).withMessage('Timezone must be an IANA time zone such as Africa/Addis_Ababa');
 
 const registerValidator = [
   body('name')
@@ -13,7 +18,9 @@ const registerValidator = [
   
   body('password')
     .notEmpty().withMessage('Password is required')
-    .isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+    .isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+
+  timezone
 ];
 
 const loginValidator = [
@@ -26,4 +33,13 @@ const loginValidator = [
     .notEmpty().withMessage('Password is required')
 ];
 
-module.exports = { registerValidator, loginValidator };
\ No newline at end of file
+const updateMeValidator = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
+
+  timezone
+];
+
+module.exports = { registerValidator, loginValidator, updateMeValidator };
\ No newline at end of file
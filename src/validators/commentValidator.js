@@ -0,0 +1,37 @@
+const { body, param } = require('express-validator');
+
+const bodyRule = () => body('body')
+  .isString()
+  .withMessage('Comment body must be text')
+  .trim()
+  .notEmpty()
+  .withMessage('Comment body is required')
+  .isLength({ max: 5000 })
+  .withMessage('Comment cannot exceed 5000 characters');
+
+exports.validateAddComment = [
+  param('responseId')
+    .isMongoId()
+    .withMessage('Invalid response ID'),
+
+  bodyRule(),
+
+  body('parentId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid parent comment ID')
+];
+
+exports.validateEditComment = [
+  param('commentId')
+    .isMongoId()
+    .withMessage('Invalid comment ID'),
+
+  bodyRule()
+];
+
+exports.validateCommentId = [
+  param('commentId')
+    .isMongoId()
+    .withMessage('Invalid comment ID')
+];
@@ -0,0 +1,65 @@
+const { body, param, query } = require('express-validator');
+const EMAIL_TEMPLATES = require('../emailTemplates');
+
+const templateKey = () => param('key')
+  .isIn(Object.keys(EMAIL_TEMPLATES))
+  .withMessage(`Unknown email template. Available: ${Object.keys(EMAIL_TEMPLATES).join(', ')}`);
+
+exports.validateTemplateKey = [
+  templateKey(),
+
+  query('jobId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid job ID')
+];
+
+exports.validateSaveEmailTemplate = [
+  templateKey(),
+
+  body('subject')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Subject is required')
+    .isLength({ max: 300 })
+    .withMessage('Subject cannot exceed 300 characters'),
+
+  body('html')
+    .isString()
+    .notEmpty()
+    .withMessage('HTML body is required')
+    .isLength({ max: 100000 })
+    .withMessage('HTML body cannot exceed 100000 characters'),
+
+  body('jobId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid job ID')
+];
+
+exports.validatePreviewEmailTemplate = [
+  templateKey(),
+
+  body('subject')
+    .optional()
+    .isString()
+    .isLength({ max: 300 })
+    .withMessage('Subject cannot exceed 300 characters'),
+
+  body('html')
+    .optional()
+    .isString()
+    .isLength({ max: 100000 })
+    .withMessage('HTML body cannot exceed 100000 characters'),
+
+  body('jobId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid job ID'),
+
+  body('variables')
+    .optional()
+    .isObject()
+    .withMessage('Variables must be an object')
+];
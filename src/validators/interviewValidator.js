@@ -0,0 +1,223 @@
+const { body, param, query } = require('express-validator');
+const Interview = require('../models/Interview');
+const InterviewSlot = require('../models/InterviewSlot');
+const { isValidTimeZone } = require('../utils/timezone');
+
+const responseIdParam = param('responseId')
+  .isMongoId()
+  .withMessage('Invalid response ID');
+
+const reason = body('reason')
+  .optional()
+  .isString()
+  .trim()
+  .isLength({ max: 2000 })
+  .withMessage('Reason cannot exceed 2000 characters');
+
+const timezone = body('timezone')
+  .optional()
+  .custom(isValidTimeZone)
+  .withMessage('Timezone must be an IANA time zone such as Africa/Addis_Ababa');
+
+const interviewDetails = [
+  timezone,
+
+  body('durationMinutes')
+    .optional()
+    .isInt({ min: 5, max: 480 })
+    .withMessage('durationMinutes must be between 5 and 480')
+    .toInt(),
+
+  body('interviewerIds')
+    .optional()
+    .isArray({ min: 1, max: 10 })
+    .withMessage('interviewerIds must be an array of 1 to 10 user IDs'),
+
+  body('interviewerIds.*')
+    .isMongoId()
+    .withMessage('Every interviewer ID must be a valid ID'),
+
+  body('location')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Location cannot exceed 500 characters'),
+
+  body('custom_message')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 5000 })
+    .withMessage('Custom message cannot exceed 5000 characters')
+];
+
+exports.validateCreateSlots = [
+  body('startsAt')
+    .isISO8601({ strict: true })
+    .withMessage('startsAt must be an ISO 8601 date-time'),
+
+  body('endsAt')
+    .isISO8601({ strict: true })
+    .withMessage('endsAt must be an ISO 8601 date-time'),
+
+  body('slotMinutes')
+    .optional()
+    .isInt({ min: 5, max: 480 })
+    .withMessage('slotMinutes must be between 5 and 480')
+    .toInt(),
+
+  body('jobId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid job ID'),
+
+  body('interviewerId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid interviewer ID'),
+
+  timezone
+];
+
+exports.validateSlotList = [
+  query('interviewer')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid interviewer ID'),
+
+  query('jobId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid job ID'),
+
+  query('status')
+    .optional()
+    .isIn(InterviewSlot.STATUSES)
+    .withMessage(`Status must be one of ${InterviewSlot.STATUSES.join(', ')}`),
+
+  query(['from', 'to'])
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('from and to must be ISO 8601 dates')
+];
+
+exports.validateSlotId = [
+  param('slotId')
+    .isMongoId()
+    .withMessage('Invalid slot ID')
+];
+
+exports.validateScheduleInterview = [
+  responseIdParam,
+
+  body('startsAt')
+    .isISO8601({ strict: true })
+    .withMessage('startsAt must be an ISO 8601 date-time'),
+
+  ...interviewDetails
+];
+
+exports.validateBookingLink = [
+  responseIdParam,
+
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1, max: 30 })
+    .withMessage('expiresInDays must be between 1 and 30')
+    .toInt(),
+
+  ...interviewDetails
+];
+
+exports.validateInterviewList = [
+  query(['from', 'to'])
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('from and to must be ISO 8601 dates'),
+
+  query('interviewer')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid interviewer ID')
+];
+
+exports.validateInterviewId = [
+  param('interviewId')
+    .isMongoId()
+    .withMessage('Invalid interview ID')
+];
+
+exports.validateRescheduleInterview = [
+  ...exports.validateInterviewId,
+
+  body('startsAt')
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('startsAt must be an ISO 8601 date-time'),
+
+  body('durationMinutes')
+    .optional()
+    .isInt({ min: 5, max: 480 })
+    .withMessage('durationMinutes must be between 5 and 480')
+    .toInt(),
+
+  body('location')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Location cannot exceed 500 characters'),
+
+  body('interviewerIds')
+    .optional()
+    .isArray({ min: 1, max: 10 })
+    .withMessage('interviewerIds must be an array of 1 to 10 user IDs'),
+
+  body('interviewerIds.*')
+    .isMongoId()
+    .withMessage('Every interviewer ID must be a valid ID'),
+
+  reason
+];
+
+exports.validateCancelInterview = [
+  ...exports.validateInterviewId,
+
+  reason
+];
+
+exports.validateInterviewFeedback = [
+  ...exports.validateInterviewId,
+
+  body('rating')
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be a whole number from 1 to 5')
+    .toInt(),
+
+  body('recommendation')
+    .isIn(Interview.FEEDBACK_RECOMMENDATIONS)
+    .withMessage(`Recommendation must be one of ${Interview.FEEDBACK_RECOMMENDATIONS.join(', ')}`),
+
+  body('notes')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 5000 })
+    .withMessage('Notes cannot exceed 5000 characters')
+];
+
+exports.validateBookingToken = [
+  param('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid booking link')
+];
+
+exports.validateBookInterview = [
+  ...exports.validateBookingToken,
+
+  body('slotId')
+    .isMongoId()
+    .withMessage('Choose one of the offered times')
+];
@@ -1,4 +1,5 @@
 const { body } = require('express-validator');
+const { DEFAULT_TIMEZONE, isValidTimeZone, parseDateInZone } = require('../utils/timezone');
 
 const jobValidator = [
   body('title')
@@ -38,11 +39,17 @@ const jobValidator = [
     .optional()
     .isArray().withMessage('Requirements must be an array'),
 
+  body('timezone')
+    .optional()
+    .custom(isValidTimeZone).withMessage('Timezone must be an IANA time zone such as Africa/Addis_Ababa'),
+
   body('deadline')
     .optional()
-    .isISO8601().withMessage('Deadline must be a valid date')
-    .custom((value) => {
-      if (new Date(value) < new Date()) {
+    .isISO8601({ strict: true }).withMessage('Deadline must be a valid date')
+    .custom((value, { req }) => {
+      // A date alone means the end of that day in the job's zone
+      const timeZone = isValidTimeZone(req.body.timezone) ? req.body.timezone : DEFAULT_TIMEZONE;
+      if (parseDateInZone(value, timeZone, { endOfDay: true }) < new Date()) {
         throw new Error('Deadline must be in the future');
       }
       return true;
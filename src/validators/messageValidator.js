@@ -0,0 +1,46 @@
+const { body, param, query } = require('express-validator');
+const Message = require('../models/Message');
+const { SENDABLE_TEMPLATES } = require('../services/messageService');
+
+exports.validateSendMessages = [
+  body('responseIds')
+    .isArray({ min: 1 })
+    .withMessage('responseIds must be a non-empty array'),
+
+  body('responseIds.*')
+    .isMongoId()
+    .withMessage('Every response ID must be a valid ID'),
+
+  body('template')
+    .isIn(SENDABLE_TEMPLATES)
+    .withMessage(`Template must be one of ${SENDABLE_TEMPLATES.join(', ')}`),
+
+  body('variables')
+    .optional()
+    .isObject()
+    .withMessage('Variables must be an object'),
+
+  body('variables.*')
+    .optional()
+    .isString()
+    .withMessage('Variable values must be strings')
+    .isLength({ max: 5000 })
+    .withMessage('Variable values cannot exceed 5000 characters')
+];
+
+exports.validateMessageId = [
+  param('messageId')
+    .isMongoId()
+    .withMessage('Invalid message ID')
+];
+
+exports.validateMessageList = [
+  param('responseId')
+    .isMongoId()
+    .withMessage('Invalid response ID'),
+
+  query('status')
+    .optional()
+    .isIn(Message.STATUSES)
+    .withMessage(`Status must be one of ${Message.STATUSES.join(', ')}`)
+];
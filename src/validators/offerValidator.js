@@ -0,0 +1,97 @@
+const { body, param } = require('express-validator');
+const Offer = require('../models/Offer');
+const { isValidTimeZone } = require('../utils/timezone');
+
+exports.validateCreateOffer = [
+  param('responseId')
+    .isMongoId()
+    .withMessage('Invalid response ID'),
+
+  body('role')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .isLength({ max: 200 })
+    .withMessage('Role must be 1 to 200 characters'),
+
+  body('salary')
+    .isFloat({ min: 0 })
+    .withMessage('Salary must be a number of at least 0')
+    .toFloat(),
+
+  body('currency')
+    .optional()
+    .isString()
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z]{3}$/)
+    .withMessage('Currency must be a three-letter code such as ETB'),
+
+  body('salaryPeriod')
+    .optional()
+    .isIn(Offer.SALARY_PERIODS)
+    .withMessage(`salaryPeriod must be one of ${Offer.SALARY_PERIODS.join(', ')}`),
+
+  body('startDate')
+    .isISO8601({ strict: true })
+    .withMessage('startDate must be an ISO 8601 date'),
+
+  body('expiresAt')
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('expiresAt must be an ISO 8601 date'),
+
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1, max: 60 })
+    .withMessage('expiresInDays must be between 1 and 60')
+    .toInt(),
+
+  body('timezone')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('Timezone must be an IANA time zone such as Africa/Addis_Ababa'),
+
+  body('custom_message')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 5000 })
+    .withMessage('Custom message cannot exceed 5000 characters')
+];
+
+exports.validateOfferId = [
+  param('offerId')
+    .isMongoId()
+    .withMessage('Invalid offer ID')
+];
+
+exports.validateWithdrawOffer = [
+  ...exports.validateOfferId,
+
+  body('reason')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Reason cannot exceed 2000 characters')
+];
+
+exports.validateOfferToken = [
+  param('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid offer link')
+];
+
+exports.validateDeclineOffer = [
+  ...exports.validateOfferToken,
+
+  body('reason')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Reason cannot exceed 2000 characters')
+];
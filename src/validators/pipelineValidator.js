@@ -1,4 +1,5 @@
 const { body, param } = require('express-validator');
+const PipelineTemplate = require('../models/PipelineTemplate');
 
 exports.validateMoveStage = [
   param('id')
@@ -8,7 +9,10 @@ exports.validateMoveStage = [
   body('stage')
     .notEmpty()
     .withMessage('Stage is required')
-    .isIn(['applied', 'screening', 'interview', 'assessment', 'offer', 'hired', 'rejected'])
+    .isString()
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z0-9_]+$/)
     .withMessage('Invalid pipeline stage'),
   
   body('notes')
@@ -16,7 +20,20 @@ exports.validateMoveStage = [
     .isString()
     .trim()
     .isLength({ max: 500 })
-    .withMessage('Notes must be less than 500 characters')
+    .withMessage('Notes must be less than 500 characters'),
+
+  body('sendEmail')
+    .optional()
+    .isBoolean()
+    .withMessage('sendEmail must be a boolean')
+    .toBoolean(),
+
+  body('custom_message')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Custom message must be less than 2000 characters')
 ];
 
 exports.validateJobId = [
@@ -29,4 +46,98 @@ exports.validateApplicationId = [
   param('id')
     .isMongoId()
     .withMessage('Invalid application ID')
-];
\ No newline at end of file
+];
+exports.validateTemplateId = [
+  param('templateId')
+    .isMongoId()
+    .withMessage('Invalid template ID')
+];
+
+const stageRules = (optional) => {
+  const stages = body('stages');
+  return [
+    (optional ? stages.optional() : stages)
+      .isArray({ min: 1 })
+      .withMessage('Stages must be a non-empty array'),
+
+    body('stages.*.key')
+      .isString()
+      .trim()
+      .toLowerCase()
+      .matches(/^[a-z0-9_]+$/)
+      .withMessage('Stage keys may only contain letters, numbers and underscores'),
+
+    body('stages.*.label')
+      .optional()
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Stage label cannot be empty'),
+
+    body('stages.*.order')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Stage order must be a positive integer'),
+
+    body('stages.*.outcome')
+      .optional({ values: 'null' })
+      .isIn(PipelineTemplate.STAGE_OUTCOMES)
+      .withMessage(`Stage outcome must be one of ${PipelineTemplate.STAGE_OUTCOMES.join(', ')}`),
+
+    body('stages.*.purpose')
+      .optional({ values: 'null' })
+      .isIn(PipelineTemplate.STAGE_PURPOSES)
+      .withMessage(`Stage purpose must be one of ${PipelineTemplate.STAGE_PURPOSES.join(', ')}`),
+
+    body('transitions')
+      .optional()
+      .isObject()
+      .withMessage('Transitions must be an object mapping a stage to the stages it may move to')
+      .custom((transitions) => {
+        const valid = Object.values(transitions).every(targets => Array.isArray(targets));
+        if (!valid) {
+          throw new Error('Each transition entry must be an array of stage keys');
+        }
+        return true;
+      }),
+
+    body('isDefault')
+      .optional()
+      .isBoolean()
+      .withMessage('isDefault must be a boolean')
+  ];
+};
+
+exports.validateCreateTemplate = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Template name is required')
+    .isLength({ max: 100 })
+    .withMessage('Name cannot exceed 100 characters'),
+
+  ...stageRules(false)
+];
+
+exports.validateUpdateTemplate = [
+  ...exports.validateTemplateId,
+
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Template name cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Name cannot exceed 100 characters'),
+
+  ...stageRules(true)
+];
+
+exports.validateAssignTemplate = [
+  ...exports.validateJobId,
+
+  body('templateId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid template ID')
+];
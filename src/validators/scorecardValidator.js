@@ -0,0 +1,87 @@
+const { body, param } = require('express-validator');
+
+exports.validateScorecardDefinition = [
+  param('jobId')
+    .isMongoId()
+    .withMessage('Invalid job ID'),
+
+  body('criteria')
+    .isArray({ min: 1, max: 20 })
+    .withMessage('Criteria must be an array of 1 to 20 items'),
+
+  body('criteria.*.id')
+    .optional()
+    .isString()
+    .withMessage('Criterion ID must be a string'),
+
+  body('criteria.*.label')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Every criterion needs a label')
+    .isLength({ max: 100 })
+    .withMessage('Criterion label cannot exceed 100 characters'),
+
+  body('criteria.*.description')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Criterion description cannot exceed 500 characters'),
+
+  body('criteria.*.weight')
+    .optional()
+    .isFloat({ min: 0.1, max: 100 })
+    .withMessage('Criterion weight must be a number from 0.1 to 100')
+    .toFloat(),
+
+  body('scale')
+    .optional()
+    .isObject()
+    .withMessage('Scale must be an object with min and max'),
+
+  body('scale.min')
+    .optional()
+    .isInt({ min: 0, max: 10 })
+    .withMessage('Scale minimum must be a whole number from 0 to 10')
+    .toInt(),
+
+  body('scale.max')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Scale maximum must be a whole number from 1 to 10')
+    .toInt()
+];
+
+exports.validateScorecardSubmission = [
+  param('responseId')
+    .isMongoId()
+    .withMessage('Invalid response ID'),
+
+  body('ratings')
+    .isArray({ min: 1 })
+    .withMessage('Ratings must be a non-empty array'),
+
+  body('ratings.*.criterionId')
+    .isString()
+    .notEmpty()
+    .withMessage('Every rating needs a criterionId'),
+
+  body('ratings.*.rating')
+    .isInt()
+    .withMessage('Ratings must be whole numbers')
+    .toInt(),
+
+  body('notes')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Notes cannot exceed 2000 characters')
+];
+
+exports.validateResponseId = [
+  param('responseId')
+    .isMongoId()
+    .withMessage('Invalid response ID')
+];